@@ -0,0 +1,309 @@
+/**
+ * @fileoverview AI behaviours for non-player ships and the system that runs them.
+ */
+
+import { applySteering, arrive, clearSteering, pursue, seek, wander } from './steering.js';
+import { distance, normalizeAngle } from './utils.js';
+
+/**
+ * How far a trader will look for its next port of call, in pixels. Only planets
+ * in loaded chunks exist, so this keeps traders to the space around the player.
+ * @type {number}
+ */
+const TRADE_RANGE = 4000;
+
+/**
+ * How far off their heading (radians) pirates will take a shot at the player
+ * @type {number}
+ */
+const PIRATE_FIRE_ARC = 0.15;
+
+/**
+ * Ship roles, with the faction and hull color each one flies under, and the
+ * weapon stats of armed roles (see Weapon)
+ * @type {Object<string, {faction: string, color: string, weapon?: Object}>}
+ */
+export const AI_ROLES = {
+  trader: { faction: 'neutral', color: '#ffd84d' },
+  patrol: { faction: 'neutral', color: '#e0e0e0' },
+  // Pirate guns are weaker and slower than the player's, so a fight can be won
+  pirate: { faction: 'hostile', color: '#ff4d4d', weapon: { damage: 6, fireInterval: 0.7 } }
+};
+
+/**
+ * Trader: flies from planet to planet, docking at each for a while
+ */
+export class TraderBehavior {
+  /**
+   * @param {function(): number} [rng=Math.random] - Random source for route choices
+   */
+  constructor(rng = Math.random) {
+    /** @type {string} */
+    this.role = 'trader';
+    this.rng = rng;
+    /** @type {Planet | null} */
+    this.destination = null;
+    /**
+     * Seconds left docked at the current planet
+     * @type {number}
+     */
+    this.dockTimer = 0;
+  }
+
+  /**
+   * Choose a new destination different from the current one
+   * @param {Array<Planet>} planets - Candidate planets
+   */
+  pickDestination(planets) {
+    const options = planets.filter((planet) => planet !== this.destination);
+    if (options.length === 0) return;
+    this.destination = options[Math.floor(this.rng() * options.length)];
+  }
+
+  /**
+   * Steer the ship for this update
+   * @param {Spaceship} ship - The controlled ship
+   * @param {EntityManager} entityManager - The world's entities
+   * @param {number} deltaTime - Length of the simulation step in seconds
+   */
+  update(ship, entityManager, deltaTime) {
+    if (this.dockTimer > 0) {
+      this.dockTimer -= deltaTime;
+      clearSteering(ship);
+      // Ride along with the planet as it orbits
+      if (this.destination) {
+        ship.x = this.destination.x;
+        ship.y = this.destination.y;
+      }
+      if (this.dockTimer <= 0) {
+        this.pickDestination(entityManager.findPlanetsInRadius(ship.x, ship.y, TRADE_RANGE));
+      }
+      return;
+    }
+
+    if (!this.destination) {
+      this.pickDestination(entityManager.findPlanetsInRadius(ship.x, ship.y, TRADE_RANGE));
+      if (!this.destination) return;
+    }
+
+    const { x, y, radius } = this.destination;
+    // Planets keep moving along their orbits, so rather than stopping dead on the
+    // center, a trader docks once it is over the planet and slow enough to land
+    if (distance(ship.x, ship.y, x, y) < radius && Math.abs(ship.speed) < ship.maxSpeed * 0.5) {
+      // Arrived: dock for a few seconds before heading out again
+      this.dockTimer = 3 + this.rng() * 5;
+      clearSteering(ship);
+      return;
+    }
+    applySteering(ship, arrive(ship, x, y, radius + 250));
+  }
+
+  /**
+   * Convert the behaviour to plain data for saving
+   * @returns {Object} Serializable behaviour state
+   */
+  serialize() {
+    return {
+      role: this.role,
+      // Planets are referenced by their key, which survives their chunk being regenerated
+      destination: this.destination ? this.destination.key : null,
+      dockTimer: this.dockTimer
+    };
+  }
+}
+
+/**
+ * Patrol: loops a fixed circuit of waypoints around a home planet
+ */
+export class PatrolBehavior {
+  /**
+   * @param {Planet} home - The planet to patrol around
+   * @param {number} [waypointCount=4] - Number of waypoints on the circuit
+   */
+  constructor(home, waypointCount = 4) {
+    /** @type {string} */
+    this.role = 'patrol';
+    /** @type {Planet} */
+    this.home = home;
+    /** @type {number} */
+    this.waypointCount = waypointCount;
+    /** @type {number} */
+    this.waypointIndex = 0;
+  }
+
+  /**
+   * Get the position of a waypoint on the circuit
+   * @param {number} index - Waypoint index
+   * @returns {{x: number, y: number}} Waypoint position
+   */
+  getWaypoint(index) {
+    const angle = (index / this.waypointCount) * Math.PI * 2;
+    const patrolRadius = this.home.radius + 250;
+    return {
+      x: this.home.x + Math.cos(angle) * patrolRadius,
+      y: this.home.y + Math.sin(angle) * patrolRadius
+    };
+  }
+
+  /**
+   * Steer the ship for this update
+   * @param {Spaceship} ship - The controlled ship
+   */
+  update(ship) {
+    let waypoint = this.getWaypoint(this.waypointIndex);
+    if (distance(ship.x, ship.y, waypoint.x, waypoint.y) < 60) {
+      this.waypointIndex = (this.waypointIndex + 1) % this.waypointCount;
+      waypoint = this.getWaypoint(this.waypointIndex);
+    }
+    const target = seek(ship, waypoint.x, waypoint.y);
+    target.speed *= 0.7; // Patrols cruise rather than race
+    applySteering(ship, target);
+  }
+
+  /**
+   * Convert the behaviour to plain data for saving
+   * @returns {Object} Serializable behaviour state
+   */
+  serialize() {
+    return {
+      role: this.role,
+      home: this.home.key,
+      waypointCount: this.waypointCount,
+      waypointIndex: this.waypointIndex
+    };
+  }
+}
+
+/**
+ * Pirate: lurks near its hideout and chases the player when they come close
+ */
+export class PirateBehavior {
+  /**
+   * @param {{x: number, y: number}} hideout - Point the pirate lurks around
+   * @param {function(): number} [rng=Math.random] - Random source for wandering
+   */
+  constructor(hideout, rng = Math.random) {
+    /** @type {string} */
+    this.role = 'pirate';
+    this.hideout = hideout;
+    this.rng = rng;
+    /** @type {number} */
+    this.detectionRange = 700;
+    /** @type {number} */
+    this.giveUpRange = 1200;
+    /** @type {number} */
+    this.fireRange = 500;
+    /** @type {boolean} */
+    this.isChasing = false;
+    /** @type {{x: number, y: number, speed: number} | null} */
+    this.wanderTarget = null;
+  }
+
+  /**
+   * Steer the ship for this update
+   * @param {Spaceship} ship - The controlled ship
+   * @param {EntityManager} entityManager - The world's entities
+   */
+  update(ship, entityManager) {
+    const player = entityManager.getPlayerShip();
+    const playerDistance = player ? distance(ship.x, ship.y, player.x, player.y) : Infinity;
+
+    if (this.isChasing) {
+      this.isChasing = playerDistance < this.giveUpRange;
+    } else {
+      this.isChasing = playerDistance < this.detectionRange;
+    }
+
+    if (this.isChasing) {
+      applySteering(ship, pursue(ship, player));
+      // Burn boost to close a wide gap
+      ship.keys.space = playerDistance > 300 && ship.getBoostPercentage() >= 100;
+      // Open fire once close and lined up
+      const aimError = normalizeAngle(Math.atan2(player.y - ship.y, player.x - ship.x) - ship.rotation);
+      ship.keys.fire = playerDistance < this.fireRange && Math.abs(aimError) < PIRATE_FIRE_ARC;
+      return;
+    }
+
+    ship.keys.space = false;
+    ship.keys.fire = false;
+    if (distance(ship.x, ship.y, this.hideout.x, this.hideout.y) > 600) {
+      // Strayed too far while chasing, head home
+      this.wanderTarget = null;
+      applySteering(ship, seek(ship, this.hideout.x, this.hideout.y));
+      return;
+    }
+    this.wanderTarget = wander(ship, this.wanderTarget, 400, this.rng);
+    applySteering(ship, this.wanderTarget);
+  }
+
+  /**
+   * Convert the behaviour to plain data for saving
+   * @returns {Object} Serializable behaviour state
+   */
+  serialize() {
+    return {
+      role: this.role,
+      hideout: { x: this.hideout.x, y: this.hideout.y },
+      isChasing: this.isChasing
+    };
+  }
+}
+
+/**
+ * Recreate an AI behaviour from saved data
+ * @param {Object} data - Data from a behaviour's serialize()
+ * @param {Array<Planet>} planets - The loaded planets, referenced by key
+ * @returns {Object | null} The restored behaviour, or null for an unknown role
+ *   or a patrol whose home planet isn't loaded
+ */
+export function deserializeBehavior(data, planets) {
+  const findPlanet = (key) => planets.find((planet) => planet.key === key) || null;
+  switch (data.role) {
+    case 'trader': {
+      const behavior = new TraderBehavior();
+      behavior.destination = findPlanet(data.destination);
+      behavior.dockTimer = data.dockTimer;
+      return behavior;
+    }
+    case 'patrol': {
+      const home = findPlanet(data.home);
+      if (!home) return null;
+      const behavior = new PatrolBehavior(home, data.waypointCount);
+      behavior.waypointIndex = data.waypointIndex;
+      return behavior;
+    }
+    case 'pirate': {
+      const behavior = new PirateBehavior({ ...data.hideout });
+      behavior.isChasing = data.isChasing;
+      return behavior;
+    }
+    default:
+      console.warn(`Unknown AI role in save data: ${data.role}`);
+      return null;
+  }
+}
+
+/**
+ * Runs the AI behaviour of every ship that has one
+ */
+export class AISystem {
+  /**
+   * Creates an instance of the AISystem.
+   * @param {EntityManager} entityManager - The game's entity manager.
+   */
+  constructor(entityManager) {
+    this.entityManager = entityManager;
+  }
+
+  /**
+   * Lets each AI ship decide its controls for this update. Call before the ships are moved.
+   * @param {number} deltaTime - Length of the simulation step in seconds.
+   */
+  update(deltaTime) {
+    for (const ship of this.entityManager.getAllSpaceships()) {
+      if (ship.ai) {
+        ship.ai.update(ship, this.entityManager, deltaTime);
+      }
+    }
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Autopilot that flies the player's ship to a planet or a point in
+ * space, steering round other bodies, and stops ready to land.
+ */
+
+import { applySteering, applyVelocitySteering, avoidObstacles, clearSteering } from './steering.js';
+import { FlightModel } from './spaceship.js';
+import { distance } from './utils.js';
+
+/**
+ * How far ahead the autopilot looks for bodies in its way, in pixels
+ * @type {number}
+ */
+const AVOID_RANGE = 1500;
+
+/**
+ * Gap the autopilot keeps between the ship and the edge of a body it passes, in pixels
+ * @type {number}
+ */
+export const AVOID_CLEARANCE = 120;
+
+/**
+ * How hard the autopilot plans to brake, as a fraction of the ship's
+ * acceleration. Less than all of it leaves time to turn and to catch a moving planet.
+ * @type {number}
+ */
+const BRAKING_FRACTION = 0.4;
+
+/**
+ * Cruising speed of a Newtonian ship, as a multiple of its top arcade speed.
+ * Faster means longer to turn round and brake.
+ * @type {number}
+ */
+const NEWTONIAN_CRUISE = 2;
+
+/**
+ * How close to a point in space counts as there, in pixels
+ * @type {number}
+ */
+const POINT_TOLERANCE = 30;
+
+/**
+ * Flies the player's ship for them. It works the same controls the player does,
+ * so the ship turns and accelerates no faster than by hand and burns fuel the
+ * same. Behaviours from steering.js do the flying: it heads for the target,
+ * detours round planets and stars in the way and slows down on approach,
+ * matching the planet's orbital motion. Once over the planet and slow enough to
+ * land it holds station there until the player lands or takes the controls.
+ *
+ * The player's input takes it off autopilot; the game calls disengage() for that.
+ *
+ * Emits on the simulation:
+ * - 'autopilotEngaged' ({name}) when it takes the controls
+ * - 'autopilotArrived' ({name}) when the ship is over the target planet, ready to land,
+ *   or at the target point
+ * - 'autopilotDisengaged' ({reason}) when it hands the controls back
+ */
+export class AutopilotSystem {
+  /**
+   * Creates an instance of the AutopilotSystem.
+   * @param {EntityManager} entityManager - The game's entity manager.
+   * @param {Simulation} simulation - The simulation, for its chunks, time and events.
+   */
+  constructor(entityManager, simulation) {
+    this.entityManager = entityManager;
+    this.simulation = simulation;
+    /**
+     * Where the autopilot is flying: a planet by key, or a point in space
+     * @type {{name: string, key: string | null, x: number, y: number} | null}
+     */
+    this.target = null;
+    /** @type {boolean} Whether the ship has got there and is holding station */
+    this.hasArrived = false;
+
+    simulation.on('landed', () => this.disengage('Landed'));
+    simulation.on('playerDestroyed', () => this.disengage('Ship destroyed'));
+  }
+
+  /**
+   * Whether the autopilot is flying the ship
+   * @type {boolean}
+   */
+  get isEngaged() {
+    return this.target !== null;
+  }
+
+  /**
+   * Take the controls and fly to the player's waypoint
+   * @returns {{success: boolean, message: string}} Result of the attempt
+   */
+  engage() {
+    const waypoint = this.simulation.navigationSystem.waypoint;
+    if (!waypoint) {
+      return { success: false, message: 'Pick a target first: set a waypoint on the map or cycle through nearby planets' };
+    }
+    if (waypoint.key && waypoint.key.endsWith(':star')) {
+      return { success: false, message: 'The autopilot can fly to planets and points in space, not stars' };
+    }
+    this.target = { name: waypoint.name, key: waypoint.key, x: waypoint.x, y: waypoint.y };
+    this.hasArrived = false;
+    this.simulation.emit('autopilotEngaged', { name: this.target.name });
+    return { success: true, message: `Autopilot engaged: flying to ${this.target.name}` };
+  }
+
+  /**
+   * Hand the controls back to the player, leaving the ship coasting
+   * @param {string} reason - Why, for the player
+   */
+  disengage(reason) {
+    if (!this.target) return;
+    this.target = null;
+    this.hasArrived = false;
+    const playerShip = this.entityManager.getPlayerShip();
+    if (playerShip) {
+      clearSteering(playerShip);
+    }
+    this.simulation.emit('autopilotDisengaged', { reason });
+  }
+
+  /**
+   * Set the player ship's controls for this step. Call after the player's input
+   * has been applied and before the ships are moved.
+   */
+  update() {
+    if (!this.target) return;
+    const ship = this.entityManager.getPlayerShip();
+    if (!ship) return;
+    if (ship.isOutOfFuel) {
+      this.disengage('Out of fuel');
+      return;
+    }
+
+    const time = this.simulation.time;
+    // Look the planet up every step, so it is the loaded one once its chunk loads
+    const planet = this.target.key ? this.simulation.chunkManager.getPlanetByKey(this.target.key) : null;
+    const position = planet ? planet.getPositionAt(time) : this.target;
+    const targetVelocity = planet ? planet.getVelocityAt(time) : { x: 0, y: 0 };
+    const dist = distance(ship.x, ship.y, position.x, position.y);
+
+    if (!this.hasArrived && this.isReady(ship, planet, dist)) {
+      this.hasArrived = true;
+      this.simulation.emit('autopilotArrived', { name: this.target.name });
+      if (!planet) {
+        this.disengage('Arrived');
+        return;
+      }
+    }
+
+    // Brake in time to stop on the target, on top of keeping up with it
+    const cruise = ship.flightModel === FlightModel.NEWTONIAN ? ship.maxSpeed * NEWTONIAN_CRUISE : ship.maxSpeed;
+    const approachSpeed = Math.min(cruise, Math.sqrt(2 * ship.acceleration * BRAKING_FRACTION * dist));
+    const obstacles = this.findObstacles(ship, planet);
+    const aim = avoidObstacles(ship, { x: position.x, y: position.y, speed: approachSpeed }, obstacles, AVOID_CLEARANCE);
+    const detouring = aim.x !== position.x || aim.y !== position.y;
+
+    ship.keys.space = false;
+    ship.turnRate = 1;
+    if (ship.flightModel === FlightModel.NEWTONIAN) {
+      const heading = Math.atan2(aim.y - ship.y, aim.x - ship.x);
+      // Round a body at cruising speed; head for the target at the approach speed
+      const speed = detouring ? cruise : approachSpeed;
+      applyVelocitySteering(
+        ship,
+        targetVelocity.x + Math.cos(heading) * speed,
+        targetVelocity.y + Math.sin(heading) * speed
+      );
+    } else {
+      ship.throttle = 1;
+      // Arcade ships only move the way they point, so aim a second ahead of a
+      // moving planet to fall in alongside it
+      const lead = detouring ? aim : { x: aim.x + targetVelocity.x, y: aim.y + targetVelocity.y };
+      const speed = (detouring ? cruise : approachSpeed) + Math.hypot(targetVelocity.x, targetVelocity.y);
+      applySteering(ship, { x: lead.x, y: lead.y, speed: Math.min(speed, ship.maxSpeed) });
+    }
+  }
+
+  /**
+   * Check whether the ship has got to its target: well over the planet and
+   * slow enough to land, or on the point in space
+   * @param {Spaceship} ship - The player's ship
+   * @param {Planet | null} planet - The target planet, or null for a point in space
+   * @param {number} dist - Distance from the ship to the target
+   * @returns {boolean} True if the ship is there
+   */
+  isReady(ship, planet, dist) {
+    if (!planet) return dist < POINT_TOLERANCE;
+    return dist < planet.radius * 0.5 && this.simulation.interactionSystem.canLand(ship, planet);
+  }
+
+  /**
+   * Find the stars and planets near the ship that the autopilot should steer round
+   * @param {Spaceship} ship - The player's ship
+   * @param {Planet | null} planet - The target, which is not in the way
+   * @returns {Array<Star | Planet>} Bodies to avoid
+   */
+  findObstacles(ship, planet) {
+    const planets = this.entityManager.findPlanetsInRadius(ship.x, ship.y, AVOID_RANGE)
+      .filter((body) => !planet || body.key !== planet.key);
+    const stars = this.entityManager.getAllStars()
+      .filter((star) => distance(ship.x, ship.y, star.x, star.y) < AVOID_RANGE + star.radius);
+    return [...stars, ...planets];
+  }
+
+  /**
+   * Describe what the autopilot is doing, for the HUD
+   * @returns {string | null} Status line, or null when it is off
+   */
+  getStatus() {
+    if (!this.target) return null;
+    if (this.hasArrived) return `Autopilot: holding over ${this.target.name}, ready to land`;
+    const ship = this.entityManager.getPlayerShip();
+    const planet = this.target.key ? this.simulation.chunkManager.getPlanetByKey(this.target.key) : null;
+    const position = planet ? planet.getPositionAt(this.simulation.time) : this.target;
+    const dist = ship ? Math.round(distance(ship.x, ship.y, position.x, position.y)) : 0;
+    return `Autopilot: flying to ${this.target.name}, ${dist}px`;
+  }
+}
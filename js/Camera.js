@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Camera that follows the player's ship, with zoom and screen shake.
+ * Every conversion between world and screen coordinates goes through it.
+ */
+
+import { clamp } from './utils.js';
+
+/**
+ * Furthest the camera zooms out
+ * @type {number}
+ */
+export const MIN_ZOOM = 0.4;
+
+/**
+ * Furthest the camera zooms in
+ * @type {number}
+ */
+export const MAX_ZOOM = 2.5;
+
+/**
+ * How quickly the camera catches up with where it wants to be, per second.
+ * Higher is snappier.
+ * @type {number}
+ */
+const FOLLOW_SHARPNESS = 5;
+
+/**
+ * How quickly the zoom eases to the zoom asked for, per second
+ * @type {number}
+ */
+const ZOOM_SHARPNESS = 10;
+
+/**
+ * How far ahead of the ship the camera looks, in seconds of its current velocity
+ * @type {number}
+ */
+const LOOK_AHEAD_TIME = 0.5;
+
+/**
+ * Furthest the look-ahead may shift the view, as a fraction of the smaller side of the screen
+ * @type {number}
+ */
+const MAX_LOOK_AHEAD = 0.25;
+
+/**
+ * Largest shake offset, in screen pixels, at full trauma
+ * @type {number}
+ */
+const MAX_SHAKE = 16;
+
+/**
+ * Shake trauma lost per second
+ * @type {number}
+ */
+const SHAKE_DECAY = 1.5;
+
+/**
+ * A view onto the world: the world point at the center of the screen, how far
+ * it is zoomed in and how hard it is shaking. The camera eases after its target
+ * rather than sticking to it, and leads it in the direction it is moving so the
+ * player sees more of what they are flying into.
+ */
+export class Camera {
+  /**
+   * Create a camera
+   * @param {number} width - Screen width in pixels
+   * @param {number} height - Screen height in pixels
+   * @param {Object} [options] - Camera options
+   * @param {number} [options.zoom=1] - Starting zoom
+   * @param {function(): number} [options.rng=Math.random] - Random source for the shake
+   */
+  constructor(width, height, options = {}) {
+    /** @type {number} Screen width in pixels */
+    this.width = width;
+    /** @type {number} Screen height in pixels */
+    this.height = height;
+    /** @type {number} World X at the center of the screen */
+    this.x = 0;
+    /** @type {number} World Y at the center of the screen */
+    this.y = 0;
+    /** @type {number} Screen pixels per world pixel */
+    this.zoom = clamp(options.zoom ?? 1, MIN_ZOOM, MAX_ZOOM);
+    /** @type {number} Zoom the camera is easing towards */
+    this.targetZoom = this.zoom;
+    /** @type {number} How hard the camera is shaking, from 0 to 1 */
+    this.trauma = 0;
+    /** @type {{x: number, y: number}} This frame's shake, in screen pixels */
+    this.shakeOffset = { x: 0, y: 0 };
+    this.rng = options.rng || Math.random;
+  }
+
+  /**
+   * Match the screen size, e.g. after the window is resized
+   * @param {number} width - Screen width in pixels
+   * @param {number} height - Screen height in pixels
+   */
+  setViewport(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  /**
+   * Ask for a zoom level. The camera eases to it over the next few frames.
+   * @param {number} zoom - Screen pixels per world pixel, limited to MIN_ZOOM..MAX_ZOOM
+   */
+  setZoom(zoom) {
+    this.targetZoom = clamp(zoom, MIN_ZOOM, MAX_ZOOM);
+  }
+
+  /**
+   * Zoom in or out relative to the zoom asked for
+   * @param {number} factor - Above 1 zooms in, below 1 zooms out
+   */
+  zoomBy(factor) {
+    this.setZoom(this.targetZoom * factor);
+  }
+
+  /**
+   * Jump straight to a point, e.g. after a respawn or loading a game
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   */
+  snapTo(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  /**
+   * Start the camera shaking, or shake it harder. Shakes add up to a limit and die down by themselves.
+   * @param {number} amount - Trauma to add, from 0 (none) to 1 (as hard as it shakes)
+   */
+  shake(amount) {
+    this.trauma = clamp(this.trauma + amount, 0, 1);
+  }
+
+  /**
+   * Ease towards a moving target, looking ahead along its velocity, and update the zoom and shake
+   * @param {number} deltaTime - Seconds since the last update
+   * @param {{x: number, y: number}} target - World position to follow
+   * @param {{x: number, y: number}} [velocity={x: 0, y: 0}] - The target's velocity in pixels per second
+   */
+  update(deltaTime, target, velocity = { x: 0, y: 0 }) {
+    // Exponential easing, so the camera behaves the same at any frame rate
+    const zoomEase = 1 - Math.exp(-ZOOM_SHARPNESS * deltaTime);
+    this.zoom += (this.targetZoom - this.zoom) * zoomEase;
+
+    // Lead the target, but never so far that it leaves the middle of the screen
+    const maxLead = (Math.min(this.width, this.height) * MAX_LOOK_AHEAD) / this.zoom;
+    let leadX = velocity.x * LOOK_AHEAD_TIME;
+    let leadY = velocity.y * LOOK_AHEAD_TIME;
+    const lead = Math.hypot(leadX, leadY);
+    if (lead > maxLead) {
+      leadX *= maxLead / lead;
+      leadY *= maxLead / lead;
+    }
+    const followEase = 1 - Math.exp(-FOLLOW_SHARPNESS * deltaTime);
+    this.x += (target.x + leadX - this.x) * followEase;
+    this.y += (target.y + leadY - this.y) * followEase;
+
+    // Squaring the trauma makes small shakes subtle and big ones violent
+    this.trauma = Math.max(0, this.trauma - SHAKE_DECAY * deltaTime);
+    const strength = MAX_SHAKE * this.trauma * this.trauma;
+    this.shakeOffset = {
+      x: (this.rng() * 2 - 1) * strength,
+      y: (this.rng() * 2 - 1) * strength
+    };
+  }
+
+  /**
+   * Convert a world position to where it is drawn on the screen
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @returns {{x: number, y: number}} Screen position in pixels
+   */
+  worldToScreen(x, y) {
+    return {
+      x: (x - this.x) * this.zoom + this.width / 2 + this.shakeOffset.x,
+      y: (y - this.y) * this.zoom + this.height / 2 + this.shakeOffset.y
+    };
+  }
+
+  /**
+   * Convert a screen position, e.g. the mouse pointer, to the world position under it
+   * @param {number} x - Screen X in pixels
+   * @param {number} y - Screen Y in pixels
+   * @returns {{x: number, y: number}} World position
+   */
+  screenToWorld(x, y) {
+    return {
+      x: (x - this.width / 2 - this.shakeOffset.x) / this.zoom + this.x,
+      y: (y - this.height / 2 - this.shakeOffset.y) / this.zoom + this.y
+    };
+  }
+
+  /**
+   * Get the part of the world on screen
+   * @returns {{x: number, y: number, width: number, height: number}} World rectangle, from its top-left corner
+   */
+  getViewRect() {
+    const topLeft = this.screenToWorld(0, 0);
+    return { x: topLeft.x, y: topLeft.y, width: this.width / this.zoom, height: this.height / this.zoom };
+  }
+
+  /**
+   * Set a canvas up to draw in world units. Entities then draw themselves
+   * relative to the camera's position (passing camera.x and camera.y as their
+   * offset), and the canvas scales and centers the result.
+   * @param {CanvasRenderingContext2D} ctx - Canvas context to transform
+   */
+  applyTransform(ctx) {
+    ctx.setTransform(
+      this.zoom, 0, 0, this.zoom,
+      this.width / 2 + this.shakeOffset.x,
+      this.height / 2 + this.shakeOffset.y
+    );
+  }
+}
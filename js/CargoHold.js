@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Capacity-limited cargo hold carried by a spaceship.
+ */
+
+/**
+ * Stores quantities of commodities (and later, gathered resources) by id.
+ * Every unit takes up one unit of capacity.
+ */
+export class CargoHold {
+  /**
+   * Create a cargo hold
+   * @param {number} [capacity=20] - Maximum number of units the hold can carry
+   */
+  constructor(capacity = 20) {
+    /** @type {number} */
+    this.capacity = capacity;
+    /**
+     * Quantity held per item id
+     * @type {Object<string, number>}
+     */
+    this.items = {};
+  }
+
+  /**
+   * Get the number of units currently stored
+   * @returns {number} Units used
+   */
+  getUsed() {
+    return Object.values(this.items).reduce((total, quantity) => total + quantity, 0);
+  }
+
+  /**
+   * Get the remaining free capacity
+   * @returns {number} Units that can still be stored
+   */
+  getFree() {
+    return Math.max(0, this.capacity - this.getUsed());
+  }
+
+  /**
+   * Get how many units of an item are stored
+   * @param {string} id - Item id
+   * @returns {number} Quantity held
+   */
+  getQuantity(id) {
+    return this.items[id] || 0;
+  }
+
+  /**
+   * Add units of an item, limited by the free capacity
+   * @param {string} id - Item id
+   * @param {number} quantity - Units to add
+   * @returns {number} Units actually added
+   */
+  add(id, quantity) {
+    const added = Math.min(quantity, this.getFree());
+    if (added > 0) {
+      this.items[id] = this.getQuantity(id) + added;
+    }
+    return added;
+  }
+
+  /**
+   * Remove units of an item, limited by the quantity held
+   * @param {string} id - Item id
+   * @param {number} quantity - Units to remove
+   * @returns {number} Units actually removed
+   */
+  remove(id, quantity) {
+    const removed = Math.min(quantity, this.getQuantity(id));
+    if (removed > 0) {
+      this.items[id] -= removed;
+      if (this.items[id] === 0) {
+        delete this.items[id];
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Convert the hold to plain data for saving
+   * @returns {{capacity: number, items: Object<string, number>}} Serializable hold state
+   */
+  serialize() {
+    return { capacity: this.capacity, items: { ...this.items } };
+  }
+
+  /**
+   * Recreate a hold from saved data
+   * @param {{capacity: number, items: Object<string, number>}} data - Data from serialize()
+   * @returns {CargoHold} The restored hold
+   */
+  static deserialize(data) {
+    const hold = new CargoHold(data.capacity);
+    hold.items = { ...data.items };
+    return hold;
+  }
+}
@@ -0,0 +1,482 @@
+/**
+ * @fileoverview Endless universe split into square chunks, each holding one star
+ * system. Each chunk's star system and AI ships are generated from the world seed and the chunk's
+ * coordinates, so chunks can be dropped when the player leaves and rebuilt
+ * identically when they come back.
+ */
+
+import { Planet } from './planet.js';
+import { Star } from './Star.js';
+import { Orbit } from './Orbit.js';
+import { Spaceship } from './spaceship.js';
+import { AI_ROLES, TraderBehavior, PatrolBehavior, PirateBehavior } from './AISystem.js';
+import { pickPlanetType } from './PlanetTypes.js';
+import { nameForNumber } from './NameGenerator.js';
+import { createRng, distance, randomInt } from './utils.js';
+
+/**
+ * Width and height of a chunk in pixels
+ * @type {number}
+ */
+export const CHUNK_SIZE = 4000;
+
+/**
+ * Chunks within this many chunks of the player's chunk are kept loaded
+ * @type {number}
+ */
+const LOAD_RADIUS = 1;
+
+/**
+ * Chunks further than this from the player's chunk are unloaded. Being larger
+ * than LOAD_RADIUS stops chunks reloading every time the player wobbles over a border.
+ * @type {number}
+ */
+const UNLOAD_RADIUS = 2;
+
+/**
+ * Furthest a star may be from its chunk's center, in pixels
+ * @type {number}
+ */
+const STAR_JITTER = 200;
+
+/**
+ * Furthest any body of a star system reaches from its star, in pixels. Together
+ * with STAR_JITTER this keeps systems at least 200px from their chunk's edges.
+ * @type {number}
+ */
+const SYSTEM_RADIUS = CHUNK_SIZE / 2 - STAR_JITTER - 100;
+
+/**
+ * Gap between the space swept by neighbouring planets (and their moons), in pixels
+ * @type {number}
+ */
+const ORBIT_SPACING = 150;
+
+/**
+ * Orbital period of a planet 1000px from its star, in seconds
+ * @type {number}
+ */
+const PLANET_PERIOD = 600;
+
+/**
+ * Orbital period of a moon 150px from its planet, in seconds
+ * @type {number}
+ */
+const MOON_PERIOD = 60;
+
+/**
+ * Where the player starts: in the empty space on the edge between chunks (0, -1)
+ * and (0, 0). Star systems never reach a chunk's edge, so nothing ever orbits through it.
+ * @type {{x: number, y: number}}
+ */
+export const START_POSITION = { x: CHUNK_SIZE / 2, y: 0 };
+
+/**
+ * Closest a pirate hideout may be to the player's starting point, in pixels
+ * @type {number}
+ */
+const PIRATE_START_CLEARANCE = 2500;
+
+/**
+ * Most unloaded star systems kept generated for the galaxy map
+ * @type {number}
+ */
+const PREVIEW_CACHE_SIZE = 200;
+
+/**
+ * Room for bodies in each chunk's share of planet names. Systems have at most
+ * 5 planets with 2 moons each.
+ * @type {number}
+ */
+const BODIES_PER_CHUNK = 16;
+
+/**
+ * Number the chunks in a square spiral out from chunk (0, 0), so every chunk
+ * has its own number and the nearest chunks the smallest ones
+ * @param {number} cx - Chunk X coordinate
+ * @param {number} cy - Chunk Y coordinate
+ * @returns {number} The chunk's number, from 0
+ */
+function spiralIndex(cx, cy) {
+  const ring = Math.max(Math.abs(cx), Math.abs(cy));
+  if (ring === 0) return 0;
+  // Every chunk of the inner rings comes first, then this ring's sides in turn
+  const start = (2 * ring - 1) ** 2;
+  if (cy === -ring && cx < ring) return start + cx + ring;
+  if (cx === ring && cy < ring) return start + 2 * ring + cy + ring;
+  if (cy === ring && cx > -ring) return start + 4 * ring + ring - cx;
+  return start + 6 * ring + ring - cy;
+}
+
+/**
+ * Get a chunk's key from its coordinates
+ * @param {number} cx - Chunk X coordinate
+ * @param {number} cy - Chunk Y coordinate
+ * @returns {string} Key such as "-1,2"
+ */
+export function chunkKey(cx, cy) {
+  return `${cx},${cy}`;
+}
+
+/**
+ * Get the coordinates of the chunk containing a point
+ * @param {number} x - World X coordinate
+ * @param {number} y - World Y coordinate
+ * @returns {{cx: number, cy: number}} Chunk coordinates
+ */
+export function getChunkCoords(x, y) {
+  return { cx: Math.floor(x / CHUNK_SIZE), cy: Math.floor(y / CHUNK_SIZE) };
+}
+
+/**
+ * Loads and unloads chunks around the player and keeps the state of planets
+ * (market stock, mined deposits) that has changed, so it survives unloading.
+ */
+export class ChunkManager {
+  /**
+   * Create the chunk manager. No chunks are loaded until update() is called.
+   * @param {Simulation} simulation - The simulation the chunks' entities are added to
+   */
+  constructor(simulation) {
+    /** @type {Simulation} */
+    this.simulation = simulation;
+    /** @type {EntityManager} */
+    this.entityManager = simulation.entityManager;
+    /**
+     * Loaded chunks by key, in the order they were loaded
+     * @type {Map<string, {cx: number, cy: number, key: string, star: Star, planets: Array<Planet>}>}
+     */
+    this.chunks = new Map();
+    /**
+     * Saved state of planets that differ from how they were generated, by planet key,
+     * with the simulation time it was saved at
+     * @type {Map<string, {state: Object, time: number}>}
+     */
+    this.planetStates = new Map();
+    /**
+     * Star systems of unloaded chunks generated for a look at them, by chunk
+     * key, least recently used first. They are never added to the world.
+     * @type {Map<string, {star: Star, planets: Array<Planet>}>}
+     */
+    this.previews = new Map();
+  }
+
+  /**
+   * Load the chunks around the player and unload the ones far from them. AI ships
+   * that have flown out of the loaded chunks, or whose patrol home was unloaded,
+   * are removed, and traders bound for an unloaded planet pick another.
+   */
+  update() {
+    const player = this.simulation.getPlayerShip();
+    if (!player) return;
+    const { cx, cy } = getChunkCoords(player.x, player.y);
+
+    for (const chunk of [...this.chunks.values()]) {
+      if (Math.max(Math.abs(chunk.cx - cx), Math.abs(chunk.cy - cy)) > UNLOAD_RADIUS) {
+        this.unloadChunk(chunk);
+      }
+    }
+    for (let dy = -LOAD_RADIUS; dy <= LOAD_RADIUS; dy++) {
+      for (let dx = -LOAD_RADIUS; dx <= LOAD_RADIUS; dx++) {
+        if (!this.chunks.has(chunkKey(cx + dx, cy + dy))) {
+          this.loadChunk(cx + dx, cy + dy);
+        }
+      }
+    }
+
+    const isLoaded = (planet) => this.entityManager.findEntityById(planet.id) === planet;
+    for (const ship of this.entityManager.getAIShips()) {
+      const coords = getChunkCoords(ship.x, ship.y);
+      const { home, destination } = ship.ai;
+      if (!this.chunks.has(chunkKey(coords.cx, coords.cy)) || (home && !isLoaded(home))) {
+        this.entityManager.removeSpaceship(ship);
+      } else if (destination && !isLoaded(destination)) {
+        ship.ai.destination = null;
+      }
+    }
+  }
+
+  /**
+   * Generate a chunk and add its entities to the world
+   * @param {number} cx - Chunk X coordinate
+   * @param {number} cy - Chunk Y coordinate
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.spawnAI=true] - Whether to spawn the chunk's AI ships
+   *   (false when restoring a save, which brings its own ships)
+   * @returns {Object} The loaded chunk
+   */
+  loadChunk(cx, cy, options = {}) {
+    const { chunk, rng } = this.generateChunk(cx, cy);
+    const { star, planets } = chunk;
+    this.chunks.set(chunk.key, chunk);
+    this.previews.delete(chunk.key);
+
+    this.entityManager.addStar(star);
+    for (const planet of planets) {
+      const saved = this.planetStates.get(planet.key);
+      if (saved) {
+        planet.restoreState(saved.state);
+        // Deposits kept regenerating while nobody was around to see it
+        planet.update(this.simulation.time - saved.time);
+      }
+      this.entityManager.addPlanet(planet);
+    }
+
+    if (options.spawnAI !== false && this.simulation.config.spawnAI) {
+      this.spawnAIShips(chunk, rng);
+    }
+    return chunk;
+  }
+
+  /**
+   * Generate a chunk's star system, without adding it to the world
+   * @param {number} cx - Chunk X coordinate
+   * @param {number} cy - Chunk Y coordinate
+   * @returns {{chunk: Object, rng: function(): number}} The chunk, and its random
+   *   source for anything generated after it
+   */
+  generateChunk(cx, cy) {
+    const key = chunkKey(cx, cy);
+    // Every chunk has its own random stream, so it comes out the same whatever order chunks load in
+    const rng = createRng(`${this.simulation.config.seed}:${key}`);
+    const { star, planets } = this.generateSystem(cx, cy, rng);
+    return { chunk: { cx, cy, key, star, planets }, rng };
+  }
+
+  /**
+   * Get a chunk's star system whether or not it is loaded, e.g. for the galaxy map.
+   * Unloaded systems are generated on the side and cached; their planets are
+   * placed for when they were generated, so use getPositionAt() to find them.
+   * @param {number} cx - Chunk X coordinate
+   * @param {number} cy - Chunk Y coordinate
+   * @returns {{star: Star, planets: Array<Planet>}} The star, and the planets followed by their moons
+   */
+  getSystem(cx, cy) {
+    const key = chunkKey(cx, cy);
+    const loaded = this.chunks.get(key);
+    if (loaded) return loaded;
+
+    let preview = this.previews.get(key);
+    if (preview) {
+      this.previews.delete(key);
+    } else {
+      const { chunk } = this.generateChunk(cx, cy);
+      preview = { star: chunk.star, planets: chunk.planets };
+    }
+    // Re-inserting keeps the map in least recently used order
+    this.previews.set(key, preview);
+    if (this.previews.size > PREVIEW_CACHE_SIZE) {
+      this.previews.delete(this.previews.keys().next().value);
+    }
+    return preview;
+  }
+
+  /**
+   * Find a planet by its key, whether or not its chunk is loaded
+   * @param {string} key - Planet key, e.g. "-1,2:3"
+   * @returns {Planet | null} The planet, or null if its chunk has no such planet
+   */
+  getPlanetByKey(key) {
+    const [cx, cy] = key.split(':')[0].split(',').map(Number);
+    if (!Number.isInteger(cx) || !Number.isInteger(cy)) return null;
+    return this.getSystem(cx, cy).planets.find((planet) => planet.key === key) || null;
+  }
+
+  /**
+   * Remove a chunk's star system from the world, keeping any planet state that changed
+   * @param {Object} chunk - A loaded chunk
+   */
+  unloadChunk(chunk) {
+    this.entityManager.removeStar(chunk.star);
+    for (const planet of chunk.planets) {
+      this.storePlanetState(planet);
+      this.entityManager.removePlanet(planet);
+    }
+    this.chunks.delete(chunk.key);
+  }
+
+  /**
+   * Remember a planet's state if it differs from how it was generated
+   * @param {Planet} planet - A loaded planet
+   */
+  storePlanetState(planet) {
+    const state = planet.serializeState();
+    if (JSON.stringify(state) === planet.generatedState) {
+      this.planetStates.delete(planet.key);
+    } else {
+      this.planetStates.set(planet.key, { state, time: this.simulation.time });
+    }
+  }
+
+  /**
+   * Generate a chunk's star system: a star near the chunk's center, planets on
+   * nested elliptical orbits around it and moons around some of the planets.
+   * Orbits are spaced so bodies never touch, whenever they are, and the whole
+   * system stays inside SYSTEM_RADIUS so it never reaches a neighbouring chunk.
+   * @param {number} cx - Chunk X coordinate
+   * @param {number} cy - Chunk Y coordinate
+   * @param {function(): number} rng - The chunk's random source
+   * @returns {{star: Star, planets: Array<Planet>}} The star, and the planets followed by their moons
+   */
+  generateSystem(cx, cy, rng) {
+    const key = chunkKey(cx, cy);
+    const time = this.simulation.time;
+    const star = new Star(
+      cx * CHUNK_SIZE + CHUNK_SIZE / 2 + randomInt(-STAR_JITTER, STAR_JITTER, rng),
+      cy * CHUNK_SIZE + CHUNK_SIZE / 2 + randomInt(-STAR_JITTER, STAR_JITTER, rng),
+      randomInt(90, 140, rng),
+      rng
+    );
+    star.key = `${key}:star`;
+    // Every body in a system circles the same way
+    const direction = rng() < 0.5 ? 1 : -1;
+    const planets = [];
+    const moons = [];
+    // Planets that would reach past SYSTEM_RADIUS are left out, so big systems are rare
+    const numPlanets = randomInt(1, 5, rng);
+    // Furthest any body on an inner orbit reaches from the star
+    let innerEdge = star.radius + 100;
+
+    for (let i = 0; i < numPlanets; i++) {
+      const radius = randomInt(40, 100, rng);
+      const planet = new Planet(0, 0, radius, undefined, rng);
+
+      // Moons first, since they decide how much room the planet needs
+      const moonOrbits = [];
+      let reach = radius;
+      const numMoons = rng() < 0.5 ? 0 : randomInt(1, 2, rng);
+      for (let m = 0; m < numMoons; m++) {
+        const moonRadius = randomInt(12, 24, rng);
+        const eccentricity = rng() * 0.1;
+        // Periapsis clear of the planet (or the previous moon) by at least 30px
+        const semiMajorAxis = (reach + moonRadius + 30) / (1 - eccentricity);
+        const orbit = new Orbit({
+          semiMajorAxis,
+          eccentricity,
+          argumentOfPeriapsis: rng() * Math.PI * 2,
+          period: MOON_PERIOD * Math.pow(semiMajorAxis / 150, 1.5),
+          phase: rng() * Math.PI * 2,
+          direction
+        });
+        reach = orbit.apoapsis + moonRadius;
+        moonOrbits.push({ radius: moonRadius, orbit });
+      }
+
+      const eccentricity = rng() * 0.2;
+      // Periapsis clear of everything on the inner orbits by ORBIT_SPACING
+      const semiMajorAxis = (innerEdge + reach + ORBIT_SPACING) / (1 - eccentricity);
+      const orbit = new Orbit({
+        semiMajorAxis,
+        eccentricity,
+        argumentOfPeriapsis: rng() * Math.PI * 2,
+        // Kepler's third law: outer planets are slower
+        period: PLANET_PERIOD * Math.pow(semiMajorAxis / 1000, 1.5),
+        phase: rng() * Math.PI * 2,
+        direction
+      });
+      if (orbit.apoapsis + reach > SYSTEM_RADIUS) break;
+      innerEdge = orbit.apoapsis + reach;
+
+      planet.setOrbit(star, orbit, time);
+      planets.push(planet);
+      for (const moonOrbit of moonOrbits) {
+        const moonType = pickPlanetType(moonOrbit.radius, rng, { moon: true });
+        const moon = new Planet(0, 0, moonOrbit.radius, moonType.id, rng);
+        moon.setOrbit(planet, moonOrbit.orbit, time);
+        moons.push(moon);
+      }
+    }
+
+    const bodies = [...planets, ...moons];
+    bodies.forEach((body, i) => {
+      /** Stable identity across unloading and saves */
+      body.key = `${key}:${i}`;
+      // Each chunk has its own run of names, so no two bodies in the world share one
+      body.name = nameForNumber(spiralIndex(cx, cy) * BODIES_PER_CHUNK + i, this.simulation.config.seed);
+      body.generatedState = JSON.stringify(body.serializeState());
+    });
+    return { star, planets: bodies };
+  }
+
+  /**
+   * Spawn a chunk's AI ships: traders docked at its planets, patrols guarding
+   * some of them and sometimes a pirate lurking in open space
+   * @param {Object} chunk - The chunk
+   * @param {function(): number} rng - The chunk's random source
+   */
+  spawnAIShips(chunk, rng) {
+    const spawn = (x, y, ai) => {
+      const { faction, color, weapon } = AI_ROLES[ai.role];
+      const ship = new Spaceship(x, y, this.simulation.config.speedScale, undefined, undefined, { ai, faction, color, weapon });
+      ship.rotation = rng() * Math.PI * 2;
+      this.entityManager.addSpaceship(ship);
+    };
+
+    for (const planet of chunk.planets) {
+      if (rng() < 0.3) {
+        spawn(planet.x, planet.y, new TraderBehavior());
+      }
+      if (rng() < 0.15) {
+        spawn(planet.x + planet.radius + 250, planet.y, new PatrolBehavior(planet));
+      }
+    }
+
+    const hideout = {
+      x: chunk.cx * CHUNK_SIZE + randomInt(200, CHUNK_SIZE - 200, rng),
+      y: chunk.cy * CHUNK_SIZE + randomInt(200, CHUNK_SIZE - 200, rng)
+    };
+    // Pirates keep away from where the player starts
+    if (rng() < 0.3 && distance(hideout.x, hideout.y, START_POSITION.x, START_POSITION.y) >= PIRATE_START_CLEARANCE) {
+      spawn(hideout.x, hideout.y, new PirateBehavior(hideout));
+    }
+  }
+
+  /**
+   * Unload everything and forget all planet state
+   */
+  reset() {
+    for (const chunk of [...this.chunks.values()]) {
+      this.unloadChunk(chunk);
+    }
+    this.planetStates.clear();
+    // The seed may be about to change
+    this.previews.clear();
+  }
+
+  /**
+   * Capture the loaded chunks and every changed planet as plain data
+   * @returns {{chunks: Array<string>, planetStates: Object<string, Object>}}
+   */
+  serialize() {
+    for (const chunk of this.chunks.values()) {
+      for (const planet of chunk.planets) {
+        this.storePlanetState(planet);
+      }
+    }
+    const planetStates = {};
+    for (const [key, saved] of this.planetStates) {
+      planetStates[key] = { ...saved };
+    }
+    return {
+      chunks: [...this.chunks.keys()],
+      planetStates
+    };
+  }
+
+  /**
+   * Restore saved chunks and planet state. The chunks that were loaded come back
+   * without AI ships, since the save holds the ships that were flying in them.
+   * Set the simulation's time first, so orbits and deposits pick up where they were.
+   * @param {Object} data - Data from serialize()
+   */
+  restore(data) {
+    this.reset();
+    for (const [key, saved] of Object.entries(data.planetStates)) {
+      this.planetStates.set(key, { ...saved });
+    }
+    for (const key of data.chunks) {
+      const [cx, cy] = key.split(',').map(Number);
+      this.loadChunk(cx, cy, { spawnAI: false });
+    }
+  }
+}
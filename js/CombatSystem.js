@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Weapons fire and projectile hits between ships.
+ */
+
+import { checkCollision } from './utils.js';
+
+/**
+ * How far around a projectile to look for ships it might hit, in pixels. Covers
+ * the biggest ships, whose bounding circles the spatial query is measured to.
+ * @type {number}
+ */
+const HIT_SEARCH_RADIUS = 60;
+
+/**
+ * Fires the weapons of ships holding the fire control, and applies projectile hits
+ */
+export class CombatSystem {
+  /**
+   * Creates an instance of the CombatSystem.
+   * @param {EntityManager} entityManager - The game's entity manager.
+   * @param {Simulation} simulation - The simulation, for events and the player's destruction.
+   */
+  constructor(entityManager, simulation) {
+    this.entityManager = entityManager;
+    this.simulation = simulation;
+  }
+
+  /**
+   * Check whether a projectile can hit a ship. Ships never hit themselves or their
+   * own side, and other players' ships are only shown here, so they can't be hit.
+   * @param {Projectile} projectile - The projectile
+   * @param {Spaceship} ship - The ship in its way
+   * @returns {boolean} True if the projectile hits the ship on contact
+   */
+  canHit(projectile, ship) {
+    return ship !== projectile.owner && !ship.isRemote && !ship.isDestroyed &&
+      ship.faction !== projectile.faction;
+  }
+
+  /**
+   * Fire weapons and resolve hits. Call after the ships and projectiles have moved.
+   * @param {number} deltaTime - Length of the simulation step in seconds.
+   */
+  update(deltaTime) {
+    for (const ship of this.entityManager.getAllSpaceships()) {
+      if (ship.keys.fire && !ship.isDestroyed && ship.weapon.isReady()) {
+        this.entityManager.addProjectile(ship.weapon.fire(ship));
+      }
+    }
+
+    // Copy the list, as hits remove projectiles from it
+    for (const projectile of [...this.entityManager.getAllProjectiles()]) {
+      const target = this.entityManager.findShipsInRadius(projectile.x, projectile.y, HIT_SEARCH_RADIUS)
+        .find((ship) => this.canHit(projectile, ship) && checkCollision(projectile, ship));
+      if (target) {
+        this.entityManager.removeProjectile(projectile);
+        this.hit(target, projectile);
+      }
+    }
+  }
+
+  /**
+   * Damage a ship with a projectile, destroying it if its hull gives out
+   * @param {Spaceship} ship - The ship that was hit
+   * @param {Projectile} projectile - The projectile that hit it
+   */
+  hit(ship, projectile) {
+    const destroyed = ship.takeDamage(projectile.damage);
+    this.simulation.emit('shipHit', { ship, attacker: projectile.owner });
+    if (!destroyed) return;
+
+    if (ship.isPlayer) {
+      this.simulation.destroyPlayer();
+    } else {
+      this.entityManager.removeSpaceship(ship);
+      this.simulation.emit('shipDestroyed', { ship, attacker: projectile.owner });
+    }
+  }
+}
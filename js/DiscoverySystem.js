@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Discovery tracking: which planets the player has seen, scanned and
+ * landed on, and the codex entries that keep them after their chunk unloads.
+ */
+
+import { distance } from './utils.js';
+
+/**
+ * How far the ship's sensors pick up planets, in pixels from the ship to the planet's edge
+ * @type {number}
+ */
+export const SENSOR_RANGE = 1500;
+
+/**
+ * How close the ship must pass to a planet's edge to scan it, in pixels
+ * @type {number}
+ */
+export const SCAN_RANGE = 300;
+
+/**
+ * How much the player knows about a planet, from least to most
+ * @enum {string}
+ */
+export const DiscoveryStatus = {
+  UNKNOWN: 'unknown',
+  SEEN: 'seen',
+  VISITED: 'visited'
+};
+
+/**
+ * Records planets as the player's sensors pick them up, as they fly close enough
+ * to scan them and as they land on them. Each planet gets a codex entry the
+ * first time it is seen, which keeps its name and description once its chunk
+ * has unloaded, along with the player's own notes.
+ *
+ * Emits on the simulation:
+ * - 'planetDiscovered' ({planet, entry}) when a planet is first seen
+ * - 'planetScanned' ({planet, entry}) when a planet is first scanned
+ * - 'planetVisited' ({planet, entry}) when the player first lands on a planet
+ */
+export class DiscoverySystem {
+  /**
+   * Creates an instance of the DiscoverySystem.
+   * @param {EntityManager} entityManager - The game's entity manager.
+   * @param {Simulation} simulation - The simulation, for its time and events.
+   */
+  constructor(entityManager, simulation) {
+    this.entityManager = entityManager;
+    this.simulation = simulation;
+    /**
+     * Codex entries by planet key, in the order the planets were discovered.
+     * Times are simulation times, or null for what hasn't happened yet.
+     * @type {Map<string, {key: string, name: string, description: string, isMoon: boolean,
+     *   x: number, y: number, seenAt: number, scannedAt: number | null, landedAt: number | null, notes: string}>}
+     */
+    this.entries = new Map();
+
+    simulation.on('landed', ({ planet }) => this.recordLanding(planet));
+  }
+
+  /**
+   * Pick up the planets in sensor range of the player and scan the ones they
+   * pass close to. Call after the ships have moved.
+   */
+  update() {
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!playerShip) return;
+
+    for (const planet of this.entityManager.findPlanetsInRadius(playerShip.x, playerShip.y, SENSOR_RANGE)) {
+      const entry = this.entries.get(planet.key) || this.recordSighting(planet);
+      if (entry.scannedAt === null &&
+          distance(playerShip.x, playerShip.y, planet.x, planet.y) - planet.radius < SCAN_RANGE) {
+        entry.scannedAt = this.simulation.time;
+        this.simulation.emit('planetScanned', { planet, entry });
+      }
+    }
+  }
+
+  /**
+   * Create the codex entry of a planet seen for the first time
+   * @param {Planet} planet - The planet
+   * @returns {Object} The new entry
+   */
+  recordSighting(planet) {
+    // Planets move along their orbits, so the codex places them by their star
+    const star = planet.getSystemStar();
+    const entry = {
+      key: planet.key,
+      name: planet.name,
+      type: planet.type.name,
+      conditions: planet.describeConditions(),
+      description: planet.description,
+      isMoon: planet.isMoon,
+      x: Math.round(star.x),
+      y: Math.round(star.y),
+      seenAt: this.simulation.time,
+      scannedAt: null,
+      landedAt: null,
+      notes: ''
+    };
+    this.entries.set(planet.key, entry);
+    this.simulation.emit('planetDiscovered', { planet, entry });
+    return entry;
+  }
+
+  /**
+   * Record a landing. Landing on a planet also scans it, in case the player came
+   * in too fast for the sensors to see it first.
+   * @param {Planet} planet - The planet landed on
+   */
+  recordLanding(planet) {
+    const entry = this.entries.get(planet.key) || this.recordSighting(planet);
+    if (entry.scannedAt === null) {
+      entry.scannedAt = this.simulation.time;
+      this.simulation.emit('planetScanned', { planet, entry });
+    }
+    if (entry.landedAt === null) {
+      entry.landedAt = this.simulation.time;
+      this.simulation.emit('planetVisited', { planet, entry });
+    }
+  }
+
+  /**
+   * Get how much the player knows about a planet
+   * @param {Planet} planet - The planet
+   * @returns {string} A DiscoveryStatus value
+   */
+  getStatus(planet) {
+    const entry = this.entries.get(planet.key);
+    if (!entry) return DiscoveryStatus.UNKNOWN;
+    return entry.landedAt === null ? DiscoveryStatus.SEEN : DiscoveryStatus.VISITED;
+  }
+
+  /**
+   * Get a planet's codex entry
+   * @param {string} key - The planet's key
+   * @returns {Object | null} The entry, or null if the planet hasn't been discovered
+   */
+  getEntry(key) {
+    return this.entries.get(key) || null;
+  }
+
+  /**
+   * Replace the player's notes on a discovered planet
+   * @param {string} key - The planet's key
+   * @param {string} notes - The new notes
+   * @returns {boolean} False if the planet hasn't been discovered
+   */
+  setNotes(key, notes) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    entry.notes = notes;
+    return true;
+  }
+
+  /**
+   * Count the planets discovered, scanned and visited
+   * @returns {{seen: number, scanned: number, visited: number}} Totals
+   */
+  getProgress() {
+    const progress = { seen: 0, scanned: 0, visited: 0 };
+    for (const entry of this.entries.values()) {
+      progress.seen++;
+      if (entry.scannedAt !== null) progress.scanned++;
+      if (entry.landedAt !== null) progress.visited++;
+    }
+    return progress;
+  }
+
+  /**
+   * Find codex entries whose name, type, notes or (once scanned) conditions and
+   * description mention every word of a query, ignoring case
+   * @param {string} [query=''] - Words to look for; empty matches everything
+   * @returns {Array<Object>} Matching entries, most recently discovered first
+   */
+  search(query = '') {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return [...this.entries.values()]
+      .filter((entry) => {
+        // Conditions and descriptions only show up in the codex once the planet is scanned
+        const scanned = entry.scannedAt !== null;
+        const text = [entry.name, entry.type, entry.notes, scanned ? `${entry.conditions} ${entry.description}` : '']
+          .join(' ').toLowerCase();
+        return words.every((word) => text.includes(word));
+      })
+      .reverse();
+  }
+
+  /**
+   * Convert the codex to plain data for saving
+   * @returns {Array<Object>} Entries in the order they were discovered
+   */
+  serialize() {
+    return [...this.entries.values()].map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Replace the codex with saved entries
+   * @param {Array<Object>} entries - Data from serialize()
+   */
+  restore(entries) {
+    this.entries = new Map(entries.map((entry) => [entry.key, { ...entry }]));
+  }
+}
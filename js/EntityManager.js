@@ -7,6 +7,16 @@
 // import { Spaceship } from './spaceship.js'; 
 // import { Planet } from './planet.js';
 
+import { distance } from './utils.js';
+import { SpatialHash } from './SpatialHash.js';
+
+/**
+ * Extra room around the view when culling, in pixels, so things drawn outside
+ * an entity's radius (engine glow, name labels, rings) don't pop in at the edge
+ * @type {number}
+ */
+const VIEW_MARGIN = 100;
+
 /**
  * Manages collections of game entities.
  */
@@ -26,7 +36,59 @@ export class EntityManager {
          * @private 
          */
         this.planets = [];
+
+        /** 
+         * Stars at the centers of star systems. There are only ever a handful
+         * loaded, so they aren't spatially indexed.
+         * @type {Array<Star>} 
+         * @private 
+         */
+        this.stars = [];
+
+        /** 
+         * Projectiles in flight. They are short-lived and only ever checked
+         * against nearby ships, so they aren't indexed or given ids either.
+         * @type {Array<Projectile>} 
+         * @private 
+         */
+        this.projectiles = [];
         // Could potentially add other entity types later (asteroids, stations etc.)
+
+        // Spatial indexes for range queries, one per entity type so queries can
+        // ask for just planets or just ships
+        /** 
+         * @type {SpatialHash} 
+         * @private 
+         */
+        this.planetIndex = new SpatialHash();
+        /** 
+         * @type {SpatialHash} 
+         * @private 
+         */
+        this.shipIndex = new SpatialHash();
+
+        /** 
+         * @type {Map<number, Spaceship|Planet>} 
+         * @private 
+         */
+        this.entitiesById = new Map();
+        /** 
+         * @type {number} 
+         * @private 
+         */
+        this.nextId = 1;
+    }
+
+    /**
+     * Gives an entity an id, unique within this manager, if it doesn't have one yet.
+     * @param {Spaceship|Planet} entity - The entity being added.
+     * @private
+     */
+    register(entity) {
+        if (entity.id === undefined || this.entitiesById.has(entity.id)) {
+            entity.id = this.nextId++;
+        }
+        this.entitiesById.set(entity.id, entity);
     }
 
     /**
@@ -34,7 +96,22 @@ export class EntityManager {
      * @param {Spaceship} ship - The spaceship instance to add.
      */
     addSpaceship(ship) {
+        this.register(ship);
         this.spaceships.push(ship);
+        this.shipIndex.insert(ship);
+    }
+
+    /**
+     * Removes a spaceship from the manager.
+     * @param {Spaceship} ship - The spaceship instance to remove.
+     */
+    removeSpaceship(ship) {
+        const index = this.spaceships.indexOf(ship);
+        if (index !== -1) {
+            this.spaceships.splice(index, 1);
+            this.shipIndex.remove(ship);
+            this.entitiesById.delete(ship.id);
+        }
     }
 
     /**
@@ -42,17 +119,157 @@ export class EntityManager {
      * @param {Planet} planet - The planet instance to add.
      */
     addPlanet(planet) {
+        this.register(planet);
         this.planets.push(planet);
+        this.planetIndex.insert(planet);
+    }
+
+    /**
+     * Removes a planet from the manager, e.g. when its chunk is unloaded.
+     * @param {Planet} planet - The planet instance to remove.
+     */
+    removePlanet(planet) {
+        const index = this.planets.indexOf(planet);
+        if (index !== -1) {
+            this.planets.splice(index, 1);
+            this.planetIndex.remove(planet);
+            this.entitiesById.delete(planet.id);
+        }
+    }
+
+    /**
+     * Adds a star to the manager.
+     * @param {Star} star - The star instance to add.
+     */
+    addStar(star) {
+        this.register(star);
+        this.stars.push(star);
+    }
+
+    /**
+     * Removes a star from the manager, e.g. when its chunk is unloaded.
+     * @param {Star} star - The star instance to remove.
+     */
+    removeStar(star) {
+        const index = this.stars.indexOf(star);
+        if (index !== -1) {
+            this.stars.splice(index, 1);
+            this.entitiesById.delete(star.id);
+        }
+    }
+
+    /**
+     * Adds a projectile to the manager.
+     * @param {Projectile} projectile - The projectile instance to add.
+     */
+    addProjectile(projectile) {
+        this.projectiles.push(projectile);
+    }
+
+    /**
+     * Removes a projectile from the manager, e.g. when it hits something.
+     * @param {Projectile} projectile - The projectile instance to remove.
+     */
+    removeProjectile(projectile) {
+        const index = this.projectiles.indexOf(projectile);
+        if (index !== -1) {
+            this.projectiles.splice(index, 1);
+        }
+    }
+
+    /**
+     * Removes every projectile, e.g. when the player respawns.
+     */
+    clearProjectiles() {
+        this.projectiles = [];
+    }
+
+    /**
+     * Removes every entity.
+     */
+    clear() {
+        this.spaceships = [];
+        this.planets = [];
+        this.stars = [];
+        this.projectiles = [];
+        this.planetIndex.clear();
+        this.shipIndex.clear();
+        this.entitiesById.clear();
+    }
+
+    /**
+     * Re-files an entity in the spatial index after it was moved outside update(),
+     * e.g. a remote player's ship placed by the network.
+     * @param {Spaceship|Planet} entity - The entity that moved.
+     */
+    updateSpatialIndex(entity) {
+        if (this.shipIndex.has(entity)) {
+            this.shipIndex.update(entity);
+        } else if (this.planetIndex.has(entity)) {
+            this.planetIndex.update(entity);
+        }
+    }
+
+    /**
+     * Finds an entity by the id it was given when added.
+     * @param {number} id - The entity's id.
+     * @returns {Spaceship | Planet | null} The entity, or null if there is none with that id.
+     */
+    findEntityById(id) {
+        return this.entitiesById.get(id) || null;
+    }
+
+    /**
+     * Finds every entity touching a circle: planets first, then spaceships.
+     * @param {number} x - Circle center X.
+     * @param {number} y - Circle center Y.
+     * @param {number} radius - Circle radius.
+     * @returns {Array<Spaceship|Planet>} Entities whose bounding circle overlaps the circle.
+     */
+    findEntitiesInRadius(x, y, radius) {
+        return [...this.findPlanetsInRadius(x, y, radius), ...this.findShipsInRadius(x, y, radius)];
+    }
+
+    /**
+     * Finds every planet touching a circle, nearest first.
+     * @param {number} x - Circle center X.
+     * @param {number} y - Circle center Y.
+     * @param {number} radius - Circle radius.
+     * @returns {Array<Planet>} Planets whose bounding circle overlaps the circle.
+     */
+    findPlanetsInRadius(x, y, radius) {
+        return this.sortByDistance(this.planetIndex.queryRadius(x, y, radius), x, y);
+    }
+
+    /**
+     * Finds every spaceship touching a circle, nearest first.
+     * @param {number} x - Circle center X.
+     * @param {number} y - Circle center Y.
+     * @param {number} radius - Circle radius.
+     * @returns {Array<Spaceship>} Spaceships whose bounding circle overlaps the circle.
+     */
+    findShipsInRadius(x, y, radius) {
+        return this.sortByDistance(this.shipIndex.queryRadius(x, y, radius), x, y);
+    }
+
+    /**
+     * Sorts entities by distance from a point.
+     * @param {Array<Spaceship|Planet>} entities - Entities to sort (sorted in place).
+     * @param {number} x - Point X.
+     * @param {number} y - Point Y.
+     * @returns {Array<Spaceship|Planet>} The sorted entities.
+     * @private
+     */
+    sortByDistance(entities, x, y) {
+        return entities.sort((a, b) => distance(a.x, a.y, x, y) - distance(b.x, b.y, x, y));
     }
 
     /**
      * Gets the player ship.
-     * Assumes the first spaceship added is the player.
-     * @returns {Spaceship | undefined} The player spaceship or undefined if none exist.
+     * @returns {Spaceship | undefined} The ship flagged as the player's, or undefined if there is none.
      */
     getPlayerShip() {
-        // TODO: Implement a more robust way to identify the player ship
-        return this.spaceships[0];
+        return this.spaceships.find((ship) => ship.isPlayer);
     }
 
     /**
@@ -63,6 +280,14 @@ export class EntityManager {
         return this.planets;
     }
     
+    /**
+     * Gets all stars managed by the entity manager.
+     * @returns {Array<Star>} An array of all star instances.
+     */
+    getAllStars() {
+        return this.stars;
+    }
+
     /**
      * Gets all spaceships managed by the entity manager.
      * @returns {Array<Spaceship>} An array of all spaceship instances.
@@ -71,19 +296,61 @@ export class EntityManager {
         return this.spaceships;
     }
 
+    /**
+     * Gets all projectiles in flight.
+     * @returns {Array<Projectile>} An array of all projectile instances.
+     */
+    getAllProjectiles() {
+        return this.projectiles;
+    }
+
+    /**
+     * Gets all spaceships steered by an AI behaviour.
+     * @returns {Array<Spaceship>} An array of AI-controlled spaceship instances.
+     */
+    getAIShips() {
+        return this.spaceships.filter((ship) => ship.ai);
+    }
+
+    /**
+     * Gets all spaceships other than the local player's (AI ships and remote players).
+     * @returns {Array<Spaceship>} An array of spaceship instances.
+     */
+    getOtherShips() {
+        return this.spaceships.filter((ship) => !ship.isPlayer);
+    }
+
+    /**
+     * Moves every orbiting planet to where it is at a time.
+     * @param {number} time - Simulation time, in seconds.
+     */
+    updateOrbits(time) {
+        for (const planet of this.planets) {
+            planet.savePreviousState();
+            if (planet.orbit) {
+                planet.updateOrbit(time);
+                this.planetIndex.update(planet);
+            }
+        }
+    }
+
     /**
      * Updates the state of all managed entities.
-     * @param {number} deltaTime - Time elapsed since the last update (unused currently).
-     * @param {number} worldWidth - The width of the game world.
-     * @param {number} worldHeight - The height of the game world.
+     * @param {number} deltaTime - Length of the simulation step, in seconds.
+     * @param {number} [time=0] - Simulation time at the end of the step, in seconds. Orbiting planets are placed for it.
      */
-    update(deltaTime, worldWidth, worldHeight) {
+    update(deltaTime, time = 0) {
+        // Move planets along their orbits first, so ships meet them where they are now
+        this.updateOrbits(time);
+
         // Update all spaceships
         for (const ship of this.spaceships) {
-            ship.update(); // Spaceship.update doesn't currently use deltaTime, worldWidth, worldHeight
+            ship.savePreviousState();
+            ship.update(deltaTime);
+            this.shipIndex.update(ship);
             
             // Basic collision detection/handling (example - can be expanded)
-            for (const planet of this.planets) {
+            for (const planet of this.findPlanetsInRadius(ship.x, ship.y, ship.radius || 5)) {
                 const dx = ship.x - planet.x;
                 const dy = ship.y - planet.y;
                 const distance = Math.sqrt(dx * dx + dy * dy);
@@ -107,35 +374,77 @@ export class EntityManager {
             }
         }
 
-        // Update planets if they have update logic
-        // for (const planet of this.planets) {
-        //     planet.update(deltaTime);
-        // }
+        // Move projectiles, dropping the ones that have burnt out
+        for (const projectile of this.projectiles) {
+            projectile.savePreviousState();
+            projectile.update(deltaTime);
+        }
+        this.projectiles = this.projectiles.filter((projectile) => !projectile.isExpired);
+
+        // Update planets (resource deposits regenerate over time)
+        for (const planet of this.planets) {
+            planet.update(deltaTime);
+        }
+    }
+
+    /**
+     * Finds the entities that could be visible in a view rectangle.
+     * @param {number} x - Left edge of the view in world coordinates.
+     * @param {number} y - Top edge of the view in world coordinates.
+     * @param {number} width - View width.
+     * @param {number} height - View height.
+     * @returns {{stars: Array<Star>, planets: Array<Planet>, spaceships: Array<Spaceship>, projectiles: Array<Projectile>}} Visible entities, in the order they were added.
+     */
+    findEntitiesInView(x, y, width, height) {
+        const byId = (a, b) => a.id - b.id;
+        const left = x - VIEW_MARGIN;
+        const top = y - VIEW_MARGIN;
+        const viewWidth = width + VIEW_MARGIN * 2;
+        const viewHeight = height + VIEW_MARGIN * 2;
+        // A star's glow reaches out to twice its radius
+        const starInView = (star) => star.x + star.radius * 2 >= left && star.x - star.radius * 2 <= left + viewWidth &&
+            star.y + star.radius * 2 >= top && star.y - star.radius * 2 <= top + viewHeight;
+        return {
+            stars: this.stars.filter(starInView),
+            planets: this.planetIndex.queryRect(left, top, viewWidth, viewHeight).sort(byId),
+            spaceships: this.shipIndex.queryRect(left, top, viewWidth, viewHeight).sort(byId),
+            projectiles: this.projectiles.filter((projectile) => projectile.x >= left && projectile.x <= left + viewWidth &&
+                projectile.y >= top && projectile.y <= top + viewHeight)
+        };
     }
 
     /**
-     * Renders all managed entities.
+     * Renders the managed entities that are in the camera's view, scaled by its zoom.
      * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
-     * @param {number} offsetX - The camera X offset.
-     * @param {number} offsetY - The camera Y offset.
+     * @param {Camera} camera - The camera to draw through.
+     * @param {number} [alpha=1] - Render interpolation factor between the last two simulation steps.
      */
-    render(ctx, offsetX, offsetY) {
-        console.log(`[EntityManager.render] Rendering entities. Camera Offset: (${offsetX.toFixed(2)}, ${offsetY.toFixed(2)})`);
+    render(ctx, camera, alpha = 1) {
+        const view = camera.getViewRect();
+        const { stars, planets, spaceships, projectiles } = this.findEntitiesInView(view.x, view.y, view.width, view.height);
+        const offsetX = camera.x;
+        const offsetY = camera.y;
 
-        // Render planets first
-        console.log(`[EntityManager.render] Rendering ${this.planets.length} planets.`);
-        for (const planet of this.planets) {
-            planet.draw(ctx, offsetX, offsetY);
+        ctx.save();
+        camera.applyTransform(ctx);
+
+        // Render stars first, then the planets orbiting them
+        for (const star of stars) {
+            star.draw(ctx, offsetX, offsetY);
+        }
+        for (const planet of planets) {
+            planet.draw(ctx, offsetX, offsetY, alpha);
         }
 
         // Render spaceships
-        console.log(`[EntityManager.render] Rendering ${this.spaceships.length} spaceships.`);
-        for (const ship of this.spaceships) {
-            ship.draw(ctx, offsetX, offsetY);
+        for (const ship of spaceships) {
+            ship.draw(ctx, offsetX, offsetY, alpha);
         }
-    }
 
-    // Optional: Methods to find entities by ID, type, or spatial query
-    // findEntityById(id) { ... }
-    // findEntitiesInRadius(x, y, radius) { ... }
+        // Projectiles on top, so shots are never hidden behind the ships they miss
+        for (const projectile of projectiles) {
+            projectile.draw(ctx, offsetX, offsetY, alpha);
+        }
+        ctx.restore();
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,457 @@
+/**
+ * @fileoverview Full-screen galaxy map: star systems near and far, drawn on the
+ * game canvas, with pan, zoom, tooltips and the player's waypoint.
+ */
+
+import { CHUNK_SIZE } from './ChunkManager.js';
+import { DiscoveryStatus } from './DiscoverySystem.js';
+import { FOG_CELL_SIZE } from './NavigationSystem.js';
+import { clamp, distance } from './utils.js';
+
+/**
+ * Furthest the map zooms out, in screen pixels per world pixel
+ * @type {number}
+ */
+export const MAP_MIN_SCALE = 0.05;
+
+/**
+ * Furthest the map zooms in, in screen pixels per world pixel
+ * @type {number}
+ */
+export const MAP_MAX_SCALE = 0.5;
+
+/**
+ * Zoom the map opens at: a handful of star systems across
+ * @type {number}
+ */
+const MAP_DEFAULT_SCALE = 0.08;
+
+/**
+ * Smallest orbit drawn, as a radius in screen pixels
+ * @type {number}
+ */
+const MAP_MIN_ORBIT = 6;
+
+/**
+ * How far from a body, in screen pixels, the pointer still picks it
+ * @type {number}
+ */
+const HIT_SLOP = 6;
+
+/**
+ * Color of unexplored space while the fog of war is on
+ * @type {string}
+ */
+const FOG_COLOR = '#0b0d18';
+
+/**
+ * Color of the waypoint marker and the line to it
+ * @type {string}
+ */
+export const WAYPOINT_COLOR = '#ff66cc';
+
+/**
+ * Color of the rings around planets the player has landed on
+ * @type {string}
+ */
+const VISITED_COLOR = '#4dff4d';
+
+/**
+ * A full-screen view of the galaxy with its own position and zoom, separate
+ * from the flight camera. Loaded star systems are drawn as they are; further
+ * ones are generated from the seed by the ChunkManager just to be looked at.
+ * The map only draws and answers questions about what is under the pointer;
+ * the game decides what clicks and drags do.
+ */
+export class GalaxyMap {
+  /**
+   * Create a closed map
+   * @param {number} width - Screen width in pixels
+   * @param {number} height - Screen height in pixels
+   */
+  constructor(width, height) {
+    /** @type {number} Screen width in pixels */
+    this.width = width;
+    /** @type {number} Screen height in pixels */
+    this.height = height;
+    /** @type {boolean} */
+    this.isOpen = false;
+    /** @type {number} World X at the center of the map */
+    this.x = 0;
+    /** @type {number} World Y at the center of the map */
+    this.y = 0;
+    /** @type {number} Screen pixels per world pixel */
+    this.scale = MAP_DEFAULT_SCALE;
+    /** @type {{x: number, y: number} | null} Pointer position on screen, if it is over the map */
+    this.pointer = null;
+    /**
+     * Bodies drawn in the last frame with where they were drawn, for picking
+     * @type {Array<{body: Star | Planet, x: number, y: number, radius: number}>}
+     */
+    this.targets = [];
+  }
+
+  /**
+   * Match the screen size, e.g. after the window is resized
+   * @param {number} width - Screen width in pixels
+   * @param {number} height - Screen height in pixels
+   */
+  setViewport(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  /**
+   * Open the map centered on a point, usually the player
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   */
+  open(x, y) {
+    this.isOpen = true;
+    this.x = x;
+    this.y = y;
+  }
+
+  /**
+   * Close the map
+   */
+  close() {
+    this.isOpen = false;
+    this.pointer = null;
+    this.targets = [];
+  }
+
+  /**
+   * Drag the map
+   * @param {number} dx - Screen pixels moved right
+   * @param {number} dy - Screen pixels moved down
+   */
+  pan(dx, dy) {
+    this.x -= dx / this.scale;
+    this.y -= dy / this.scale;
+  }
+
+  /**
+   * Zoom in or out, keeping the world point under a screen position where it is
+   * @param {number} factor - Above 1 zooms in, below 1 zooms out
+   * @param {number} screenX - Screen X to zoom about
+   * @param {number} screenY - Screen Y to zoom about
+   */
+  zoomAt(factor, screenX, screenY) {
+    const anchor = this.screenToWorld(screenX, screenY);
+    this.scale = clamp(this.scale * factor, MAP_MIN_SCALE, MAP_MAX_SCALE);
+    const moved = this.screenToWorld(screenX, screenY);
+    this.x += anchor.x - moved.x;
+    this.y += anchor.y - moved.y;
+  }
+
+  /**
+   * Convert a world position to where it is drawn on the map
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @returns {{x: number, y: number}} Screen position in pixels
+   */
+  worldToScreen(x, y) {
+    return {
+      x: (x - this.x) * this.scale + this.width / 2,
+      y: (y - this.y) * this.scale + this.height / 2
+    };
+  }
+
+  /**
+   * Convert a position on the map to the world position under it
+   * @param {number} x - Screen X in pixels
+   * @param {number} y - Screen Y in pixels
+   * @returns {{x: number, y: number}} World position
+   */
+  screenToWorld(x, y) {
+    return {
+      x: (x - this.width / 2) / this.scale + this.x,
+      y: (y - this.height / 2) / this.scale + this.y
+    };
+  }
+
+  /**
+   * Find the star or planet drawn under a screen position in the last frame
+   * @param {number} x - Screen X in pixels
+   * @param {number} y - Screen Y in pixels
+   * @returns {Star | Planet | null} The closest body within reach, or null
+   */
+  getBodyAt(x, y) {
+    let best = null;
+    let bestGap = Infinity;
+    for (const target of this.targets) {
+      const gap = distance(x, y, target.x, target.y) - target.radius;
+      if (gap < HIT_SLOP && gap < bestGap) {
+        best = target.body;
+        bestGap = gap;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Draw the map over the whole canvas
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Simulation} simulation - The simulation to map
+   * @param {Object} [options] - Drawing options
+   * @param {boolean} [options.fogOfWar=false] - Hide the space the player hasn't explored
+   */
+  render(ctx, simulation, options = {}) {
+    const { chunkManager, discoverySystem, navigationSystem } = simulation;
+    const fogOfWar = Boolean(options.fogOfWar);
+    const isVisible = (x, y) => !fogOfWar || navigationSystem.isExplored(x, y);
+    const topLeft = this.screenToWorld(0, 0);
+    const bottomRight = this.screenToWorld(this.width, this.height);
+    this.targets = [];
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = '#02030a';
+    ctx.fillRect(0, 0, this.width, this.height);
+
+    if (fogOfWar) {
+      this.drawFog(ctx, navigationSystem, topLeft, bottomRight);
+    }
+    this.drawChunkGrid(ctx, topLeft, bottomRight);
+
+    // Star systems never reach past their own chunk, so only the chunks on screen need drawing
+    for (let cy = Math.floor(topLeft.y / CHUNK_SIZE); cy <= Math.floor(bottomRight.y / CHUNK_SIZE); cy++) {
+      for (let cx = Math.floor(topLeft.x / CHUNK_SIZE); cx <= Math.floor(bottomRight.x / CHUNK_SIZE); cx++) {
+        // Don't generate systems that would only be drawn under the fog
+        if (fogOfWar && !this.isChunkExplored(navigationSystem, cx, cy)) continue;
+        const { star, planets } = chunkManager.getSystem(cx, cy);
+        this.drawSystem(ctx, star, planets, simulation.time, discoverySystem, isVisible);
+      }
+    }
+
+    this.drawWaypoint(ctx, simulation);
+    this.drawPlayer(ctx, simulation.getPlayerShip());
+    this.drawTooltip(ctx, simulation);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.font = '13px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText('Drag to pan, scroll to zoom, click a star, planet or empty space to set a waypoint',
+      this.width / 2, this.height - 20);
+    ctx.restore();
+  }
+
+  /**
+   * Check whether any fog of war cell of a chunk has been explored
+   * @param {NavigationSystem} navigationSystem - Holds the explored cells
+   * @param {number} cx - Chunk X coordinate
+   * @param {number} cy - Chunk Y coordinate
+   * @returns {boolean} True if some of the chunk has been explored
+   */
+  isChunkExplored(navigationSystem, cx, cy) {
+    const cells = CHUNK_SIZE / FOG_CELL_SIZE;
+    for (let y = 0; y < cells; y++) {
+      for (let x = 0; x < cells; x++) {
+        if (navigationSystem.explored.has(`${cx * cells + x},${cy * cells + y}`)) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Shade the cells of space the player hasn't explored
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {NavigationSystem} navigationSystem - Holds the explored cells
+   * @param {{x: number, y: number}} topLeft - World position of the screen's top-left corner
+   * @param {{x: number, y: number}} bottomRight - World position of the screen's bottom-right corner
+   */
+  drawFog(ctx, navigationSystem, topLeft, bottomRight) {
+    const size = FOG_CELL_SIZE * this.scale;
+    ctx.fillStyle = FOG_COLOR;
+    for (let cy = Math.floor(topLeft.y / FOG_CELL_SIZE); cy <= Math.floor(bottomRight.y / FOG_CELL_SIZE); cy++) {
+      for (let cx = Math.floor(topLeft.x / FOG_CELL_SIZE); cx <= Math.floor(bottomRight.x / FOG_CELL_SIZE); cx++) {
+        if (navigationSystem.explored.has(`${cx},${cy}`)) continue;
+        const corner = this.worldToScreen(cx * FOG_CELL_SIZE, cy * FOG_CELL_SIZE);
+        // Overlap by a pixel so no seams show between cells
+        ctx.fillRect(corner.x, corner.y, size + 1, size + 1);
+      }
+    }
+  }
+
+  /**
+   * Draw faint lines along the chunk borders, for a sense of scale
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {{x: number, y: number}} topLeft - World position of the screen's top-left corner
+   * @param {{x: number, y: number}} bottomRight - World position of the screen's bottom-right corner
+   */
+  drawChunkGrid(ctx, topLeft, bottomRight) {
+    ctx.strokeStyle = 'rgba(80, 110, 160, 0.15)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let cx = Math.ceil(topLeft.x / CHUNK_SIZE); cx * CHUNK_SIZE <= bottomRight.x; cx++) {
+      const { x } = this.worldToScreen(cx * CHUNK_SIZE, 0);
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, this.height);
+    }
+    for (let cy = Math.ceil(topLeft.y / CHUNK_SIZE); cy * CHUNK_SIZE <= bottomRight.y; cy++) {
+      const { y } = this.worldToScreen(0, cy * CHUNK_SIZE);
+      ctx.moveTo(0, y);
+      ctx.lineTo(this.width, y);
+    }
+    ctx.stroke();
+  }
+
+  /**
+   * Draw a star system where its bodies are now: orbits, the star and the planets,
+   * styled by how much the player knows about them
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Star} star - The system's star
+   * @param {Array<Planet>} planets - Its planets followed by their moons
+   * @param {number} time - Simulation time
+   * @param {DiscoverySystem} discoverySystem - Knows which planets were discovered
+   * @param {function(number, number): boolean} isVisible - Whether a world position is out of the fog
+   */
+  drawSystem(ctx, star, planets, time, discoverySystem, isVisible) {
+    const positions = new Map(planets.map((planet) => [planet, planet.getPositionAt(time)]));
+    const parentPosition = (planet) => positions.get(planet.parent) || planet.parent;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.lineWidth = 1;
+    for (const planet of planets) {
+      const parent = parentPosition(planet);
+      if (planet.orbit.semiMajorAxis * this.scale < MAP_MIN_ORBIT || !isVisible(parent.x, parent.y)) continue;
+      const center = this.worldToScreen(parent.x, parent.y);
+      ctx.beginPath();
+      for (const [i, point] of planet.orbit.getPath().entries()) {
+        const x = center.x + point.x * this.scale;
+        const y = center.y + point.y * this.scale;
+        if (i === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      }
+      ctx.closePath();
+      ctx.stroke();
+    }
+
+    if (isVisible(star.x, star.y)) {
+      const { x, y } = this.worldToScreen(star.x, star.y);
+      const radius = Math.max(3, star.radius * this.scale);
+      ctx.fillStyle = star.color;
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fill();
+      this.targets.push({ body: star, x, y, radius });
+    }
+
+    for (const planet of planets) {
+      const position = positions.get(planet);
+      if (!isVisible(position.x, position.y)) continue;
+      const { x, y } = this.worldToScreen(position.x, position.y);
+      const radius = Math.max(planet.isMoon ? 1 : 2, planet.radius * this.scale);
+      const status = discoverySystem.getStatus(planet);
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      if (status === DiscoveryStatus.UNKNOWN) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.stroke();
+      } else {
+        ctx.fillStyle = planet.color;
+        ctx.fill();
+      }
+      if (status === DiscoveryStatus.VISITED) {
+        ctx.strokeStyle = VISITED_COLOR;
+        ctx.beginPath();
+        ctx.arc(x, y, radius + 2, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+      this.targets.push({ body: planet, x, y, radius });
+    }
+  }
+
+  /**
+   * Draw the waypoint and a line to it from the player
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Simulation} simulation - The simulation
+   */
+  drawWaypoint(ctx, simulation) {
+    const target = simulation.navigationSystem.getWaypointPosition();
+    const playerShip = simulation.getPlayerShip();
+    if (!target || !playerShip) return;
+    const from = this.worldToScreen(playerShip.x, playerShip.y);
+    const to = this.worldToScreen(target.x, target.y);
+
+    ctx.strokeStyle = WAYPOINT_COLOR;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([6, 6]);
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Diamond around the waypoint
+    const size = 8;
+    ctx.beginPath();
+    ctx.moveTo(to.x, to.y - size);
+    ctx.lineTo(to.x + size, to.y);
+    ctx.lineTo(to.x, to.y + size);
+    ctx.lineTo(to.x - size, to.y);
+    ctx.closePath();
+    ctx.stroke();
+  }
+
+  /**
+   * Draw the player's ship as an arrow pointing the way it faces
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Spaceship | null} playerShip - The player's ship
+   */
+  drawPlayer(ctx, playerShip) {
+    if (!playerShip) return;
+    const { x, y } = this.worldToScreen(playerShip.x, playerShip.y);
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(playerShip.rotation);
+    ctx.fillStyle = '#00ff00';
+    ctx.beginPath();
+    ctx.moveTo(9, 0);
+    ctx.lineTo(-6, -6);
+    ctx.lineTo(-3, 0);
+    ctx.lineTo(-6, 6);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+  }
+
+  /**
+   * Name the body under the pointer, with how far it is from the player
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Simulation} simulation - The simulation
+   */
+  drawTooltip(ctx, simulation) {
+    if (!this.pointer) return;
+    const body = this.getBodyAt(this.pointer.x, this.pointer.y);
+    const playerShip = simulation.getPlayerShip();
+    if (!body || !playerShip) return;
+
+    const position = body.getPositionAt(simulation.time);
+    let label = body.name;
+    if (body.key && body.key.endsWith(':star')) {
+      label += ' (star)';
+    } else if (simulation.discoverySystem.getStatus(body) === DiscoveryStatus.VISITED) {
+      label += ' (visited)';
+    }
+    const lines = [label, `${Math.round(distance(playerShip.x, playerShip.y, position.x, position.y))}px away`];
+
+    ctx.font = '13px sans-serif';
+    ctx.textAlign = 'left';
+    const width = Math.max(...lines.map((line) => ctx.measureText(line).width)) + 16;
+    const height = lines.length * 18 + 8;
+    // Keep the box on screen
+    const boxX = Math.min(this.pointer.x + 14, this.width - width - 4);
+    const boxY = Math.min(this.pointer.y + 14, this.height - height - 4);
+    ctx.fillStyle = 'rgba(20, 24, 40, 0.9)';
+    ctx.fillRect(boxX, boxY, width, height);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.strokeRect(boxX, boxY, width, height);
+    ctx.fillStyle = '#ffffff';
+    lines.forEach((line, i) => ctx.fillText(line, boxX + 8, boxY + 20 + i * 18));
+  }
+}
@@ -0,0 +1,12 @@
+/**
+ * @fileoverview The states the game can be in
+ */
+
+// Define game states
+export const GameState = {
+  FLYING: 'FLYING',
+  PLANET_VIEW: 'PLANET_VIEW',
+  MARKET: 'MARKET',
+  MINIGAME: 'MINIGAME',
+  DESTROYED: 'DESTROYED', // The player's ship was shot down: respawn, or game over with no lives left
+};
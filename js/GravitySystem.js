@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Gravity of stars and planets, and the trajectory prediction drawn
+ * for ships in Newtonian flight.
+ */
+
+import { FlightModel } from './spaceship.js';
+
+/**
+ * Gravitational constant. A body's pull at its surface is this times its radius
+ * (in pixels per second squared), scaled by the ship's speed scale like its engines.
+ * @type {number}
+ */
+export const GRAVITY_CONSTANT = 2;
+
+/**
+ * Bodies only pull on ships within this many of their radii. Beyond it the pull
+ * is under 1% of the surface gravity and not worth computing.
+ * @type {number}
+ */
+const GRAVITY_RANGE_FACTOR = 12;
+
+/**
+ * Furthest any planet's gravity reaches, in pixels (the biggest planets are 100px)
+ * @type {number}
+ */
+const PLANET_GRAVITY_RANGE = 100 * GRAVITY_RANGE_FACTOR;
+
+/**
+ * Applies gravity to ships flying the Newtonian model. Arcade ships ignore it.
+ */
+export class GravitySystem {
+  /**
+   * Creates an instance of the GravitySystem.
+   * @param {EntityManager} entityManager - The game's entity manager.
+   * @param {Simulation} simulation - The simulation (for its time).
+   */
+  constructor(entityManager, simulation) {
+    this.entityManager = entityManager;
+    this.simulation = simulation;
+  }
+
+  /**
+   * Get the stars and planets whose gravity could reach a circle
+   * @param {number} x - Circle center X
+   * @param {number} y - Circle center Y
+   * @param {number} [radius=0] - Circle radius, for bodies that may pull anywhere along a path
+   * @returns {Array<Star|Planet>} Bodies in range
+   */
+  getBodiesNear(x, y, radius = 0) {
+    const inRange = (body) => Math.hypot(body.x - x, body.y - y) < body.radius * GRAVITY_RANGE_FACTOR + radius;
+    return [
+      ...this.entityManager.getAllStars().filter(inRange),
+      ...this.entityManager.findPlanetsInRadius(x, y, PLANET_GRAVITY_RANGE + radius).filter(inRange)
+    ];
+  }
+
+  /**
+   * Work out the pull of gravity at a point. Inside a body the pull fades towards
+   * its center, as it would inside a solid sphere, so flying over a planet never
+   * meets an infinite force.
+   * @param {number} x - Point X
+   * @param {number} y - Point Y
+   * @param {Array<Star|Planet>} bodies - Bodies to include (see getBodiesNear)
+   * @param {number} time - Simulation time, for where the bodies are
+   * @param {number} [scale=1] - Strength multiplier, the ship's speed scale
+   * @returns {{x: number, y: number}} Acceleration in pixels per second squared
+   */
+  getAcceleration(x, y, bodies, time, scale = 1) {
+    const acceleration = { x: 0, y: 0 };
+    for (const body of bodies) {
+      const position = body.getPositionAt(time);
+      const dx = position.x - x;
+      const dy = position.y - y;
+      const dist = Math.hypot(dx, dy);
+      if (dist > body.radius * GRAVITY_RANGE_FACTOR) continue;
+      // GM/d² towards the body outside it, GMd/R³ inside
+      const r = Math.max(dist, body.radius);
+      const strength = GRAVITY_CONSTANT * scale * body.mass / (r * r * r);
+      acceleration.x += dx * strength;
+      acceleration.y += dy * strength;
+    }
+    return acceleration;
+  }
+
+  /**
+   * Pull every Newtonian ship towards the bodies near it. Call before the ships are moved.
+   * @param {number} deltaTime - Length of the simulation step in seconds.
+   */
+  update(deltaTime) {
+    for (const ship of this.entityManager.getAllSpaceships()) {
+      if (ship.flightModel !== FlightModel.NEWTONIAN) continue;
+      const bodies = this.getBodiesNear(ship.x, ship.y);
+      if (bodies.length === 0) continue;
+      const { x, y } = this.getAcceleration(ship.x, ship.y, bodies, this.simulation.time, ship.speedScale);
+      ship.applyImpulse(x * deltaTime, y * deltaTime);
+    }
+  }
+
+  /**
+   * Predict where a Newtonian ship will drift if its engines stay off. Planets are
+   * followed along their orbits, so the path bends around where they will be.
+   * @param {Spaceship} ship - The ship
+   * @param {number} [seconds=4] - How far ahead to look
+   * @param {number} [step=1/20] - Time between predicted points, in seconds
+   * @returns {Array<{x: number, y: number}>} Predicted positions, starting where the ship is now
+   */
+  predictTrajectory(ship, seconds = 4, step = 1 / 20) {
+    let x = ship.x;
+    let y = ship.y;
+    let { x: vx, y: vy } = ship.getVelocity();
+    // One query covering the whole path, rather than one per point
+    const reach = Math.hypot(vx, vy) * seconds + ship.maxSpeed * seconds;
+    const bodies = this.getBodiesNear(x, y, reach);
+    const points = [{ x, y }];
+    for (let t = 0; t < seconds - 1e-9; t += step) {
+      // Same integration as the simulation: gravity from where the bodies are at the
+      // start of the step changes the velocity, then the velocity moves the ship
+      const acceleration = this.getAcceleration(x, y, bodies, this.simulation.time + t, ship.speedScale);
+      vx += acceleration.x * step;
+      vy += acceleration.y * step;
+      x += vx * step;
+      y += vy * step;
+      points.push({ x, y });
+    }
+    return points;
+  }
+}
@@ -0,0 +1,378 @@
+/**
+ * @fileoverview Maps the keyboard, gamepads and on-screen touch controls to the
+ * abstract actions that fly the player's ship
+ */
+
+import { clamp } from './utils.js';
+
+/**
+ * Actions the player can perform, in the order they are listed in the controls panel
+ * @type {Array<{id: string, label: string}>}
+ */
+export const ACTIONS = [
+  { id: 'thrust', label: 'Thrust' },
+  { id: 'reverse', label: 'Reverse' },
+  { id: 'rotateLeft', label: 'Rotate left' },
+  { id: 'rotateRight', label: 'Rotate right' },
+  { id: 'boost', label: 'Boost' },
+  { id: 'fire', label: 'Fire' },
+  { id: 'interact', label: 'Land / interact' },
+  { id: 'zoomIn', label: 'Zoom in' },
+  { id: 'zoomOut', label: 'Zoom out' },
+  { id: 'map', label: 'Galaxy map' },
+  { id: 'cycleTarget', label: 'Next target' },
+  { id: 'autopilot', label: 'Autopilot' }
+];
+
+/**
+ * Default keyboard bindings, as KeyboardEvent.code values so they follow
+ * key positions rather than keyboard layouts
+ * @type {Object<string, string>}
+ */
+export const DEFAULT_BINDINGS = {
+  thrust: 'KeyW',
+  reverse: 'KeyS',
+  rotateLeft: 'KeyA',
+  rotateRight: 'KeyD',
+  boost: 'Space',
+  fire: 'KeyF',
+  interact: 'KeyE',
+  zoomIn: 'Equal',
+  zoomOut: 'Minus',
+  map: 'KeyM',
+  cycleTarget: 'KeyT',
+  autopilot: 'KeyP'
+};
+
+/**
+ * localStorage key holding the player's key bindings
+ * @type {string}
+ */
+const BINDINGS_STORAGE_KEY = 'planet-explorer:bindings';
+
+/**
+ * Stick and trigger values closer to rest than this are ignored
+ * @type {number}
+ */
+const GAMEPAD_DEADZONE = 0.2;
+
+/**
+ * Gamepad buttons for the digital actions, using the W3C "standard" mapping
+ * (A = 0, B = 1, X = 2, Y = 3, LB = 4, RB = 5, Back = 8, D-pad up = 12, D-pad down = 13)
+ * @type {Object<string, Array<number>>}
+ */
+const GAMEPAD_BUTTONS = {
+  boost: [1, 5],
+  fire: [2],
+  interact: [0],
+  zoomIn: [12],
+  zoomOut: [13],
+  map: [8],
+  cycleTarget: [4],
+  autopilot: [3]
+};
+
+/**
+ * Turn a KeyboardEvent.code into a short label for display
+ * @param {string} code - Key code, e.g. 'KeyW' or 'ArrowLeft'
+ * @returns {string} Display label, e.g. 'W' or 'Left'
+ */
+export function formatKeyCode(code) {
+  if (!code) return 'Unbound';
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  if (code.startsWith('Arrow')) return code.slice(5);
+  return code;
+}
+
+/**
+ * Check whether the player is working any of the controls that fly the ship,
+ * which takes it back from the autopilot
+ * @param {Object} state - Actions from InputManager.getState()
+ * @returns {boolean} True if thrust, reverse, turning, boost or fire is in use
+ */
+export function hasFlightInput(state) {
+  return state.thrust > 0 || state.reverse > 0 || state.turn !== 0 || state.boost || state.fire;
+}
+
+/**
+ * Scale an analog value so the deadzone reads as 0 and full travel as 1
+ * @param {number} value - Raw stick or trigger value
+ * @returns {number} Value with the deadzone removed
+ */
+function applyDeadzone(value) {
+  const magnitude = Math.abs(value);
+  if (magnitude < GAMEPAD_DEADZONE) return 0;
+  return Math.sign(value) * Math.min(1, (magnitude - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE));
+}
+
+/**
+ * Reads every input device and reports the player's actions. Only the player's
+ * ship is driven by it, so other ships never see the keyboard.
+ */
+export class InputManager {
+  /**
+   * Create the input manager and start listening to the keyboard
+   * @param {Object} [options] - Input options
+   * @param {EventTarget} [options.target=window] - Where keyboard events are listened for
+   * @param {Storage | null} [options.storage=window.localStorage] - Where key bindings are kept between sessions
+   * @param {function(): Array<Gamepad | null>} [options.getGamepads] - Gamepad source, navigator.getGamepads by default
+   */
+  constructor(options = {}) {
+    /** @type {EventTarget} */
+    this.target = options.target || window;
+    /** @type {Storage | null} */
+    this.storage = options.storage !== undefined ? options.storage : window.localStorage;
+    /** @type {function(): Array<Gamepad | null>} */
+    this.getGamepads = options.getGamepads ||
+      (() => (typeof navigator !== 'undefined' && navigator.getGamepads ? Array.from(navigator.getGamepads()) : []));
+
+    /** @type {Object<string, string>} Action id to key code */
+    this.bindings = this.loadBindings();
+    /** @type {Set<string>} Key codes currently held */
+    this.heldKeys = new Set();
+    /** @type {Set<string>} Actions currently held on the on-screen touch controls */
+    this.touchActions = new Set();
+    /** @type {function(string): void | null} Receives the next key press instead of the game */
+    this.captureCallback = null;
+
+    /** @type {Function} */
+    this.boundKeyDown = this.handleKeyDown.bind(this);
+    /** @type {Function} */
+    this.boundKeyUp = this.handleKeyUp.bind(this);
+    /** @type {Function} */
+    this.boundBlur = () => this.heldKeys.clear();
+    this.target.addEventListener('keydown', this.boundKeyDown);
+    this.target.addEventListener('keyup', this.boundKeyUp);
+    // Keys released while the window is in the background never send keyup
+    this.target.addEventListener('blur', this.boundBlur);
+  }
+
+  /**
+   * Stop listening to the keyboard
+   */
+  dispose() {
+    this.target.removeEventListener('keydown', this.boundKeyDown);
+    this.target.removeEventListener('keyup', this.boundKeyUp);
+    this.target.removeEventListener('blur', this.boundBlur);
+  }
+
+  /**
+   * Read the saved key bindings, falling back to the defaults for anything missing
+   * @returns {Object<string, string>} Action id to key code
+   */
+  loadBindings() {
+    const bindings = { ...DEFAULT_BINDINGS };
+    if (!this.storage) return bindings;
+    try {
+      const saved = JSON.parse(this.storage.getItem(BINDINGS_STORAGE_KEY) || '{}');
+      for (const { id } of ACTIONS) {
+        if (typeof saved[id] === 'string') {
+          bindings[id] = saved[id];
+        }
+      }
+    } catch (error) {
+      console.warn('Ignoring unreadable key bindings:', error);
+    }
+    return bindings;
+  }
+
+  /**
+   * Write the key bindings to storage
+   */
+  saveBindings() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(this.bindings));
+    } catch (error) {
+      console.warn('Could not save key bindings:', error);
+    }
+  }
+
+  /**
+   * Bind an action to a key. If another action already uses the key, the two swap keys.
+   * @param {string} action - Action id from ACTIONS
+   * @param {string} code - KeyboardEvent.code of the new key
+   */
+  setBinding(action, code) {
+    if (!(action in this.bindings)) {
+      throw new Error(`Unknown action: ${action}`);
+    }
+    const clash = Object.keys(this.bindings).find((other) => other !== action && this.bindings[other] === code);
+    if (clash) {
+      this.bindings[clash] = this.bindings[action];
+    }
+    this.bindings[action] = code;
+    this.saveBindings();
+  }
+
+  /**
+   * Restore the default key bindings
+   */
+  resetBindings() {
+    this.bindings = { ...DEFAULT_BINDINGS };
+    this.saveBindings();
+  }
+
+  /**
+   * Hand the next key press to a callback instead of the game, for rebinding.
+   * Escape cancels, calling back with null.
+   * @param {function(string | null): void} callback - Receives the pressed key's code
+   */
+  captureNextKey(callback) {
+    this.captureCallback = callback;
+  }
+
+  /**
+   * Check whether a keyboard event was meant for a form field rather than the ship
+   * @param {KeyboardEvent} event - The keyboard event
+   * @returns {boolean} True if the event came from a text input, select or textarea
+   */
+  isTypingEvent(event) {
+    const tag = event.target && event.target.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
+  }
+
+  /**
+   * Handle keydown events
+   * @param {KeyboardEvent} event - The keyboard event
+   */
+  handleKeyDown(event) {
+    if (this.captureCallback) {
+      const callback = this.captureCallback;
+      this.captureCallback = null;
+      event.preventDefault();
+      callback(event.code === 'Escape' ? null : event.code);
+      return;
+    }
+    if (this.isTypingEvent(event)) return;
+    this.heldKeys.add(event.code);
+  }
+
+  /**
+   * Handle keyup events
+   * @param {KeyboardEvent} event - The keyboard event
+   */
+  handleKeyUp(event) {
+    this.heldKeys.delete(event.code);
+  }
+
+  /**
+   * Wire up on-screen buttons that hold an action while touched. Each button
+   * names its action in a data-action attribute.
+   * @param {HTMLElement} container - Element containing the touch buttons
+   */
+  attachTouchControls(container) {
+    for (const button of container.querySelectorAll('[data-action]')) {
+      const action = button.dataset.action;
+      const press = (event) => {
+        event.preventDefault();
+        this.touchActions.add(action);
+        button.classList.add('active');
+      };
+      const release = () => {
+        this.touchActions.delete(action);
+        button.classList.remove('active');
+      };
+      button.addEventListener('pointerdown', press);
+      button.addEventListener('pointerup', release);
+      button.addEventListener('pointercancel', release);
+      button.addEventListener('pointerleave', release);
+    }
+  }
+
+  /**
+   * Check whether an action's key is held or its touch button pressed
+   * @param {string} action - Action id
+   * @returns {boolean} True if the action is held
+   */
+  isDigitalActionHeld(action) {
+    return this.heldKeys.has(this.bindings[action]) || this.touchActions.has(action);
+  }
+
+  /**
+   * Read the first connected gamepad
+   * @returns {{thrust: number, reverse: number, turn: number, boost: boolean, fire: boolean, interact: boolean, zoom: number,
+   *   map: boolean, cycleTarget: boolean, autopilot: boolean} | null}
+   *   Analog thrust/reverse (0 to 1) and turn (-1 to 1), zoom (-1 out, 1 in), or null with no gamepad
+   */
+  readGamepad() {
+    const pad = this.getGamepads().find((candidate) => candidate && candidate.connected);
+    if (!pad) return null;
+
+    const buttonValue = (index) => (pad.buttons[index] ? pad.buttons[index].value : 0);
+    const buttonPressed = (index) => Boolean(pad.buttons[index] && pad.buttons[index].pressed);
+    const stickX = applyDeadzone(pad.axes[0] || 0);
+    const stickY = applyDeadzone(pad.axes[1] || 0);
+
+    // Triggers (RT = 7, LT = 6) or the left stick pushed up and down
+    return {
+      thrust: Math.max(applyDeadzone(buttonValue(7)), -stickY, 0),
+      reverse: Math.max(applyDeadzone(buttonValue(6)), stickY, 0),
+      turn: stickX,
+      boost: GAMEPAD_BUTTONS.boost.some(buttonPressed),
+      fire: GAMEPAD_BUTTONS.fire.some(buttonPressed),
+      interact: GAMEPAD_BUTTONS.interact.some(buttonPressed),
+      zoom: Number(GAMEPAD_BUTTONS.zoomIn.some(buttonPressed)) - Number(GAMEPAD_BUTTONS.zoomOut.some(buttonPressed)),
+      map: GAMEPAD_BUTTONS.map.some(buttonPressed),
+      cycleTarget: GAMEPAD_BUTTONS.cycleTarget.some(buttonPressed),
+      autopilot: GAMEPAD_BUTTONS.autopilot.some(buttonPressed)
+    };
+  }
+
+  /**
+   * Combine every input device into one set of actions
+   * @returns {{thrust: number, reverse: number, turn: number, boost: boolean, fire: boolean, interact: boolean, zoom: number,
+   *   map: boolean, cycleTarget: boolean, autopilot: boolean}}
+   *   Thrust and reverse from 0 to 1, turn from -1 (left) to 1 (right), zoom from -1 (out) to 1 (in)
+   */
+  getState() {
+    const held = (action) => (this.isDigitalActionHeld(action) ? 1 : 0);
+    const state = {
+      thrust: held('thrust'),
+      reverse: held('reverse'),
+      turn: held('rotateRight') - held('rotateLeft'),
+      boost: Boolean(held('boost')),
+      fire: Boolean(held('fire')),
+      interact: Boolean(held('interact')),
+      zoom: held('zoomIn') - held('zoomOut'),
+      map: Boolean(held('map')),
+      cycleTarget: Boolean(held('cycleTarget')),
+      autopilot: Boolean(held('autopilot'))
+    };
+
+    // The gamepad only adds to the keyboard, so a resting pad never overrides a held key
+    const pad = this.readGamepad();
+    if (pad) {
+      state.thrust = Math.max(state.thrust, pad.thrust);
+      state.reverse = Math.max(state.reverse, pad.reverse);
+      if (state.turn === 0) state.turn = pad.turn;
+      state.boost = state.boost || pad.boost;
+      state.fire = state.fire || pad.fire;
+      state.interact = state.interact || pad.interact;
+      if (state.zoom === 0) state.zoom = pad.zoom;
+      state.map = state.map || pad.map;
+      state.cycleTarget = state.cycleTarget || pad.cycleTarget;
+      state.autopilot = state.autopilot || pad.autopilot;
+    }
+    state.turn = clamp(state.turn, -1, 1);
+    return state;
+  }
+
+  /**
+   * Set a ship's controls from the current actions
+   * @param {Spaceship} ship - The player's ship
+   * @param {Object} [state=this.getState()] - Actions to apply, if already read this step
+   */
+  applyTo(ship, state = this.getState()) {
+    ship.keys.w = state.thrust > 0;
+    ship.keys.s = state.reverse > 0 && state.thrust === 0;
+    ship.keys.a = state.turn < 0;
+    ship.keys.d = state.turn > 0;
+    ship.keys.space = state.boost;
+    ship.keys.fire = state.fire;
+    ship.keys.e = state.interact;
+    ship.throttle = ship.keys.w ? state.thrust : (ship.keys.s ? state.reverse : 1);
+    ship.turnRate = Math.abs(state.turn) || 1;
+  }
+}
@@ -2,85 +2,113 @@
  * @fileoverview System for handling player interactions with game objects, primarily planets.
  */
 
-import { checkCollision } from './utils.js';
-import { GameState } from './game.js'; // Need to import GameState if it's defined in game.js
+import { GameState } from './GameState.js';
+
+/**
+ * Fraction of the ship's top speed it must be below to land, measured relative
+ * to the planet since planets move along their orbits
+ * @type {number}
+ */
+export const LANDING_SPEED_FACTOR = 0.5;
 
 export class InteractionSystem {
   /**
    * Creates an instance of the InteractionSystem.
    * @param {EntityManager} entityManager - The game's entity manager.
-   * @param {UI} ui - The game's UI manager.
-   * @param {Game} game - The main game instance (to access setGameState).
+   * @param {Simulation} simulation - The simulation (for its game state and events).
    */
-  constructor(entityManager, ui, game) {
+  constructor(entityManager, simulation) {
     this.entityManager = entityManager;
-    this.ui = ui;
-    this.game = game; // Store the game instance
+    this.simulation = simulation;
+    /** @type {Planet | null} Planet the player was over last step */
+    this.hoveredPlanet = null;
+    /** @type {Planet | null} Planet the player is landed on, until they take off again */
+    this.landedPlanet = null;
   }
 
   /**
-   * Updates the interaction logic, called each frame.
-   * @param {number} deltaTime - Time since the last update.
+   * Updates the interaction logic, called each simulation step.
+   * @param {number} deltaTime - Length of the simulation step in seconds.
    */
   update(deltaTime) {
     // We only need to check interactions when the game is in the FLYING state
-    if (this.game.gameState !== GameState.FLYING) {
+    if (this.simulation.gameState !== GameState.FLYING) {
       return;
     }
 
+    // Flying again means the player has taken off
+    this.landedPlanet = null;
+
     const playerShip = this.entityManager.getPlayerShip();
     if (!playerShip) return; // No player, no interactions
 
-    let hoveredPlanet = null;
-    const allPlanets = this.entityManager.getAllPlanets();
-
     // Check collision with planets
-    for (const planet of allPlanets) {
-      if (checkCollision(playerShip, planet)) {
-        hoveredPlanet = planet;
-        break;
-      }
-    }
+    const hoveredPlanet = this.getPlanetUnderPlayer();
 
     // Handle planet hover and landing logic
     if (hoveredPlanet) {
-      const speedThreshold = playerShip.maxSpeed * 0.5;
-      const canLand = Math.abs(playerShip.speed) < speedThreshold;
-
-      // Show hover message
-      if (canLand) {
-        this.ui.showMessage(`Press E to land on ${hoveredPlanet.name}`, 0); // Keep showing while hovering
-      } else {
-        this.ui.showMessage(`Slow down to land on ${hoveredPlanet.name}`, 0);
-      }
+      const canLand = this.canLand(playerShip, hoveredPlanet);
+      this.hoveredPlanet = hoveredPlanet;
+      this.simulation.emit('planetHover', { planet: hoveredPlanet, canLand });
 
       // Handle E key press for landing
       if (playerShip.keys.e && canLand) {
-        this.game.setGameState(GameState.PLANET_VIEW);
-
-        // Reset the E key immediately after initiating landing to prevent issues
-        playerShip.keys.e = false;
-
-        // Delay slightly to prevent immediate E key re-trigger from closing the panel
-        // Note: The responsibility of showing the UI panel is still tied to the Game's UI instance
-        // and the callback needs to set the Game's state back.
-        setTimeout(() => {
-          this.ui.showPlanetInfo(hoveredPlanet, () => {
-            // Callback when leaving planet view:
-            this.game.setGameState(GameState.FLYING);
-            // Manually reset E key state as the keyup event might have been missed
-            if (playerShip) playerShip.keys.e = false; 
-            this.ui.showMessage(`Left ${hoveredPlanet.name}`, 3000);
-          });
-        }, 100);
-      }
-    } else {
-      // Clear any hover messages when not over a planet
-      // Only clear if the message is currently a landing prompt (or similar)
-      // This check might need refinement depending on other message types
-      if (this.ui.getCurrentMessage().includes('Press E') || this.ui.getCurrentMessage().includes('Slow down')) {
-           this.ui.clearMessage();
+        this.landOn(hoveredPlanet);
       }
+    } else if (this.hoveredPlanet) {
+      this.hoveredPlanet = null;
+      this.simulation.emit('planetHoverEnd');
     }
   }
-} 
\ No newline at end of file
+
+  /**
+   * Check whether a ship is slow enough to land, relative to the body it is over
+   * @param {Spaceship} ship - The ship
+   * @param {Planet} [planet] - The planet to land on. Without one, the ship's own speed counts.
+   * @returns {boolean} True if its relative speed (in any direction) is below the landing threshold
+   */
+  canLand(ship, planet = null) {
+    const velocity = ship.getVelocity();
+    const planetVelocity = planet ? planet.getVelocityAt(this.simulation.time) : { x: 0, y: 0 };
+    const relativeSpeed = Math.hypot(velocity.x - planetVelocity.x, velocity.y - planetVelocity.y);
+    return relativeSpeed < ship.maxSpeed * LANDING_SPEED_FACTOR;
+  }
+
+  /**
+   * Lands the player ship on a planet and switches to the planet view.
+   * @param {Planet} planet - The planet to land on.
+   */
+  landOn(planet) {
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!playerShip) return;
+
+    this.simulation.setGameState(GameState.PLANET_VIEW);
+
+    // Settle onto the planet. Time stands still while landed, so the ship stays with it
+    // and takes off from where the planet is.
+    playerShip.x = planet.x;
+    playerShip.y = planet.y;
+    playerShip.stop();
+    playerShip.savePreviousState();
+    // Dock crews patch up the hull and shields of every ship that lands
+    playerShip.repair();
+
+    // Reset the E key immediately after initiating landing to prevent issues
+    playerShip.keys.e = false;
+    this.hoveredPlanet = null;
+    this.landedPlanet = planet;
+
+    this.simulation.emit('landed', { planet });
+  }
+
+  /**
+   * Finds the planet the player ship is currently over.
+   * @returns {Planet | null} The planet under the player ship, if any.
+   */
+  getPlanetUnderPlayer() {
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!playerShip) return null;
+    // Nearest planet the ship overlaps
+    return this.entityManager.findPlanetsInRadius(playerShip.x, playerShip.y, playerShip.radius)[0] || null;
+  }
+}
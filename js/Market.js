@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Planet trading markets: commodity catalogue, pricing and trades.
+ */
+
+import { clamp } from './utils.js';
+
+/**
+ * Commodities traded across the galaxy.
+ * `supply` maps a planet to how plentiful the commodity is there (0 = scarce, 1 = abundant).
+ * @type {Array<{id: string, name: string, basePrice: number, supply: function(Object): number}>}
+ */
+export const COMMODITIES = [
+  {
+    id: 'food',
+    name: 'Food',
+    basePrice: 20,
+    // Life-bearing worlds grow food
+    supply: ({ life }) => life
+  },
+  {
+    id: 'water',
+    name: 'Water',
+    basePrice: 15,
+    // Oceans and ice are easy to draw water from
+    supply: ({ resources }) => resources.water / 3
+  },
+  {
+    id: 'ore',
+    name: 'Ore',
+    basePrice: 35,
+    // Rings are mined for minerals, and bigger planets have more crust to dig
+    supply: ({ hasRings, size }) => (hasRings ? 0.6 : 0.1) + size * 0.4
+  },
+  {
+    id: 'gas',
+    name: 'Gas',
+    basePrice: 25,
+    // Large planets hold thick atmospheres
+    supply: ({ size }) => size
+  },
+  {
+    id: 'electronics',
+    name: 'Electronics',
+    basePrice: 80,
+    // Small worlds are easier to settle, so they build more
+    supply: ({ size }) => 1 - size
+  },
+  {
+    id: 'medicine',
+    name: 'Medicine',
+    basePrice: 120,
+    // Varied surfaces mean more biodiversity to draw from
+    supply: ({ featureCount }) => featureCount / 5
+  },
+  {
+    id: 'crystal',
+    name: 'Crystals',
+    basePrice: 150,
+    // Only ever found in small amounts, a little more around ringed planets
+    supply: ({ hasRings }) => (hasRings ? 0.3 : 0.05)
+  }
+];
+
+/**
+ * Fraction of the buy price a market pays when buying back from the player
+ * @type {number}
+ */
+const SELL_SPREAD = 0.8;
+
+/**
+ * Fuel is refined from the local gas, at this many units of fuel per unit of gas's base price
+ * @type {number}
+ */
+const FUEL_PER_GAS_PRICE = 8;
+
+/**
+ * A planet's market, with prices derived from the planet's characteristics
+ */
+export class Market {
+  /**
+   * Create a market for a planet
+   * @param {Planet} planet - The planet hosting the market
+   * @param {function(): number} [rng=Math.random] - Random source for local price variation
+   */
+  constructor(planet, rng = Math.random) {
+    const traits = planet.getTraits();
+
+    /**
+     * Commodity listings for this market
+     * @type {Array<{id: string, name: string, basePrice: number, targetStock: number, stock: number}>}
+     */
+    this.commodities = COMMODITIES.map((commodity) => {
+      const supply = clamp(commodity.supply(traits), 0, 1);
+      const variation = 0.9 + rng() * 0.2;
+      const targetStock = Math.round(5 + supply * 35);
+      return {
+        id: commodity.id,
+        name: commodity.name,
+        // Abundant goods are cheap, scarce goods are expensive
+        basePrice: Math.max(1, Math.round(commodity.basePrice * (1.6 - supply) * variation)),
+        targetStock,
+        stock: targetStock
+      };
+    });
+  }
+
+  /**
+   * Find a commodity listing
+   * @param {string} id - Commodity id
+   * @returns {Object | undefined} The listing, or undefined if not traded here
+   */
+  getEntry(id) {
+    return this.commodities.find((entry) => entry.id === id);
+  }
+
+  /**
+   * Price the player pays per unit. Rises as the market's stock runs low.
+   * @param {string} id - Commodity id
+   * @returns {number} Price in credits
+   */
+  getBuyPrice(id) {
+    const entry = this.getEntry(id);
+    if (!entry) return 0;
+    const scarcity = entry.targetStock / Math.max(entry.stock, 1);
+    return Math.max(1, Math.round(entry.basePrice * Math.pow(scarcity, 0.25)));
+  }
+
+  /**
+   * Price the market pays the player per unit
+   * @param {string} id - Commodity id
+   * @returns {number} Price in credits
+   */
+  getSellPrice(id) {
+    return Math.max(1, Math.floor(this.getBuyPrice(id) * SELL_SPREAD));
+  }
+
+  /**
+   * Buy a commodity from the market into the ship's cargo hold
+   * @param {Spaceship} ship - The buying ship
+   * @param {string} id - Commodity id
+   * @param {number} [quantity=1] - Units to buy
+   * @returns {{success: boolean, message: string}} Outcome of the trade
+   */
+  buy(ship, id, quantity = 1) {
+    const entry = this.getEntry(id);
+    if (!entry) {
+      return { success: false, message: 'That commodity is not traded here' };
+    }
+    if (entry.stock < quantity) {
+      return { success: false, message: `Not enough ${entry.name} in stock` };
+    }
+    if (ship.cargo.getFree() < quantity) {
+      return { success: false, message: 'Cargo hold is full' };
+    }
+    const cost = this.getBuyPrice(id) * quantity;
+    if (ship.credits < cost) {
+      return { success: false, message: `Not enough credits (need ${cost})` };
+    }
+
+    ship.credits -= cost;
+    ship.cargo.add(id, quantity);
+    entry.stock -= quantity;
+    return { success: true, message: `Bought ${quantity} ${entry.name} for ${cost} credits` };
+  }
+
+  /**
+   * Sell a commodity from the ship's cargo hold to the market
+   * @param {Spaceship} ship - The selling ship
+   * @param {string} id - Commodity id
+   * @param {number} [quantity=1] - Units to sell
+   * @returns {{success: boolean, message: string}} Outcome of the trade
+   */
+  sell(ship, id, quantity = 1) {
+    const entry = this.getEntry(id);
+    if (!entry) {
+      return { success: false, message: 'That commodity is not traded here' };
+    }
+    if (ship.cargo.getQuantity(id) < quantity) {
+      return { success: false, message: `No ${entry.name} in your cargo hold` };
+    }
+
+    const revenue = this.getSellPrice(id) * quantity;
+    ship.cargo.remove(id, quantity);
+    ship.credits += revenue;
+    entry.stock += quantity;
+    return { success: true, message: `Sold ${quantity} ${entry.name} for ${revenue} credits` };
+  }
+
+  /**
+   * Price of one unit of fuel. Fuel is refined from gas, so it is cheap where gas
+   * is plentiful, e.g. around big planets.
+   * @returns {number} Price in credits
+   */
+  getFuelPrice() {
+    const gas = this.getEntry('gas');
+    return Math.max(1, Math.round(gas.basePrice / FUEL_PER_GAS_PRICE));
+  }
+
+  /**
+   * Fill the ship's tank, or as much of it as the ship can afford
+   * @param {Spaceship} ship - The refuelling ship
+   * @returns {{success: boolean, message: string}} Outcome of the purchase
+   */
+  refuel(ship) {
+    // Fuel is sold in whole units, topping the tank up to full
+    const wanted = Math.ceil(ship.maxFuel - ship.fuel - 1e-9);
+    if (wanted <= 0) {
+      return { success: false, message: 'Fuel tank is already full' };
+    }
+    const price = this.getFuelPrice();
+    const units = Math.min(wanted, Math.floor(ship.credits / price));
+    if (units <= 0) {
+      return { success: false, message: `Not enough credits (fuel costs ${price} per unit)` };
+    }
+
+    const cost = units * price;
+    ship.credits -= cost;
+    ship.fuel = Math.min(ship.maxFuel, ship.fuel + units);
+    return { success: true, message: `Bought ${units} fuel for ${cost} credits` };
+  }
+
+  /**
+   * Convert the market to plain data for saving
+   * @returns {{commodities: Array<Object>}} Serializable market state
+   */
+  serialize() {
+    return { commodities: this.commodities.map((entry) => ({ ...entry })) };
+  }
+
+  /**
+   * Recreate a market from saved data, without regenerating its prices
+   * @param {{commodities: Array<Object>}} data - Data from serialize()
+   * @returns {Market} The restored market
+   */
+  static deserialize(data) {
+    const market = Object.create(Market.prototype);
+    market.commodities = data.commodities.map((entry) => ({ ...entry }));
+    return market;
+  }
+}
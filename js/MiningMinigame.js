@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Resource-gathering minigame played on a planet's surface.
+ *
+ * Each deposit is shown as a node on a small canvas. Holding the mouse button
+ * over a node drills it. Drilling builds up heat: keeping the heat inside the
+ * optimal band drills faster, but letting it max out overheats the drill and
+ * forces a full cool-down.
+ */
+
+/**
+ * Drill progress per second at full richness (1 progress = 1 unit extracted)
+ * @type {number}
+ */
+const DRILL_RATE = 1.2;
+
+/**
+ * Heat gained per second while drilling
+ * @type {number}
+ */
+const HEAT_RATE = 0.35;
+
+/**
+ * Heat lost per second while not drilling
+ * @type {number}
+ */
+const COOL_RATE = 0.5;
+
+/**
+ * Heat range in which the drill works at bonus speed
+ * @type {{min: number, max: number, bonus: number}}
+ */
+const OPTIMAL_HEAT = { min: 0.5, max: 0.85, bonus: 1.75 };
+
+/**
+ * Canvas minigame for mining a planet's deposits
+ */
+export class MiningMinigame {
+  /**
+   * Create the minigame
+   * @param {HTMLCanvasElement} canvas - Canvas the minigame draws to
+   */
+  constructor(canvas) {
+    /** @type {HTMLCanvasElement} */
+    this.canvas = canvas;
+    /** @type {CanvasRenderingContext2D} */
+    this.ctx = canvas.getContext('2d');
+
+    /**
+     * Drawn deposit nodes
+     * @type {Array<{deposit: ResourceDeposit, x: number, y: number}>}
+     */
+    this.nodes = [];
+    /** @type {number} */
+    this.heat = 0;
+    /** @type {boolean} */
+    this.overheated = false;
+    /** @type {number} */
+    this.progress = 0;
+    /** @type {{x: number, y: number, down: boolean}} */
+    this.mouse = { x: -1, y: -1, down: false };
+    /** @type {boolean} */
+    this.running = false;
+    /** @type {Function | null} */
+    this.onExtract = null;
+
+    this.canvas.addEventListener('mousemove', (event) => {
+      const rect = this.canvas.getBoundingClientRect();
+      this.mouse.x = (event.clientX - rect.left) * (this.canvas.width / rect.width);
+      this.mouse.y = (event.clientY - rect.top) * (this.canvas.height / rect.height);
+    });
+    this.canvas.addEventListener('mousedown', () => {
+      this.mouse.down = true;
+    });
+    window.addEventListener('mouseup', () => {
+      this.mouse.down = false;
+    });
+    this.canvas.addEventListener('mouseleave', () => {
+      this.mouse.down = false;
+      this.mouse.x = -1;
+      this.mouse.y = -1;
+    });
+  }
+
+  /**
+   * Start a mining session
+   * @param {Array<ResourceDeposit>} deposits - The planet's deposits
+   * @param {function(ResourceDeposit): boolean} onExtract - Called each time a unit is drilled out.
+   *   Returns false if the unit could not be stored, which stops the drill.
+   */
+  start(deposits, onExtract) {
+    this.onExtract = onExtract;
+    this.heat = 0;
+    this.overheated = false;
+    this.progress = 0;
+    this.mouse.down = false;
+
+    // Spread the nodes evenly across the canvas
+    const spacing = this.canvas.width / (deposits.length + 1);
+    this.nodes = deposits.map((deposit, index) => ({
+      deposit,
+      x: spacing * (index + 1),
+      y: this.canvas.height * (index % 2 === 0 ? 0.45 : 0.6)
+    }));
+
+    this.running = true;
+    this.lastTime = performance.now();
+    requestAnimationFrame(this.loop.bind(this));
+  }
+
+  /**
+   * Stop the mining session
+   */
+  stop() {
+    this.running = false;
+    this.onExtract = null;
+  }
+
+  /**
+   * Minigame loop, runs only while a session is active
+   * @param {number} timestamp - Current timestamp
+   */
+  loop(timestamp) {
+    if (!this.running) return;
+
+    const deltaTime = Math.min(timestamp - this.lastTime, 100);
+    this.lastTime = timestamp;
+    this.update(deltaTime / 1000);
+    this.render();
+
+    requestAnimationFrame(this.loop.bind(this));
+  }
+
+  /**
+   * Get the radius a node is drawn with, shrinking as its deposit depletes
+   * @param {{deposit: ResourceDeposit}} node - The node
+   * @returns {number} Radius in pixels
+   */
+  getNodeRadius(node) {
+    return 12 + node.deposit.getRichness() * 28;
+  }
+
+  /**
+   * Find the node under the mouse cursor
+   * @returns {Object | null} The hovered node
+   */
+  getHoveredNode() {
+    for (const node of this.nodes) {
+      const dx = this.mouse.x - node.x;
+      const dy = this.mouse.y - node.y;
+      if (Math.sqrt(dx * dx + dy * dy) <= this.getNodeRadius(node)) {
+        return node;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Advance drilling and heat
+   * @param {number} seconds - Elapsed time in seconds
+   */
+  update(seconds) {
+    const node = this.getHoveredNode();
+    const drilling = this.mouse.down && node && !this.overheated && node.deposit.abundance >= 1;
+
+    if (drilling) {
+      this.heat = Math.min(1, this.heat + HEAT_RATE * seconds);
+      const inOptimalBand = this.heat >= OPTIMAL_HEAT.min && this.heat <= OPTIMAL_HEAT.max;
+      const speed = DRILL_RATE * (0.5 + node.deposit.getRichness()) * (inOptimalBand ? OPTIMAL_HEAT.bonus : 1);
+      this.progress += speed * seconds;
+
+      if (this.progress >= 1) {
+        this.progress = 0;
+        if (this.onExtract && !this.onExtract(node.deposit)) {
+          // Nowhere to put the unit, so stop drilling until the button is pressed again
+          this.mouse.down = false;
+        }
+      }
+
+      if (this.heat >= 1) {
+        this.overheated = true;
+        this.progress = 0;
+      }
+    } else {
+      this.heat = Math.max(0, this.heat - COOL_RATE * seconds);
+      if (this.overheated && this.heat === 0) {
+        this.overheated = false;
+      }
+    }
+  }
+
+  /**
+   * Draw the minigame
+   */
+  render() {
+    const ctx = this.ctx;
+    const { width, height } = this.canvas;
+
+    // Ground
+    ctx.fillStyle = '#1d140c';
+    ctx.fillRect(0, 0, width, height);
+
+    // Deposits
+    const hovered = this.getHoveredNode();
+    ctx.textAlign = 'center';
+    ctx.font = '12px Arial';
+    for (const node of this.nodes) {
+      const resource = node.deposit.getResourceType();
+      const radius = this.getNodeRadius(node);
+
+      ctx.beginPath();
+      ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+      ctx.fillStyle = node.deposit.abundance >= 1 ? resource.color : '#444444';
+      ctx.fill();
+      if (node === hovered) {
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      }
+
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText(resource.name, node.x, node.y + radius + 16);
+      ctx.fillText(`${Math.floor(node.deposit.abundance)}/${node.deposit.maxAbundance}`, node.x, node.y + radius + 30);
+    }
+
+    // Heat gauge with the optimal band highlighted
+    const gaugeX = 20;
+    const gaugeY = 20;
+    const gaugeWidth = width - 40;
+    const gaugeHeight = 12;
+    ctx.fillStyle = '#333333';
+    ctx.fillRect(gaugeX, gaugeY, gaugeWidth, gaugeHeight);
+    ctx.fillStyle = 'rgba(77, 255, 77, 0.35)';
+    ctx.fillRect(
+      gaugeX + gaugeWidth * OPTIMAL_HEAT.min,
+      gaugeY,
+      gaugeWidth * (OPTIMAL_HEAT.max - OPTIMAL_HEAT.min),
+      gaugeHeight
+    );
+    ctx.fillStyle = this.overheated ? '#ff4d4d' : '#ff9900';
+    ctx.fillRect(gaugeX, gaugeY, gaugeWidth * this.heat, gaugeHeight);
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(gaugeX, gaugeY, gaugeWidth, gaugeHeight);
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(this.overheated ? 'DRILL OVERHEATED - cooling down' : 'Drill heat', gaugeX, gaugeY + 28);
+
+    // Drill progress on the node being worked
+    if (hovered && this.mouse.down && !this.overheated) {
+      ctx.beginPath();
+      ctx.arc(hovered.x, hovered.y, this.getNodeRadius(hovered) + 6, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * this.progress);
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 3;
+      ctx.stroke();
+    }
+  }
+}
@@ -0,0 +1,467 @@
+/**
+ * @fileoverview Missions offered on planets' mission boards, and the system that
+ * tracks the player's active missions and pays them out.
+ */
+
+import { COMMODITIES } from './Market.js';
+import { createRng, distance, randomInt } from './utils.js';
+
+/**
+ * Most missions the player can have on at once
+ * @type {number}
+ */
+export const MAX_ACTIVE_MISSIONS = 3;
+
+/**
+ * How often each mission board puts up new offers, in seconds of simulation time
+ * @type {number}
+ */
+const OFFER_PERIOD = 300;
+
+/**
+ * Offers on a mission board at a time
+ * @type {number}
+ */
+const OFFERS_PER_BOARD = 3;
+
+/**
+ * Closest a mission's target may be to the planet offering it, in pixels, so
+ * no job is over as soon as the player takes off
+ * @type {number}
+ */
+const MIN_MISSION_RANGE = 1000;
+
+/**
+ * How close to a planet's edge a survey must fly, in pixels
+ * @type {number}
+ */
+export const SURVEY_RANGE = 400;
+
+/**
+ * Speed a courier is expected to average on the way, in pixels per second at
+ * a speed scale of 1, when working out how long the job allows. A little over
+ * half a ship's top speed.
+ * @type {number}
+ */
+const COURIER_PACE = 180;
+
+/**
+ * Where a mission sends the player. Planets are referenced by key, since the
+ * target may be unloaded, and placed by their star like codex entries.
+ * @typedef {{key: string, name: string, x: number, y: number}} MissionTarget
+ */
+
+/**
+ * Delivery: bring some units of a commodity to a planet. The player buys or
+ * mines the goods themselves; they are handed over on landing.
+ */
+export class DeliveryMission {
+  /**
+   * @param {Object} data - Mission details
+   * @param {string} data.id - Unique mission id
+   * @param {MissionTarget} data.target - Planet to deliver to
+   * @param {string} data.commodity - Commodity id
+   * @param {number} data.quantity - Units to deliver
+   * @param {number} data.reward - Credits paid on completion
+   */
+  constructor({ id, target, commodity, quantity, reward }) {
+    /** @type {string} */
+    this.type = 'delivery';
+    this.id = id;
+    this.target = target;
+    this.commodity = commodity;
+    this.quantity = quantity;
+    this.reward = reward;
+  }
+
+  /**
+   * Describe the mission for the mission board and tracker
+   * @returns {string} One-line summary
+   */
+  describe() {
+    const { name } = COMMODITIES.find((entry) => entry.id === this.commodity);
+    return `Deliver ${this.quantity} ${name} to ${this.target.name}`;
+  }
+
+  /**
+   * Describe how far along the mission is
+   * @param {Spaceship} ship - The player's ship
+   * @returns {string} Progress for the tracker
+   */
+  getProgress(ship) {
+    return `${Math.min(ship.cargo.getQuantity(this.commodity), this.quantity)}/${this.quantity} in hold`;
+  }
+
+  /**
+   * Hand the goods over if the player has landed on the target with enough of them
+   * @param {Planet} planet - The planet landed on
+   * @param {Spaceship} ship - The player's ship
+   * @returns {boolean} True if the mission is complete
+   */
+  checkLanding(planet, ship) {
+    if (planet.key !== this.target.key || ship.cargo.getQuantity(this.commodity) < this.quantity) return false;
+    ship.cargo.remove(this.commodity, this.quantity);
+    return true;
+  }
+
+  /**
+   * Convert the mission to plain data for saving
+   * @returns {Object} Serializable mission state
+   */
+  serialize() {
+    const { type, id, target, commodity, quantity, reward } = this;
+    return { type, id, target: { ...target }, commodity, quantity, reward };
+  }
+}
+
+/**
+ * Survey: fly within range of a planet
+ */
+export class SurveyMission {
+  /**
+   * @param {Object} data - Mission details
+   * @param {string} data.id - Unique mission id
+   * @param {MissionTarget} data.target - Planet to survey
+   * @param {number} data.reward - Credits paid on completion
+   */
+  constructor({ id, target, reward }) {
+    /** @type {string} */
+    this.type = 'survey';
+    this.id = id;
+    this.target = target;
+    this.reward = reward;
+  }
+
+  /**
+   * Describe the mission for the mission board and tracker
+   * @returns {string} One-line summary
+   */
+  describe() {
+    return `Survey ${this.target.name} from within ${SURVEY_RANGE}px`;
+  }
+
+  /**
+   * Describe how far along the mission is: how far the ship is from the planet's
+   * edge, or from its star if the planet can't be found
+   * @param {Spaceship} ship - The player's ship
+   * @param {number} time - Simulation time
+   * @param {ChunkManager} chunkManager - Finds the planet wherever it has got to on its orbit
+   * @returns {string} Progress for the tracker
+   */
+  getProgress(ship, time, chunkManager) {
+    const planet = chunkManager.getPlanetByKey(this.target.key);
+    if (!planet) {
+      return `${Math.round(distance(ship.x, ship.y, this.target.x, this.target.y))}px to its star`;
+    }
+    const { x, y } = planet.getPositionAt(time);
+    return `${Math.round(Math.max(0, distance(ship.x, ship.y, x, y) - planet.radius))}px from the planet`;
+  }
+
+  /**
+   * Check whether the player is close enough to the target. It can only be
+   * surveyed while its chunk is loaded, which it always is when the player is near.
+   * @param {Spaceship} ship - The player's ship
+   * @param {EntityManager} entityManager - The world's entities
+   * @returns {boolean} True if the mission is complete
+   */
+  checkArrival(ship, entityManager) {
+    return entityManager.findPlanetsInRadius(ship.x, ship.y, SURVEY_RANGE)
+      .some((planet) => planet.key === this.target.key);
+  }
+
+  /**
+   * Convert the mission to plain data for saving
+   * @returns {Object} Serializable mission state
+   */
+  serialize() {
+    const { type, id, target, reward } = this;
+    return { type, id, target: { ...target }, reward };
+  }
+}
+
+/**
+ * Courier: land on a planet before the time runs out. The clock starts when the
+ * job is accepted.
+ */
+export class CourierMission {
+  /**
+   * @param {Object} data - Mission details
+   * @param {string} data.id - Unique mission id
+   * @param {MissionTarget} data.target - Planet to land on
+   * @param {number} data.timeLimit - Seconds allowed from accepting the job
+   * @param {number} data.reward - Credits paid on completion
+   * @param {number | null} [data.deadline=null] - Simulation time the job fails at, once accepted
+   */
+  constructor({ id, target, timeLimit, reward, deadline = null }) {
+    /** @type {string} */
+    this.type = 'courier';
+    this.id = id;
+    this.target = target;
+    this.timeLimit = timeLimit;
+    this.reward = reward;
+    this.deadline = deadline;
+  }
+
+  /**
+   * Describe the mission for the mission board and tracker
+   * @returns {string} One-line summary
+   */
+  describe() {
+    return `Rush a package to ${this.target.name} within ${formatDuration(this.timeLimit)}`;
+  }
+
+  /**
+   * Describe how far along the mission is
+   * @param {Spaceship} ship - The player's ship
+   * @param {number} time - Simulation time
+   * @returns {string} Progress for the tracker
+   */
+  getProgress(ship, time) {
+    return `${formatDuration(Math.max(0, this.deadline - time))} left`;
+  }
+
+  /**
+   * Start the clock
+   * @param {number} time - Simulation time the job was accepted at
+   */
+  start(time) {
+    this.deadline = time + this.timeLimit;
+  }
+
+  /**
+   * Check whether the player has landed on the target
+   * @param {Planet} planet - The planet landed on
+   * @returns {boolean} True if the mission is complete
+   */
+  checkLanding(planet) {
+    return planet.key === this.target.key;
+  }
+
+  /**
+   * Check whether the time has run out
+   * @param {number} time - Simulation time
+   * @returns {boolean} True if the mission has failed
+   */
+  hasFailed(time) {
+    return time > this.deadline;
+  }
+
+  /**
+   * Convert the mission to plain data for saving
+   * @returns {Object} Serializable mission state
+   */
+  serialize() {
+    const { type, id, target, timeLimit, reward, deadline } = this;
+    return { type, id, target: { ...target }, timeLimit, reward, deadline };
+  }
+}
+
+/**
+ * Format a number of seconds as minutes and seconds
+ * @param {number} seconds - Duration
+ * @returns {string} E.g. "2:05"
+ */
+function formatDuration(seconds) {
+  const whole = Math.ceil(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Recreate a mission from saved data
+ * @param {Object} data - Data from a mission's serialize()
+ * @returns {Object | null} The restored mission, or null for an unknown type
+ */
+export function deserializeMission(data) {
+  switch (data.type) {
+    case 'delivery':
+      return new DeliveryMission(data);
+    case 'survey':
+      return new SurveyMission(data);
+    case 'courier':
+      return new CourierMission(data);
+    default:
+      console.warn(`Unknown mission type in save data: ${data.type}`);
+      return null;
+  }
+}
+
+/**
+ * Offers missions on planets' mission boards, and tracks the ones the player has
+ * accepted. Landings (from the InteractionSystem's 'landed' event) complete
+ * deliveries and courier jobs; every step the player's position completes
+ * surveys and the clock fails late courier jobs.
+ *
+ * Emits on the simulation:
+ * - 'missionAccepted' ({mission}) when the player takes on a mission
+ * - 'missionCompleted' ({mission}) when a mission is done and its reward paid
+ * - 'missionFailed' ({mission}) when a courier job runs out of time
+ */
+export class MissionSystem {
+  /**
+   * Creates an instance of the MissionSystem.
+   * @param {EntityManager} entityManager - The game's entity manager.
+   * @param {Simulation} simulation - The simulation, for its seed, time and events.
+   */
+  constructor(entityManager, simulation) {
+    this.entityManager = entityManager;
+    this.simulation = simulation;
+    /** @type {Array<DeliveryMission | SurveyMission | CourierMission>} */
+    this.activeMissions = [];
+    /**
+     * Ids of offers the player has accepted, so boards don't offer them again
+     * @type {Set<string>}
+     */
+    this.takenOffers = new Set();
+
+    simulation.on('landed', ({ planet }) => this.handleLanding(planet));
+  }
+
+  /**
+   * Get the missions on a planet's board. Offers are generated from the seed, the
+   * planet and the time, so a board shows the same ones until it next refreshes.
+   * @param {Planet} planet - The planet landed on
+   * @returns {Array<DeliveryMission | SurveyMission | CourierMission>} Offers not yet taken
+   */
+  getOffers(planet) {
+    const period = Math.floor(this.simulation.time / OFFER_PERIOD);
+    const rng = createRng(`${this.simulation.config.seed}:missions:${planet.key}:${period}`);
+    // Sorted so the offers don't depend on the order the chunks happened to load in
+    const destinations = this.entityManager.getAllPlanets()
+      .filter((candidate) => distance(planet.x, planet.y, candidate.x, candidate.y) >= MIN_MISSION_RANGE)
+      .sort((a, b) => (a.key < b.key ? -1 : 1));
+    if (destinations.length === 0) return [];
+
+    const offers = [];
+    for (let i = 0; i < OFFERS_PER_BOARD; i++) {
+      const destination = destinations[randomInt(0, destinations.length - 1, rng)];
+      const star = destination.getSystemStar();
+      const target = { key: destination.key, name: destination.name, x: Math.round(star.x), y: Math.round(star.y) };
+      const range = distance(planet.x, planet.y, destination.x, destination.y);
+      const id = `${planet.key}:${period}:${i}`;
+      const roll = rng();
+
+      let offer;
+      if (roll < 0.4) {
+        const commodity = COMMODITIES[randomInt(0, COMMODITIES.length - 1, rng)];
+        const quantity = randomInt(2, 6, rng);
+        offer = new DeliveryMission({
+          id,
+          target,
+          commodity: commodity.id,
+          quantity,
+          // Better than selling the goods, to make the trip worth it
+          reward: Math.round(quantity * commodity.basePrice * 1.5 + range * 0.05)
+        });
+      } else if (roll < 0.7) {
+        offer = new SurveyMission({ id, target, reward: Math.round(150 + range * 0.1) });
+      } else {
+        offer = new CourierMission({
+          id,
+          target,
+          timeLimit: Math.round(range / (COURIER_PACE * this.simulation.config.speedScale) + 30),
+          reward: Math.round(200 + range * 0.15)
+        });
+      }
+      if (!this.takenOffers.has(id)) offers.push(offer);
+    }
+    return offers;
+  }
+
+  /**
+   * Take on a mission from a planet's board
+   * @param {Planet} planet - The planet whose board it is on
+   * @param {string} id - The offer's id
+   * @returns {{success: boolean, message: string}} Outcome and a message for the player
+   */
+  accept(planet, id) {
+    const mission = this.getOffers(planet).find((offer) => offer.id === id);
+    if (!mission) {
+      return { success: false, message: 'That mission is no longer on offer' };
+    }
+    if (this.activeMissions.length >= MAX_ACTIVE_MISSIONS) {
+      return { success: false, message: `You can only take on ${MAX_ACTIVE_MISSIONS} missions at a time` };
+    }
+    if (mission.start) mission.start(this.simulation.time);
+    this.takenOffers.add(id);
+    this.activeMissions.push(mission);
+    this.simulation.emit('missionAccepted', { mission });
+    return { success: true, message: `Mission accepted: ${mission.describe()}` };
+  }
+
+  /**
+   * Complete surveys the player has reached and fail courier jobs that ran out
+   * of time. Call after the ships have moved.
+   */
+  update() {
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!playerShip) return;
+    for (const mission of [...this.activeMissions]) {
+      if (mission.hasFailed && mission.hasFailed(this.simulation.time)) {
+        this.finish(mission, 'missionFailed');
+      } else if (mission.checkArrival && mission.checkArrival(playerShip, this.entityManager)) {
+        this.finish(mission, 'missionCompleted');
+      }
+    }
+  }
+
+  /**
+   * Complete the missions that end on the planet the player has landed on
+   * @param {Planet} planet - The planet landed on
+   */
+  handleLanding(planet) {
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!playerShip) return;
+    for (const mission of [...this.activeMissions]) {
+      if (mission.checkLanding && mission.checkLanding(planet, playerShip)) {
+        this.finish(mission, 'missionCompleted');
+      }
+    }
+  }
+
+  /**
+   * End a mission, paying its reward if it was completed
+   * @param {Object} mission - An active mission
+   * @param {string} outcome - 'missionCompleted' or 'missionFailed'
+   */
+  finish(mission, outcome) {
+    this.activeMissions = this.activeMissions.filter((active) => active !== mission);
+    if (outcome === 'missionCompleted') {
+      this.entityManager.getPlayerShip().credits += mission.reward;
+    }
+    this.simulation.emit(outcome, { mission });
+  }
+
+  /**
+   * Describe each active mission and how far along it is, for the tracker
+   * @returns {Array<{id: string, summary: string, progress: string}>} One line per mission
+   */
+  getTracker() {
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!playerShip) return [];
+    return this.activeMissions.map((mission) => ({
+      id: mission.id,
+      summary: mission.describe(),
+      progress: mission.getProgress(playerShip, this.simulation.time, this.simulation.chunkManager)
+    }));
+  }
+
+  /**
+   * Convert the missions to plain data for saving
+   * @returns {{active: Array<Object>, taken: Array<string>}} Serializable mission state
+   */
+  serialize() {
+    return {
+      active: this.activeMissions.map((mission) => mission.serialize()),
+      taken: [...this.takenOffers]
+    };
+  }
+
+  /**
+   * Replace the missions with saved ones
+   * @param {{active: Array<Object>, taken: Array<string>}} data - Data from serialize()
+   */
+  restore(data) {
+    this.activeMissions = data.active.map(deserializeMission).filter(Boolean);
+    this.takenOffers = new Set(data.taken);
+  }
+}
@@ -0,0 +1,347 @@
+/**
+ * @fileoverview Shows remote players as ships and keeps the server informed of ours.
+ *
+ * Remote ship positions arrive in snapshots about 15 times a second. To move them
+ * smoothly, each remote ship is drawn slightly in the past (INTERPOLATION_DELAY),
+ * blending between the two snapshots either side of that moment.
+ */
+
+import { Spaceship } from './spaceship.js';
+import { normalizeAngle } from './utils.js';
+
+/**
+ * How often our ship state is sent, in seconds
+ * @type {number}
+ */
+const SEND_INTERVAL = 0.066;
+
+/**
+ * How far in the past remote ships are shown, in milliseconds
+ * @type {number}
+ */
+const INTERPOLATION_DELAY = 150;
+
+/**
+ * How long to keep extrapolating a remote ship when snapshots stop arriving, in milliseconds
+ * @type {number}
+ */
+const MAX_EXTRAPOLATION = 250;
+
+/**
+ * Snapshots kept per remote ship
+ * @type {number}
+ */
+const BUFFER_SIZE = 20;
+
+/**
+ * A ship flown by another player. Its position comes from the network, not from physics.
+ */
+export class RemoteShip extends Spaceship {
+  /**
+   * Create a remote ship
+   * @param {number} id - The player's id on the server
+   * @param {string} name - The player's name
+   * @param {number} width - Ship width
+   * @param {number} height - Ship height
+   */
+  constructor(id, name, width, height) {
+    super(0, 0, 0.3, width, height, {
+      faction: 'remote',
+      // Give every remote player their own stable color
+      color: `hsl(${(id * 137) % 360}, 80%, 60%)`
+    });
+    /** @type {boolean} */
+    this.isRemote = true;
+    /** @type {number} */
+    this.remoteId = id;
+    /** @type {string} */
+    this.name = name;
+    /**
+     * Received states, oldest first, stamped with server time
+     * @type {Array<{time: number, x: number, y: number, rotation: number, speed: number, vx: number, vy: number, thrusting: boolean, boosting: boolean}>}
+     */
+    this.snapshots = [];
+  }
+
+  /**
+   * Remote ships are moved by interpolate(), not by local physics
+   */
+  update() {}
+
+  /**
+   * Get the velocity last reported by the remote player, whichever way they fly
+   * @returns {{x: number, y: number}} Velocity in pixels per second
+   */
+  getVelocity() {
+    return { x: this.vx, y: this.vy };
+  }
+
+  /**
+   * Draw the ship with the player's name above it
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} offsetX - X offset for camera
+   * @param {number} offsetY - Y offset for camera
+   */
+  draw(ctx, offsetX, offsetY) {
+    super.draw(ctx, offsetX, offsetY);
+    ctx.fillStyle = this.color;
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(this.name, this.x - offsetX, this.y - offsetY - this.height - 4);
+  }
+
+  /**
+   * Record a state received from the server
+   * @param {number} time - Server time of the snapshot
+   * @param {Object} state - The ship state
+   */
+  addSnapshot(time, state) {
+    if (this.snapshots.length === 0) {
+      // First sighting: appear at the reported position straight away
+      this.x = state.x;
+      this.y = state.y;
+      this.rotation = state.rotation;
+      this.savePreviousState();
+    }
+    this.snapshots.push({ time, ...state });
+    if (this.snapshots.length > BUFFER_SIZE) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * Place the ship where it was at the given server time
+   * @param {number} renderTime - Server time to show
+   */
+  interpolate(renderTime) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return;
+
+    // Find the snapshots either side of the render time
+    let index = snapshots.length - 1;
+    while (index > 0 && snapshots[index - 1].time > renderTime) {
+      index--;
+    }
+    const next = snapshots[index];
+    const previous = snapshots[index - 1];
+
+    let state;
+    if (previous && previous.time <= renderTime && renderTime <= next.time) {
+      const t = (renderTime - previous.time) / Math.max(next.time - previous.time, 1);
+      state = {
+        x: previous.x + (next.x - previous.x) * t,
+        y: previous.y + (next.y - previous.y) * t,
+        rotation: previous.rotation + normalizeAngle(next.rotation - previous.rotation) * t,
+        speed: next.speed,
+        vx: next.vx,
+        vy: next.vy
+      };
+    } else if (renderTime > next.time) {
+      // Ran out of snapshots: carry on with the last velocity for a little while.
+      // That isn't along the heading for a Newtonian ship.
+      const seconds = Math.min(renderTime - next.time, MAX_EXTRAPOLATION) / 1000;
+      state = {
+        x: next.x + next.vx * seconds,
+        y: next.y + next.vy * seconds,
+        rotation: next.rotation,
+        speed: next.speed,
+        vx: next.vx,
+        vy: next.vy
+      };
+    } else {
+      state = next; // Render time is before anything we have
+    }
+
+    this.x = state.x;
+    this.y = state.y;
+    this.rotation = state.rotation;
+    this.speed = state.speed;
+    this.vx = state.vx;
+    this.vy = state.vy;
+    this.savePreviousState(); // Already smoothed, so there's nothing to blend between steps
+    this.keys.w = next.thrusting;
+    this.isBoosting = next.boosting;
+  }
+}
+
+/**
+ * Keeps remote players in the EntityManager in sync with the multiplayer server
+ */
+export class MultiplayerSystem {
+  /**
+   * Creates an instance of the MultiplayerSystem.
+   * @param {EntityManager} entityManager - The game's entity manager.
+   * @param {UI} ui - The game's UI manager (for join/leave messages).
+   * @param {NetworkClient} network - A joined network client.
+   * @param {Object} welcome - The server's welcome message.
+   * @param {{width: number, height: number}} shipSize - Size to draw remote ships at.
+   */
+  constructor(entityManager, ui, network, welcome, shipSize) {
+    this.entityManager = entityManager;
+    this.ui = ui;
+    this.network = network;
+    this.welcome = welcome;
+    this.shipSize = shipSize;
+
+    /**
+     * Remote ships by player id
+     * @type {Map<number, RemoteShip>}
+     */
+    this.remoteShips = new Map();
+    /**
+     * Estimated server time minus local time, in milliseconds. The welcome gives
+     * a first estimate; snapshots refine it.
+     * @type {number | null}
+     */
+    this.clockOffset = Number.isFinite(welcome.time) ? welcome.time - performance.now() : null;
+    /**
+     * Server time the world's clock started at, in milliseconds
+     * @type {number}
+     */
+    this.epoch = Number.isFinite(welcome.epoch) ? welcome.epoch : 0;
+    /** @type {number} */
+    this.sendTimer = 0;
+
+    network.on('snapshot', (message) => this.handleSnapshot(message));
+    network.on('playerJoined', (message) => {
+      this.addRemoteShip(message.id, message.name);
+      this.ui.showMessage(`${message.name} joined the galaxy`, 3000);
+    });
+    network.on('playerLeft', (message) => {
+      this.removeRemoteShip(message.id);
+      this.ui.showMessage(`${message.name} left the galaxy`, 3000);
+    });
+    network.on('disconnect', () => {
+      for (const id of [...this.remoteShips.keys()]) {
+        this.removeRemoteShip(id);
+      }
+      this.ui.showMessage('Lost connection to the multiplayer server', 4000);
+    });
+  }
+
+  /**
+   * Bring in the players already online and check our world matches the server's.
+   * Call once the starting chunks have been generated: their planets are what gets
+   * compared, since every player starts with the same chunks around the same point.
+   * Call it before the simulation takes up the world's clock, too, so they are
+   * compared where they are at time zero.
+   */
+  start() {
+    const planets = this.entityManager.getAllPlanets().map(({ name, x, y, radius }) => ({ name, x, y, radius }));
+    if (this.welcome.planets) {
+      const matches = this.welcome.planets.length === planets.length &&
+        this.welcome.planets.every((planet, i) => planet.x === planets[i].x && planet.y === planets[i].y);
+      if (!matches) {
+        console.warn('[MultiplayerSystem] Local planets differ from the shared world', this.welcome.planets, planets);
+        this.ui.showMessage('Warning: your galaxy differs from the server\'s. Is your game up to date?', 6000);
+      }
+    } else {
+      // First player in: describe the world for everyone who follows
+      this.network.send({ type: 'planets', planets });
+    }
+
+    // Their positions arrive with the next snapshot
+    for (const player of this.welcome.players) {
+      this.addRemoteShip(player.id, player.name);
+    }
+    this.ui.showMessage(`Joined the galaxy as ${this.network.name} (${this.welcome.players.length + 1} online)`, 4000);
+  }
+
+  /**
+   * Time on the world's clock, shared by every player: seconds since the server's
+   * epoch, going by our estimate of the server clock. Planets orbit on it, so all
+   * players see them in the same places.
+   * @returns {number} World time in seconds
+   */
+  getWorldTime() {
+    return Math.max(0, (performance.now() + (this.clockOffset ?? 0) - this.epoch) / 1000);
+  }
+
+  /**
+   * Add a ship for a remote player
+   * @param {number} id - Player id
+   * @param {string} name - Player name
+   * @returns {RemoteShip} The new (or existing) ship
+   */
+  addRemoteShip(id, name) {
+    if (this.remoteShips.has(id)) return this.remoteShips.get(id);
+    const ship = new RemoteShip(id, name, this.shipSize.width, this.shipSize.height);
+    this.remoteShips.set(id, ship);
+    this.entityManager.addSpaceship(ship);
+    return ship;
+  }
+
+  /**
+   * Remove a remote player's ship
+   * @param {number} id - Player id
+   */
+  removeRemoteShip(id) {
+    const ship = this.remoteShips.get(id);
+    if (!ship) return;
+    this.remoteShips.delete(id);
+    this.entityManager.removeSpaceship(ship);
+  }
+
+  /**
+   * Put the remote ships back into the EntityManager after it has been cleared (e.g. by loading a save)
+   */
+  restoreRemoteShips() {
+    for (const ship of this.remoteShips.values()) {
+      this.entityManager.addSpaceship(ship);
+    }
+  }
+
+  /**
+   * Store a snapshot's states in the remote ships' buffers
+   * @param {{time: number, players: Array<Object>}} message - Snapshot from the server
+   */
+  handleSnapshot(message) {
+    // Track the server clock. Network delay makes a snapshot look older than it is,
+    // so the largest offset seen is the one with the least delay.
+    const offset = message.time - performance.now();
+    this.clockOffset = this.clockOffset === null ? offset : Math.max(this.clockOffset, offset);
+
+    for (const player of message.players) {
+      if (player.id === this.network.id) continue;
+      const ship = this.remoteShips.get(player.id);
+      if (ship) {
+        ship.addSnapshot(message.time, player);
+      }
+    }
+  }
+
+  /**
+   * Move remote ships and send our own state. Runs every frame, whatever the game state,
+   * so other players keep moving while we're on a planet.
+   * @param {number} deltaTime - Time since the last frame in seconds
+   */
+  update(deltaTime) {
+    if (this.clockOffset !== null) {
+      const renderTime = performance.now() + this.clockOffset - INTERPOLATION_DELAY;
+      for (const ship of this.remoteShips.values()) {
+        ship.interpolate(renderTime);
+        this.entityManager.updateSpatialIndex(ship);
+      }
+    }
+
+    this.sendTimer += deltaTime;
+    const playerShip = this.entityManager.getPlayerShip();
+    if (playerShip && this.sendTimer >= SEND_INTERVAL) {
+      this.sendTimer = 0;
+      const velocity = playerShip.getVelocity();
+      this.network.send({
+        type: 'state',
+        state: {
+          x: playerShip.x,
+          y: playerShip.y,
+          rotation: playerShip.rotation,
+          speed: playerShip.speed,
+          vx: velocity.x,
+          vy: velocity.y,
+          thrusting: playerShip.keys.w,
+          boosting: playerShip.isBoosting
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Pronounceable planet names built from syllables. Every number
+ * has its own name, so numbering the planets of a world gives them all different ones.
+ */
+
+import { createRng } from './utils.js';
+
+/**
+ * Sounds that start a syllable. 'th' is safe among single letters because a
+ * consonant is always followed by a vowel, so a name can only be read one way.
+ * @type {Array<string>}
+ */
+const CONSONANTS = ['b', 'd', 'f', 'g', 'h', 'k', 'l', 'm', 'n', 'p', 'r', 's', 't', 'v', 'z', 'th'];
+
+/**
+ * Sounds that end a syllable
+ * @type {Array<string>}
+ */
+const VOWELS = ['a', 'e', 'i', 'o', 'u'];
+
+/**
+ * Sounds that may close a name after its last syllable
+ * @type {Array<string>}
+ */
+const ENDINGS = ['', 'n', 'r', 's', 'x', 'l', 'th', 'rn'];
+
+/**
+ * Fewest syllables in a name
+ * @type {number}
+ */
+const MIN_SYLLABLES = 2;
+
+/**
+ * Names with up to this many syllables are shuffled between numbers; longer ones
+ * are too many to shuffle with 32-bit arithmetic and are handed out in order
+ * @type {number}
+ */
+const MAX_SHUFFLED_SYLLABLES = 4;
+
+/**
+ * Rounds of mixing in the shuffle
+ * @type {number}
+ */
+const SHUFFLE_ROUNDS = 3;
+
+/**
+ * How many names there are with a number of syllables
+ * @param {number} syllables - Syllables in the name
+ * @returns {number} Count of names
+ */
+function namesWithSyllables(syllables) {
+  return (CONSONANTS.length * VOWELS.length) ** syllables * ENDINGS.length;
+}
+
+/**
+ * Mix a number of a few bits into another of the same bits. Each step (multiplying
+ * by an odd number, xoring in the high half, adding a key) can be undone, so no
+ * two numbers mix to the same one.
+ * @param {number} value - Number below 2 ** bits
+ * @param {number} bits - Bits in the number, at most 31
+ * @param {Array<number>} keys - One key per round
+ * @returns {number} Mixed number below 2 ** bits
+ */
+function mix(value, bits, keys) {
+  const mask = 2 ** bits - 1;
+  let x = value;
+  for (const key of keys) {
+    x = Math.imul(x, 0x2c1b3c6d) & mask;
+    x ^= x >>> Math.ceil(bits / 2);
+    x = (x + key) & mask;
+  }
+  return x;
+}
+
+/**
+ * Shuffle a number below a limit to another below it, the same way for the same
+ * keys and never two numbers to one. Numbers mixed past the limit are mixed again
+ * until they come back under it.
+ * @param {number} value - Number below the limit
+ * @param {number} limit - How many numbers are shuffled
+ * @param {Array<number>} keys - Shuffle keys
+ * @returns {number} Shuffled number below the limit
+ */
+function shuffle(value, limit, keys) {
+  const bits = Math.max(1, Math.ceil(Math.log2(limit)));
+  let x = value;
+  do {
+    x = mix(x, bits, keys);
+  } while (x >= limit);
+  return x;
+}
+
+/**
+ * Get the name for a number. Different numbers always get different names, and
+ * the same number and seed always the same name. Names start at two syllables
+ * and get longer once the shorter ones run out; with the seed shuffling which
+ * number gets which name, each world names its planets differently.
+ * @param {number} number - Non-negative integer
+ * @param {number|string} seed - World seed
+ * @returns {string} Capitalized name such as "Vesorin"
+ */
+export function nameForNumber(number, seed) {
+  // Names of each length follow all the shorter ones; the number of vowels tells them apart
+  let syllables = MIN_SYLLABLES;
+  let index = number;
+  while (index >= namesWithSyllables(syllables)) {
+    index -= namesWithSyllables(syllables);
+    syllables++;
+  }
+  if (syllables <= MAX_SHUFFLED_SYLLABLES) {
+    const rng = createRng(`${seed}:names:${syllables}`);
+    const keys = Array.from({ length: SHUFFLE_ROUNDS }, () => Math.floor(rng() * 0x80000000));
+    index = shuffle(index, namesWithSyllables(syllables), keys);
+  }
+
+  // Read the number off in digits of endings and syllables
+  const ending = ENDINGS[index % ENDINGS.length];
+  index = Math.floor(index / ENDINGS.length);
+  let name = '';
+  for (let i = 0; i < syllables; i++) {
+    const syllable = index % (CONSONANTS.length * VOWELS.length);
+    index = Math.floor(index / (CONSONANTS.length * VOWELS.length));
+    name += CONSONANTS[Math.floor(syllable / VOWELS.length)] + VOWELS[syllable % VOWELS.length];
+  }
+  name += ending;
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
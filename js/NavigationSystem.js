@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Navigation: the player's waypoint, and the fog of war recording
+ * which parts of space they have explored.
+ */
+
+import { SENSOR_RANGE } from './DiscoverySystem.js';
+import { distance } from './utils.js';
+
+/**
+ * Width and height of a fog of war cell, in pixels. Space is explored a cell at a time.
+ * @type {number}
+ */
+export const FOG_CELL_SIZE = 1000;
+
+/**
+ * How close the player must come to a waypoint for it to count as reached, in
+ * pixels from the point, or from the edge of a star or planet
+ * @type {number}
+ */
+export const WAYPOINT_ARRIVAL_RANGE = 200;
+
+/**
+ * Get the key of the fog of war cell containing a point
+ * @param {number} x - World X coordinate
+ * @param {number} y - World Y coordinate
+ * @returns {string} Key such as "-3,7"
+ */
+export function fogCellKey(x, y) {
+  return `${Math.floor(x / FOG_CELL_SIZE)},${Math.floor(y / FOG_CELL_SIZE)}`;
+}
+
+/**
+ * Keeps the waypoint the player has set on the galaxy map and the cells of
+ * space their sensors have swept. A waypoint on a planet follows the planet
+ * along its orbit, even while its chunk is unloaded.
+ *
+ * Emits on the simulation:
+ * - 'waypointSet' ({waypoint}) when a waypoint is set, or ({waypoint: null}) when it is cleared
+ * - 'waypointReached' ({waypoint}) when the player gets to the waypoint, which clears it
+ */
+export class NavigationSystem {
+  /**
+   * Creates an instance of the NavigationSystem.
+   * @param {EntityManager} entityManager - The game's entity manager.
+   * @param {Simulation} simulation - The simulation, for its chunks, time and events.
+   */
+  constructor(entityManager, simulation) {
+    this.entityManager = entityManager;
+    this.simulation = simulation;
+    /**
+     * Where the player is heading: a star or planet (by key, with its radius) or
+     * a point in space, with a name to show for it. Planet waypoints keep where
+     * the planet was last seen.
+     * @type {{x: number, y: number, name: string, key: string | null, radius: number} | null}
+     */
+    this.waypoint = null;
+    /** @type {Set<string>} Keys of the fog of war cells the player has explored */
+    this.explored = new Set();
+  }
+
+  /**
+   * Explore the cells around the player and check whether they have reached
+   * their waypoint. Call after the ships have moved.
+   */
+  update() {
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!playerShip) return;
+
+    this.exploreAround(playerShip.x, playerShip.y, SENSOR_RANGE);
+
+    if (!this.waypoint) return;
+    const target = this.getWaypointPosition();
+    const gap = distance(playerShip.x, playerShip.y, target.x, target.y) - this.waypoint.radius;
+    if (gap < WAYPOINT_ARRIVAL_RANGE) {
+      const waypoint = this.waypoint;
+      this.waypoint = null;
+      this.simulation.emit('waypointReached', { waypoint });
+    }
+  }
+
+  /**
+   * Mark every cell within a radius of a point as explored
+   * @param {number} x - World X coordinate
+   * @param {number} y - World Y coordinate
+   * @param {number} radius - Radius in pixels
+   */
+  exploreAround(x, y, radius) {
+    const minX = Math.floor((x - radius) / FOG_CELL_SIZE);
+    const maxX = Math.floor((x + radius) / FOG_CELL_SIZE);
+    const minY = Math.floor((y - radius) / FOG_CELL_SIZE);
+    const maxY = Math.floor((y + radius) / FOG_CELL_SIZE);
+    for (let cy = minY; cy <= maxY; cy++) {
+      for (let cx = minX; cx <= maxX; cx++) {
+        // Closest point of the cell to the center
+        const nearestX = Math.max(cx * FOG_CELL_SIZE, Math.min(x, (cx + 1) * FOG_CELL_SIZE));
+        const nearestY = Math.max(cy * FOG_CELL_SIZE, Math.min(y, (cy + 1) * FOG_CELL_SIZE));
+        if (distance(x, y, nearestX, nearestY) <= radius) {
+          this.explored.add(`${cx},${cy}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check whether the player has explored the cell containing a point
+   * @param {number} x - World X coordinate
+   * @param {number} y - World Y coordinate
+   * @returns {boolean} True if the cell has been explored
+   */
+  isExplored(x, y) {
+    return this.explored.has(fogCellKey(x, y));
+  }
+
+  /**
+   * Head for a star, a planet or a point in space
+   * @param {Star | Planet | {x: number, y: number}} target - A star or planet, or a world position
+   */
+  setWaypoint(target) {
+    this.waypoint = target.key
+      ? { x: target.x, y: target.y, name: target.name, key: target.key, radius: target.radius }
+      : { x: target.x, y: target.y, name: 'Waypoint', key: null, radius: 0 };
+    this.simulation.emit('waypointSet', { waypoint: this.waypoint });
+  }
+
+  /**
+   * Set the waypoint to the next planet on the sensors, nearest first, going
+   * round to the nearest again after the furthest
+   * @returns {Planet | null} The new target, or null with no planets in sensor range
+   */
+  cycleTarget() {
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!playerShip) return null;
+    const planets = this.entityManager.findPlanetsInRadius(playerShip.x, playerShip.y, SENSOR_RANGE);
+    if (planets.length === 0) return null;
+    const current = this.waypoint ? planets.findIndex((planet) => planet.key === this.waypoint.key) : -1;
+    const next = planets[(current + 1) % planets.length];
+    this.setWaypoint(next);
+    return next;
+  }
+
+  /**
+   * Stop heading anywhere
+   */
+  clearWaypoint() {
+    if (!this.waypoint) return;
+    this.waypoint = null;
+    this.simulation.emit('waypointSet', { waypoint: null });
+  }
+
+  /**
+   * Get where the waypoint is now. A planet waypoint is wherever the planet has
+   * got to on its orbit; stars and points in space stay put.
+   * @returns {{x: number, y: number} | null} World position, or null with no waypoint
+   */
+  getWaypointPosition() {
+    if (!this.waypoint) return null;
+    if (this.waypoint.key && !this.waypoint.key.endsWith(':star')) {
+      const planet = this.simulation.chunkManager.getPlanetByKey(this.waypoint.key);
+      if (planet) {
+        const { x, y } = planet.getPositionAt(this.simulation.time);
+        this.waypoint.x = x;
+        this.waypoint.y = y;
+      }
+    }
+    return { x: this.waypoint.x, y: this.waypoint.y };
+  }
+
+  /**
+   * Convert the waypoint and explored cells to plain data for saving
+   * @returns {{waypoint: Object | null, explored: Array<string>}}
+   */
+  serialize() {
+    return {
+      waypoint: this.waypoint && { ...this.waypoint },
+      explored: [...this.explored]
+    };
+  }
+
+  /**
+   * Replace the waypoint and explored cells with saved ones
+   * @param {{waypoint: Object | null, explored: Array<string>}} data - Data from serialize()
+   */
+  restore(data) {
+    this.waypoint = data.waypoint && { ...data.waypoint };
+    this.explored = new Set(data.explored);
+  }
+}
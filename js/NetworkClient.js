@@ -0,0 +1,140 @@
+/**
+ * @fileoverview WebSocket connection to the multiplayer server (see server/multiplayer.js).
+ */
+
+/**
+ * How long to wait for the server's welcome before giving up, in milliseconds
+ * @type {number}
+ */
+const CONNECT_TIMEOUT = 3000;
+
+/**
+ * Connection to a shared multiplayer world
+ */
+export class NetworkClient {
+  /**
+   * Create the client. Call connect() to join.
+   * @param {string} url - WebSocket URL of the multiplayer endpoint
+   * @param {string} [name] - Player name shown to others (the server picks one if omitted)
+   */
+  constructor(url, name) {
+    /** @type {string} */
+    this.url = url;
+    /** @type {string | undefined} */
+    this.name = name;
+    /** @type {WebSocket | null} */
+    this.socket = null;
+    /**
+     * Our player id, assigned by the server
+     * @type {number | null}
+     */
+    this.id = null;
+    /**
+     * Message handlers by message type
+     * @type {Object<string, Function>}
+     */
+    this.handlers = {};
+  }
+
+  /**
+   * Get the multiplayer URL of the server the page was loaded from
+   * @returns {string} WebSocket URL
+   */
+  static defaultUrl() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${protocol}//${window.location.host}/ws`;
+  }
+
+  /**
+   * Connect and join the world
+   * @returns {Promise<Object>} The server's welcome message ({id, name, seed, planets, players})
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url);
+      this.socket = socket;
+
+      const timeout = setTimeout(() => {
+        socket.close();
+        reject(new Error('Timed out joining multiplayer server'));
+      }, CONNECT_TIMEOUT);
+
+      socket.addEventListener('open', () => {
+        this.send({ type: 'join', name: this.name });
+      });
+
+      socket.addEventListener('message', (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          console.warn('Ignoring malformed multiplayer message');
+          return;
+        }
+
+        if (message.type === 'welcome' && this.id === null) {
+          clearTimeout(timeout);
+          this.id = message.id;
+          this.name = message.name;
+          resolve(message);
+          return;
+        }
+        const handler = this.handlers[message.type];
+        if (handler) {
+          handler(message);
+        }
+      });
+
+      socket.addEventListener('error', () => {
+        clearTimeout(timeout);
+        reject(new Error('Could not reach multiplayer server'));
+      });
+
+      socket.addEventListener('close', () => {
+        clearTimeout(timeout);
+        const wasJoined = this.id !== null;
+        this.socket = null;
+        if (wasJoined && this.handlers.disconnect) {
+          this.handlers.disconnect();
+        }
+      });
+    });
+  }
+
+  /**
+   * Register a handler for a server message type ('snapshot', 'playerJoined', 'playerLeft'),
+   * or 'disconnect' for losing the connection
+   * @param {string} type - Message type
+   * @param {Function} handler - Called with the message
+   */
+  on(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Check whether the connection is open
+   * @returns {boolean} True if messages can be sent
+   */
+  isConnected() {
+    return Boolean(this.socket && this.socket.readyState === WebSocket.OPEN);
+  }
+
+  /**
+   * Send a message to the server, if connected
+   * @param {Object} message - The message
+   */
+  send(message) {
+    if (this.isConnected()) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Leave the world
+   */
+  close() {
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+}
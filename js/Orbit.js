@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Elliptical (Keplerian) orbits. A body's position on its orbit is
+ * a pure function of time, so it never drifts and can be worked out for any
+ * moment without stepping through the ones before it.
+ */
+
+/**
+ * Newton iterations used to solve Kepler's equation. Orbits here are nearly
+ * circular, where a handful is already exact to well under a pixel.
+ * @type {number}
+ */
+const KEPLER_ITERATIONS = 6;
+
+/**
+ * An ellipse around a parent body, which sits at one focus
+ */
+export class Orbit {
+  /**
+   * Create an orbit
+   * @param {Object} params - Orbit parameters
+   * @param {number} params.semiMajorAxis - Half the ellipse's long axis, in pixels
+   * @param {number} [params.eccentricity=0] - 0 for a circle, up to (not including) 1
+   * @param {number} [params.argumentOfPeriapsis=0] - Direction of the closest approach, in radians
+   * @param {number} params.period - Seconds for one full orbit
+   * @param {number} [params.phase=0] - Mean anomaly at time 0, in radians
+   * @param {number} [params.direction=1] - 1 for clockwise on screen, -1 for counterclockwise
+   */
+  constructor({ semiMajorAxis, eccentricity = 0, argumentOfPeriapsis = 0, period, phase = 0, direction = 1 }) {
+    /** @type {number} */
+    this.semiMajorAxis = semiMajorAxis;
+    /** @type {number} */
+    this.eccentricity = eccentricity;
+    /** @type {number} */
+    this.argumentOfPeriapsis = argumentOfPeriapsis;
+    /** @type {number} */
+    this.period = period;
+    /** @type {number} */
+    this.phase = phase;
+    /** @type {number} */
+    this.direction = direction;
+  }
+
+  /**
+   * Closest distance to the parent
+   * @type {number}
+   */
+  get periapsis() {
+    return this.semiMajorAxis * (1 - this.eccentricity);
+  }
+
+  /**
+   * Furthest distance from the parent
+   * @type {number}
+   */
+  get apoapsis() {
+    return this.semiMajorAxis * (1 + this.eccentricity);
+  }
+
+  /**
+   * Get the point of the ellipse at an eccentric anomaly, relative to the parent
+   * @param {number} eccentricAnomaly - Angle parameter of the ellipse, in radians
+   * @returns {{x: number, y: number}} Offset from the parent
+   */
+  getPoint(eccentricAnomaly) {
+    const a = this.semiMajorAxis;
+    const e = this.eccentricity;
+    const b = a * Math.sqrt(1 - e * e);
+    // Position in the orbit's own frame, with the parent at the origin and periapsis along +x
+    const px = a * (Math.cos(eccentricAnomaly) - e);
+    const py = b * Math.sin(eccentricAnomaly) * this.direction;
+    const cos = Math.cos(this.argumentOfPeriapsis);
+    const sin = Math.sin(this.argumentOfPeriapsis);
+    return { x: px * cos - py * sin, y: px * sin + py * cos };
+  }
+
+  /**
+   * Get the body's position at a moment, relative to the parent
+   * @param {number} time - Simulation time in seconds
+   * @returns {{x: number, y: number}} Offset from the parent
+   */
+  getOffset(time) {
+    const e = this.eccentricity;
+    const meanAnomaly = this.phase + (time / this.period) * Math.PI * 2;
+    // Solve Kepler's equation, M = E - e sin E, for the eccentric anomaly E
+    let eccentricAnomaly = meanAnomaly;
+    for (let i = 0; i < KEPLER_ITERATIONS; i++) {
+      eccentricAnomaly -= (eccentricAnomaly - e * Math.sin(eccentricAnomaly) - meanAnomaly) /
+        (1 - e * Math.cos(eccentricAnomaly));
+    }
+    return this.getPoint(eccentricAnomaly);
+  }
+
+  /**
+   * Get points around the whole ellipse, for drawing its path
+   * @param {number} [segments=48] - Number of points
+   * @returns {Array<{x: number, y: number}>} Offsets from the parent
+   */
+  getPath(segments = 48) {
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+      points.push(this.getPoint((i / segments) * Math.PI * 2));
+    }
+    return points;
+  }
+}
@@ -0,0 +1,444 @@
+/**
+ * @fileoverview Particle effects: engine exhaust, afterburner sparks, dust and
+ * explosions. Particles live in a fixed pool, so however much is going on there
+ * are never more of them to move and draw than the budget allows.
+ */
+
+import { clamp } from './utils.js';
+
+/**
+ * Most particles alive at once, unless the system is given another budget
+ * @type {number}
+ */
+export const PARTICLE_BUDGET = 1500;
+
+/**
+ * How particles look and move, by name. Emitters spawn `rate` particles a second
+ * and bursts `count` at once; each flies off at a `speed` within `spread` radians
+ * either side of the direction it is given, keeps `inherit` of its emitter's
+ * velocity and slows by `drag` per second. Over its `lifetime` (seconds) it grows
+ * or shrinks between the `size`s, fades between the `alpha`s and blends between
+ * the `colors`. 'circle' particles are soft puffs; 'spark' ones are streaks along
+ * their motion. `blend` is the canvas compositing they are drawn with.
+ * @type {Object<string, Object>}
+ */
+export const PARTICLE_PRESETS = {
+  exhaust: {
+    rate: 70,
+    count: 10,
+    lifetime: { min: 0.3, max: 0.6 },
+    speed: { min: 60, max: 110 },
+    spread: 0.25,
+    inherit: 0.6,
+    drag: 2,
+    size: { start: 3, end: 7 },
+    alpha: { start: 0.5, end: 0 },
+    colors: { start: { r: 140, g: 200, b: 255 }, end: { r: 40, g: 70, b: 160 } },
+    shape: 'circle',
+    blend: 'lighter'
+  },
+  boost: {
+    rate: 90,
+    count: 20,
+    lifetime: { min: 0.2, max: 0.45 },
+    speed: { min: 180, max: 320 },
+    spread: 0.45,
+    inherit: 0.6,
+    drag: 1,
+    size: { start: 2, end: 1 },
+    alpha: { start: 1, end: 0 },
+    colors: { start: { r: 255, g: 230, b: 140 }, end: { r: 255, g: 60, b: 0 } },
+    shape: 'spark',
+    blend: 'lighter'
+  },
+  dust: {
+    rate: 30,
+    count: 48,
+    lifetime: { min: 0.8, max: 1.6 },
+    speed: { min: 30, max: 120 },
+    spread: Math.PI,
+    inherit: 0,
+    drag: 2.5,
+    size: { start: 4, end: 16 },
+    alpha: { start: 0.45, end: 0 },
+    colors: { start: { r: 200, g: 190, b: 170 }, end: { r: 120, g: 110, b: 100 } },
+    shape: 'circle',
+    blend: 'source-over'
+  },
+  explosion: {
+    rate: 60,
+    count: 70,
+    lifetime: { min: 0.5, max: 1.3 },
+    speed: { min: 20, max: 160 },
+    spread: Math.PI,
+    inherit: 0.3,
+    drag: 1.8,
+    size: { start: 9, end: 2 },
+    alpha: { start: 0.9, end: 0 },
+    colors: { start: { r: 255, g: 240, b: 190 }, end: { r: 230, g: 50, b: 10 } },
+    shape: 'circle',
+    blend: 'lighter'
+  },
+  debris: {
+    rate: 40,
+    count: 30,
+    lifetime: { min: 0.6, max: 1.5 },
+    speed: { min: 120, max: 340 },
+    spread: Math.PI,
+    inherit: 0.3,
+    drag: 0.8,
+    size: { start: 1.5, end: 1 },
+    alpha: { start: 1, end: 0 },
+    colors: { start: { r: 255, g: 255, b: 220 }, end: { r: 255, g: 120, b: 40 } },
+    shape: 'spark',
+    blend: 'lighter'
+  }
+};
+
+/**
+ * How long a spark's streak is, as the distance it covers in this many seconds
+ * @type {number}
+ */
+const SPARK_STREAK = 0.04;
+
+/**
+ * A number between a range's min and max
+ * @param {{min: number, max: number}} range - The range
+ * @param {Function} random - Random number generator
+ * @returns {number} A number in the range
+ */
+function between(range, random) {
+  return range.min + (range.max - range.min) * random();
+}
+
+/**
+ * A point on the way from one number to another
+ * @param {number} from - Start
+ * @param {number} to - End
+ * @param {number} t - How far along, from 0 to 1
+ * @returns {number} The number t of the way from start to end
+ */
+function lerp(from, to, t) {
+  return from + (to - from) * t;
+}
+
+/**
+ * A source of particles that keeps spawning them while it is active, such as a
+ * ship's engine. Whoever owns it moves it along every frame.
+ */
+export class ParticleEmitter {
+  /**
+   * Create an emitter. Use ParticleSystem.createEmitter rather than calling this.
+   * @param {string} preset - Name of the preset it spawns
+   */
+  constructor(preset) {
+    /** @type {string} */
+    this.preset = preset;
+    /** @type {boolean} Whether it is spawning particles */
+    this.active = false;
+    /** @type {number} Multiplies the preset's rate, e.g. by the throttle */
+    this.intensity = 1;
+    /** @type {number} */
+    this.x = 0;
+    /** @type {number} */
+    this.y = 0;
+    /** @type {number} Direction particles fly off in, in radians */
+    this.angle = 0;
+    /** @type {number} Emitter velocity, partly passed on to its particles */
+    this.vx = 0;
+    /** @type {number} */
+    this.vy = 0;
+    /**
+     * Where it was when it last spawned, so particles spawned between frames are
+     * spread along the way it came rather than bunched at one point
+     * @type {{x: number, y: number} | null}
+     */
+    this.last = null;
+    /** @type {number} Particles owed to the next update, less than one */
+    this.pending = 0;
+  }
+
+  /**
+   * Move the emitter
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} angle - Direction particles fly off in, in radians
+   * @param {number} [vx=0] - X velocity in pixels per second
+   * @param {number} [vy=0] - Y velocity in pixels per second
+   */
+  moveTo(x, y, angle, vx = 0, vy = 0) {
+    this.x = x;
+    this.y = y;
+    this.angle = angle;
+    this.vx = vx;
+    this.vy = vy;
+  }
+}
+
+/**
+ * Pooled particles and the emitters that spawn them. It is purely visual, so it
+ * lives with the renderer rather than the simulation and uses Math.random rather
+ * than the world's random numbers.
+ */
+export class ParticleSystem {
+  /**
+   * Create a particle system
+   * @param {Object} [options] - Particle system options
+   * @param {number} [options.budget=PARTICLE_BUDGET] - Most particles alive at once
+   * @param {Object<string, Object>} [options.presets] - Presets to add, or settings to change in
+   *   the standard ones (e.g. `{ exhaust: { rate: 30 } }`)
+   * @param {Function} [options.random=Math.random] - Random number generator
+   */
+  constructor(options = {}) {
+    /** @type {Object<string, Object>} */
+    this.presets = {};
+    for (const [name, preset] of Object.entries(PARTICLE_PRESETS)) {
+      this.definePreset(name, preset);
+    }
+    for (const [name, preset] of Object.entries(options.presets || {})) {
+      this.definePreset(name, preset);
+    }
+    /** @type {Function} */
+    this.random = options.random || Math.random;
+
+    /**
+     * Every particle there can be, alive or not. New particles take the slot
+     * after the last one spawned, so once the budget is spent each replaces the
+     * oldest particle rather than adding to the work.
+     * @type {Array<Object>}
+     * @private
+     */
+    this.pool = Array.from({ length: Math.max(1, options.budget ?? PARTICLE_BUDGET) }, () => ({
+      alive: false, x: 0, y: 0, vx: 0, vy: 0, age: 0, lifetime: 1, scale: 1, preset: null, colors: null
+    }));
+    /**
+     * Slot the next particle is spawned into
+     * @type {number}
+     * @private
+     */
+    this.cursor = 0;
+    /** @type {number} Particles alive */
+    this.count = 0;
+    /** @type {Set<ParticleEmitter>} */
+    this.emitters = new Set();
+  }
+
+  /**
+   * Most particles alive at once
+   * @type {number}
+   */
+  get budget() {
+    return this.pool.length;
+  }
+
+  /**
+   * Add a preset, or change settings of an existing one. Settings left out keep
+   * their current values, or the exhaust preset's for a new preset.
+   * @param {string} name - Preset name
+   * @param {Object} settings - Settings (see PARTICLE_PRESETS)
+   */
+  definePreset(name, settings) {
+    this.presets[name] = { ...(this.presets[name] || this.presets.exhaust || PARTICLE_PRESETS.exhaust), ...settings };
+  }
+
+  /**
+   * Look up a preset by name
+   * @param {string} name - Preset name
+   * @returns {Object} The preset
+   * @private
+   */
+  getPreset(name) {
+    const preset = this.presets[name];
+    if (!preset) {
+      throw new Error(`Unknown particle preset: ${name}`);
+    }
+    return preset;
+  }
+
+  /**
+   * Add an emitter. It does nothing until it is moved into place and made active.
+   * @param {string} preset - Name of the preset it spawns
+   * @returns {ParticleEmitter} The emitter
+   */
+  createEmitter(preset) {
+    this.getPreset(preset);
+    const emitter = new ParticleEmitter(preset);
+    this.emitters.add(emitter);
+    return emitter;
+  }
+
+  /**
+   * Remove an emitter. Particles it spawned live out their lives.
+   * @param {ParticleEmitter} emitter - The emitter
+   */
+  removeEmitter(emitter) {
+    this.emitters.delete(emitter);
+  }
+
+  /**
+   * Spawn a preset's burst of particles at once, e.g. for an explosion
+   * @param {string} presetName - Preset name
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {Object} [options] - Burst options
+   * @param {number} [options.count] - Particles to spawn, the preset's count if not given
+   * @param {number} [options.angle=0] - Direction they fly off in, in radians
+   * @param {number} [options.vx=0] - X velocity of what they come from
+   * @param {number} [options.vy=0] - Y velocity of what they come from
+   * @param {number} [options.scale=1] - Multiplies their size and speed, e.g. for a bigger ship
+   * @param {{start: Object, end: Object}} [options.colors] - Colours to use instead of the preset's
+   */
+  burst(presetName, x, y, options = {}) {
+    const preset = this.getPreset(presetName);
+    const count = Math.round(options.count ?? preset.count);
+    for (let i = 0; i < count; i++) {
+      this.spawn(preset, x, y, options.angle || 0, options.vx || 0, options.vy || 0, options.scale ?? 1, options.colors);
+    }
+  }
+
+  /**
+   * Start a particle in the next slot of the pool
+   * @param {Object} preset - Preset it follows
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} angle - Direction it flies off in, in radians
+   * @param {number} vx - X velocity of what it comes from
+   * @param {number} vy - Y velocity of what it comes from
+   * @param {number} scale - Multiplies its size and speed
+   * @param {{start: Object, end: Object}} [colors] - Colours to use instead of the preset's
+   * @returns {Object} The particle
+   * @private
+   */
+  spawn(preset, x, y, angle, vx, vy, scale, colors) {
+    const particle = this.pool[this.cursor];
+    this.cursor = (this.cursor + 1) % this.pool.length;
+    if (!particle.alive) this.count++;
+
+    const direction = angle + (this.random() * 2 - 1) * preset.spread;
+    const speed = between(preset.speed, this.random) * scale;
+    particle.alive = true;
+    particle.x = x;
+    particle.y = y;
+    particle.vx = Math.cos(direction) * speed + vx * preset.inherit;
+    particle.vy = Math.sin(direction) * speed + vy * preset.inherit;
+    particle.age = 0;
+    particle.lifetime = between(preset.lifetime, this.random);
+    particle.scale = scale;
+    particle.preset = preset;
+    particle.colors = colors || preset.colors;
+    return particle;
+  }
+
+  /**
+   * Age and move a particle, letting it go once its life is over
+   * @param {Object} particle - A live particle
+   * @param {number} deltaTime - Seconds to advance it by
+   * @private
+   */
+  advance(particle, deltaTime) {
+    particle.age += deltaTime;
+    if (particle.age >= particle.lifetime) {
+      particle.alive = false;
+      this.count--;
+      return;
+    }
+    const slowdown = Math.exp(-particle.preset.drag * deltaTime);
+    particle.vx *= slowdown;
+    particle.vy *= slowdown;
+    particle.x += particle.vx * deltaTime;
+    particle.y += particle.vy * deltaTime;
+  }
+
+  /**
+   * Move every particle on, then spawn what the active emitters owe
+   * @param {number} deltaTime - Seconds since the last update
+   */
+  update(deltaTime) {
+    for (const particle of this.pool) {
+      if (particle.alive) this.advance(particle, deltaTime);
+    }
+
+    for (const emitter of this.emitters) {
+      if (!emitter.active) {
+        emitter.last = null;
+        emitter.pending = 0;
+        continue;
+      }
+      const preset = this.getPreset(emitter.preset);
+      const from = emitter.last || emitter;
+      emitter.pending += preset.rate * emitter.intensity * deltaTime;
+      const count = Math.floor(emitter.pending);
+      emitter.pending -= count;
+      for (let i = 0; i < count; i++) {
+        // Spread along the way the emitter came, aged as if spawned on the way,
+        // so a fast ship leaves an even trail rather than clumps a frame apart
+        const t = (i + 1) / count;
+        const particle = this.spawn(preset, lerp(from.x, emitter.x, t), lerp(from.y, emitter.y, t),
+          emitter.angle, emitter.vx, emitter.vy, 1);
+        this.advance(particle, (1 - t) * deltaTime);
+      }
+      emitter.last = { x: emitter.x, y: emitter.y };
+    }
+  }
+
+  /**
+   * Remove every particle and emitter, e.g. when a game is loaded
+   */
+  clear() {
+    for (const particle of this.pool) {
+      particle.alive = false;
+    }
+    this.count = 0;
+    this.emitters.clear();
+  }
+
+  /**
+   * Get the live particles, in no particular order
+   * @returns {Array<Object>} Particles with x, y, vx, vy, age and lifetime
+   */
+  getParticles() {
+    return this.pool.filter((particle) => particle.alive);
+  }
+
+  /**
+   * Draw the particles in the camera's view
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Camera} camera - The camera to draw through
+   */
+  render(ctx, camera) {
+    if (this.count === 0) return;
+    const view = camera.getViewRect();
+
+    ctx.save();
+    camera.applyTransform(ctx);
+    for (const particle of this.pool) {
+      if (!particle.alive) continue;
+      const { preset } = particle;
+      const t = particle.age / particle.lifetime;
+      const size = lerp(preset.size.start, preset.size.end, t) * particle.scale;
+      if (particle.x + size < view.x || particle.x - size > view.x + view.width ||
+          particle.y + size < view.y || particle.y - size > view.y + view.height) continue;
+
+      const { start, end } = particle.colors;
+      const color = `rgb(${Math.round(lerp(start.r, end.r, t))}, ${Math.round(lerp(start.g, end.g, t))}, ${Math.round(lerp(start.b, end.b, t))})`;
+      ctx.globalAlpha = clamp(lerp(preset.alpha.start, preset.alpha.end, t), 0, 1);
+      ctx.globalCompositeOperation = preset.blend;
+      const x = particle.x - camera.x;
+      const y = particle.y - camera.y;
+      if (preset.shape === 'spark') {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = size;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x - particle.vx * SPARK_STREAK, y - particle.vy * SPARK_STREAK);
+        ctx.stroke();
+      } else {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, size / 2, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+    ctx.restore();
+  }
+}
@@ -0,0 +1,474 @@
+/**
+ * @fileoverview Procedural planet surfaces: continents, cloud bands, ice and
+ * craters generated from noise, drawn as a turning sphere lit by its star.
+ * Each planet's texture is generated once into an offscreen canvas and reused
+ * every frame, so the detail costs no frame time once it is made.
+ */
+
+import { clamp, hashSeed, parseRgb } from './utils.js';
+
+/**
+ * Kinds of surface a planet can have
+ * @enum {string}
+ */
+export const SurfaceStyle = {
+  TERRAN: 'terran',     // Oceans, continents, clouds and ice caps
+  GAS: 'gas',           // Bands of cloud and storms
+  ICE: 'ice',           // Frozen and cracked
+  VOLCANIC: 'volcanic', // Dark rock split by lava
+  DESERT: 'desert',     // Sand rippled into dunes
+  BARREN: 'barren'      // Bare rock and craters
+};
+
+/**
+ * Strips of longitude the visible half of a planet is drawn in. Each strip is
+ * squeezed towards the limb, which is what makes the texture look round.
+ * @type {number}
+ */
+const SLICES = 24;
+
+/**
+ * Colour of the glow of each surface's atmosphere, or null for none
+ * @type {Object<string, string | null>}
+ */
+const ATMOSPHERES = {
+  [SurfaceStyle.TERRAN]: '120, 180, 255',
+  [SurfaceStyle.GAS]: null, // Tinted with the planet's own colour
+  [SurfaceStyle.ICE]: '210, 235, 255',
+  [SurfaceStyle.VOLCANIC]: '255, 120, 60',
+  [SurfaceStyle.DESERT]: '255, 205, 150',
+  [SurfaceStyle.BARREN]: null
+};
+
+/**
+ * How thick the atmosphere glow is, as a fraction of the planet's radius
+ * @type {number}
+ */
+const ATMOSPHERE_DEPTH = 0.18;
+
+/**
+ * Where the light comes from: towards the star, tipped a little towards the
+ * viewer so a bit more than half of the planet is lit
+ * @type {{x: number, y: number, z: number}}
+ */
+const LIGHT = { x: 0.94, y: 0, z: 0.34 };
+
+/**
+ * Brightness of the night side, from 0 (black) to 1 (as bright as day)
+ * @type {number}
+ */
+const AMBIENT_LIGHT = 0.12;
+
+/**
+ * Milliseconds a planet may spend generating its texture each time it is drawn.
+ * A big planet takes a few frames, drawn plain meanwhile, rather than stalling one.
+ * @type {number}
+ */
+const GENERATION_BUDGET = 3;
+
+/**
+ * Create a canvas to draw off screen
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {HTMLCanvasElement | OffscreenCanvas} The canvas
+ */
+export function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Blend two colours
+ * @param {{r: number, g: number, b: number}} a - Colour at t = 0
+ * @param {{r: number, g: number, b: number}} b - Colour at t = 1
+ * @param {number} t - How far towards b, from 0 to 1
+ * @returns {{r: number, g: number, b: number}} The blend
+ */
+function mix(a, b, t) {
+  return { r: a.r + (b.r - a.r) * t, g: a.g + (b.g - a.g) * t, b: a.b + (b.b - a.b) * t };
+}
+
+/**
+ * Brighten or darken a colour
+ * @param {{r: number, g: number, b: number}} color - The colour
+ * @param {number} factor - Above 1 brightens, below 1 darkens
+ * @returns {{r: number, g: number, b: number}} The shaded colour
+ */
+function shade(color, factor) {
+  return { r: color.r * factor, g: color.g * factor, b: color.b * factor };
+}
+
+/**
+ * Hash lattice coordinates to a value in [0, 1)
+ * @param {number} seed - Unsigned 32-bit seed
+ * @param {number} x - Lattice X
+ * @param {number} y - Lattice Y
+ * @param {number} z - Lattice Z
+ * @returns {number} Pseudo-random value for the lattice point
+ */
+function hashLattice(seed, x, y, z) {
+  let h = seed ^ Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1) ^ Math.imul(z, 0x9e3779b1);
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+/**
+ * Create a seeded 3D value noise function. Sampling it on the surface of a
+ * sphere gives a texture that wraps round the planet without a seam.
+ * @param {number|string} seed - Seed for the noise
+ * @returns {function(number, number, number): number} Smooth noise in [0, 1)
+ */
+export function createNoise(seed) {
+  const base = hashSeed(seed);
+  return function noise(x, y, z) {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    const iz = Math.floor(z);
+    // Smoothstep, so the noise has no creases along the lattice
+    let fx = x - ix;
+    let fy = y - iy;
+    let fz = z - iz;
+    fx = fx * fx * (3 - 2 * fx);
+    fy = fy * fy * (3 - 2 * fy);
+    fz = fz * fz * (3 - 2 * fz);
+    // Blend the eight corners of the lattice cell around the point
+    const c000 = hashLattice(base, ix, iy, iz);
+    const c100 = hashLattice(base, ix + 1, iy, iz);
+    const c010 = hashLattice(base, ix, iy + 1, iz);
+    const c110 = hashLattice(base, ix + 1, iy + 1, iz);
+    const c001 = hashLattice(base, ix, iy, iz + 1);
+    const c101 = hashLattice(base, ix + 1, iy, iz + 1);
+    const c011 = hashLattice(base, ix, iy + 1, iz + 1);
+    const c111 = hashLattice(base, ix + 1, iy + 1, iz + 1);
+    const near = (c000 + (c100 - c000) * fx) + ((c010 + (c110 - c010) * fx) - (c000 + (c100 - c000) * fx)) * fy;
+    const far = (c001 + (c101 - c001) * fx) + ((c011 + (c111 - c011) * fx) - (c001 + (c101 - c001) * fx)) * fy;
+    return near + (far - near) * fz;
+  };
+}
+
+/**
+ * Layer octaves of noise, each twice as fine and half as strong as the last,
+ * for detail at every scale
+ * @param {function(number, number, number): number} noise - Noise from createNoise()
+ * @param {number} x - Sample X
+ * @param {number} y - Sample Y
+ * @param {number} z - Sample Z
+ * @param {number} [octaves=5] - Layers to add
+ * @returns {number} Noise in [0, 1)
+ */
+export function fractalNoise(noise, x, y, z, octaves = 5) {
+  let total = 0;
+  let amplitude = 0.5;
+  let weight = 0;
+  for (let i = 0; i < octaves; i++) {
+    total += noise(x, y, z) * amplitude;
+    weight += amplitude;
+    x *= 2;
+    y *= 2;
+    z *= 2;
+    amplitude *= 0.5;
+  }
+  return total / weight;
+}
+
+/**
+ * Describe a planet's surface: its style and sea level from the planet's type,
+ * its colour, noise seed, and the spots (craters, or storms on a gas giant) that
+ * come from its generated features. Nothing here draws on the world's random
+ * numbers, so adding surfaces changed nothing about the galaxy a seed generates.
+ * @param {Planet} planet - The planet
+ * @returns {{style: string, seaLevel: number | undefined, color: {r: number, g: number, b: number},
+ *   seed: number, spots: Array<{lon: number, lat: number, size: number}>}} Surface description
+ */
+export function describeSurface(planet) {
+  return {
+    style: planet.type.surface,
+    seaLevel: planet.type.seaLevel,
+    color: parseRgb(planet.color),
+    seed: hashSeed(`${planet.color}|${planet.radius}|${planet.features.map((feature) => feature.angle).join(',')}`),
+    spots: planet.features.map((feature) => ({
+      lon: feature.angle,
+      lat: (feature.distance / planet.radius - 0.55) * 2,
+      size: feature.size / planet.radius
+    }))
+  };
+}
+
+/**
+ * Generate a surface texture, or some of its rows. Columns run once round the
+ * planet, west to east; rows run from the north pole to the south, spaced as
+ * they appear on the disc, so the texture needs no stretching vertically.
+ * @param {{style: string, seaLevel: number | undefined, color: {r: number, g: number, b: number},
+ *   seed: number, spots: Array<{lon: number, lat: number, size: number}>}} surface - From describeSurface()
+ * @param {number} width - Texture width in pixels
+ * @param {number} height - Texture height in pixels
+ * @param {Object} [options] - Which part to generate
+ * @param {Uint8ClampedArray} [options.pixels] - Texture to fill in, from an earlier call
+ * @param {number} [options.fromRow=0] - First row to generate
+ * @param {number} [options.toRow=height] - Row to stop before
+ * @returns {Uint8ClampedArray} RGBA pixels, row by row
+ */
+export function generateSurfacePixels(surface, width, height, options = {}) {
+  const pixels = options.pixels || new Uint8ClampedArray(width * height * 4);
+  const noise = createNoise(surface.seed);
+  const detail = createNoise(surface.seed + 1);
+  const base = surface.color;
+  const spots = surface.spots.map((spot) => ({
+    x: Math.cos(spot.lat) * Math.cos(spot.lon),
+    y: Math.cos(spot.lat) * Math.sin(spot.lon),
+    z: Math.sin(spot.lat),
+    size: spot.size
+  }));
+  // Bands on a gas giant, from 6 to 13 across the planet
+  const bands = 6 + (surface.seed % 8);
+
+  const white = { r: 240, g: 244, b: 250 };
+  const ocean = mix(base, { r: 20, g: 60, b: 150 }, 0.6);
+  const land = mix(base, { r: 80, g: 130, b: 60 }, 0.6);
+  const highland = mix(base, { r: 150, g: 125, b: 95 }, 0.7);
+  const lava = { r: 255, g: 110, b: 20 };
+
+  for (let row = options.fromRow ?? 0; row < (options.toRow ?? height); row++) {
+    const z = 1 - ((row + 0.5) / height) * 2;
+    const ring = Math.sqrt(1 - z * z);
+    for (let column = 0; column < width; column++) {
+      const lon = (column / width) * Math.PI * 2;
+      const x = ring * Math.cos(lon);
+      const y = ring * Math.sin(lon);
+      const n = fractalNoise(noise, x * 2 + 5, y * 2 + 5, z * 2 + 5);
+      let color;
+
+      switch (surface.style) {
+        case SurfaceStyle.TERRAN: {
+          const seaLevel = surface.seaLevel ?? 0.5;
+          color = n < seaLevel
+            ? mix(shade(ocean, 0.6), ocean, n / seaLevel)
+            : mix(land, highland, (n - seaLevel) / (1 - seaLevel));
+          // Ice caps with ragged edges
+          if (Math.abs(z) > 0.84 + (n - 0.5) * 0.3) color = white;
+          // Clouds drift over everything
+          const cloud = fractalNoise(detail, x * 3, y * 3, z * 3, 4);
+          if (cloud > 0.58) color = mix(color, white, Math.min(1, (cloud - 0.58) * 4) * 0.8);
+          break;
+        }
+        case SurfaceStyle.GAS: {
+          const band = Math.sin(z * bands * Math.PI + (n - 0.5) * 5);
+          color = mix(shade(base, 0.65), mix(base, white, 0.3), (band + 1) / 2);
+          break;
+        }
+        case SurfaceStyle.ICE: {
+          color = mix(base, white, 0.55 + n * 0.35);
+          // Cracks where the finer noise crosses its midpoint
+          const crack = 1 - Math.abs(fractalNoise(detail, x * 4, y * 4, z * 4, 3) * 2 - 1);
+          if (crack > 0.93) color = mix(color, shade(base, 0.5), 0.6);
+          break;
+        }
+        case SurfaceStyle.VOLCANIC: {
+          color = shade(base, 0.2 + n * 0.35);
+          const fissure = 1 - Math.abs(fractalNoise(detail, x * 3, y * 3, z * 3, 3) * 2 - 1);
+          if (fissure > 0.88) color = mix(lava, { r: 255, g: 220, b: 90 }, (fissure - 0.88) / 0.12);
+          break;
+        }
+        case SurfaceStyle.DESERT: {
+          // Dunes ripple across broad plains of lighter and darker sand
+          const dune = Math.sin((x + y) * 14 + n * 12);
+          color = shade(base, 0.6 + n * 0.6 + dune * 0.06);
+          break;
+        }
+        default: {
+          // Broad light and dark regions, roughened with fine grit
+          const grit = fractalNoise(detail, x * 12, y * 12, z * 12, 2);
+          color = shade(base, 0.35 + n * 0.9 + (grit - 0.5) * 0.25);
+        }
+      }
+
+      // Features become craters, or storms on a gas giant
+      for (const spot of spots) {
+        const angle = Math.acos(clamp(x * spot.x + y * spot.y + z * spot.z, -1, 1));
+        if (angle >= spot.size) continue;
+        const t = angle / spot.size;
+        if (surface.style === SurfaceStyle.GAS) {
+          color = mix(mix(base, white, 0.5), color, t * t);
+        } else if (surface.style !== SurfaceStyle.TERRAN) {
+          color = shade(color, t > 0.8 ? 1.25 : 0.7 + t * 0.1); // Bright rim, dark floor
+        }
+      }
+
+      const index = (row * width + column) * 4;
+      pixels[index] = color.r;
+      pixels[index + 1] = color.g;
+      pixels[index + 2] = color.b;
+      pixels[index + 3] = 255;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * A planet's surface: the texture and lighting generated for it once, and the
+ * drawing of them as a sphere turned to any angle and lit from any side.
+ */
+export class PlanetSurface {
+  /**
+   * Describe a planet's surface. Its canvases are only made the first time it is drawn.
+   * @param {Planet} planet - The planet
+   */
+  constructor(planet) {
+    this.radius = planet.radius;
+    /** Style, colour, seed and spots, from describeSurface() */
+    this.description = describeSurface(planet);
+    const atmosphere = ATMOSPHERES[this.description.style];
+    const { r, g, b } = mix(this.description.color, { r: 255, g: 255, b: 255 }, 0.4);
+    /** @type {string | null} RGB of the atmosphere glow, or null without an atmosphere */
+    this.atmosphere = null;
+    if (planet.hasAtmosphere) {
+      this.atmosphere = this.description.style === SurfaceStyle.GAS
+        ? `${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}`
+        : atmosphere;
+    }
+    /** @type {number} Texture width: once round the planet, a pixel per pixel at the equator */
+    this.textureWidth = Math.max(16, Math.ceil(this.radius * Math.PI * 2));
+    /** @type {number} Texture height: pole to pole */
+    this.textureHeight = Math.max(8, Math.ceil(this.radius * 2));
+    /** @type {Uint8ClampedArray | null} Texture while it is being generated */
+    this.pixels = null;
+    /** @type {number} Rows of the texture generated so far */
+    this.rowsGenerated = 0;
+    /** @type {HTMLCanvasElement | OffscreenCanvas | null} Surface texture, once generated */
+    this.texture = null;
+    /** @type {HTMLCanvasElement | OffscreenCanvas | null} Shadow and atmosphere, lit from the right */
+    this.lighting = null;
+  }
+
+  /**
+   * Carry on generating the texture for a while, and put it on a canvas once it is done
+   * @param {number} milliseconds - How long to spend
+   */
+  generate(milliseconds) {
+    const width = this.textureWidth;
+    const height = this.textureHeight;
+    this.pixels ??= new Uint8ClampedArray(width * height * 4);
+    const deadline = performance.now() + milliseconds;
+    while (this.rowsGenerated < height && performance.now() < deadline) {
+      const toRow = Math.min(height, this.rowsGenerated + 2);
+      generateSurfacePixels(this.description, width, height, { pixels: this.pixels, fromRow: this.rowsGenerated, toRow });
+      this.rowsGenerated = toRow;
+    }
+    if (this.rowsGenerated < height) return;
+
+    // Half a turn more than a full one, so any strip of the visible half can be copied in one piece
+    this.texture = createCanvas(width + Math.ceil(width / 2), height);
+    const context = this.texture.getContext('2d');
+    const image = context.createImageData(width, height);
+    image.data.set(this.pixels);
+    context.putImageData(image, 0, 0);
+    context.putImageData(image, width, 0);
+    this.pixels = null;
+  }
+
+  /**
+   * Generate the lighting to lay over the texture: the night side and the
+   * darkening towards the limb, with the atmosphere glowing round the edge.
+   * It is lit from the right; drawing it rotated turns it towards the star.
+   * @returns {HTMLCanvasElement | OffscreenCanvas} The lighting canvas
+   */
+  generateLighting() {
+    const glow = this.atmosphere ? this.radius * ATMOSPHERE_DEPTH : 0;
+    const size = Math.ceil((this.radius + glow) * 2) + 2;
+    const center = size / 2;
+    const canvas = createCanvas(size, size);
+    const context = canvas.getContext('2d');
+
+    const image = context.createImageData(size, size);
+    for (let py = 0; py < size; py++) {
+      for (let px = 0; px < size; px++) {
+        const nx = (px + 0.5 - center) / this.radius;
+        const ny = (py + 0.5 - center) / this.radius;
+        const edge = nx * nx + ny * ny;
+        if (edge >= 1) continue;
+        const nz = Math.sqrt(1 - edge);
+        // Soft terminator, so the boundary between day and night isn't a hard line
+        const facing = nx * LIGHT.x + ny * LIGHT.y + nz * LIGHT.z;
+        const day = clamp((facing + 0.15) / 0.5, 0, 1);
+        const light = (AMBIENT_LIGHT + (1 - AMBIENT_LIGHT) * day) * (0.65 + 0.35 * nz);
+        image.data[(py * size + px) * 4 + 3] = Math.round((1 - light) * 255);
+      }
+    }
+    context.putImageData(image, 0, 0);
+
+    if (this.atmosphere) {
+      // Behind the shadow, so the glow shows round the edge and as haze on the day side
+      const gradient = context.createRadialGradient(center, center, this.radius * 0.85, center, center, this.radius + glow);
+      gradient.addColorStop(0, `rgba(${this.atmosphere}, 0)`);
+      gradient.addColorStop(0.5, `rgba(${this.atmosphere}, 0.45)`);
+      gradient.addColorStop(1, `rgba(${this.atmosphere}, 0)`);
+      context.globalCompositeOperation = 'destination-over';
+      context.fillStyle = gradient;
+      context.fillRect(0, 0, size, size);
+    }
+    return canvas;
+  }
+
+  /**
+   * Draw the planet
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} x - Center X on the canvas
+   * @param {number} y - Center Y on the canvas
+   * @param {number} spin - How far the planet has turned on its axis, in radians
+   * @param {number} lightAngle - Direction the light comes from, in radians
+   */
+  draw(ctx, x, y, spin, lightAngle) {
+    this.lighting ??= this.generateLighting();
+    if (!this.texture) this.generate(GENERATION_BUDGET);
+
+    if (this.texture) {
+      this.drawTexture(ctx, x, y, spin);
+    } else {
+      // Plain until the texture is ready
+      const { r, g, b } = this.description.color;
+      ctx.beginPath();
+      ctx.arc(x, y, this.radius, 0, Math.PI * 2);
+      ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+      ctx.fill();
+    }
+
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(lightAngle);
+    ctx.drawImage(this.lighting, -this.lighting.width / 2, -this.lighting.height / 2);
+    ctx.restore();
+  }
+
+  /**
+   * Draw the near half of the texture, in strips squeezed towards the limb
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} x - Center X on the canvas
+   * @param {number} y - Center Y on the canvas
+   * @param {number} spin - How far the planet has turned on its axis, in radians
+   */
+  drawTexture(ctx, x, y, spin) {
+    const radius = this.radius;
+    const width = this.textureWidth;
+    const strip = width / (SLICES * 2);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.clip();
+    for (let i = 0; i < SLICES; i++) {
+      const lon = -Math.PI / 2 + (i * Math.PI) / SLICES;
+      const left = x + radius * Math.sin(lon);
+      const right = x + radius * Math.sin(lon + Math.PI / SLICES);
+      const turn = (((lon + spin) / (Math.PI * 2)) % 1 + 1) % 1;
+      // Overlap the strips by half a pixel, so no seams show between them
+      ctx.drawImage(this.texture, turn * width, 0, strip, this.textureHeight, left, y - radius, right - left + 0.5, radius * 2);
+    }
+    ctx.restore();
+  }
+}
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Planet types: the kinds of world the universe generates, and how
+ * a planet's colour, rings, features, conditions and description follow from its type.
+ */
+
+import { SurfaceStyle } from './PlanetSurface.js';
+import { clamp, randomInt } from './utils.js';
+
+/**
+ * Radius of a planet with a density of 1 whose surface gravity is 1 g, in pixels
+ * @type {number}
+ */
+const ONE_G_RADIUS = 60;
+
+/**
+ * How far a planet's colour channels stray from its type's palette
+ * @type {number}
+ */
+const COLOR_JITTER = 14;
+
+/**
+ * What a planet without any air has for an atmosphere
+ * @type {string}
+ */
+export const NO_ATMOSPHERE = 'No atmosphere';
+
+/**
+ * Planet types, keyed by id.
+ * - `radius` is the range of planet sizes the type comes in; moons of any size
+ *   can be of a type with a `moonWeight`
+ * - `weight` and `moonWeight` say how common the type is among planets and moons
+ * - `density` sets surface gravity and the pull on ships (see Planet#mass)
+ * - `temperature` is the range of mean surface temperatures, in °C
+ * - `colors` and `ringColors` are palettes of [r, g, b] picked from and varied a little
+ * - `features` is how many surface features (craters, storms, ridges) it has
+ * - `resources` weights the deposits found there (see RESOURCE_TYPES)
+ * - `life` is how much grows there, from 0 to 1, which markets sell as food
+ * - `seaLevel` is how much of a terran surface is under water
+ * @type {Object<string, Object>}
+ */
+export const PLANET_TYPES = {
+  gasGiant: {
+    id: 'gasGiant',
+    name: 'Gas giant',
+    surface: SurfaceStyle.GAS,
+    radius: { min: 72, max: 100 },
+    weight: 2,
+    moonWeight: 0,
+    density: 1.4,
+    temperature: { min: -180, max: -90 },
+    atmospheres: ['Hydrogen and helium', 'Hydrogen, helium and methane', 'Ammonia clouds over hydrogen'],
+    colors: [[210, 170, 120], [200, 140, 90], [150, 170, 210], [190, 190, 150], [170, 130, 190]],
+    ringChance: 0.6,
+    ringColors: [[220, 210, 190], [200, 200, 215], [180, 160, 130]],
+    features: { min: 1, max: 3 },
+    resources: { ore: 0.2, water: 0.3, gas: 3, crystal: 0.2 },
+    life: 0,
+    descriptions: [
+      'A gas giant with swirling storms of every colour. The pressure deep down would crush any ship that ventured too far.',
+      'A vast ball of gas banded by winds faster than sound. Skimmers scoop fuel from its upper clouds.',
+      'A giant wrapped in layers of cloud. Its great storms have raged for longer than anyone has been watching.'
+    ]
+  },
+  ocean: {
+    id: 'ocean',
+    name: 'Ocean world',
+    surface: SurfaceStyle.TERRAN,
+    seaLevel: 0.68,
+    radius: { min: 40, max: 80 },
+    weight: 2,
+    moonWeight: 0,
+    density: 1,
+    temperature: { min: 5, max: 35 },
+    atmospheres: ['Nitrogen and oxygen', 'Thick, humid nitrogen', 'Carbon dioxide and water vapour'],
+    colors: [[40, 90, 190], [30, 120, 170], [50, 80, 160]],
+    ringChance: 0.1,
+    ringColors: [[200, 200, 215], [160, 170, 190]],
+    features: { min: 1, max: 2 },
+    resources: { ore: 0.4, water: 3, gas: 0.4, crystal: 0.2 },
+    life: 0.7,
+    descriptions: [
+      'A world of deep oceans broken by a few islands. Strange bioluminescent creatures inhabit its depths.',
+      'Water covers almost all of this planet. Floating cities ride its slow, warm currents.',
+      'A blue world of archipelagos and endless sea. Its storms can blow for weeks without meeting land.'
+    ]
+  },
+  jungle: {
+    id: 'jungle',
+    name: 'Jungle world',
+    surface: SurfaceStyle.TERRAN,
+    seaLevel: 0.35,
+    radius: { min: 40, max: 75 },
+    weight: 1.5,
+    moonWeight: 0,
+    density: 1.05,
+    temperature: { min: 20, max: 45 },
+    atmospheres: ['Nitrogen and oxygen', 'Dense and oxygen-rich', 'Humid nitrogen and oxygen'],
+    colors: [[60, 140, 60], [40, 120, 70], [90, 150, 50]],
+    ringChance: 0.05,
+    ringColors: [[170, 180, 160]],
+    features: { min: 2, max: 3 },
+    resources: { ore: 0.6, water: 1.5, gas: 0.6, crystal: 0.3 },
+    life: 1,
+    descriptions: [
+      'A lush jungle planet teeming with life. Its vegetation grows fast enough to swallow a camp in days.',
+      'Rainforest covers every continent of this steaming world. Its plants are prized by medics across the sector.',
+      'A hot, green world of tangled forest and shallow seas. Its canopy hides ruins no one has mapped.'
+    ]
+  },
+  desert: {
+    id: 'desert',
+    name: 'Desert world',
+    surface: SurfaceStyle.DESERT,
+    radius: { min: 40, max: 80 },
+    weight: 2,
+    moonWeight: 0,
+    density: 0.95,
+    temperature: { min: 35, max: 90 },
+    atmospheres: ['Thin carbon dioxide', 'Thin nitrogen', 'Dusty nitrogen and argon'],
+    colors: [[210, 170, 100], [200, 130, 70], [190, 150, 110]],
+    ringChance: 0.15,
+    ringColors: [[180, 160, 130], [160, 140, 120]],
+    features: { min: 2, max: 5 },
+    resources: { ore: 2, water: 0.1, gas: 0.3, crystal: 0.8 },
+    life: 0.15,
+    descriptions: [
+      'A desert world of massive canyons and rock formations. Ancient ruins suggest it once hosted a civilization.',
+      'Dunes the height of mountains march across this parched planet. Its rare rains leave crystals in the sand.',
+      'A dry, windswept world. Miners shelter from its dust storms in caves cut deep into the rock.'
+    ]
+  },
+  ice: {
+    id: 'ice',
+    name: 'Ice world',
+    surface: SurfaceStyle.ICE,
+    radius: { min: 40, max: 80 },
+    weight: 2,
+    moonWeight: 2,
+    density: 0.75,
+    temperature: { min: -220, max: -60 },
+    atmospheres: ['Thin nitrogen', 'Trace methane', NO_ATMOSPHERE],
+    colors: [[210, 230, 245], [190, 215, 235], [225, 235, 240]],
+    ringChance: 0.3,
+    ringColors: [[220, 230, 240], [190, 205, 220]],
+    features: { min: 2, max: 4 },
+    resources: { ore: 0.6, water: 3, gas: 0.5, crystal: 0.4 },
+    life: 0.05,
+    descriptions: [
+      'A frozen world with lakes of liquid methane. Its surface never thaws.',
+      'A shell of cracked ice over a hidden ocean. Geysers throw plumes of vapour high above the surface.',
+      'Glaciers grind slowly across this frozen world. Its ice holds water enough for a thousand colonies.'
+    ]
+  },
+  volcanic: {
+    id: 'volcanic',
+    name: 'Volcanic world',
+    surface: SurfaceStyle.VOLCANIC,
+    radius: { min: 40, max: 70 },
+    weight: 1.5,
+    moonWeight: 1,
+    density: 1.2,
+    temperature: { min: 150, max: 480 },
+    atmospheres: ['Sulphur dioxide', 'Carbon dioxide and ash', NO_ATMOSPHERE],
+    colors: [[110, 50, 35], [90, 40, 40], [130, 60, 30]],
+    ringChance: 0.1,
+    ringColors: [[120, 100, 90], [140, 110, 80]],
+    features: { min: 3, max: 5 },
+    resources: { ore: 2.5, water: 0.1, gas: 1, crystal: 0.6 },
+    life: 0.1,
+    descriptions: [
+      'A volcanic world with rivers of molten lava. Hardy lifeforms thrive around its thermal vents.',
+      'Tidal forces keep this world\'s interior molten. Its volcanoes never sleep.',
+      'A black, smouldering world split by glowing fissures. The ore that wells up with its lava is remarkably pure.'
+    ]
+  },
+  barren: {
+    id: 'barren',
+    name: 'Barren world',
+    surface: SurfaceStyle.BARREN,
+    radius: { min: 40, max: 72 },
+    weight: 2,
+    moonWeight: 3,
+    density: 0.9,
+    temperature: { min: -170, max: 120 },
+    atmospheres: [NO_ATMOSPHERE, 'Trace argon'],
+    colors: [[130, 125, 120], [150, 135, 115], [100, 100, 105]],
+    ringChance: 0.2,
+    ringColors: [[150, 145, 140], [120, 115, 110]],
+    features: { min: 4, max: 6 },
+    resources: { ore: 2, water: 0.3, gas: 0.1, crystal: 0.8 },
+    life: 0,
+    descriptions: [
+      'Bare rock, pocked with craters from billions of years of impacts. Nothing has ever lived here.',
+      'An airless world of dust and stone. Its crust is riddled with old mine workings.',
+      'A dead, cratered world. With no weather to wear them down, footprints here will last for ever.'
+    ]
+  },
+  toxic: {
+    id: 'toxic',
+    name: 'Toxic world',
+    surface: SurfaceStyle.GAS,
+    radius: { min: 50, max: 85 },
+    weight: 1.5,
+    moonWeight: 0,
+    density: 1.1,
+    temperature: { min: 250, max: 470 },
+    atmospheres: ['Crushing carbon dioxide', 'Sulphuric acid clouds', 'Chlorine haze'],
+    colors: [[180, 190, 80], [200, 170, 60], [150, 180, 100]],
+    ringChance: 0.15,
+    ringColors: [[190, 180, 140], [160, 160, 120]],
+    features: { min: 1, max: 3 },
+    resources: { ore: 0.5, water: 0.1, gas: 2.5, crystal: 0.4 },
+    life: 0,
+    descriptions: [
+      'A world shrouded in poisonous cloud. Navigation is treacherous, but its air holds valuable compounds.',
+      'Acid rain falls without end on this scorching world. Probes sent to its surface last only minutes.',
+      'A runaway greenhouse has baked this planet. Its yellow skies glow with the heat trapped beneath them.'
+    ]
+  }
+};
+
+/**
+ * Get a planet type by its id
+ * @param {string} id - Type id, a key of PLANET_TYPES
+ * @returns {Object} Entry from PLANET_TYPES
+ * @throws {Error} If there is no such type
+ */
+export function getPlanetType(id) {
+  const type = PLANET_TYPES[id];
+  if (!type) {
+    throw new Error(`Unknown planet type: ${id}`);
+  }
+  return type;
+}
+
+/**
+ * Pick a type for a planet of a given size, weighted by how common each type is
+ * @param {number} radius - Planet radius
+ * @param {function(): number} rng - Random source
+ * @param {Object} [options] - Extra choices
+ * @param {boolean} [options.moon=false] - Pick from the types moons come in
+ * @returns {Object} Entry from PLANET_TYPES
+ */
+export function pickPlanetType(radius, rng, { moon = false } = {}) {
+  const candidates = Object.values(PLANET_TYPES)
+    .map((type) => ({
+      type,
+      weight: moon
+        ? type.moonWeight
+        : (radius >= type.radius.min && radius <= type.radius.max ? type.weight : 0)
+    }))
+    .filter((candidate) => candidate.weight > 0);
+  // Nothing comes in this size: fall back to bare rock
+  if (candidates.length === 0) return PLANET_TYPES.barren;
+
+  const totalWeight = candidates.reduce((total, candidate) => total + candidate.weight, 0);
+  let roll = rng() * totalWeight;
+  for (const candidate of candidates) {
+    roll -= candidate.weight;
+    if (roll < 0) return candidate.type;
+  }
+  return candidates[candidates.length - 1].type;
+}
+
+/**
+ * Pick an entry from a list
+ * @param {Array} list - The list
+ * @param {function(): number} rng - Random source
+ * @returns {*} One of the entries
+ */
+export function pickFrom(list, rng) {
+  return list[randomInt(0, list.length - 1, rng)];
+}
+
+/**
+ * Pick a colour from a palette and vary it a little
+ * @param {Array<Array<number>>} palette - [r, g, b] colours
+ * @param {function(): number} rng - Random source
+ * @returns {string} Colour in the format 'rgb(r, g, b)'
+ */
+export function pickColor(palette, rng) {
+  const channels = pickFrom(palette, rng)
+    .map((channel) => clamp(channel + randomInt(-COLOR_JITTER, COLOR_JITTER, rng), 0, 255));
+  return `rgb(${channels.join(', ')})`;
+}
+
+/**
+ * Surface gravity of a planet, in g: density times size, so big dense worlds pull hardest
+ * @param {number} density - Density, 1 being average rock
+ * @param {number} radius - Planet radius
+ * @returns {number} Surface gravity in g
+ */
+export function surfaceGravity(density, radius) {
+  return density * radius / ONE_G_RADIUS;
+}
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Projectiles fired by ship weapons.
+ */
+
+/**
+ * Bolt colors by the faction of the ship that fired them
+ * @type {Object<string, string>}
+ */
+const PROJECTILE_COLORS = {
+  player: '#7df9ff',
+  hostile: '#ff4d4d',
+  neutral: '#ffd84d'
+};
+
+/**
+ * A bolt flying in a straight line until it hits a ship or burns out
+ */
+export class Projectile {
+  /**
+   * Create a projectile
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} vx - X velocity in pixels per second
+   * @param {number} vy - Y velocity in pixels per second
+   * @param {Object} options - Projectile options
+   * @param {Spaceship} options.owner - The ship that fired it, which it can't hit
+   * @param {number} options.damage - Damage dealt on a hit
+   * @param {number} options.lifetime - Seconds before it burns out
+   */
+  constructor(x, y, vx, vy, { owner, damage, lifetime }) {
+    /** @type {number} */
+    this.x = x;
+    /** @type {number} */
+    this.y = y;
+    /** @type {number} */
+    this.vx = vx;
+    /** @type {number} */
+    this.vy = vy;
+    /** @type {Spaceship} */
+    this.owner = owner;
+    /**
+     * Faction of the ship that fired it. Projectiles don't hit ships of the same faction.
+     * @type {string}
+     */
+    this.faction = owner.faction;
+    /** @type {number} */
+    this.damage = damage;
+    /** @type {number} Seconds left before it burns out */
+    this.lifetime = lifetime;
+    /** @type {number} */
+    this.radius = 3;
+
+    // Position at the start of the latest simulation step, for render interpolation
+    /** @type {number} */
+    this.prevX = x;
+    /** @type {number} */
+    this.prevY = y;
+  }
+
+  /**
+   * Whether the projectile has burnt out
+   * @type {boolean}
+   */
+  get isExpired() {
+    return this.lifetime <= 0;
+  }
+
+  /**
+   * Remember the current position as the start of the next step
+   */
+  savePreviousState() {
+    this.prevX = this.x;
+    this.prevY = this.y;
+  }
+
+  /**
+   * Move the projectile
+   * @param {number} deltaTime - Length of the simulation step in seconds
+   */
+  update(deltaTime) {
+    this.x += this.vx * deltaTime;
+    this.y += this.vy * deltaTime;
+    this.lifetime -= deltaTime;
+  }
+
+  /**
+   * Draw the projectile as a short streak along its path
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} offsetX - X offset for camera
+   * @param {number} offsetY - Y offset for camera
+   * @param {number} [alpha=1] - Render interpolation factor between the last two simulation steps
+   */
+  draw(ctx, offsetX, offsetY, alpha = 1) {
+    const x = this.prevX + (this.x - this.prevX) * alpha - offsetX;
+    const y = this.prevY + (this.y - this.prevY) * alpha - offsetY;
+    const speed = Math.hypot(this.vx, this.vy) || 1;
+    const tail = 10 / speed;
+
+    ctx.save();
+    ctx.strokeStyle = PROJECTILE_COLORS[this.faction] || PROJECTILE_COLORS.neutral;
+    ctx.lineWidth = this.radius;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(x - this.vx * tail, y - this.vy * tail);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
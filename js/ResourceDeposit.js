@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Minable resource deposits found on planets.
+ */
+
+import { clamp, randomInt } from './utils.js';
+
+/**
+ * Resource types that can be mined.
+ * Each type is stored in the cargo hold under its id, so mined resources can be sold at markets.
+ * `weight` maps planet traits to how likely the type is to appear (see Planet.getTraits):
+ * mostly the weights the planet's type gives it, with rings and size making a difference on top.
+ * @type {Array<{id: string, name: string, color: string, weight: function(Object): number}>}
+ */
+export const RESOURCE_TYPES = [
+  {
+    id: 'ore',
+    name: 'Ore',
+    color: '#b08050',
+    weight: ({ resources, hasRings }) => resources.ore * (hasRings ? 1.5 : 1)
+  },
+  {
+    id: 'water',
+    name: 'Water Ice',
+    color: '#80d0ff',
+    weight: ({ resources }) => resources.water
+  },
+  {
+    id: 'gas',
+    name: 'Gas',
+    color: '#d0ff80',
+    weight: ({ resources, size }) => resources.gas * (0.5 + size)
+  },
+  {
+    id: 'crystal',
+    name: 'Crystals',
+    color: '#ff80ff',
+    weight: ({ resources, hasRings }) => resources.crystal * (hasRings ? 2 : 1)
+  }
+];
+
+/**
+ * Seconds for an exhausted deposit to regenerate back to full
+ * @type {number}
+ */
+const FULL_REGEN_SECONDS = 120;
+
+/**
+ * A single deposit of one resource type. Abundance is depleted by mining and
+ * regenerates slowly over time.
+ */
+export class ResourceDeposit {
+  /**
+   * Create a deposit
+   * @param {string} type - Resource type id (see RESOURCE_TYPES)
+   * @param {number} maxAbundance - Units held when the deposit is full
+   */
+  constructor(type, maxAbundance) {
+    /** @type {string} */
+    this.type = type;
+    /** @type {number} */
+    this.maxAbundance = maxAbundance;
+    /** @type {number} */
+    this.abundance = maxAbundance;
+    /**
+     * Units regenerated per second
+     * @type {number}
+     */
+    this.regenRate = maxAbundance / FULL_REGEN_SECONDS;
+  }
+
+  /**
+   * Get the static description of this deposit's resource type
+   * @returns {Object} Entry from RESOURCE_TYPES
+   */
+  getResourceType() {
+    return RESOURCE_TYPES.find((resource) => resource.id === this.type);
+  }
+
+  /**
+   * Get how full the deposit is
+   * @returns {number} Fraction between 0 (exhausted) and 1 (full)
+   */
+  getRichness() {
+    return this.maxAbundance > 0 ? this.abundance / this.maxAbundance : 0;
+  }
+
+  /**
+   * Remove whole units from the deposit
+   * @param {number} amount - Units requested
+   * @returns {number} Units actually extracted
+   */
+  extract(amount) {
+    const extracted = Math.min(amount, Math.floor(this.abundance));
+    this.abundance -= extracted;
+    return extracted;
+  }
+
+  /**
+   * Regenerate the deposit over time
+   * @param {number} seconds - Elapsed time in seconds
+   */
+  regenerate(seconds) {
+    this.abundance = clamp(this.abundance + this.regenRate * seconds, 0, this.maxAbundance);
+  }
+
+  /**
+   * Convert the deposit to plain data for saving
+   * @returns {{type: string, maxAbundance: number, abundance: number}} Serializable deposit state
+   */
+  serialize() {
+    return { type: this.type, maxAbundance: this.maxAbundance, abundance: this.abundance };
+  }
+
+  /**
+   * Recreate a deposit from saved data
+   * @param {{type: string, maxAbundance: number, abundance: number}} data - Data from serialize()
+   * @returns {ResourceDeposit} The restored deposit
+   */
+  static deserialize(data) {
+    const deposit = new ResourceDeposit(data.type, data.maxAbundance);
+    deposit.abundance = data.abundance;
+    return deposit;
+  }
+}
+
+/**
+ * Generate the deposits for a planet, weighted by its characteristics
+ * @param {Object} traits - Planet traits (see Planet.getTraits)
+ * @param {function(): number} [rng=Math.random] - Random source
+ * @returns {Array<ResourceDeposit>} Between 2 and 4 deposits
+ */
+export function generateDeposits(traits, rng = Math.random) {
+  const weights = RESOURCE_TYPES.map((resource) => Math.max(0, resource.weight(traits)));
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+
+  const deposits = [];
+  const count = randomInt(2, 4, rng);
+  for (let i = 0; i < count; i++) {
+    // Weighted pick of the resource type
+    let roll = rng() * totalWeight;
+    let index = 0;
+    while (index < weights.length - 1 && roll >= weights[index]) {
+      roll -= weights[index];
+      index++;
+    }
+    deposits.push(new ResourceDeposit(RESOURCE_TYPES[index].id, randomInt(10, 40, rng)));
+  }
+  return deposits;
+}
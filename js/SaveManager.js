@@ -0,0 +1,372 @@
+/**
+ * @fileoverview Save slots in localStorage (mirrored to the save server when it is
+ * available), JSON file export/import and save format migration.
+ */
+
+/**
+ * Current save format version. Bump this whenever the saved data changes shape,
+ * and add a migration from the previous version to MIGRATIONS. Star systems are
+ * regenerated from the seed rather than saved, so bump it too whenever world
+ * generation changes what a seed generates: saved planet state, missions and
+ * codex entries would otherwise land on the wrong planets.
+ * @type {number}
+ */
+export const SAVE_VERSION = 12;
+
+/**
+ * Slot used for automatic saves
+ * @type {string}
+ */
+export const AUTOSAVE_SLOT = 'autosave';
+
+/**
+ * Prefix of every localStorage key holding a save slot
+ * @type {string}
+ */
+const STORAGE_PREFIX = 'planet-explorer:save:';
+
+/**
+ * Keep only what survives the universe being generated differently: the player's
+ * ship, with its credits and cargo, flying where it was. Planet state, AI ships and
+ * the loaded chunks refer to a layout that no longer exists.
+ * @param {Object} data - Save data
+ * @returns {Object} The same save in the current world format, with the rest dropped
+ */
+function keepPlayerShipOnly({ world, planets, ...data }) {
+  return {
+    ...data,
+    gameState: 'FLYING',
+    time: 0,
+    chunks: [],
+    planetStates: {},
+    ships: data.ships
+      .filter((ship) => ship.isPlayer)
+      .map((ship) => ({ ...ship, ai: null }))
+  };
+}
+
+/**
+ * Drop everything about the star systems of a seed that now generates different
+ * ones: what keepPlayerShipOnly drops, and the codex, missions and waypoint, which
+ * were about planets that are gone. The explored map still holds.
+ * @param {Object} data - Save data
+ * @returns {Object} The same save with the old star systems forgotten
+ */
+function forgetStarSystems(data) {
+  return {
+    ...keepPlayerShipOnly(data),
+    discoveries: [],
+    missions: { active: [], taken: [] },
+    navigation: { ...data.navigation, waypoint: null }
+  };
+}
+
+/**
+ * Migrations keyed by the version they upgrade from. Each one takes save data at
+ * that version and returns it in the shape of the next version.
+ * @type {Object<number, function(Object): Object>}
+ */
+const MIGRATIONS = {
+  // Version 2 moved the simulation to per-second units: ship speeds were pixels
+  // per frame (at 60 frames per second) and trader dock timers were milliseconds
+  1: (data) => ({
+    ...data,
+    ships: data.ships.map((ship) => ({
+      ...ship,
+      speed: ship.speed * 60,
+      ai: ship.ai && ship.ai.role === 'trader'
+        ? { ...ship.ai, dockTimer: ship.ai.dockTimer / 1000 }
+        : ship.ai
+    }))
+  }),
+  // Version 3 replaced the fixed-size world with endless chunks generated from the
+  // seed. The old world's planets have no counterpart in the new universe.
+  2: keepPlayerShipOnly,
+  // Version 4 filled chunks with star systems, so every planet moved and planet keys
+  // now count moons too
+  3: keepPlayerShipOnly,
+  // Version 5 added the Newtonian flight model, which keeps a velocity vector
+  4: (data) => ({
+    ...data,
+    ships: data.ships.map((ship) => ({ ...ship, flightModel: 'arcade', vx: 0, vy: 0 })),
+    settings: { ...data.settings, flightModel: 'arcade' }
+  }),
+  // Version 6 added combat: ships have a shield, hull and weapon, and the player a number of lives
+  5: (data) => ({
+    ...data,
+    lives: 3,
+    ships: data.ships.map((ship) => ({
+      ...ship,
+      shield: 50,
+      hull: 100,
+      weapon: ship.ai && ship.ai.role === 'pirate' ? { damage: 6, fireInterval: 0.7 } : {}
+    }))
+  }),
+  // Version 7 added fuel, which every ship starts with a full tank of
+  6: (data) => ({
+    ...data,
+    ships: data.ships.map((ship) => ({ ...ship, fuel: 100 }))
+  }),
+  // Version 8 added the codex of discovered planets, which starts out empty
+  7: (data) => ({ ...data, discoveries: [] }),
+  // Version 9 added missions
+  8: (data) => ({ ...data, missions: { active: [], taken: [] } }),
+  // Version 10 added the galaxy map's waypoint and fog of war; nothing has been explored yet
+  9: (data) => ({ ...data, navigation: { waypoint: null, explored: [] } }),
+  // Version 11 gave planets types and unique names, which changed every star system
+  10: forgetStarSystems,
+  // Version 12 stopped chunks drawing random numbers for background stars, now the
+  // starfield's, which changed every star system again
+  11: forgetStarSystems
+};
+
+/**
+ * Upgrade save data from any older version to SAVE_VERSION
+ * @param {Object} data - Parsed save data
+ * @returns {Object} Save data in the current format
+ * @throws {Error} If the data is not a save, or comes from a newer or unknown version
+ */
+export function migrateSave(data) {
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+    throw new Error('Not a Planet Explorer save file');
+  }
+  if (data.version > SAVE_VERSION) {
+    throw new Error(`Save version ${data.version} is newer than this game supports (${SAVE_VERSION})`);
+  }
+
+  let migrated = data;
+  while (migrated.version < SAVE_VERSION) {
+    const migration = MIGRATIONS[migrated.version];
+    if (!migration) {
+      throw new Error(`No migration from save version ${migrated.version}`);
+    }
+    migrated = { ...migration(migrated), version: migrated.version + 1 };
+  }
+  return migrated;
+}
+
+/**
+ * Allowed slot names. The save server enforces the same rule.
+ * @type {RegExp}
+ */
+const SLOT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+/**
+ * Check whether a slot name is allowed
+ * @param {string} name - Slot name
+ * @returns {boolean} True if the name may be used
+ */
+export function isValidSlotName(name) {
+  return SLOT_NAME_PATTERN.test(name);
+}
+
+/**
+ * Pick the more recently saved of two copies of a slot
+ * @param {Object | null} a - Save data or null
+ * @param {Object | null} b - Save data or null
+ * @returns {Object | null} The newer copy
+ */
+function newest(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return (b.savedAt || '') > (a.savedAt || '') ? b : a;
+}
+
+/**
+ * Stores game saves in named slots and moves them in and out of JSON files.
+ * Slots are always kept in localStorage. When a save server is available they
+ * are mirrored there too, and the newest copy of a slot wins when reading.
+ */
+export class SaveManager {
+  /**
+   * Create the save manager
+   * @param {Storage} [storage=window.localStorage] - Where slots are kept locally
+   * @param {SaveServerClient | null} [server=null] - Optional save server to sync with
+   */
+  constructor(storage = window.localStorage, server = null) {
+    /** @type {Storage} */
+    this.storage = storage;
+    /** @type {SaveServerClient | null} */
+    this.server = server;
+  }
+
+  /**
+   * Whether slots are currently being mirrored to the save server
+   * @returns {boolean} True if the server is reachable
+   */
+  isServerAvailable() {
+    return Boolean(this.server && this.server.available);
+  }
+
+  /**
+   * Run a save server operation, falling back silently if the server is unreachable
+   * @param {function(SaveServerClient): Promise<*>} operation - The operation to run
+   * @param {*} fallback - Value returned when the server is unavailable or fails
+   * @returns {Promise<*>} The operation's result, or the fallback
+   */
+  async withServer(operation, fallback) {
+    if (!this.isServerAvailable()) return fallback;
+    try {
+      return await operation(this.server);
+    } catch (error) {
+      console.warn('Save server request failed, using local saves only:', error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Read a slot from localStorage
+   * @param {string} name - Slot name
+   * @returns {Object | null} Raw save data, or null if the slot is empty or unreadable
+   */
+  readLocal(name) {
+    const json = this.storage.getItem(STORAGE_PREFIX + name);
+    if (json === null) return null;
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      console.warn(`Ignoring unreadable save slot ${name}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * List the local slot names
+   * @returns {Array<string>} Slot names
+   */
+  listLocalNames() {
+    const names = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key && key.startsWith(STORAGE_PREFIX)) {
+        names.push(key.slice(STORAGE_PREFIX.length));
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Connect to the save server, if there is one, and bring both sides up to date:
+   * each slot is copied in whichever direction has the older (or no) copy.
+   * @returns {Promise<boolean>} True if the server is available
+   */
+  async sync() {
+    if (!this.server || !(await this.server.checkAvailable())) {
+      return false;
+    }
+
+    await this.withServer(async (server) => {
+      const remoteSlots = await server.list();
+      const remoteByName = new Map(remoteSlots.map((slot) => [slot.name, slot]));
+
+      for (const name of this.listLocalNames()) {
+        const local = this.readLocal(name);
+        const remote = remoteByName.get(name);
+        if (local && (!remote || (local.savedAt || '') > (remote.savedAt || ''))) {
+          await server.put(name, local);
+        }
+      }
+
+      for (const remote of remoteSlots) {
+        const local = this.readLocal(remote.name);
+        if (!local || (remote.savedAt || '') > (local.savedAt || '')) {
+          const data = await server.get(remote.name);
+          if (data) {
+            this.storage.setItem(STORAGE_PREFIX + remote.name, JSON.stringify(data));
+          }
+        }
+      }
+    });
+    return this.isServerAvailable();
+  }
+
+  /**
+   * List the saved slots, local and remote, most recent first
+   * @returns {Promise<Array<{name: string, savedAt: string}>>} Slot names and save times
+   */
+  async listSlots() {
+    const slots = new Map();
+    for (const name of this.listLocalNames()) {
+      const data = this.readLocal(name);
+      if (data) {
+        slots.set(name, { name, savedAt: data.savedAt || '' });
+      }
+    }
+
+    const remoteSlots = await this.withServer((server) => server.list(), []);
+    for (const remote of remoteSlots) {
+      const local = slots.get(remote.name);
+      if (!local || (remote.savedAt || '') > local.savedAt) {
+        slots.set(remote.name, { name: remote.name, savedAt: remote.savedAt || '' });
+      }
+    }
+
+    return [...slots.values()].sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  /**
+   * Write save data to a slot, replacing what was there
+   * @param {string} name - Slot name
+   * @param {Object} data - Save data (see Game.serialize)
+   * @throws {Error} If the slot name is not allowed
+   */
+  async save(name, data) {
+    if (!isValidSlotName(name)) {
+      throw new Error('Slot names may only contain letters, numbers, "-" and "_"');
+    }
+    this.storage.setItem(STORAGE_PREFIX + name, JSON.stringify(data));
+    if (this.server && !this.server.available) {
+      // The server may have come back since we last saw it; syncing uploads this save too
+      await this.sync();
+    } else {
+      await this.withServer((server) => server.put(name, data));
+    }
+  }
+
+  /**
+   * Read save data from a slot, migrating it to the current version
+   * @param {string} name - Slot name
+   * @returns {Promise<Object | null>} Save data, or null if the slot is empty
+   * @throws {Error} If the slot holds data that cannot be migrated
+   */
+  async load(name) {
+    const remote = await this.withServer((server) => server.get(name), null);
+    const data = newest(this.readLocal(name), remote);
+    return data === null ? null : migrateSave(data);
+  }
+
+  /**
+   * Delete a slot
+   * @param {string} name - Slot name
+   */
+  async delete(name) {
+    this.storage.removeItem(STORAGE_PREFIX + name);
+    await this.withServer((server) => server.delete(name));
+  }
+  /**
+   * Offer save data as a JSON file download
+   * @param {Object} data - Save data
+   * @param {string} name - Slot name, used for the file name
+   */
+  exportToFile(data, name) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `planet-explorer-${name}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Read save data from an uploaded JSON file, migrating it to the current version
+   * @param {File} file - The uploaded file
+   * @returns {Promise<Object>} Save data in the current format
+   */
+  async importFromFile(file) {
+    const text = await file.text();
+    return migrateSave(JSON.parse(text));
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Client for the save slot REST API served by server.js.
+ */
+
+/**
+ * How long to wait for the save server before treating it as unavailable, in milliseconds
+ * @type {number}
+ */
+const REQUEST_TIMEOUT = 3000;
+
+/**
+ * Talks to /api/saves. Any network failure marks the server as unavailable,
+ * so callers can fall back to local storage.
+ */
+export class SaveServerClient {
+  /**
+   * Create the client
+   * @param {string} [baseUrl='api/saves'] - URL of the save API, relative to the page
+   */
+  constructor(baseUrl = 'api/saves') {
+    /** @type {string} */
+    this.baseUrl = baseUrl;
+    /** @type {boolean} */
+    this.available = false;
+  }
+
+  /**
+   * Send a request to the save API
+   * @param {string} path - Path below the base URL ('' for the collection)
+   * @param {RequestInit} [options] - fetch options
+   * @returns {Promise<Response>} The response (any status)
+   * @throws {Error} If the server could not be reached
+   */
+  async request(path, options = {}) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+    try {
+      const response = await fetch(`${this.baseUrl}${path}`, { ...options, signal: controller.signal });
+      this.available = true;
+      return response;
+    } catch (error) {
+      this.available = false;
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Check whether the save server is reachable. Pages opened from disk, or
+   * served by something other than server.js, will not have it.
+   * @returns {Promise<boolean>} True if the API responded
+   */
+  async checkAvailable() {
+    try {
+      const response = await this.request('');
+      this.available = response.ok;
+    } catch (error) {
+      this.available = false;
+    }
+    return this.available;
+  }
+
+  /**
+   * Throw a descriptive error for an unsuccessful response
+   * @param {Response} response - The failed response
+   */
+  async throwResponseError(response) {
+    let message = `Save server responded ${response.status}`;
+    try {
+      const body = await response.json();
+      if (body.error) {
+        message = body.details ? `${body.error}: ${body.details.join(', ')}` : body.error;
+      }
+    } catch (error) {
+      // Not a JSON error body; keep the status message
+    }
+    throw new Error(message);
+  }
+
+  /**
+   * List the slots on the server
+   * @returns {Promise<Array<{name: string, savedAt: string, version: number}>>} Server slots
+   */
+  async list() {
+    const response = await this.request('');
+    if (!response.ok) await this.throwResponseError(response);
+    return response.json();
+  }
+
+  /**
+   * Read a slot from the server
+   * @param {string} name - Slot name
+   * @returns {Promise<Object | null>} Save data, or null if the slot doesn't exist
+   */
+  async get(name) {
+    const response = await this.request(`/${encodeURIComponent(name)}`);
+    if (response.status === 404) return null;
+    if (!response.ok) await this.throwResponseError(response);
+    return response.json();
+  }
+
+  /**
+   * Create or replace a slot on the server
+   * @param {string} name - Slot name
+   * @param {Object} data - Save data
+   */
+  async put(name, data) {
+    const response = await this.request(`/${encodeURIComponent(name)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    if (!response.ok) await this.throwResponseError(response);
+  }
+
+  /**
+   * Delete a slot on the server. Deleting a slot that doesn't exist is not an error.
+   * @param {string} name - Slot name
+   */
+  async delete(name) {
+    const response = await this.request(`/${encodeURIComponent(name)}`, { method: 'DELETE' });
+    if (!response.ok && response.status !== 404) await this.throwResponseError(response);
+  }
+}
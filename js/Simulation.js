@@ -0,0 +1,386 @@
+/**
+ * @fileoverview The game simulation: the chunked universe, entities and the rules
+ * that move them. It never touches the DOM, so it can be stepped headlessly in Node.
+ */
+
+import { Spaceship, FlightModel } from './spaceship.js';
+import { EntityManager } from './EntityManager.js';
+import { InteractionSystem } from './InteractionSystem.js';
+import { AISystem } from './AISystem.js';
+import { GravitySystem } from './GravitySystem.js';
+import { CombatSystem } from './CombatSystem.js';
+import { DiscoverySystem } from './DiscoverySystem.js';
+import { MissionSystem } from './MissionSystem.js';
+import { NavigationSystem } from './NavigationSystem.js';
+import { AutopilotSystem } from './AutopilotSystem.js';
+import { ChunkManager, START_POSITION } from './ChunkManager.js';
+import { GameState } from './GameState.js';
+import { CargoHold } from './CargoHold.js';
+import { randomSeed } from './utils.js';
+
+export { GameState };
+
+/**
+ * Length of one simulation step, in seconds. The simulation always advances in
+ * steps of this size, whatever the display's frame rate.
+ * @type {number}
+ */
+export const FIXED_TIMESTEP = 1 / 60;
+
+/**
+ * Default ship dimensions, before the size slider is applied
+ * @type {{width: number, height: number}}
+ */
+export const BASE_SHIP_SIZE = { width: 42, height: 21 };
+
+/**
+ * Ships the player has, counting the one they start in
+ * @type {number}
+ */
+export const STARTING_LIVES = 3;
+
+/**
+ * The simulated galaxy: planets, ships and the game state they are in. Space
+ * is endless; the ChunkManager generates it around the player as they fly.
+ *
+ * Presentation code (the browser Game, or a test) steps it and listens to its
+ * events rather than being called by it:
+ * - 'planetHover' ({planet, canLand}) every step the player is over a planet
+ * - 'planetHoverEnd' () when the player flies off a planet
+ * - 'landed' ({planet}) when the player lands
+ * - 'stateChange' ({state, previous}) when the game state changes
+ * - 'shipHit' ({ship, attacker}) when a projectile hits a ship
+ * - 'shipDestroyed' ({ship, attacker}) when a ship other than the player's is destroyed
+ * - 'playerDestroyed' ({lives}) when the player's ship is destroyed, with the lives left
+ * - 'respawned' () when the player comes back in a new ship
+ * - 'planetDiscovered', 'planetScanned' and 'planetVisited' ({planet, entry}) as the
+ *   DiscoverySystem records planets in the codex
+ * - 'missionAccepted', 'missionCompleted' and 'missionFailed' ({mission}) as the
+ *   MissionSystem tracks the player's missions
+ * - 'waypointSet' and 'waypointReached' ({waypoint}) as the NavigationSystem
+ *   follows the player's waypoint
+ * - 'autopilotEngaged' and 'autopilotArrived' ({name}) and 'autopilotDisengaged'
+ *   ({reason}) as the AutopilotSystem flies the player's ship
+ */
+export class Simulation {
+  /**
+   * Create the simulation and generate the space around the player
+   * @param {Object} [options] - Simulation options
+   * @param {number} [options.speedScale=0.3] - Speed scaling factor (1.0 = 100% speed)
+   * @param {number|string} [options.seed] - World seed (random if not specified). The same seed always generates the same universe.
+   * @param {{width: number, height: number}} [options.playerShipSize=BASE_SHIP_SIZE] - Size of the player's ship
+   * @param {boolean} [options.spawnAI=true] - Whether to populate chunks with AI ships
+   * @param {string} [options.flightModel=FlightModel.ARCADE] - How the player's ship flies (AI ships always fly arcade)
+   */
+  constructor(options = {}) {
+    // Simulation configuration
+    this.config = {
+      speedScale: options.speedScale || 0.3,
+      seed: options.seed ?? randomSeed(),
+      spawnAI: options.spawnAI !== false,
+      flightModel: options.flightModel || FlightModel.ARCADE
+    };
+
+    /** @type {Object<string, Array<Function>>} Event listeners by event type */
+    this.listeners = {};
+
+    /** @type {EntityManager} */
+    this.entityManager = new EntityManager();
+    /** @type {InteractionSystem} */
+    this.interactionSystem = new InteractionSystem(this.entityManager, this);
+    /** @type {AISystem} */
+    this.aiSystem = new AISystem(this.entityManager);
+    /** @type {GravitySystem} */
+    this.gravitySystem = new GravitySystem(this.entityManager, this);
+    /** @type {CombatSystem} */
+    this.combatSystem = new CombatSystem(this.entityManager, this);
+    /** @type {ChunkManager} */
+    this.chunkManager = new ChunkManager(this);
+    /** @type {DiscoverySystem} */
+    this.discoverySystem = new DiscoverySystem(this.entityManager, this);
+    /** @type {MissionSystem} */
+    this.missionSystem = new MissionSystem(this.entityManager, this);
+    /** @type {NavigationSystem} */
+    this.navigationSystem = new NavigationSystem(this.entityManager, this);
+    /** @type {AutopilotSystem} */
+    this.autopilotSystem = new AutopilotSystem(this.entityManager, this);
+
+    /** @type {string} */
+    this.gameState = GameState.FLYING;
+
+    /**
+     * Seconds simulated so far. Orbits are a function of it, so it is saved.
+     * @type {number}
+     */
+    this.time = 0;
+
+    /**
+     * Where simulation time comes from when it isn't counted in steps, e.g. a
+     * clock shared by the players of a multiplayer world (see setClock)
+     * @type {function(): number | null}
+     */
+    this.clock = null;
+
+    /**
+     * Ships the player has left, including the one they are flying
+     * @type {number}
+     */
+    this.lives = STARTING_LIVES;
+
+    // Create player spaceship in the middle of the starting chunk
+    const shipSize = options.playerShipSize || BASE_SHIP_SIZE;
+    this.entityManager.addSpaceship(new Spaceship(
+      START_POSITION.x,
+      START_POSITION.y,
+      this.config.speedScale,
+      shipSize.width,
+      shipSize.height,
+      { isPlayer: true, flightModel: this.config.flightModel }
+    ));
+
+    // Generate the chunks around the player (planets are added to entityManager as they load)
+    this.chunkManager.update();
+  }
+
+  /**
+   * Listen for a simulation event (see the class description for the list)
+   * @param {string} type - Event type
+   * @param {Function} handler - Called with the event's payload
+   */
+  on(type, handler) {
+    (this.listeners[type] = this.listeners[type] || []).push(handler);
+  }
+
+  /**
+   * Notify the listeners of an event
+   * @param {string} type - Event type
+   * @param {Object} [payload] - Event details
+   */
+  emit(type, payload) {
+    for (const handler of this.listeners[type] || []) {
+      handler(payload);
+    }
+  }
+
+  /**
+   * Get the player's ship
+   * @returns {Spaceship | undefined} The player ship
+   */
+  getPlayerShip() {
+    return this.entityManager.getPlayerShip();
+  }
+
+  /**
+   * Set the current game state.
+   * @param {string} newState - The new game state (e.g., GameState.FLYING).
+   */
+  setGameState(newState) {
+    if (GameState[newState]) {
+      const previous = this.gameState;
+      this.gameState = newState;
+      if (previous !== newState) {
+        this.emit('stateChange', { state: newState, previous });
+      }
+    } else {
+      console.error(`Attempted to set invalid game state: ${newState}`);
+    }
+  }
+
+  /**
+   * Whether the player has been destroyed with no ships left
+   * @type {boolean}
+   */
+  get isGameOver() {
+    return this.gameState === GameState.DESTROYED && this.lives <= 0;
+  }
+
+  /**
+   * The player's ship has been destroyed: lose a life and stop the game until they respawn
+   */
+  destroyPlayer() {
+    this.lives = Math.max(0, this.lives - 1);
+    this.setGameState(GameState.DESTROYED);
+    this.emit('playerDestroyed', { lives: this.lives });
+  }
+
+  /**
+   * Put the player back in space in a new ship, at the start of their journey.
+   * Credits are kept but the cargo went down with the old ship. The new ship has a full tank.
+   * @returns {boolean} False if there are no lives left to respawn with
+   */
+  respawnPlayer() {
+    const playerShip = this.getPlayerShip();
+    if (!playerShip || this.lives <= 0) return false;
+
+    playerShip.repair();
+    playerShip.fuel = playerShip.maxFuel;
+    playerShip.stop();
+    playerShip.cargo = new CargoHold(playerShip.cargo.capacity);
+    playerShip.boostCharge = 0;
+    playerShip.x = START_POSITION.x;
+    playerShip.y = START_POSITION.y;
+    playerShip.rotation = 0;
+    playerShip.savePreviousState();
+    this.entityManager.updateSpatialIndex(playerShip);
+    this.entityManager.clearProjectiles();
+
+    // Load the space around the start again, dropping the pirates that got us
+    this.chunkManager.update();
+    this.setGameState(GameState.FLYING);
+    this.emit('respawned');
+    return true;
+  }
+
+  /**
+   * Change the game speed
+   * @param {number} scale - New speed scale (1.0 = 100% speed)
+   */
+  setGameSpeed(scale) {
+    this.config.speedScale = scale;
+    for (const ship of this.entityManager.getAllSpaceships()) {
+      ship.setSpeedScale(scale);
+    }
+  }
+
+  /**
+   * Change how the player's ship flies
+   * @param {string} model - A FlightModel value
+   */
+  setFlightModel(model) {
+    this.config.flightModel = model;
+    this.getPlayerShip()?.setFlightModel(model);
+  }
+
+  /**
+   * Take simulation time from a clock rather than counting it in steps. Orbits
+   * are a function of time, so players who share a clock see the planets in the
+   * same places, however long each has been playing or sat on a planet.
+   * @param {function(): number | null} clock - Returns the time in seconds, or null to count steps again
+   */
+  setClock(clock) {
+    this.clock = clock;
+    if (clock) {
+      this.time = clock();
+      this.entityManager.updateOrbits(this.time);
+    }
+  }
+
+  /**
+   * Keep the world on its clock while the game is paused, e.g. landed or
+   * destroyed: the planets carry on along their orbits, taking a landed player's
+   * ship with them, so it takes off from where its planet is and other players
+   * see it there. A world counting its own time simply waits for the player.
+   */
+  followClock() {
+    if (!this.clock || this.gameState === GameState.FLYING) return;
+    this.time = this.clock();
+    this.entityManager.updateOrbits(this.time);
+
+    const planet = this.interactionSystem.landedPlanet;
+    const playerShip = this.getPlayerShip();
+    if (planet && playerShip && this.gameState !== GameState.DESTROYED) {
+      playerShip.x = planet.x;
+      playerShip.y = planet.y;
+      playerShip.savePreviousState();
+      this.entityManager.updateSpatialIndex(playerShip);
+    }
+  }
+
+  /**
+   * Advance the simulation by one step. Nothing moves unless the player is flying.
+   * Set the player ship's controls before calling this.
+   * @param {number} [deltaTime=FIXED_TIMESTEP] - Length of the step in seconds
+   */
+  step(deltaTime = FIXED_TIMESTEP) {
+    if (this.gameState !== GameState.FLYING) return;
+
+    this.time = this.clock ? this.clock() : this.time + deltaTime;
+
+    // Let AI ships pick their controls before anything moves
+    this.aiSystem.update(deltaTime);
+
+    // Fly the player's ship if they have handed it to the autopilot
+    this.autopilotSystem.update();
+
+    // Pull Newtonian ships towards nearby bodies
+    this.gravitySystem.update(deltaTime);
+
+    // Update all entities via EntityManager
+    this.entityManager.update(deltaTime, this.time);
+
+    // Generate the space the player is flying into and drop what they left behind
+    this.chunkManager.update();
+
+    // Pick up planets on the sensors and scan the ones flown close to
+    this.discoverySystem.update();
+
+    // Surveys reached and courier jobs run out of time
+    this.missionSystem.update();
+
+    // Explore the fog of war and reach waypoints
+    this.navigationSystem.update();
+
+    // Weapons fire and hits, which may destroy the player
+    this.combatSystem.update(deltaTime);
+    if (this.gameState !== GameState.FLYING) return;
+
+    // Landing and other interactions with planets
+    this.interactionSystem.update(deltaTime);
+  }
+
+  /**
+   * Capture the world as plain data: seed, game state, loaded chunks, changed
+   * planets and ships. Planets themselves aren't saved, since the seed regenerates them.
+   * @returns {Object} World part of the save data
+   */
+  serialize() {
+    const { chunks, planetStates } = this.chunkManager.serialize();
+    return {
+      seed: this.config.seed,
+      gameState: this.gameState,
+      time: this.time,
+      lives: this.lives,
+      discoveries: this.discoverySystem.serialize(),
+      missions: this.missionSystem.serialize(),
+      navigation: this.navigationSystem.serialize(),
+      chunks,
+      planetStates,
+      // Other players' ships belong to them, not to this save
+      ships: this.entityManager.getAllSpaceships()
+        .filter((ship) => !ship.isRemote)
+        .map((ship) => ship.serialize())
+    };
+  }
+
+  /**
+   * Replace the world with saved data. The game is left FLYING, or DESTROYED if the
+   * save was made after the player was shot down; the caller decides whether to
+   * land again on the planet the save was made on.
+   * @param {Object} data - Data from serialize()
+   */
+  load(data) {
+    this.config.seed = data.seed;
+    this.time = data.time;
+    this.lives = data.lives;
+    // The autopilot isn't saved; a loaded game starts under manual control
+    this.autopilotSystem.disengage('Game loaded');
+    this.discoverySystem.restore(data.discoveries);
+    this.missionSystem.restore(data.missions);
+    this.navigationSystem.restore(data.navigation);
+    this.interactionSystem.landedPlanet = null;
+
+    this.entityManager.clear();
+    this.chunkManager.restore(data);
+    const planets = this.entityManager.getAllPlanets();
+    for (const shipData of data.ships) {
+      const ship = Spaceship.deserialize(shipData, planets);
+      // Drop AI ships whose behaviour refers to a planet that no longer loads
+      if (shipData.ai && !ship.ai) continue;
+      this.entityManager.addSpaceship(ship);
+    }
+    this.config.flightModel = this.getPlayerShip()?.flightModel ?? this.config.flightModel;
+    // Fill in any chunks around the player the save didn't have loaded
+    this.chunkManager.update();
+    this.setGameState(this.getPlayerShip()?.isDestroyed ? GameState.DESTROYED : GameState.FLYING);
+  }
+}
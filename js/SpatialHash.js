@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Uniform grid spatial index for fast range queries over entities.
+ */
+
+/**
+ * Spatial hash: space is divided into square cells and each entity is filed
+ * under every cell its bounding circle touches, so a range query only has to
+ * look at the entities in the few cells the range covers.
+ *
+ * Entities need `x`, `y` and `radius` properties. Call update() after an
+ * entity moves or changes size.
+ */
+export class SpatialHash {
+  /**
+   * Create an empty spatial hash
+   * @param {number} [cellSize=256] - Width and height of each cell in pixels.
+   *   Roughly the size of a typical query works best.
+   */
+  constructor(cellSize = 256) {
+    /** @type {number} */
+    this.cellSize = cellSize;
+    /** @type {Map<string, Set<Object>>} Entities in each occupied cell */
+    this.cells = new Map();
+    /** @type {Map<Object, {minX: number, minY: number, maxX: number, maxY: number}>} Cell range of each entity */
+    this.entityCells = new Map();
+  }
+
+  /**
+   * Number of entities in the index
+   * @type {number}
+   */
+  get size() {
+    return this.entityCells.size;
+  }
+
+  /**
+   * Check whether an entity is in the index
+   * @param {Object} entity - The entity
+   * @returns {boolean} True if it has been inserted and not removed
+   */
+  has(entity) {
+    return this.entityCells.has(entity);
+  }
+
+  /**
+   * Get the range of cells a box covers
+   * @param {number} minX - Left edge
+   * @param {number} minY - Top edge
+   * @param {number} maxX - Right edge
+   * @param {number} maxY - Bottom edge
+   * @returns {{minX: number, minY: number, maxX: number, maxY: number}} Cell coordinates (inclusive)
+   */
+  getCellRange(minX, minY, maxX, maxY) {
+    return {
+      minX: Math.floor(minX / this.cellSize),
+      minY: Math.floor(minY / this.cellSize),
+      maxX: Math.floor(maxX / this.cellSize),
+      maxY: Math.floor(maxY / this.cellSize)
+    };
+  }
+
+  /**
+   * Get the range of cells an entity's bounding circle covers
+   * @param {Object} entity - Entity with x, y and radius
+   * @returns {{minX: number, minY: number, maxX: number, maxY: number}} Cell coordinates (inclusive)
+   */
+  getEntityRange(entity) {
+    const radius = entity.radius || 0;
+    return this.getCellRange(entity.x - radius, entity.y - radius, entity.x + radius, entity.y + radius);
+  }
+
+  /**
+   * Add an entity to the index
+   * @param {Object} entity - Entity with x, y and radius
+   */
+  insert(entity) {
+    if (this.entityCells.has(entity)) {
+      this.update(entity);
+      return;
+    }
+    const range = this.getEntityRange(entity);
+    this.entityCells.set(entity, range);
+    this.forEachCellKey(range, (key) => {
+      let cell = this.cells.get(key);
+      if (!cell) {
+        cell = new Set();
+        this.cells.set(key, cell);
+      }
+      cell.add(entity);
+    });
+  }
+
+  /**
+   * Remove an entity from the index
+   * @param {Object} entity - A previously inserted entity
+   */
+  remove(entity) {
+    const range = this.entityCells.get(entity);
+    if (!range) return;
+    this.entityCells.delete(entity);
+    this.forEachCellKey(range, (key) => {
+      const cell = this.cells.get(key);
+      if (!cell) return;
+      cell.delete(entity);
+      if (cell.size === 0) {
+        this.cells.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Re-file an entity after it has moved or changed size.
+   * Cheap when it is still in the same cells, which is most steps.
+   * @param {Object} entity - A previously inserted entity
+   */
+  update(entity) {
+    const previous = this.entityCells.get(entity);
+    if (!previous) {
+      this.insert(entity);
+      return;
+    }
+    const range = this.getEntityRange(entity);
+    if (range.minX === previous.minX && range.minY === previous.minY &&
+        range.maxX === previous.maxX && range.maxY === previous.maxY) {
+      return;
+    }
+    this.remove(entity);
+    this.insert(entity);
+  }
+
+  /**
+   * Remove every entity
+   */
+  clear() {
+    this.cells.clear();
+    this.entityCells.clear();
+  }
+
+  /**
+   * Call a function with the key of every cell in a range
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} range - Cell coordinates (inclusive)
+   * @param {function(string): void} callback - Called with each cell key
+   */
+  forEachCellKey(range, callback) {
+    for (let cx = range.minX; cx <= range.maxX; cx++) {
+      for (let cy = range.minY; cy <= range.maxY; cy++) {
+        callback(`${cx},${cy}`);
+      }
+    }
+  }
+
+  /**
+   * Find every entity whose bounding circle overlaps a rectangle
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Rectangle width
+   * @param {number} height - Rectangle height
+   * @returns {Array<Object>} Matching entities, each listed once
+   */
+  queryRect(x, y, width, height) {
+    const found = new Set();
+    this.forEachCellKey(this.getCellRange(x, y, x + width, y + height), (key) => {
+      const cell = this.cells.get(key);
+      if (!cell) return;
+      for (const entity of cell) {
+        const radius = entity.radius || 0;
+        if (entity.x + radius >= x && entity.x - radius <= x + width &&
+            entity.y + radius >= y && entity.y - radius <= y + height) {
+          found.add(entity);
+        }
+      }
+    });
+    return [...found];
+  }
+
+  /**
+   * Find every entity whose bounding circle overlaps a circle
+   * @param {number} x - Circle center X
+   * @param {number} y - Circle center Y
+   * @param {number} radius - Circle radius
+   * @returns {Array<Object>} Matching entities, each listed once
+   */
+  queryRadius(x, y, radius) {
+    const found = new Set();
+    this.forEachCellKey(this.getCellRange(x - radius, y - radius, x + radius, y + radius), (key) => {
+      const cell = this.cells.get(key);
+      if (!cell) return;
+      for (const entity of cell) {
+        const dx = entity.x - x;
+        const dy = entity.y - y;
+        const reach = radius + (entity.radius || 0);
+        if (dx * dx + dy * dy < reach * reach) {
+          found.add(entity);
+        }
+      }
+    });
+    return [...found];
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Star class: the glowing body at the center of a star system
+ */
+
+import { randomInt } from './utils.js';
+
+/**
+ * Star names for random generation
+ * @type {Array<string>}
+ */
+const STAR_NAMES = [
+  "Altair", "Bellatrix", "Capella", "Deneb", "Electra",
+  "Fomalhaut", "Izar", "Mira", "Rigel", "Vega"
+];
+
+/**
+ * Star colors by spectral class, hottest first, with the glow drawn around each
+ * @type {Array<{color: string, glow: string}>}
+ */
+const STAR_COLORS = [
+  { color: '#cfe0ff', glow: 'rgba(150, 180, 255, 0.35)' }, // Blue-white
+  { color: '#ffffff', glow: 'rgba(230, 235, 255, 0.3)' },  // White
+  { color: '#fff4c2', glow: 'rgba(255, 230, 140, 0.3)' },  // Yellow
+  { color: '#ffc46b', glow: 'rgba(255, 170, 70, 0.3)' },   // Orange
+  { color: '#ff8a5c', glow: 'rgba(255, 100, 60, 0.3)' }    // Red
+];
+
+/**
+ * How much denser stars are than planets, for their gravity
+ * @type {number}
+ */
+const STAR_DENSITY = 1.5;
+
+/**
+ * Class representing a star. Stars sit still at the center of their system;
+ * planets orbit them and can't be landed on them.
+ */
+export class Star {
+  /**
+   * Create a star
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} radius - Star radius
+   * @param {function(): number} [rng=Math.random] - Random source used for every generated property
+   */
+  constructor(x, y, radius, rng = Math.random) {
+    this.x = x;
+    this.y = y;
+    this.radius = radius;
+    this.name = STAR_NAMES[randomInt(0, STAR_NAMES.length - 1, rng)];
+    const { color, glow } = STAR_COLORS[randomInt(0, STAR_COLORS.length - 1, rng)];
+    this.color = color;
+    this.glowColor = glow;
+  }
+
+  /**
+   * Mass for gravity, in the same units as Planet#mass
+   * @type {number}
+   */
+  get mass() {
+    return this.radius ** 3 * STAR_DENSITY;
+  }
+
+  /**
+   * Get where the star is at a moment. Orbiting bodies ask their parent this.
+   * @param {number} time - Simulation time in seconds
+   * @returns {{x: number, y: number}} Position
+   */
+  getPositionAt(time) {
+    return { x: this.x, y: this.y };
+  }
+
+  /**
+   * Get how fast the star is moving at a moment
+   * @param {number} time - Simulation time in seconds
+   * @returns {{x: number, y: number}} Velocity in pixels per second
+   */
+  getVelocityAt(time) {
+    return { x: 0, y: 0 };
+  }
+
+  /**
+   * Draw the star on the canvas
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} offsetX - X offset for camera
+   * @param {number} offsetY - Y offset for camera
+   */
+  draw(ctx, offsetX, offsetY) {
+    const screenX = this.x - offsetX;
+    const screenY = this.y - offsetY;
+
+    // Corona fading out to space
+    const glow = ctx.createRadialGradient(screenX, screenY, this.radius * 0.8, screenX, screenY, this.radius * 2);
+    glow.addColorStop(0, this.glowColor);
+    glow.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    ctx.beginPath();
+    ctx.arc(screenX, screenY, this.radius * 2, 0, Math.PI * 2);
+    ctx.fillStyle = glow;
+    ctx.fill();
+
+    // Star
+    ctx.beginPath();
+    ctx.arc(screenX, screenY, this.radius, 0, Math.PI * 2);
+    ctx.fillStyle = this.color;
+    ctx.fill();
+  }
+}
@@ -0,0 +1,434 @@
+/**
+ * @fileoverview Background of space: layers of coloured, twinkling stars that
+ * drift past at different rates as the camera moves, in front of nebulae and
+ * distant galaxies rendered once to offscreen canvases.
+ */
+
+import { createCanvas, createNoise, fractalNoise } from './PlanetSurface.js';
+import { clamp, createRng, randomInt } from './utils.js';
+
+/**
+ * Layers of stars, furthest first. `parallax` is how far a layer moves for each
+ * pixel the camera moves, and how much of the camera's zoom it takes on;
+ * `density` is stars per million square pixels on screen, so the sky looks the
+ * same however big the screen or the world is.
+ * @type {Array<{parallax: number, density: number, size: {min: number, max: number}, brightness: number}>}
+ */
+export const STAR_LAYERS = [
+  { parallax: 0.05, density: 45, size: { min: 0.5, max: 1.1 }, brightness: 0.55 },
+  { parallax: 0.15, density: 30, size: { min: 0.6, max: 1.4 }, brightness: 0.7 },
+  { parallax: 0.35, density: 18, size: { min: 0.8, max: 1.8 }, brightness: 0.85 },
+  { parallax: 0.6, density: 8, size: { min: 1, max: 2.4 }, brightness: 1 }
+];
+
+/**
+ * How far the nebulae and galaxies move for each pixel the camera moves. They
+ * are the furthest thing in the sky.
+ * @type {number}
+ */
+const BACKDROP_PARALLAX = 0.02;
+
+/**
+ * Width and height of a tile of a star layer, in layer pixels. Each tile's
+ * stars come from the seed and its coordinates, so they are there again when
+ * the camera comes back.
+ * @type {number}
+ */
+const STAR_TILE_SIZE = 512;
+
+/**
+ * Width and height of a tile of the backdrop, in layer pixels. Each holds at
+ * most one nebula and one galaxy.
+ * @type {number}
+ */
+const BACKDROP_TILE_SIZE = 2048;
+
+/**
+ * Chance of a backdrop tile holding a nebula, and a galaxy
+ * @type {{nebula: number, galaxy: number}}
+ */
+const BACKDROP_CHANCE = { nebula: 0.45, galaxy: 0.3 };
+
+/**
+ * Most tiles kept generated, across every layer
+ * @type {number}
+ */
+const TILE_CACHE_SIZE = 600;
+
+/**
+ * Star colours from hot to cool, with how common each is
+ * @type {Array<{color: string, weight: number}>}
+ */
+const STAR_COLORS = [
+  { color: '155, 176, 255', weight: 1 },
+  { color: '202, 215, 255', weight: 2 },
+  { color: '255, 255, 255', weight: 5 },
+  { color: '255, 244, 232', weight: 3 },
+  { color: '255, 210, 161', weight: 2 },
+  { color: '255, 180, 140', weight: 1 }
+];
+
+/**
+ * Pairs of colours nebulae are painted in
+ * @type {Array<Array<{r: number, g: number, b: number}>>}
+ */
+const NEBULA_PALETTES = [
+  [{ r: 120, g: 60, b: 200 }, { r: 220, g: 80, b: 150 }],
+  [{ r: 40, g: 120, b: 200 }, { r: 80, g: 220, b: 200 }],
+  [{ r: 200, g: 80, b: 60 }, { r: 240, g: 170, b: 80 }],
+  [{ r: 60, g: 160, b: 120 }, { r: 60, g: 80, b: 200 }]
+];
+
+/**
+ * Nebula and galaxy images made for each world, and their size in pixels.
+ * Nebulae are soft, so they are made small and drawn scaled up.
+ * @type {{nebula: {count: number, size: number}, galaxy: {count: number, size: number}}}
+ */
+const SPRITES = {
+  nebula: { count: NEBULA_PALETTES.length, size: 128 },
+  galaxy: { count: 3, size: 96 }
+};
+
+/**
+ * Pick a star colour, weighted by how common each is
+ * @param {function(): number} rng - Random source
+ * @returns {string} RGB of the colour, e.g. "255, 244, 232"
+ */
+function pickStarColor(rng) {
+  const totalWeight = STAR_COLORS.reduce((total, entry) => total + entry.weight, 0);
+  let roll = rng() * totalWeight;
+  for (const entry of STAR_COLORS) {
+    roll -= entry.weight;
+    if (roll < 0) return entry.color;
+  }
+  return STAR_COLORS[STAR_COLORS.length - 1].color;
+}
+
+/**
+ * Generate the stars of one tile of a layer. The count comes out to the layer's
+ * density on average, rounded up or down at random so every tile doesn't hold the same.
+ * @param {number|string} seed - World seed
+ * @param {number} layerIndex - Index into STAR_LAYERS
+ * @param {number} tx - Tile X coordinate
+ * @param {number} ty - Tile Y coordinate
+ * @returns {Array<{x: number, y: number, size: number, color: string, twinkle: number, rate: number, phase: number}>}
+ *   Stars in layer pixels
+ */
+export function generateStarTile(seed, layerIndex, tx, ty) {
+  const layer = STAR_LAYERS[layerIndex];
+  const rng = createRng(`${seed}:stars:${layerIndex}:${tx},${ty}`);
+  const expected = layer.density * STAR_TILE_SIZE * STAR_TILE_SIZE / 1e6;
+  const count = Math.floor(expected + rng());
+  const stars = [];
+  for (let i = 0; i < count; i++) {
+    stars.push({
+      x: (tx + rng()) * STAR_TILE_SIZE,
+      y: (ty + rng()) * STAR_TILE_SIZE,
+      size: layer.size.min + rng() * (layer.size.max - layer.size.min),
+      color: pickStarColor(rng),
+      // Most stars shine steadily; some flicker a lot
+      twinkle: rng() < 0.6 ? rng() * 0.15 : 0.2 + rng() * 0.5,
+      rate: 1 + rng() * 3,
+      phase: rng() * Math.PI * 2
+    });
+  }
+  return stars;
+}
+
+/**
+ * Generate the nebulae and galaxies of one tile of the backdrop
+ * @param {number|string} seed - World seed
+ * @param {number} tx - Tile X coordinate
+ * @param {number} ty - Tile Y coordinate
+ * @returns {Array<{kind: string, sprite: number, x: number, y: number, size: number,
+ *   rotation: number, tilt: number, alpha: number}>} Nebulae and galaxies in layer pixels
+ */
+export function generateBackdropTile(seed, tx, ty) {
+  const rng = createRng(`${seed}:backdrop:${tx},${ty}`);
+  const place = (kind, size, tilt, alpha) => ({
+    kind,
+    sprite: randomInt(0, SPRITES[kind].count - 1, rng),
+    x: (tx + rng()) * BACKDROP_TILE_SIZE,
+    y: (ty + rng()) * BACKDROP_TILE_SIZE,
+    size,
+    rotation: rng() * Math.PI * 2,
+    tilt,
+    alpha
+  });
+  const features = [];
+  if (rng() < BACKDROP_CHANCE.nebula) {
+    features.push(place('nebula', 700 + rng() * 900, 0.6 + rng() * 0.4, 0.5 + rng() * 0.3));
+  }
+  if (rng() < BACKDROP_CHANCE.galaxy) {
+    features.push(place('galaxy', 60 + rng() * 120, 0.25 + rng() * 0.75, 0.6 + rng() * 0.4));
+  }
+  return features;
+}
+
+/**
+ * Paint a nebula: clouds of two colours, thinning out towards the edges
+ * @param {number|string} seed - World seed
+ * @param {number} index - Which nebula, which also picks its colours
+ * @param {number} size - Width and height in pixels
+ * @returns {Uint8ClampedArray} RGBA pixels, transparent where there is no cloud
+ */
+export function generateNebulaPixels(seed, index, size) {
+  const pixels = new Uint8ClampedArray(size * size * 4);
+  const noise = createNoise(`${seed}:nebula:${index}`);
+  const tint = createNoise(`${seed}:nebula-tint:${index}`);
+  const [first, second] = NEBULA_PALETTES[index % NEBULA_PALETTES.length];
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      const x = (column + 0.5) / size * 2 - 1;
+      const y = (row + 0.5) / size * 2 - 1;
+      const r = Math.hypot(x, y);
+      // Thinner further out, so the noise gives the cloud a ragged outline, and gone by the edge
+      const cloud = clamp((fractalNoise(noise, x * 1.8, y * 1.8, 0.5, 4) - 0.15 - r * 0.45) * 3, 0, 1) *
+        clamp((0.95 - r) * 4, 0, 1);
+      const t = fractalNoise(tint, x * 1.5, y * 1.5, 0.5, 3);
+      const pixel = (row * size + column) * 4;
+      pixels[pixel] = first.r + (second.r - first.r) * t;
+      pixels[pixel + 1] = first.g + (second.g - first.g) * t;
+      pixels[pixel + 2] = first.b + (second.b - first.b) * t;
+      pixels[pixel + 3] = cloud * 255;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Paint a spiral galaxy seen face on: a bright core and arms winding out from it.
+ * It is squashed when drawn to tilt it away from the viewer.
+ * @param {number|string} seed - World seed
+ * @param {number} index - Which galaxy
+ * @param {number} size - Width and height in pixels
+ * @returns {Uint8ClampedArray} RGBA pixels, transparent beyond the galaxy
+ */
+export function generateGalaxyPixels(seed, index, size) {
+  const pixels = new Uint8ClampedArray(size * size * 4);
+  const rng = createRng(`${seed}:galaxy:${index}`);
+  const arms = randomInt(2, 4, rng);
+  const twist = 4 + rng() * 4;
+  const dust = createNoise(`${seed}:galaxy:${index}`);
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      const x = (column + 0.5) / size * 2 - 1;
+      const y = (row + 0.5) / size * 2 - 1;
+      const r = Math.hypot(x, y);
+      const angle = Math.atan2(y, x);
+      const arm = (0.5 + 0.5 * Math.cos(arms * (angle + r * twist))) ** 3;
+      const clumps = 0.6 + fractalNoise(dust, x * 6, y * 6, 0.5, 3) * 0.8;
+      const core = Math.exp(-((r / 0.12) ** 2));
+      const fade = clamp((0.95 - r) * 4, 0, 1);
+      const brightness = clamp(core + Math.exp(-3 * r) * (0.15 + 0.85 * arm) * clumps, 0, 1) * fade;
+      const pixel = (row * size + column) * 4;
+      // Warm old stars in the core, young blue ones out in the arms
+      const age = clamp(r * 1.5, 0, 1);
+      pixels[pixel] = 255 - 85 * age;
+      pixels[pixel + 1] = 235 - 45 * age;
+      pixels[pixel + 2] = 200 + 55 * age;
+      pixels[pixel + 3] = brightness * 255;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Draws the sky behind the world. Nothing here touches the simulation or the
+ * world's random numbers: the stars and backdrop are generated from the seed
+ * tile by tile as they come into view, and cached.
+ */
+export class Starfield {
+  /**
+   * Create an empty starfield. It fills in for a seed the first time it is drawn.
+   */
+  constructor() {
+    /** @type {string | null} Seed the cached tiles and sprites were made for */
+    this.seed = null;
+    /** @type {Map<string, Array<Object>>} Generated tiles, least recently used first */
+    this.tiles = new Map();
+    /**
+     * Nebula and galaxy images by kind and index, made one per frame as they come into view
+     * @type {Map<string, HTMLCanvasElement | OffscreenCanvas>}
+     */
+    this.sprites = new Map();
+  }
+
+  /**
+   * Start over for a different world
+   * @param {number|string} seed - World seed
+   */
+  reset(seed) {
+    this.seed = String(seed);
+    this.tiles.clear();
+    this.sprites.clear();
+  }
+
+  /**
+   * Get a tile, generating it the first time
+   * @param {string} key - Cache key
+   * @param {function(): Array<Object>} generate - Makes the tile
+   * @returns {Array<Object>} The tile's stars or backdrop features
+   */
+  getTile(key, generate) {
+    let tile = this.tiles.get(key);
+    if (tile) {
+      this.tiles.delete(key);
+    } else {
+      tile = generate();
+    }
+    // Re-inserting keeps the map in least recently used order
+    this.tiles.set(key, tile);
+    if (this.tiles.size > TILE_CACHE_SIZE) {
+      this.tiles.delete(this.tiles.keys().next().value);
+    }
+    return tile;
+  }
+
+  /**
+   * Work out where a layer is on screen. Far layers move and zoom less than the camera.
+   * @param {Camera} camera - The game camera
+   * @param {number} parallax - How much of the camera's movement the layer takes on
+   * @returns {{zoom: number, left: number, top: number, width: number, height: number,
+   *   toScreenX: function(number): number, toScreenY: function(number): number}}
+   *   The layer's zoom, the part of it on screen in layer pixels, and conversions to screen pixels
+   */
+  getLayerView(camera, parallax) {
+    const zoom = 1 + (camera.zoom - 1) * parallax;
+    const centerX = camera.x * parallax;
+    const centerY = camera.y * parallax;
+    const width = camera.width / zoom;
+    const height = camera.height / zoom;
+    const offsetX = camera.width / 2 + camera.shakeOffset.x * parallax;
+    const offsetY = camera.height / 2 + camera.shakeOffset.y * parallax;
+    return {
+      zoom,
+      left: centerX - width / 2,
+      top: centerY - height / 2,
+      width,
+      height,
+      toScreenX: (x) => (x - centerX) * zoom + offsetX,
+      toScreenY: (y) => (y - centerY) * zoom + offsetY
+    };
+  }
+
+  /**
+   * Find the stars of a layer on screen
+   * @param {Camera} camera - The game camera
+   * @param {number} layerIndex - Index into STAR_LAYERS
+   * @returns {Array<{star: Object, x: number, y: number}>} Stars with their screen positions
+   */
+  getVisibleStars(camera, layerIndex) {
+    const view = this.getLayerView(camera, STAR_LAYERS[layerIndex].parallax);
+    const visible = [];
+    const minX = Math.floor(view.left / STAR_TILE_SIZE);
+    const maxX = Math.floor((view.left + view.width) / STAR_TILE_SIZE);
+    const minY = Math.floor(view.top / STAR_TILE_SIZE);
+    const maxY = Math.floor((view.top + view.height) / STAR_TILE_SIZE);
+    for (let ty = minY; ty <= maxY; ty++) {
+      for (let tx = minX; tx <= maxX; tx++) {
+        const stars = this.getTile(`${layerIndex}:${tx},${ty}`, () => generateStarTile(this.seed, layerIndex, tx, ty));
+        for (const star of stars) {
+          const x = view.toScreenX(star.x);
+          const y = view.toScreenY(star.y);
+          if (x >= -star.size && x <= camera.width && y >= -star.size && y <= camera.height) {
+            visible.push({ star, x, y });
+          }
+        }
+      }
+    }
+    return visible;
+  }
+
+  /**
+   * Get a nebula or galaxy image, making it if no other has been made this frame
+   * @param {string} kind - 'nebula' or 'galaxy'
+   * @param {number} index - Which one
+   * @param {{made: boolean}} frame - Whether an image has been made this frame yet
+   * @returns {HTMLCanvasElement | OffscreenCanvas | null} The image, or null until it is made
+   */
+  getSprite(kind, index, frame) {
+    const key = `${kind}:${index}`;
+    const cached = this.sprites.get(key);
+    if (cached) return cached;
+    // Making one takes a few milliseconds, so spread them over frames
+    if (frame.made) return null;
+    frame.made = true;
+
+    const { size } = SPRITES[kind];
+    const pixels = kind === 'nebula'
+      ? generateNebulaPixels(this.seed, index, size)
+      : generateGalaxyPixels(this.seed, index, size);
+    const canvas = createCanvas(size, size);
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(size, size);
+    image.data.set(pixels);
+    context.putImageData(image, 0, 0);
+    this.sprites.set(key, canvas);
+    return canvas;
+  }
+
+  /**
+   * Draw the nebulae and galaxies on screen
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Camera} camera - The game camera
+   */
+  drawBackdrop(ctx, camera) {
+    const view = this.getLayerView(camera, BACKDROP_PARALLAX);
+    // Features reach up to half their size out of their tile
+    const margin = BACKDROP_TILE_SIZE / 2;
+    const minX = Math.floor((view.left - margin) / BACKDROP_TILE_SIZE);
+    const maxX = Math.floor((view.left + view.width + margin) / BACKDROP_TILE_SIZE);
+    const minY = Math.floor((view.top - margin) / BACKDROP_TILE_SIZE);
+    const maxY = Math.floor((view.top + view.height + margin) / BACKDROP_TILE_SIZE);
+    const frame = { made: false };
+
+    ctx.save();
+    // Glowing gas adds up where clouds overlap
+    ctx.globalCompositeOperation = 'lighter';
+    for (let ty = minY; ty <= maxY; ty++) {
+      for (let tx = minX; tx <= maxX; tx++) {
+        for (const feature of this.getTile(`backdrop:${tx},${ty}`, () => generateBackdropTile(this.seed, tx, ty))) {
+          const size = feature.size * view.zoom;
+          const x = view.toScreenX(feature.x);
+          const y = view.toScreenY(feature.y);
+          if (x + size < 0 || x - size > camera.width || y + size < 0 || y - size > camera.height) continue;
+          const sprite = this.getSprite(feature.kind, feature.sprite, frame);
+          if (!sprite) continue;
+          ctx.globalAlpha = feature.alpha;
+          ctx.setTransform(1, 0, 0, 1, x, y);
+          ctx.rotate(feature.rotation);
+          ctx.scale(1, feature.tilt);
+          ctx.drawImage(sprite, -size / 2, -size / 2, size, size);
+        }
+      }
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draw the sky: the backdrop, then the star layers from the furthest in
+   * @param {CanvasRenderingContext2D} ctx - Canvas context, cleared to black
+   * @param {Camera} camera - The game camera
+   * @param {number|string} seed - World seed
+   * @param {number} time - Seconds on any steady clock, for the twinkling
+   */
+  draw(ctx, camera, seed, time) {
+    if (String(seed) !== this.seed) {
+      this.reset(seed);
+    }
+    this.drawBackdrop(ctx, camera);
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    STAR_LAYERS.forEach((layer, layerIndex) => {
+      for (const { star, x, y } of this.getVisibleStars(camera, layerIndex)) {
+        const flicker = star.twinkle * (0.5 + 0.5 * Math.sin(time * star.rate + star.phase));
+        ctx.fillStyle = `rgba(${star.color}, ${(layer.brightness * (1 - flicker)).toFixed(2)})`;
+        ctx.fillRect(x, y, star.size, star.size);
+      }
+    });
+    ctx.restore();
+  }
+}
+
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Ship-mounted weapon that fires projectiles.
+ */
+
+import { Projectile } from './Projectile.js';
+
+/**
+ * A forward-firing gun with a cooldown between shots. The ship's combat system
+ * asks it for projectiles; the weapon itself never touches the world.
+ */
+export class Weapon {
+  /**
+   * Create a weapon
+   * @param {Object} [options] - Weapon stats
+   * @param {number} [options.damage=10] - Damage per hit
+   * @param {number} [options.fireInterval=0.25] - Seconds between shots
+   * @param {number} [options.projectileSpeed=1800] - Muzzle speed in pixels per second, before speed scaling
+   * @param {number} [options.lifetime=1.2] - Seconds each projectile flies
+   */
+  constructor({ damage = 10, fireInterval = 0.25, projectileSpeed = 1800, lifetime = 1.2 } = {}) {
+    /** @type {number} */
+    this.damage = damage;
+    /** @type {number} Seconds */
+    this.fireInterval = fireInterval;
+    /** @type {number} Pixels per second */
+    this.projectileSpeed = projectileSpeed;
+    /** @type {number} Seconds */
+    this.lifetime = lifetime;
+    /** @type {number} Seconds until the weapon can fire again */
+    this.cooldown = 0;
+  }
+
+  /**
+   * Convert the weapon's stats to plain data for saving. The cooldown isn't kept.
+   * @returns {{damage: number, fireInterval: number, projectileSpeed: number, lifetime: number}} Constructor options
+   */
+  serialize() {
+    return {
+      damage: this.damage,
+      fireInterval: this.fireInterval,
+      projectileSpeed: this.projectileSpeed,
+      lifetime: this.lifetime
+    };
+  }
+
+  /**
+   * Whether the weapon has cooled down enough to fire
+   * @returns {boolean} True if it can fire
+   */
+  isReady() {
+    return this.cooldown <= 0;
+  }
+
+  /**
+   * Cool the weapon down
+   * @param {number} deltaTime - Length of the simulation step in seconds
+   */
+  update(deltaTime) {
+    this.cooldown = Math.max(0, this.cooldown - deltaTime);
+  }
+
+  /**
+   * Fire a projectile from the ship's nose along its heading. The projectile
+   * inherits the ship's velocity, so shots fired on the move still fly straight ahead of it.
+   * @param {Spaceship} ship - The ship carrying the weapon
+   * @returns {Projectile} The new projectile
+   */
+  fire(ship) {
+    this.cooldown = this.fireInterval;
+    const dirX = Math.cos(ship.rotation);
+    const dirY = Math.sin(ship.rotation);
+    const speed = this.projectileSpeed * ship.speedScale;
+    const velocity = ship.getVelocity();
+    return new Projectile(
+      ship.x + dirX * ship.width / 2,
+      ship.y + dirY * ship.width / 2,
+      velocity.x + dirX * speed,
+      velocity.y + dirY * speed,
+      { owner: ship, damage: this.damage, lifetime: this.lifetime }
+    );
+  }
+}
@@ -4,19 +4,90 @@ console.log('[game.js] Script loaded');
  * @fileoverview Main game logic for the Planet Explorer game
  */
 
-import { Spaceship } from './spaceship.js';
-import { Planet } from './planet.js';
-import { EntityManager } from './EntityManager.js';
 import { UI } from './ui.js'; // Assuming UI is exported from ui.js
-import { InteractionSystem } from './InteractionSystem.js'; // Import InteractionSystem
-import { createStars, randomInt, distance, clamp, checkCollision } from './utils.js'; // Assuming these are exported from utils.js
+import { Simulation, GameState, FIXED_TIMESTEP, BASE_SHIP_SIZE } from './Simulation.js';
+import { SaveManager, SAVE_VERSION, AUTOSAVE_SLOT } from './SaveManager.js';
+import { SaveServerClient } from './SaveServerClient.js';
+import { MultiplayerSystem } from './MultiplayerSystem.js';
+import { InputManager, ACTIONS, formatKeyCode, hasFlightInput } from './InputManager.js';
+import { CHUNK_SIZE } from './ChunkManager.js';
+import { FlightModel } from './spaceship.js';
+import { DiscoveryStatus } from './DiscoverySystem.js';
+import { Camera } from './Camera.js';
+import { GalaxyMap, WAYPOINT_COLOR } from './GalaxyMap.js';
+import { Starfield } from './Starfield.js';
+import { ParticleSystem } from './ParticleSystem.js';
+import { distance, parseRgb } from './utils.js';
 
-// Define game states
-export const GameState = {
-  FLYING: 'FLYING',
-  PLANET_VIEW: 'PLANET_VIEW',
-  // Add other states like MARKET, MINIGAME later
-};
+// Game states and the timestep live with the simulation; re-exported for existing imports
+export { GameState, FIXED_TIMESTEP };
+
+/**
+ * Longest frame the simulation will catch up on, in seconds. Anything longer
+ * (e.g. after the tab was in the background) is dropped rather than simulated.
+ * @type {number}
+ */
+const MAX_FRAME_TIME = 0.25;
+
+/**
+ * Width and height of the space the minimap shows, in pixels: about a star
+ * system and the edges of its neighbours
+ * @type {number}
+ */
+const MINIMAP_RANGE = CHUNK_SIZE * 1.5;
+
+/**
+ * Smallest orbit drawn on the minimap, as a radius in minimap pixels. Moon
+ * orbits are mostly smaller and would just smudge their planet.
+ * @type {number}
+ */
+const MINIMAP_MIN_ORBIT = 4;
+
+/**
+ * Ring drawn around planets the player has landed on, on the minimap
+ * @type {string}
+ */
+const MINIMAP_VISITED_COLOR = '#4dff4d';
+
+/**
+ * Zoom change per pixel of mouse wheel scrolling, as an exponent, so each notch
+ * zooms by the same factor at every zoom level
+ * @type {number}
+ */
+const WHEEL_ZOOM_RATE = 0.0015;
+
+/**
+ * Zoom change per second with a zoom key held, as an exponent
+ * @type {number}
+ */
+const KEY_ZOOM_RATE = 1.5;
+
+/**
+ * How hard the camera shakes (see Camera.shake) when the player's ship is hit,
+ * destroyed, or fires up its boost
+ * @type {{hit: number, destroyed: number, boost: number}}
+ */
+const CAMERA_SHAKE = { hit: 0.35, destroyed: 1, boost: 0.25 };
+
+/**
+ * Furthest the pointer may move between pressing and releasing on the galaxy
+ * map for it to count as a click rather than a drag, in screen pixels
+ * @type {number}
+ */
+const MAP_CLICK_SLOP = 5;
+
+/**
+ * Gap kept between the waypoint arrow and the edge of the screen, in pixels
+ * @type {number}
+ */
+const WAYPOINT_EDGE_MARGIN = 40;
+
+/**
+ * How much of a planet's colour the dust kicked up from it takes on; the rest
+ * is the dust preset's own sandy grey
+ * @type {number}
+ */
+const DUST_TINT = 0.5;
 
 /**
  * Main game class
@@ -26,21 +97,38 @@ export class Game { // Added export
    * Create the game
    * @param {Object} [options] - Game configuration options
    * @param {number} [options.speedScale=0.3] - Speed scaling factor (1.0 = 100% speed)
+   * @param {number|string} [options.seed] - World seed (random if not specified). The same seed always generates the same world.
+   * @param {NetworkClient} [options.network] - A joined multiplayer connection; the seed must be the server's
+   * @param {Object} [options.welcome] - The multiplayer server's welcome message
    */
   constructor(options = {}) {
-    // Game configuration
-    this.config = {
-      speedScale: options.speedScale || 0.3
-    };
-    
     /** @type {HTMLCanvasElement} */
     this.canvas = document.getElementById('game-canvas');
     /** @type {CanvasRenderingContext2D} */
     this.ctx = this.canvas.getContext('2d');
     
     // Store base ship dimensions
-    this.baseShipWidth = 42;
-    this.baseShipHeight = 21;
+    this.baseShipWidth = BASE_SHIP_SIZE.width;
+    this.baseShipHeight = BASE_SHIP_SIZE.height;
+    
+    // Follows the player's ship and converts between world and screen coordinates
+    /** @type {Camera} */
+    this.camera = new Camera(window.innerWidth, window.innerHeight);
+    /** @type {GalaxyMap} */
+    this.galaxyMap = new GalaxyMap(window.innerWidth, window.innerHeight);
+    /** @type {Starfield} Stars, nebulae and galaxies behind the world */
+    this.starfield = new Starfield();
+    /** @type {ParticleSystem} Exhaust, sparks, dust and explosions, drawn over the entities */
+    this.particleSystem = new ParticleSystem();
+    /**
+     * Exhaust and afterburner emitters of the ships in view
+     * @type {Map<Spaceship, {exhaust: ParticleEmitter, boost: ParticleEmitter}>}
+     */
+    this.engineEmitters = new Map();
+    /** @type {{x: number, y: number, moved: number} | null} Pointer press being dragged across the map */
+    this.mapDrag = null;
+    /** @type {Object<string, boolean>} One-shot actions held last frame, so holding one only acts once */
+    this.heldActions = { map: false, cycleTarget: false, autopilot: false };
     
     // Resize canvas to full window
     this.resizeCanvas();
@@ -50,55 +138,73 @@ export class Game { // Added export
     /** @type {UI} */
     this.ui = new UI();
 
-    // Create the Entity Manager
+    // The simulated world: planets, ships and the rules that move them.
+    // The player's ship starts at the size picked on the size slider.
+    const initialSizeScale = this.ui.getInitialSizeScale();
+    /** @type {Simulation} */
+    this.simulation = new Simulation({
+      speedScale: options.speedScale,
+      seed: options.seed,
+      flightModel: this.ui.getInitialFlightModel(),
+      playerShipSize: {
+        width: this.baseShipWidth * initialSizeScale,
+        height: this.baseShipHeight * initialSizeScale
+      }
+    });
     /** @type {EntityManager} */
-    this.entityManager = new EntityManager();
-    
-    // Create the Interaction System
+    this.entityManager = this.simulation.entityManager;
     /** @type {InteractionSystem} */
-    this.interactionSystem = new InteractionSystem(this.entityManager, this.ui, this);
+    this.interactionSystem = this.simulation.interactionSystem;
+    this.setupSimulationListeners();
+    this.snapCamera();
     
-    // Game space dimensions (Define these BEFORE creating the ship)
-    /** @type {number} */
-    this.worldWidth = 5000;
-    /** @type {number} */
-    this.worldHeight = 5000;
-
-    // Get initial size scale from UI
-    const initialSizeScale = this.ui.getInitialSizeScale();
-    const initialShipWidth = this.baseShipWidth * initialSizeScale;
-    const initialShipHeight = this.baseShipHeight * initialSizeScale;
-    
-    // Create player spaceship and add to EntityManager
-    const playerShip = new Spaceship(
-      this.worldWidth / 2,  // Use world center X
-      this.worldHeight / 2, // Use world center Y
-      this.config.speedScale, // Pass initial speed scale
-      initialShipWidth,       // Pass initial calculated width
-      initialShipHeight       // Pass initial calculated height
-    );
-    this.entityManager.addSpaceship(playerShip);
-
-    // Removed: this.spaceship = ...
-    // Removed: this.planets = [];
+    // Keyboard, gamepad and touch input for the player's ship
+    /** @type {InputManager} */
+    this.inputManager = new InputManager();
+    this.inputManager.attachTouchControls(this.ui.getTouchControls());
     
-    /** @type {Array<Object>} */
-    this.stars = [];
+    // Save slots and file export/import, mirrored to the save server when it is running
+    /** @type {SaveManager} */
+    this.saveManager = new SaveManager(window.localStorage, new SaveServerClient());
     
-    // Camera position
-    /** @type {number} */
-    this.cameraX = 0;
-    /** @type {number} */
-    this.cameraY = 0;
+    // Mouse wheel zoom, of the galaxy map when it is open
+    this.canvas.addEventListener('wheel', (event) => {
+      event.preventDefault(); // Don't scroll the page
+      const factor = Math.exp(-event.deltaY * WHEEL_ZOOM_RATE);
+      if (this.galaxyMap.isOpen) {
+        this.galaxyMap.zoomAt(factor, event.offsetX, event.offsetY);
+      } else {
+        this.camera.zoomBy(factor);
+      }
+    }, { passive: false });
+    this.setupMapPointer();
     
-    // Initial Game State
-    /** @type {string} */
-    this.gameState = GameState.FLYING; 
+    this.ui.showSeed(this.config.seed);
+    this.ui.updateDiscoveryProgress(this.simulation.discoverySystem.getProgress());
+    this.ui.setWaypointName(null);
     
-    // Generate game world (planets are added to entityManager inside this method)
-    this.generateWorld();
+    // Multiplayer: remote players appear as extra ships in the EntityManager
+    /** @type {MultiplayerSystem | null} */
+    this.multiplayerSystem = null;
+    if (options.network) {
+      this.multiplayerSystem = new MultiplayerSystem(
+        this.entityManager,
+        this.ui,
+        options.network,
+        options.welcome,
+        { width: this.baseShipWidth, height: this.baseShipHeight }
+      );
+      this.multiplayerSystem.start();
+      // Orbits run on the world's clock, not on how long we have been flying
+      this.simulation.setClock(() => this.multiplayerSystem.getWorldTime());
+    }
     
     // Start the game loop
+    /**
+     * Simulation time not yet stepped, in seconds
+     * @type {number}
+     */
+    this.accumulator = 0;
     this.lastTime = performance.now();
     requestAnimationFrame(this.gameLoop.bind(this));
 
@@ -106,18 +212,28 @@ export class Game { // Added export
     this.setupUIListeners();
   }
   
+  /**
+   * Game configuration (speed scale and seed), owned by the simulation
+   * @type {{speedScale: number, seed: number|string}}
+   */
+  get config() {
+    return this.simulation.config;
+  }
+  
+  /**
+   * The current game state (see GameState)
+   * @type {string}
+   */
+  get gameState() {
+    return this.simulation.gameState;
+  }
+  
   /**
    * Set the current game state.
    * @param {string} newState - The new game state (e.g., GameState.FLYING).
    */
   setGameState(newState) {
-    // Optional: Add validation or transition logic here if needed
-    if (GameState[newState]) {
-      this.gameState = newState;
-      console.log(`Game state changed to: ${newState}`); // For debugging
-    } else {
-      console.error(`Attempted to set invalid game state: ${newState}`);
-    }
+    this.simulation.setGameState(newState);
   }
   
   /**
@@ -125,11 +241,7 @@ export class Game { // Added export
    * @param {number} scale - New speed scale (1.0 = 100% speed)
    */
   setGameSpeed(scale) {
-    this.config.speedScale = scale;
-    const playerShip = this.entityManager.getPlayerShip();
-    if (playerShip) {
-        playerShip.setSpeedScale(scale);
-    }
+    this.simulation.setGameSpeed(scale);
   }
   
   /**
@@ -138,63 +250,8 @@ export class Game { // Added export
   resizeCanvas() {
     this.canvas.width = window.innerWidth;
     this.canvas.height = window.innerHeight;
-    // TODO: Potentially notify UI or other components about resize?
-  }
-  
-  /**
-   * Generate the game world
-   */
-  generateWorld() {
-    // Create stars for background
-    this.stars = createStars(this.worldWidth, this.worldHeight, 200);
-    
-    // Create planets and add them to the EntityManager
-    const numPlanets = randomInt(8, 12);
-    const currentPlanets = this.entityManager.getAllPlanets(); // Get existing planets for collision check
-
-    for (let i = 0; i < numPlanets; i++) {
-      // Ensure planets are spread out
-      let validPosition = false;
-      let x, y, radius;
-      let attempts = 0;
-      const maxAttempts = 50; // Prevent infinite loop
-      
-      while (!validPosition && attempts < maxAttempts) {
-        radius = randomInt(40, 100);
-        x = randomInt(radius * 2, this.worldWidth - radius * 2);
-        y = randomInt(radius * 2, this.worldHeight - radius * 2);
-        attempts++;
-        
-        // Check if this position conflicts with existing planets
-        validPosition = true;
-        for (const planet of currentPlanets) {
-          const dist = distance(x, y, planet.x, planet.y);
-          const minDist = radius + planet.radius + 200; // Add spacing between planets
-          
-          if (dist < minDist) {
-            validPosition = false;
-            break;
-          }
-        }
-        
-        // Also ensure not too close to starting position (player ship starts near center)
-        const playerShip = this.entityManager.getPlayerShip();
-        const startX = playerShip ? playerShip.x : this.worldWidth / 2;
-        const startY = playerShip ? playerShip.y : this.worldHeight / 2;
-        const distToStart = distance(x, y, startX, startY);
-        if (distToStart < 300) {
-          validPosition = false;
-        }
-      }
-
-      if (validPosition) {
-          const newPlanet = new Planet(x, y, radius);
-          this.entityManager.addPlanet(newPlanet);
-          currentPlanets.push(newPlanet); // Add to local list for subsequent checks in this loop
-      } else {
-          console.warn('Could not find valid position for planet after', maxAttempts, 'attempts.');
-      }
-    }
+    this.camera.setViewport(this.canvas.width, this.canvas.height);
+    this.galaxyMap.setViewport(this.canvas.width, this.canvas.height);
   }
   
   /**
@@ -202,77 +259,539 @@ export class Game { // Added export
    * @param {number} timestamp - Current timestamp
    */
   gameLoop(timestamp) {
-    console.log(`[Game.gameLoop] Frame: ${timestamp}`);
-
-    // Calculate delta time
-    const deltaTime = timestamp - this.lastTime;
+    // Calculate frame time in seconds
+    const frameTime = Math.min((timestamp - this.lastTime) / 1000, MAX_FRAME_TIME);
     this.lastTime = timestamp;
     
-    // Only update game logic when in FLYING state
+    // Only update game logic when in FLYING state, in fixed steps.
+    // Leftover time carries over to the next frame.
     if (this.gameState === GameState.FLYING) {
-      this.update(deltaTime);
+      this.accumulator += frameTime;
+      while (this.gameState === GameState.FLYING && this.accumulator >= FIXED_TIMESTEP) {
+        this.update(FIXED_TIMESTEP);
+        this.accumulator -= FIXED_TIMESTEP;
+      }
+    } else {
+      this.accumulator = 0;
+    }
+    
+    // Other players, and the planets on the world's clock, keep moving even while we're on a planet
+    if (this.multiplayerSystem) {
+      this.simulation.followClock();
+      this.multiplayerSystem.update(frameTime);
+    }
+    
+    // The map and zoom keys work in any state, so the player can look around while landed
+    const input = this.inputManager.getState();
+    if (this.wasPressed(input, 'map')) {
+      this.toggleMap();
+    }
+    if (this.wasPressed(input, 'cycleTarget')) {
+      this.cycleTarget();
+    }
+    if (this.wasPressed(input, 'autopilot')) {
+      this.toggleAutopilot();
+    }
+    if (input.zoom !== 0) {
+      const factor = Math.exp(input.zoom * KEY_ZOOM_RATE * frameTime);
+      if (this.galaxyMap.isOpen) {
+        this.galaxyMap.zoomAt(factor, this.canvas.width / 2, this.canvas.height / 2);
+      } else {
+        this.camera.zoomBy(factor);
+      }
     }
     
-    this.render();
+    // Draw between the last two steps according to how much time is left over
+    this.render(this.accumulator / FIXED_TIMESTEP, frameTime);
     
     // Request next frame
     requestAnimationFrame(this.gameLoop.bind(this));
   }
   
   /**
-   * Update game state
-   * @param {number} deltaTime - Time since last update
+   * Advance the simulation by one fixed step
+   * @param {number} deltaTime - Length of the step in seconds (FIXED_TIMESTEP)
    */
   update(deltaTime) {
-    // Update all entities via EntityManager
-    this.entityManager.update(deltaTime, this.worldWidth, this.worldHeight);
-
     const playerShip = this.entityManager.getPlayerShip();
     if (!playerShip) return; // Exit if player ship doesn't exist for some reason
     
-    // Update the Interaction System
-    this.interactionSystem.update(deltaTime);
-    
-    // Update camera to follow spaceship
-    this.cameraX = playerShip.x - this.canvas.width / 2;
-    this.cameraY = playerShip.y - this.canvas.height / 2;
-    
-    // Keep camera within world bounds
-    this.cameraX = clamp(this.cameraX, 0, this.worldWidth - this.canvas.width);
-    this.cameraY = clamp(this.cameraY, 0, this.worldHeight - this.canvas.height);
-    
-    // Keep spaceship within world bounds (should this be in Spaceship.update or EntityManager?)
-    // Let's keep it here for now, affects the player ship specifically.
-    playerShip.x = clamp(playerShip.x, 0, this.worldWidth);
-    playerShip.y = clamp(playerShip.y, 0, this.worldHeight);
+    // The player's controls come from the input devices; AI ships pick theirs in the simulation.
+    // Touching the flight controls takes the ship off autopilot.
+    const input = this.inputManager.getState();
+    const autopilot = this.simulation.autopilotSystem;
+    if (autopilot.isEngaged && hasFlightInput(input)) {
+      autopilot.disengage('Manual control');
+    }
+    this.inputManager.applyTo(playerShip, input);
+    const hadFuel = !playerShip.isOutOfFuel;
+    const wasBoosting = playerShip.isBoosting;
+    this.simulation.step(deltaTime);
+    if (hadFuel && playerShip.isOutOfFuel) {
+      this.ui.showMessage('Out of fuel! Drift to a planet on your manoeuvring thrusters and refuel', 5000);
+    }
+    if (!wasBoosting && playerShip.isBoosting) {
+      this.camera.shake(CAMERA_SHAKE.boost);
+    }
     
     // Update UI elements
     this.ui.updateBoostMeter(playerShip.getBoostPercentage());
+    this.ui.updateHealthMeters(playerShip.getShieldPercentage(), playerShip.getHullPercentage());
+    this.ui.updateFuelGauge(playerShip.getFuelPercentage());
+    this.ui.updateMissionTracker(this.simulation.missionSystem.getTracker());
+    this.ui.updateAutopilotStatus(autopilot.getStatus());
+  }
+  
+  /**
+   * React to the simulation: landing prompts, the planet view and combat
+   */
+  setupSimulationListeners() {
+    /** @type {string | null} Landing prompt currently shown, if any */
+    this.landingPrompt = null;
+    this.simulation.on('planetHover', ({ planet, canLand }) => {
+      const landKey = formatKeyCode(this.inputManager.bindings.interact);
+      this.landingPrompt = canLand
+        ? `Press ${landKey} to land on ${planet.name}`
+        : `Slow down to land on ${planet.name}`;
+      this.ui.showMessage(this.landingPrompt, 0); // Keep showing while hovering
+    });
+    this.simulation.on('planetHoverEnd', () => {
+      // Only clear the message if it is still the landing prompt
+      if (this.ui.getCurrentMessage() === this.landingPrompt) {
+        this.ui.clearMessage();
+      }
+      this.landingPrompt = null;
+    });
+    this.simulation.on('landed', ({ planet }) => {
+      // The landing prompt has done its job; messages about what landing achieved stay up
+      if (this.ui.getCurrentMessage() === this.landingPrompt) {
+        this.ui.clearMessage();
+      }
+      this.landingPrompt = null;
+      this.kickUpDust(planet);
+      this.showPlanetView(planet);
+      // Landing is a good moment to keep the player's progress
+      this.autosave();
+    });
+    this.simulation.on('shipDestroyed', ({ ship, attacker }) => {
+      this.explode(ship);
+      if (attacker && attacker.isPlayer) {
+        this.ui.showMessage(ship.faction === 'hostile' ? 'Pirate ship destroyed' : 'Ship destroyed', 2000);
+      }
+    });
+    this.simulation.on('shipHit', ({ ship }) => {
+      if (ship.isPlayer) this.camera.shake(CAMERA_SHAKE.hit);
+    });
+    this.simulation.on('playerDestroyed', () => {
+      this.camera.shake(CAMERA_SHAKE.destroyed);
+      this.explode(this.entityManager.getPlayerShip());
+      this.showDestroyed();
+    });
+    this.simulation.on('planetDiscovered', () => this.refreshDiscoveries());
+    this.simulation.on('planetScanned', ({ planet }) => {
+      this.ui.showMessage(`Scanned ${planet.name}: its details are in your codex`, 3000);
+      this.refreshDiscoveries();
+    });
+    this.simulation.on('planetVisited', () => this.refreshDiscoveries());
+    this.simulation.on('missionCompleted', ({ mission }) => {
+      this.ui.showMessage(`Mission complete: ${mission.describe()}. ${mission.reward} credits paid`, 4000);
+      this.ui.updateMissionTracker(this.simulation.missionSystem.getTracker());
+    });
+    this.simulation.on('missionFailed', ({ mission }) => {
+      this.ui.showMessage(`Mission failed: ${mission.describe()}. You ran out of time`, 4000);
+      this.ui.updateMissionTracker(this.simulation.missionSystem.getTracker());
+    });
+    this.simulation.on('waypointSet', ({ waypoint }) => this.ui.setWaypointName(waypoint && waypoint.name));
+    this.simulation.on('autopilotDisengaged', ({ reason }) => {
+      this.ui.updateAutopilotStatus(null);
+      if (reason !== 'Landed') {
+        this.ui.showMessage(`Autopilot off: ${reason}`, 2000);
+      }
+    });
+    this.simulation.on('waypointReached', ({ waypoint }) => {
+      this.ui.showMessage(`Arrived at ${waypoint.name}`, 3000);
+      this.ui.setWaypointName(null);
+    });
+  }
+  
+  /**
+   * Drag, hover and click on the galaxy map with the mouse or a finger
+   */
+  setupMapPointer() {
+    this.canvas.addEventListener('pointerdown', (event) => {
+      if (!this.galaxyMap.isOpen) return;
+      this.mapDrag = { x: event.offsetX, y: event.offsetY, moved: 0 };
+    });
+    this.canvas.addEventListener('pointermove', (event) => {
+      if (!this.galaxyMap.isOpen) return;
+      this.galaxyMap.pointer = { x: event.offsetX, y: event.offsetY };
+      if (this.mapDrag) {
+        const dx = event.offsetX - this.mapDrag.x;
+        const dy = event.offsetY - this.mapDrag.y;
+        this.galaxyMap.pan(dx, dy);
+        this.mapDrag = { x: event.offsetX, y: event.offsetY, moved: this.mapDrag.moved + Math.abs(dx) + Math.abs(dy) };
+      }
+    });
+    this.canvas.addEventListener('pointerup', (event) => {
+      const drag = this.mapDrag;
+      this.mapDrag = null;
+      if (this.galaxyMap.isOpen && drag && drag.moved < MAP_CLICK_SLOP) {
+        this.setWaypointAt(event.offsetX, event.offsetY);
+      }
+    });
+    this.canvas.addEventListener('pointerleave', () => {
+      this.mapDrag = null;
+      this.galaxyMap.pointer = null;
+    });
+  }
+  
+  /**
+   * Open the galaxy map centered on the player, or close it. It only opens in flight.
+   */
+  toggleMap() {
+    if (this.galaxyMap.isOpen) {
+      this.galaxyMap.close();
+      this.ui.hideMapControls();
+      return;
+    }
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!playerShip || this.gameState !== GameState.FLYING) return;
+    this.galaxyMap.open(playerShip.x, playerShip.y);
+    this.ui.showMapControls();
+  }
+  
+  /**
+   * Check whether a one-shot action has just been pressed, rather than held
+   * since an earlier frame
+   * @param {Object} input - This frame's input from InputManager.getState()
+   * @param {string} action - The action, e.g. 'map'
+   * @returns {boolean} True on the frame the action is pressed
+   */
+  wasPressed(input, action) {
+    const pressed = input[action] && !this.heldActions[action];
+    this.heldActions[action] = input[action];
+    return pressed;
+  }
+  
+  /**
+   * Set the waypoint to the next planet on the sensors, for the autopilot to fly to
+   */
+  cycleTarget() {
+    if (this.gameState !== GameState.FLYING) return;
+    const planet = this.simulation.navigationSystem.cycleTarget();
+    this.ui.showMessage(planet ? `Target: ${planet.name}` : 'No planets on the sensors', 2000);
+  }
+  
+  /**
+   * Hand the ship to the autopilot to fly to the waypoint, or take it back
+   */
+  toggleAutopilot() {
+    if (this.gameState !== GameState.FLYING) return;
+    const autopilot = this.simulation.autopilotSystem;
+    if (autopilot.isEngaged) {
+      autopilot.disengage('Switched off');
+      return;
+    }
+    const result = autopilot.engage();
+    this.ui.showMessage(result.message, 3000);
+    // Close the map so the player can watch the approach
+    if (result.success && this.galaxyMap.isOpen) {
+      this.toggleMap();
+    }
+  }
+  
+  /**
+   * Set the waypoint to what was clicked on the galaxy map: a star, a planet or
+   * else the point in space under the pointer
+   * @param {number} x - Screen X in pixels
+   * @param {number} y - Screen Y in pixels
+   */
+  setWaypointAt(x, y) {
+    const target = this.galaxyMap.getBodyAt(x, y) || this.galaxyMap.screenToWorld(x, y);
+    this.simulation.navigationSystem.setWaypoint(target);
+  }
+  
+  /**
+   * Show the latest discovery totals in the HUD, and in the codex if it is open
+   */
+  refreshDiscoveries() {
+    this.ui.updateDiscoveryProgress(this.simulation.discoverySystem.getProgress());
+    if (this.ui.isCodexOpen()) {
+      this.refreshCodex();
+    }
+  }
+  
+  /**
+   * List the codex entries matching the codex search
+   * @param {string} [query=''] - Search text
+   */
+  refreshCodex(query = this.ui.getCodexQuery()) {
+    const discoverySystem = this.simulation.discoverySystem;
+    this.ui.setCodexEntries(discoverySystem.search(query), discoverySystem.getProgress());
+  }
+  
+  /**
+   * Show the destroyed ship panel, which launches a new ship or, with no lives
+   * left, starts the game over
+   */
+  showDestroyed() {
+    const playerShip = this.entityManager.getPlayerShip();
+    if (playerShip) {
+      this.ui.updateHealthMeters(playerShip.getShieldPercentage(), playerShip.getHullPercentage());
+    }
+    this.ui.clearMessage();
+    this.ui.showDestroyed(this.simulation.lives, () => {
+      if (this.simulation.isGameOver) {
+        // A fresh galaxy from the same link
+        window.location.reload();
+        return;
+      }
+      this.simulation.respawnPlayer();
+      this.snapCamera();
+      this.ui.showMessage('A new ship launches from the start of your journey', 3000);
+    });
+  }
+  
+  /**
+   * Open the planet view for the planet the player has landed on
+   * @param {Planet} planet - The planet landed on
+   */
+  showPlanetView(planet) {
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!playerShip) return;
+
+    // Delay slightly to prevent immediate E key re-trigger from closing the panel
+    setTimeout(() => {
+      this.ui.showPlanetInfo(planet, () => {
+        // Callback when leaving planet view:
+        this.setGameState(GameState.FLYING);
+        this.kickUpDust(planet);
+        // Manually reset E key state as the keyup event might have been missed
+        playerShip.keys.e = false;
+        this.ui.showMessage(`Left ${planet.name}`, 3000);
+      }, {
+        onTrade: () => this.openMarket(planet),
+        onMine: () => this.openMinigame(planet),
+        onRefuel: () => this.refuel(planet),
+        fuelPrice: planet.marketData.getFuelPrice(),
+        missions: this.simulation.missionSystem.getOffers(planet),
+        onAcceptMission: (id) => this.acceptMission(planet, id)
+      });
+    }, 100);
+  }
+  
+  /**
+   * Take on a mission from the board of the planet the player has landed on
+   * @param {Planet} planet - The planet landed on
+   * @param {string} id - The mission's id
+   */
+  acceptMission(planet, id) {
+    const missionSystem = this.simulation.missionSystem;
+    const result = missionSystem.accept(planet, id);
+    this.ui.showMessage(result.message, 3000);
+    this.ui.setMissionOffers(missionSystem.getOffers(planet));
+    this.ui.updateMissionTracker(missionSystem.getTracker());
+  }
+  
+  /**
+   * Fill the player's tank at the planet they have landed on, at its fuel price
+   * @param {Planet} planet - The planet landed on
+   */
+  refuel(planet) {
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!playerShip) return;
+    const result = planet.marketData.refuel(playerShip);
+    this.ui.showMessage(result.message, 2000);
+    this.ui.updateFuelGauge(playerShip.getFuelPercentage());
+  }
+
+  /**
+   * Opens the market of the planet the player has landed on.
+   * Trades are applied to the player ship and the market panel is refreshed after each one.
+   * @param {Planet} planet - The planet whose market to open.
+   */
+  openMarket(planet) {
+    const playerShip = this.entityManager.getPlayerShip();
+    const market = planet.marketData;
+    if (!playerShip || !market) return;
+
+    this.setGameState(GameState.MARKET);
+
+    const handleTrade = (result) => {
+      this.ui.showMessage(result.message, 2000);
+      this.ui.updateMarket(market, playerShip);
+    };
+
+    this.ui.showMarket(planet, playerShip, {
+      onBuy: (id) => handleTrade(market.buy(playerShip, id)),
+      onSell: (id) => handleTrade(market.sell(playerShip, id)),
+      onClose: () => this.setGameState(GameState.PLANET_VIEW)
+    });
+  }
+
+  /**
+   * Opens the mining minigame on the planet the player has landed on.
+   * Each unit drilled out is removed from the deposit and stored in the player's cargo hold.
+   * @param {Planet} planet - The planet to mine.
+   */
+  openMinigame(planet) {
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!playerShip) return;
+
+    this.setGameState(GameState.MINIGAME);
+
+    this.ui.showMinigame(planet, playerShip, {
+      onExtract: (deposit) => {
+        if (playerShip.cargo.getFree() < 1) {
+          this.ui.showMessage('Cargo hold is full', 2000);
+          return false;
+        }
+        const extracted = deposit.extract(1);
+        playerShip.cargo.add(deposit.type, extracted);
+        this.ui.updateMinigameStatus(playerShip);
+        return extracted > 0;
+      },
+      onClose: () => this.setGameState(GameState.PLANET_VIEW)
+    });
+  }
+  
+  /**
+   * Move the camera straight onto the player's ship, e.g. when it has jumped somewhere new
+   */
+  snapCamera() {
+    const playerShip = this.entityManager.getPlayerShip();
+    if (playerShip) {
+      this.camera.snapTo(playerShip.x, playerShip.y);
+    }
+  }
+  
+  /**
+   * Ease the camera after the player ship where it is drawn this frame
+   * @param {number} alpha - Render interpolation factor between the last two simulation steps
+   * @param {number} frameTime - Seconds since the last frame
+   */
+  updateCamera(alpha, frameTime) {
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!playerShip) return;
+    // Don't look ahead of a ship that isn't going anywhere
+    const velocity = this.gameState === GameState.FLYING ? playerShip.getVelocity() : { x: 0, y: 0 };
+    this.camera.update(frameTime, playerShip.getRenderState(alpha), velocity);
+  }
+  
+  /**
+   * Point the engine emitters of the ships in view where they are drawn this
+   * frame and move the particles on. Particles keep moving while the game is
+   * paused on a planet or on the wreck of the player's ship, so dust settles
+   * and explosions burn out.
+   * @param {number} alpha - Render interpolation factor between the last two simulation steps
+   * @param {number} frameTime - Seconds since the last frame
+   */
+  updateParticles(alpha, frameTime) {
+    const view = this.camera.getViewRect();
+    const ships = this.gameState === GameState.FLYING
+      ? this.entityManager.findEntitiesInView(view.x, view.y, view.width, view.height).spaceships
+      : [];
+    const inView = new Set();
+    for (const ship of ships) {
+      if (ship.isDestroyed) continue;
+      inView.add(ship);
+      let engines = this.engineEmitters.get(ship);
+      if (!engines) {
+        engines = {
+          exhaust: this.particleSystem.createEmitter('exhaust'),
+          boost: this.particleSystem.createEmitter('boost')
+        };
+        this.engineEmitters.set(ship, engines);
+      }
+
+      // Both fire out of the back of the hull, where the engine glow is drawn
+      const { x, y, rotation } = ship.getRenderState(alpha);
+      const nozzleX = x - Math.cos(rotation) * ship.width / 3;
+      const nozzleY = y - Math.sin(rotation) * ship.width / 3;
+      const velocity = ship.getVelocity();
+      for (const emitter of [engines.exhaust, engines.boost]) {
+        emitter.moveTo(nozzleX, nozzleY, rotation + Math.PI, velocity.x, velocity.y);
+      }
+      engines.exhaust.active = (ship.keys.w && !ship.isOutOfFuel) || ship.isBoosting;
+      engines.exhaust.intensity = ship.isBoosting ? 1 : ship.throttle;
+      engines.boost.active = ship.isBoosting;
+    }
+
+    // Ships that left the view, landed or were destroyed stop leaving a trail
+    for (const [ship, engines] of this.engineEmitters) {
+      if (inView.has(ship)) continue;
+      this.particleSystem.removeEmitter(engines.exhaust);
+      this.particleSystem.removeEmitter(engines.boost);
+      this.engineEmitters.delete(ship);
+    }
+
+    this.particleSystem.update(frameTime);
+  }
+
+  /**
+   * Blow a ship up in a fireball and a shower of sparks
+   * @param {Spaceship} [ship] - The destroyed ship
+   */
+  explode(ship) {
+    if (!ship) return;
+    const velocity = ship.getVelocity();
+    const options = { vx: velocity.x, vy: velocity.y, scale: ship.width / BASE_SHIP_SIZE.width };
+    this.particleSystem.burst('explosion', ship.x, ship.y, options);
+    this.particleSystem.burst('debris', ship.x, ship.y, options);
+  }
+
+  /**
+   * Raise a cloud of dust around the player's ship as it lands on or takes off
+   * from a planet, coloured after the planet's surface
+   * @param {Planet} planet - The planet
+   */
+  kickUpDust(planet) {
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!playerShip) return;
+    const dust = this.particleSystem.presets.dust.colors;
+    const surface = parseRgb(planet.color);
+    const tint = (color) => ({
+      r: color.r + (surface.r - color.r) * DUST_TINT,
+      g: color.g + (surface.g - color.g) * DUST_TINT,
+      b: color.b + (surface.b - color.b) * DUST_TINT
+    });
+    this.particleSystem.burst('dust', playerShip.x, playerShip.y, {
+      scale: playerShip.width / BASE_SHIP_SIZE.width,
+      colors: { start: tint(dust.start), end: tint(dust.end) }
+    });
   }
   
   /**
    * Render game state
+   * @param {number} [alpha=1] - Render interpolation factor between the last two simulation steps
+   * @param {number} [frameTime=0] - Seconds since the last frame, for the camera to move by
    */
-  render() {
+  render(alpha = 1, frameTime = 0) {
+    this.updateCamera(alpha, frameTime);
+    this.updateParticles(alpha, frameTime);
+    
+    // Landing or being destroyed closes the map
+    if (this.galaxyMap.isOpen && this.gameState !== GameState.FLYING) {
+      this.toggleMap();
+    }
+    if (this.galaxyMap.isOpen) {
+      this.galaxyMap.render(this.ctx, this.simulation, { fogOfWar: this.ui.isFogOfWarEnabled() });
+      return;
+    }
+    
     // Clear canvas
     this.ctx.fillStyle = '#000000';
     this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
     
-    // Draw stars in background (relative to camera)
-    this.ctx.fillStyle = '#ffffff';
-    for (const star of this.stars) {
-      const screenX = star.x - this.cameraX;
-      const screenY = star.y - this.cameraY;
-      
-      // Only draw stars that are potentially visible on screen
-      if (screenX >= -1 && screenX <= this.canvas.width + 1 && 
-          screenY >= -1 && screenY <= this.canvas.height + 1) {
-        this.ctx.fillRect(screenX, screenY, star.size, star.size);
-      }
-    }
+    // Distant stars and nebulae, drifting past slower than the planets the further away they are
+    this.starfield.draw(this.ctx, this.camera, this.config.seed, performance.now() / 1000);
     
-    // Delegate rendering of planets and spaceships to EntityManager
-    this.entityManager.render(this.ctx, this.cameraX, this.cameraY);
+    // Delegate rendering of planets and spaceships to EntityManager, scaled by the camera's zoom
+    this.entityManager.render(this.ctx, this.camera, alpha);
+    this.particleSystem.render(this.ctx, this.camera);
+
+    this.drawTrajectory(alpha);
+    this.drawWaypointIndicator(alpha);
 
     // Draw minimap
     this.drawMinimap();
@@ -282,14 +801,113 @@ export class Game { // Added export
   }
   
   /**
-   * Draw the minimap
+   * Draw where the player's ship will drift with its engines off, when it flies
+   * the Newtonian model (arcade ships go where they point, so need no line)
+   * @param {number} alpha - Render interpolation factor
+   */
+  drawTrajectory(alpha) {
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!playerShip || playerShip.flightModel !== FlightModel.NEWTONIAN ||
+        this.simulation.gameState !== GameState.FLYING) return;
+
+    const points = this.simulation.gravitySystem.predictTrajectory(playerShip);
+    // Start the line at the drawn ship, not its last simulated position
+    const { x, y } = playerShip.getRenderState(alpha);
+    const shiftX = x - playerShip.x - this.camera.x;
+    const shiftY = y - playerShip.y - this.camera.y;
+
+    this.ctx.save();
+    this.camera.applyTransform(this.ctx);
+    this.ctx.strokeStyle = 'rgba(120, 200, 255, 0.6)';
+    this.ctx.lineWidth = 1.5;
+    this.ctx.setLineDash([4, 6]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(points[0].x + shiftX, points[0].y + shiftY);
+    for (let i = 1; i < points.length; i++) {
+      this.ctx.lineTo(points[i].x + shiftX, points[i].y + shiftY);
+    }
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+
+  /**
+   * Point the way to the waypoint: a marker on it when it is on screen, or an
+   * arrow at the edge of the screen when it isn't, labelled with the distance
+   * @param {number} alpha - Render interpolation factor
+   */
+  drawWaypointIndicator(alpha) {
+    const navigationSystem = this.simulation.navigationSystem;
+    const target = navigationSystem.getWaypointPosition();
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!target || !playerShip || this.gameState !== GameState.FLYING) return;
+
+    const ship = playerShip.getRenderState(alpha);
+    const label = `${navigationSystem.waypoint.name} ${Math.round(distance(ship.x, ship.y, target.x, target.y))}px`;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const screen = this.camera.worldToScreen(target.x, target.y);
+
+    this.ctx.save();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.strokeStyle = WAYPOINT_COLOR;
+    this.ctx.fillStyle = WAYPOINT_COLOR;
+    this.ctx.lineWidth = 2;
+    this.ctx.font = '13px sans-serif';
+    this.ctx.textAlign = 'center';
+
+    if (screen.x >= WAYPOINT_EDGE_MARGIN && screen.x <= width - WAYPOINT_EDGE_MARGIN &&
+        screen.y >= WAYPOINT_EDGE_MARGIN && screen.y <= height - WAYPOINT_EDGE_MARGIN) {
+      // Diamond on the waypoint itself
+      const size = 10;
+      this.ctx.beginPath();
+      this.ctx.moveTo(screen.x, screen.y - size);
+      this.ctx.lineTo(screen.x + size, screen.y);
+      this.ctx.lineTo(screen.x, screen.y + size);
+      this.ctx.lineTo(screen.x - size, screen.y);
+      this.ctx.closePath();
+      this.ctx.stroke();
+      this.ctx.fillText(label, screen.x, screen.y + size + 16);
+    } else {
+      // Slide out from the middle of the screen towards the waypoint until the margin is reached
+      const angle = Math.atan2(screen.y - height / 2, screen.x - width / 2);
+      const dirX = Math.cos(angle);
+      const dirY = Math.sin(angle);
+      const reach = Math.min(
+        (width / 2 - WAYPOINT_EDGE_MARGIN) / Math.max(Math.abs(dirX), 1e-6),
+        (height / 2 - WAYPOINT_EDGE_MARGIN) / Math.max(Math.abs(dirY), 1e-6)
+      );
+      const arrowX = width / 2 + dirX * reach;
+      const arrowY = height / 2 + dirY * reach;
+      this.ctx.save();
+      this.ctx.translate(arrowX, arrowY);
+      this.ctx.rotate(angle);
+      this.ctx.beginPath();
+      this.ctx.moveTo(14, 0);
+      this.ctx.lineTo(-8, -10);
+      this.ctx.lineTo(-8, 10);
+      this.ctx.closePath();
+      this.ctx.fill();
+      this.ctx.restore();
+      // Label on the screen side of the arrow
+      this.ctx.fillText(label, arrowX - dirX * 40, arrowY - dirY * 28 + 4);
+    }
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw the minimap. It is centered on the player and shows the stars, orbits,
+   * planets and ships around them.
    */
   drawMinimap() {
     const minimapSize = 200;
     const minimapX = this.canvas.width - minimapSize - 20;
     const minimapY = 20;
-    const padding = 5;
-    const scale = minimapSize / Math.max(this.worldWidth, this.worldHeight);
+    const playerShip = this.entityManager.getPlayerShip();
+    if (!playerShip) return;
+    const scale = minimapSize / MINIMAP_RANGE;
+    // World position of the minimap's top-left corner
+    const left = playerShip.x - MINIMAP_RANGE / 2;
+    const top = playerShip.y - MINIMAP_RANGE / 2;
 
     // Background
     this.ctx.fillStyle = 'rgba(50, 50, 50, 0.7)';
@@ -297,35 +915,83 @@ export class Game { // Added export
     this.ctx.strokeStyle = '#ffffff';
     this.ctx.strokeRect(minimapX, minimapY, minimapSize, minimapSize);
 
-    // Draw planets on minimap
-    const allPlanets = this.entityManager.getAllPlanets();
-    for (const planet of allPlanets) {
-        const mapX = minimapX + planet.x * scale;
-        const mapY = minimapY + planet.y * scale;
+    // Keep things near the edge from spilling out of the frame
+    this.ctx.save();
+    this.ctx.beginPath();
+    this.ctx.rect(minimapX, minimapY, minimapSize, minimapSize);
+    this.ctx.clip();
+
+    const { stars, planets, spaceships } = this.entityManager.findEntitiesInView(left, top, MINIMAP_RANGE, MINIMAP_RANGE);
+
+    // Draw orbit paths. Every loaded planet's, since an orbit can cross the
+    // minimap while its planet is off it; anything outside is clipped.
+    this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    this.ctx.lineWidth = 1;
+    for (const planet of this.entityManager.getAllPlanets()) {
+        if (!planet.orbit || planet.orbit.semiMajorAxis * scale < MINIMAP_MIN_ORBIT) continue;
+        const centerX = minimapX + (planet.parent.x - left) * scale;
+        const centerY = minimapY + (planet.parent.y - top) * scale;
+        this.ctx.beginPath();
+        for (const [i, point] of planet.orbit.getPath().entries()) {
+            const mapX = centerX + point.x * scale;
+            const mapY = centerY + point.y * scale;
+            if (i === 0) {
+                this.ctx.moveTo(mapX, mapY);
+            } else {
+                this.ctx.lineTo(mapX, mapY);
+            }
+        }
+        this.ctx.closePath();
+        this.ctx.stroke();
+    }
+
+    // Draw stars on minimap
+    for (const star of stars) {
+        this.ctx.fillStyle = star.color;
+        this.ctx.beginPath();
+        this.ctx.arc(minimapX + (star.x - left) * scale, minimapY + (star.y - top) * scale, Math.max(2, star.radius * scale), 0, Math.PI * 2);
+        this.ctx.fill();
+    }
+
+    // Draw planets on minimap: unknown ones as grey outlines, discovered ones in
+    // their colors and the ones landed on ringed
+    for (const planet of planets) {
+        const mapX = minimapX + (planet.x - left) * scale;
+        const mapY = minimapY + (planet.y - top) * scale;
         const mapRadius = Math.max(1, planet.radius * scale); // Ensure minimum size
-        this.ctx.fillStyle = planet.color;
+        const status = this.simulation.discoverySystem.getStatus(planet);
         this.ctx.beginPath();
         this.ctx.arc(mapX, mapY, mapRadius, 0, Math.PI * 2);
+        if (status === DiscoveryStatus.UNKNOWN) {
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+            this.ctx.stroke();
+            continue;
+        }
+        this.ctx.fillStyle = planet.color;
         this.ctx.fill();
+        if (status === DiscoveryStatus.VISITED) {
+            this.ctx.strokeStyle = MINIMAP_VISITED_COLOR;
+            this.ctx.beginPath();
+            this.ctx.arc(mapX, mapY, mapRadius + 2, 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
     }
 
-    // Draw player spaceship on minimap
-    const playerShip = this.entityManager.getPlayerShip();
-    if (playerShip) {
-        const mapShipX = minimapX + playerShip.x * scale;
-        const mapShipY = minimapY + playerShip.y * scale;
-        this.ctx.fillStyle = '#00ff00'; // Green for player
-        this.ctx.fillRect(mapShipX - 2, mapShipY - 2, 4, 4); // Simple square for ship
+    // Draw other ships on minimap
+    const minimapColors = { hostile: '#ff0000', neutral: '#ffff00', remote: '#00ffff' }; // Red, yellow, cyan for other players
+    for (const ship of spaceships) {
+        if (ship.isPlayer) continue;
+        const mapShipX = minimapX + (ship.x - left) * scale;
+        const mapShipY = minimapY + (ship.y - top) * scale;
+        this.ctx.fillStyle = minimapColors[ship.faction] || '#ffff00';
+        this.ctx.fillRect(mapShipX - 1, mapShipY - 1, 2, 2);
     }
-    
-    // Optional: Draw other ships if EntityManager supports them
-    // const otherShips = this.entityManager.getAllSpaceships().filter(s => s !== playerShip);
-    // for (const ship of otherShips) {
-    //     const mapShipX = minimapX + ship.x * scale;
-    //     const mapShipY = minimapY + ship.y * scale;
-    //     this.ctx.fillStyle = '#ff0000'; // Red for others (example)
-    //     this.ctx.fillRect(mapShipX - 1, mapShipY - 1, 2, 2);
-    // }
+
+    // Draw player spaceship on minimap (last, so it stays on top), always in the middle
+    this.ctx.fillStyle = '#00ff00'; // Green for player
+    this.ctx.fillRect(minimapX + minimapSize / 2 - 2, minimapY + minimapSize / 2 - 2, 4, 4); // Simple square for ship
+
+    this.ctx.restore();
   }
 
   /**
@@ -333,12 +999,30 @@ export class Game { // Added export
    */
   setupUIListeners() {
     // Listen for speed slider changes
-    this.ui.onSpeedChange((newSpeedScale) => {
+    this.ui.registerSpeedChangeListener((newSpeedScale) => {
       this.setGameSpeed(newSpeedScale);
     });
 
+    // Listen for flight model changes
+    this.ui.registerFlightModelListener((model) => {
+      this.simulation.setFlightModel(model);
+    });
+
+    // Listen for the galaxy map's buttons
+    this.ui.registerMapListeners({
+      onToggle: () => this.toggleMap(),
+      onClearWaypoint: () => this.simulation.navigationSystem.clearWaypoint(),
+      onAutopilot: () => this.toggleAutopilot()
+    });
+
+    // Listen for codex searches and notes
+    this.ui.registerCodexListeners({
+      onSearch: (query) => this.refreshCodex(query),
+      onNotesChange: (key, notes) => this.simulation.discoverySystem.setNotes(key, notes)
+    });
+
     // Listen for size slider changes
-    this.ui.onSizeChange((newSizeScale) => {
+    this.ui.registerSizeChangeListener((newSizeScale) => {
       const playerShip = this.entityManager.getPlayerShip();
       if (playerShip) {
           const newWidth = this.baseShipWidth * newSizeScale;
@@ -346,6 +1030,182 @@ export class Game { // Added export
           playerShip.setSize(newWidth, newHeight);
       }
     });
+
+    // Listen for save slot controls
+    this.ui.registerSaveListeners({
+      onSave: (slotName) => this.saveToSlot(slotName),
+      onLoad: (slotName) => this.loadFromSlot(slotName),
+      onDelete: async (slotName) => {
+        await this.saveManager.delete(slotName);
+        await this.refreshSaveSlots();
+        this.ui.showMessage(`Deleted save "${slotName}"`, 2000);
+      },
+      onExport: async (slotName) => {
+        // Export the slot as saved, or the current game if the slot is new
+        try {
+          this.saveManager.exportToFile((await this.saveManager.load(slotName)) || this.serialize(), slotName);
+        } catch (error) {
+          console.error('Failed to export save:', error);
+          this.ui.showMessage(`Could not export "${slotName}": ${error.message}`, 4000);
+        }
+      },
+      onImport: async (file) => {
+        try {
+          this.loadState(await this.saveManager.importFromFile(file));
+          this.ui.showMessage(`Imported ${file.name}`, 3000);
+        } catch (error) {
+          console.error('Failed to import save:', error);
+          this.ui.showMessage(`Could not import ${file.name}: ${error.message}`, 4000);
+        }
+      }
+    });
+
+    // Listen for key binding controls
+    this.ui.registerKeyBindingListeners({
+      onRebind: (action) => {
+        this.refreshKeyBindings(action);
+        this.inputManager.captureNextKey((code) => {
+          if (code) {
+            this.inputManager.setBinding(action, code);
+          }
+          this.refreshKeyBindings();
+        });
+      },
+      onReset: () => {
+        this.inputManager.resetBindings();
+        this.refreshKeyBindings();
+      }
+    });
+    this.refreshKeyBindings();
+
+    // Pick up saves from the save server, if it's running
+    this.saveManager.sync().then((serverAvailable) => {
+      if (serverAvailable) {
+        console.log('Save server available, syncing save slots');
+      }
+      return this.refreshSaveSlots();
+    });
+  }
+
+  /**
+   * Refresh the key bindings shown in the UI
+   * @param {string | null} [listeningFor=null] - Action waiting for a new key, if any
+   */
+  refreshKeyBindings(listeningFor = null) {
+    const rows = ACTIONS.map(({ id, label }) => ({ id, label, key: formatKeyCode(this.inputManager.bindings[id]) }));
+    this.ui.setKeyBindings(rows, listeningFor);
+  }
+
+  /**
+   * Refresh the save slot list shown in the UI
+   * @returns {Promise<void>}
+   */
+  async refreshSaveSlots() {
+    this.ui.setSaveSlots(await this.saveManager.listSlots());
+  }
+
+  /**
+   * Capture the whole game as plain data: world, entities and UI settings
+   * @returns {Object} Save data at SAVE_VERSION
+   */
+  serialize() {
+    return {
+      version: SAVE_VERSION,
+      savedAt: new Date().toISOString(),
+      ...this.simulation.serialize(),
+      settings: this.ui.getSettings()
+    };
+  }
+
+  /**
+   * Replace the current game with saved data
+   * @param {Object} data - Save data at SAVE_VERSION (see SaveManager.migrateSave)
+   */
+  loadState(data) {
+    if (this.multiplayerSystem && String(data.seed) !== String(this.config.seed)) {
+      throw new Error('that save is from a different galaxy than this multiplayer world');
+    }
+
+    this.ui.resetPanels();
+    this.ui.clearMessage();
+
+    this.simulation.load(data);
+    this.particleSystem.clear();
+    this.engineEmitters.clear();
+    if (this.multiplayerSystem) {
+      this.multiplayerSystem.restoreRemoteShips();
+    }
+    this.snapCamera();
+
+    this.ui.applySettings(data.settings);
+    this.ui.showSeed(this.config.seed);
+    this.ui.updateDiscoveryProgress(this.simulation.discoverySystem.getProgress());
+    this.ui.updateMissionTracker(this.simulation.missionSystem.getTracker());
+    const waypoint = this.simulation.navigationSystem.waypoint;
+    this.ui.setWaypointName(waypoint && waypoint.name);
+
+    if (this.gameState === GameState.DESTROYED) {
+      this.showDestroyed();
+      return;
+    }
+
+    // Saved while on a planet: land there again so the planet view is restored
+    const landedPlanet = data.gameState !== GameState.FLYING && this.interactionSystem.getPlanetUnderPlayer();
+    if (landedPlanet) {
+      this.interactionSystem.landedPlanet = landedPlanet;
+      this.setGameState(GameState.PLANET_VIEW);
+      this.showPlanetView(landedPlanet);
+    }
+  }
+
+  /**
+   * Save the game to a named slot
+   * @param {string} slotName - Slot to write
+   * @returns {Promise<void>}
+   */
+  async saveToSlot(slotName) {
+    try {
+      await this.saveManager.save(slotName, this.serialize());
+      await this.refreshSaveSlots();
+      const where = this.saveManager.isServerAvailable() ? 'server' : 'this browser';
+      this.ui.showMessage(`Saved game to "${slotName}" (${where})`, 2000);
+    } catch (error) {
+      console.error('Failed to save game:', error);
+      this.ui.showMessage(`Could not save: ${error.message}`, 4000);
+    }
+  }
+
+  /**
+   * Load the game from a named slot
+   * @param {string} slotName - Slot to read
+   * @returns {Promise<void>}
+   */
+  async loadFromSlot(slotName) {
+    try {
+      const data = await this.saveManager.load(slotName);
+      if (!data) {
+        this.ui.showMessage(`No save named "${slotName}"`, 2000);
+        return;
+      }
+      this.loadState(data);
+      this.ui.showMessage(`Loaded "${slotName}"`, 2000);
+    } catch (error) {
+      console.error('Failed to load game:', error);
+      this.ui.showMessage(`Could not load "${slotName}": ${error.message}`, 4000);
+    }
+  }
+
+  /**
+   * Save to the autosave slot without interrupting play
+   * @returns {Promise<void>}
+   */
+  async autosave() {
+    try {
+      await this.saveManager.save(AUTOSAVE_SLOT, this.serialize());
+      await this.refreshSaveSlots();
+    } catch (error) {
+      console.error('Autosave failed:', error);
+    }
   }
 }
 
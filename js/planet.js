@@ -2,73 +2,254 @@
  * @fileoverview Planet class for the Planet Explorer game
  */
 
-import { randomColor, randomInt } from './utils.js';
+import { clamp, hashSeed, parseRgb, randomInt } from './utils.js';
+import { Market } from './Market.js';
+import { ResourceDeposit, generateDeposits } from './ResourceDeposit.js';
+import { PlanetSurface } from './PlanetSurface.js';
+import { NO_ATMOSPHERE, getPlanetType, pickColor, pickFrom, pickPlanetType, surfaceGravity } from './PlanetTypes.js';
 
 /**
- * Planet names for random generation
- * @type {Array<string>}
+ * Shortest and longest time a planet takes to turn once on its axis, in seconds
+ * @type {{min: number, max: number}}
  */
-const PLANET_NAMES = [
-  "Xenon", "Nebuloria", "Astralus", "Celestis", "Novastella",
-  "Quasaria", "Lunaris", "Pulsaria", "Graviton", "Solaris"
-];
+const DAY_LENGTH = { min: 90, max: 240 };
 
 /**
- * Planet descriptions for random generation
- * @type {Array<string>}
+ * Tilt of a planet's rings, in radians from horizontal
+ * @type {number}
  */
-const PLANET_DESCRIPTIONS = [
-  "A gas giant with swirling storms of various colors. The atmospheric pressure would crush any spacecraft that ventures too deep.",
-  "A rocky planet with vast oceans covering 90% of its surface. Strange bioluminescent creatures inhabit its depths.",
-  "A desert world with massive canyons and rock formations. Ancient ruins suggest it once hosted an advanced civilization.",
-  "An ice planet with frozen methane lakes. The surface temperature never rises above -200°C.",
-  "A volcanic world with rivers of molten lava. Despite the harsh conditions, some hardy lifeforms thrive near thermal vents.",
-  "A lush jungle planet with abundant plant life. The rapid growth rate of vegetation can overtake structures in days.",
-  "A ringed planet with spectacular views of its neighboring moons. Mining operations extract rare minerals from its asteroid belt.",
-  "A planet with a highly eccentric orbit, causing extreme seasonal changes. Inhabitants have adapted with migratory patterns.",
-  "A planet with low gravity and floating islands. Crystal formations throughout emit soft light in various colors.",
-  "A world shrouded in perpetual mist. Navigation is extremely difficult, but the fog contains valuable therapeutic compounds."
-];
+const RING_TILT = Math.PI / 3;
 
 /**
  * Class representing a planet
  */
 export class Planet {
   /**
-   * Create a planet
+   * Create a planet. Everything about it follows from its type: colour, rings,
+   * surface features, conditions, description and resources.
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
    * @param {number} radius - Planet radius
-   * @param {string} [color] - Planet color (optional, will be random if not specified)
+   * @param {string} [type] - Planet type id (optional, picked to suit the radius if not specified)
+   * @param {function(): number} [rng=Math.random] - Random source used for every generated property
    */
-  constructor(x, y, radius, color) {
+  constructor(x, y, radius, type, rng = Math.random) {
     this.x = x;
     this.y = y;
     this.radius = radius;
-    this.color = color || randomColor();
-    this.name = PLANET_NAMES[randomInt(0, PLANET_NAMES.length - 1)];
-    this.description = PLANET_DESCRIPTIONS[randomInt(0, PLANET_DESCRIPTIONS.length - 1)];
-    
-    // TODO: Refactor - Add market and resource data
-    this.marketData = null; // Placeholder for market info (e.g., prices, inventory)
-    this.resourceData = null; // Placeholder for resource info (e.g., type, abundance)
-    
-    // Create a unique atmospheric ring
-    this.ringColor = randomColor();
-    this.ringSize = this.radius * (1.2 + Math.random() * 0.3);
-    this.hasRings = Math.random() > 0.5;
+    /** @type {Object} Entry from PLANET_TYPES */
+    this.type = type ? getPlanetType(type) : pickPlanetType(radius, rng);
+    // Names are unique within a world, so the ChunkManager hands them out once it
+    // knows where the planet is
+    this.name = 'Uncharted planet';
+    this.color = pickColor(this.type.colors, rng);
+    this.description = pickFrom(this.type.descriptions, rng);
+
+    // Conditions on the surface
+    /** @type {number} Density, 1 being average rock. Sets the planet's gravity. */
+    this.density = this.type.density * (0.9 + rng() * 0.2);
+    /** @type {number} Mean surface temperature in °C */
+    this.temperature = randomInt(this.type.temperature.min, this.type.temperature.max, rng);
+    /** @type {string} What the air is made of */
+    this.atmosphere = pickFrom(this.type.atmospheres, rng);
+
+    this.ringColor = pickColor(this.type.ringColors, rng);
+    this.ringSize = this.radius * (1.2 + rng() * 0.3);
+    this.hasRings = rng() < this.type.ringChance;
     
-    // Create some basic features
+    // Craters, storms and ridges, coloured from the type's palette
     this.features = [];
-    const featureCount = randomInt(2, 5);
+    const featureCount = randomInt(this.type.features.min, this.type.features.max, rng);
     for (let i = 0; i < featureCount; i++) {
       this.features.push({
-        size: this.radius * (0.1 + Math.random() * 0.2),
-        angle: Math.random() * Math.PI * 2,
-        distance: this.radius * (0.3 + Math.random() * 0.5),
-        color: randomColor()
+        size: this.radius * (0.1 + rng() * 0.2),
+        angle: rng() * Math.PI * 2,
+        distance: this.radius * (0.3 + rng() * 0.5),
+        color: pickColor(this.type.colors, rng)
       });
     }
+
+    // Trading market, priced from the characteristics generated above
+    /** @type {Market} */
+    this.marketData = new Market(this, rng);
+    
+    // Minable resource deposits. These deplete when mined and regenerate over time,
+    // so their state persists between visits.
+    /** @type {Array<ResourceDeposit>} */
+    this.resourceData = generateDeposits(this.getTraits(), rng);
+
+    // How fast it turns, and which way. Derived from its colours, so spin needs
+    // no extra rng draws.
+    const spinHash = hashSeed(`${this.color}|${this.ringColor}`);
+    const dayLength = DAY_LENGTH.min + (spinHash % 1000) / 1000 * (DAY_LENGTH.max - DAY_LENGTH.min);
+    /** @type {number} Radians turned on its axis per second */
+    this.spinRate = ((spinHash & 0x10000) ? -1 : 1) * (Math.PI * 2) / dayLength;
+    /** @type {number} How far it has turned on its axis, in radians */
+    this.spin = 0;
+    /** @type {PlanetSurface | null} Generated the first time the planet is drawn */
+    this.surface = null;
+
+    // Planets orbit a star and moons orbit a planet. Without an orbit the planet stays put.
+    /** @type {Star | Planet | null} */
+    this.parent = null;
+    /** @type {Orbit | null} */
+    this.orbit = null;
+    this.savePreviousState();
+  }
+
+  /**
+   * Put the planet on an orbit around another body
+   * @param {Star | Planet} parent - The body to orbit
+   * @param {Orbit} orbit - The orbit
+   * @param {number} [time=0] - Simulation time to place the planet at
+   */
+  setOrbit(parent, orbit, time = 0) {
+    this.parent = parent;
+    this.orbit = orbit;
+    this.updateOrbit(time);
+    this.savePreviousState();
+  }
+
+  /**
+   * Whether this is a moon of another planet
+   * @type {boolean}
+   */
+  get isMoon() {
+    return this.parent instanceof Planet;
+  }
+
+  /**
+   * Get the star this planet, or the planet this moon, ultimately orbits
+   * @returns {Star | Planet} The system's star, or the planet itself if it doesn't orbit anything
+   */
+  getSystemStar() {
+    let body = this;
+    while (body.parent) body = body.parent;
+    return body;
+  }
+
+  /**
+   * Mass for gravity, in arbitrary units: bigger and denser planets pull harder
+   * @type {number}
+   */
+  get mass() {
+    return this.radius ** 3 * this.density;
+  }
+
+  /**
+   * Gravity at the surface, in g
+   * @type {number}
+   */
+  get gravity() {
+    return surfaceGravity(this.density, this.radius);
+  }
+
+  /**
+   * Whether the planet has any air
+   * @type {boolean}
+   */
+  get hasAtmosphere() {
+    return this.atmosphere !== NO_ATMOSPHERE;
+  }
+
+  /**
+   * Sum up the conditions on the surface for the player, e.g.
+   * "Ocean world · 1.02 g · 18 °C · Nitrogen and oxygen"
+   * @returns {string} Type, gravity, temperature and atmosphere
+   */
+  describeConditions() {
+    return [
+      this.type.name,
+      `${this.gravity.toFixed(2)} g`,
+      `${this.temperature} °C`,
+      this.atmosphere
+    ].join(' · ');
+  }
+
+  /**
+   * Get where the planet is at a moment, following its parent along its orbit
+   * @param {number} time - Simulation time in seconds
+   * @returns {{x: number, y: number}} Position
+   */
+  getPositionAt(time) {
+    if (!this.orbit) return { x: this.x, y: this.y };
+    const center = this.parent.getPositionAt(time);
+    const offset = this.orbit.getOffset(time);
+    return { x: center.x + offset.x, y: center.y + offset.y };
+  }
+
+  /**
+   * Get how fast the planet is moving at a moment, including its parent's motion
+   * @param {number} time - Simulation time in seconds
+   * @returns {{x: number, y: number}} Velocity in pixels per second
+   */
+  getVelocityAt(time) {
+    if (!this.orbit) return { x: 0, y: 0 };
+    // Central difference: positions are exact at any time, so this is accurate and cheap
+    const h = 0.05;
+    const before = this.getPositionAt(time - h);
+    const after = this.getPositionAt(time + h);
+    return { x: (after.x - before.x) / (2 * h), y: (after.y - before.y) / (2 * h) };
+  }
+
+  /**
+   * Move the planet to its place on its orbit, turned on its axis as far as it has got by then
+   * @param {number} time - Simulation time in seconds
+   */
+  updateOrbit(time) {
+    const { x, y } = this.getPositionAt(time);
+    this.x = x;
+    this.y = y;
+    this.spin = time * this.spinRate;
+  }
+
+  /**
+   * Remember the current position as the start of a simulation step, for render interpolation
+   */
+  savePreviousState() {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevSpin = this.spin;
+  }
+
+  /**
+   * Get where to draw the planet, blending the last two simulation steps
+   * @param {number} [alpha=1] - How far between the previous (0) and current (1) step to draw
+   * @returns {{x: number, y: number, spin: number}} Interpolated position and turn
+   */
+  getRenderState(alpha = 1) {
+    return {
+      x: this.prevX + (this.x - this.prevX) * alpha,
+      y: this.prevY + (this.y - this.prevY) * alpha,
+      spin: this.prevSpin + (this.spin - this.prevSpin) * alpha
+    };
+  }
+
+  /**
+   * Summarize the characteristics that drive market supply and resource deposits
+   * @returns {{type: string, resources: Object<string, number>, life: number, rgb: {r: number, g: number, b: number},
+   *   hasRings: boolean, size: number, featureCount: number}}
+   */
+  getTraits() {
+    return {
+      type: this.type.id,
+      resources: this.type.resources,
+      life: this.type.life,
+      rgb: parseRgb(this.color),
+      hasRings: this.hasRings,
+      size: clamp((this.radius - 40) / 60, 0, 1), // Planet radii range from 40 to 100
+      featureCount: this.features.length
+    };
+  }
+
+  /**
+   * Update the planet
+   * @param {number} deltaTime - Length of the simulation step in seconds
+   */
+  update(deltaTime) {
+    for (const deposit of this.resourceData) {
+      deposit.regenerate(deltaTime);
+    }
   }
 
   /**
@@ -76,45 +257,78 @@ export class Planet {
    * @param {CanvasRenderingContext2D} ctx - Canvas context
    * @param {number} offsetX - X offset for camera
    * @param {number} offsetY - Y offset for camera
+   * @param {number} [alpha=1] - Render interpolation factor between the last two simulation steps
    */
-  draw(ctx, offsetX, offsetY) {
-    const screenX = this.x - offsetX;
-    const screenY = this.y - offsetY;
-    
-    console.log(`  [Planet.draw] Drawing '${this.name}'. World: (${this.x.toFixed(2)}, ${this.y.toFixed(2)}), Radius: ${this.radius}, Screen: (${screenX.toFixed(2)}, ${screenY.toFixed(2)})`);
+  draw(ctx, offsetX, offsetY, alpha = 1) {
+    const { x, y, spin } = this.getRenderState(alpha);
+    const screenX = x - offsetX;
+    const screenY = y - offsetY;
 
-    // Draw ring if planet has rings
+    // The far side of the rings passes behind the planet and the near side in front
     if (this.hasRings) {
-      ctx.beginPath();
-      ctx.ellipse(
-        screenX, 
-        screenY, 
-        this.ringSize, 
-        this.ringSize * 0.3, 
-        Math.PI / 3, 
-        0, 
-        Math.PI * 2
-      );
-      ctx.strokeStyle = this.ringColor;
-      ctx.lineWidth = 3;
-      ctx.stroke();
+      this.drawRings(ctx, screenX, screenY, Math.PI, Math.PI * 2);
     }
-    
-    // Draw planet
-    ctx.beginPath();
-    ctx.arc(screenX, screenY, this.radius, 0, Math.PI * 2);
-    ctx.fillStyle = this.color;
-    ctx.fill();
-    
-    // Draw features (craters, mountains, etc.)
-    for (const feature of this.features) {
-      const featureX = screenX + Math.cos(feature.angle) * feature.distance;
-      const featureY = screenY + Math.sin(feature.angle) * feature.distance;
-      
-      ctx.beginPath();
-      ctx.arc(featureX, featureY, feature.size, 0, Math.PI * 2);
-      ctx.fillStyle = feature.color;
-      ctx.fill();
+    this.surface ??= new PlanetSurface(this);
+    this.surface.draw(ctx, screenX, screenY, spin, this.getLightAngle(x, y));
+    if (this.hasRings) {
+      this.drawRings(ctx, screenX, screenY, 0, Math.PI);
     }
   }
-} 
\ No newline at end of file
+
+  /**
+   * Get which way the light falls on the planet: from its star
+   * @param {number} x - Where the planet is drawn, in world X
+   * @param {number} y - Where the planet is drawn, in world Y
+   * @returns {number} Direction to the light, in radians
+   */
+  getLightAngle(x, y) {
+    const star = this.getSystemStar();
+    // A planet without a star is lit from the top left
+    if (star === this) return -Math.PI * 3 / 4;
+    return Math.atan2(star.y - y, star.x - x);
+  }
+
+  /**
+   * Draw part of the planet's rings: a broad faint band with a bright edge
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} x - Center X on the canvas
+   * @param {number} y - Center Y on the canvas
+   * @param {number} startAngle - Where along the ring to start, in radians
+   * @param {number} endAngle - Where along the ring to stop, in radians
+   */
+  drawRings(ctx, x, y, startAngle, endAngle) {
+    const { r, g, b } = parseRgb(this.ringColor);
+    const width = this.ringSize - this.radius * 1.1;
+    ctx.beginPath();
+    ctx.ellipse(x, y, this.ringSize - width / 2, (this.ringSize - width / 2) * 0.3, RING_TILT, startAngle, endAngle);
+    ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, 0.35)`;
+    ctx.lineWidth = width * 0.8;
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.ellipse(x, y, this.ringSize, this.ringSize * 0.3, RING_TILT, startAngle, endAngle);
+    ctx.strokeStyle = this.ringColor;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  }
+
+  /**
+   * Capture the parts of the planet that change during play. Everything else is
+   * regenerated from the world seed, so it isn't saved.
+   * @returns {{market: Object, deposits: Array<Object>}} Serializable planet state
+   */
+  serializeState() {
+    return {
+      market: this.marketData.serialize(),
+      deposits: this.resourceData.map((deposit) => deposit.serialize())
+    };
+  }
+
+  /**
+   * Put back state captured by serializeState() on a freshly generated planet
+   * @param {{market: Object, deposits: Array<Object>}} state - Data from serializeState()
+   */
+  restoreState(state) {
+    this.marketData = Market.deserialize(state.market);
+    this.resourceData = state.deposits.map((deposit) => ResourceDeposit.deserialize(deposit));
+  }
+}
@@ -2,8 +2,65 @@
  * @fileoverview Spaceship class for the Planet Explorer game
  */
 
+import { CargoHold } from './CargoHold.js';
+import { Weapon } from './Weapon.js';
+import { deserializeBehavior } from './AISystem.js';
+import { normalizeAngle } from './utils.js';
+
+/**
+ * How a ship moves
+ * @enum {string}
+ */
+export const FlightModel = {
+  /** Speed along the heading, easing to a stop when the engines are off */
+  ARCADE: 'arcade',
+  /** A velocity vector with inertia: thrust changes it, gravity pulls on it, nothing slows it */
+  NEWTONIAN: 'newtonian'
+};
+
+/**
+ * Fastest a Newtonian ship may go, as a multiple of its arcade top speed. Gives
+ * slingshots room to pay off without letting a ship run away from the world.
+ * @type {number}
+ */
+const NEWTONIAN_SPEED_LIMIT = 4;
+
+/**
+ * With an empty tank only the manoeuvring thrusters work: this fraction of the
+ * ship's acceleration, top speed and turn rate is left
+ * @type {number}
+ */
+const EMPTY_TANK_CONTROL = 0.2;
+
+/**
+ * Player ship sprite, shared by every ship. It is only loaded the first time a
+ * ship is drawn, so ships can be simulated where there is no Image (e.g. Node).
+ * @type {{image: Image, loaded: boolean} | null}
+ */
+let playerSprite = null;
+
+/**
+ * Get the player ship sprite, starting to load it on first use
+ * @returns {{image: Image, loaded: boolean}} The sprite and whether it has loaded
+ */
+function getPlayerSprite() {
+  if (!playerSprite) {
+    const sprite = { image: new Image(), loaded: false };
+    sprite.image.onload = () => {
+      sprite.loaded = true;
+    };
+    sprite.image.onerror = () => {
+      console.error(`Error loading sprite: assets/triangle_ship.png`);
+      // Keep loaded = false, fallback drawing will be used
+    };
+    sprite.image.src = 'assets/triangle_ship.png'; // Path to the sprite
+    playerSprite = sprite;
+  }
+  return playerSprite;
+}
+
 /**
- * Class representing the player's spaceship
+ * Class representing a spaceship, flown either by the player or by an AI behaviour
  */
 export class Spaceship {
   /**
@@ -13,8 +70,16 @@ export class Spaceship {
    * @param {number} [speedScale=0.3] - Speed scaling factor (1.0 = 100% speed)
    * @param {number} [width=42] - Optional width of the spaceship
    * @param {number} [height=21] - Optional height of the spaceship
+   * @param {Object} [options] - Additional ship options
+   * @param {boolean} [options.isPlayer=false] - Whether this ship is flown by the player (see InputManager.js)
+   * @param {Object} [options.ai=null] - AI behaviour that steers the ship (see AISystem.js)
+   * @param {string} [options.faction] - 'player', 'neutral' or 'hostile'
+   * @param {string} [options.color='#4dacff'] - Hull color used when drawing without the sprite
+   * @param {string} [options.flightModel=FlightModel.ARCADE] - How the ship moves (see FlightModel)
+   * @param {Object} [options.weapon] - Weapon stats, the standard gun if not given (see Weapon)
+   * @param {boolean} [options.usesFuel] - Whether flying burns fuel (only the player's ship does by default)
    */
-  constructor(x, y, speedScale = 0.3, width = 42, height = 21) {
+  constructor(x, y, speedScale = 0.3, width = 42, height = 21, options = {}) {
     /** @type {number} */
     this.x = x;
     /** @type {number} */
@@ -25,39 +90,47 @@ export class Spaceship {
     this.height = height;
     /** @type {number} */
     this.rotation = 0;
-    /** @type {number} */
-    this.speed = 0;
     
-    // Sprite loading
-    /** @type {Image} */
-    this.sprite = new Image();
-    /** @type {boolean} */
-    this.spriteLoaded = false;
-    this.sprite.onload = () => {
-      this.spriteLoaded = true;
-      // Optional: Update width/height based on image natural dimensions
-      // this.width = this.sprite.naturalWidth;
-      // this.height = this.sprite.naturalHeight;
-    };
-    this.sprite.onerror = () => {
-      console.error(`Error loading sprite: assets/triangle_ship.png`);
-      // Keep spriteLoaded = false, fallback drawing will be used
-    };
-    this.sprite.src = 'assets/triangle_ship.png'; // Path to the sprite
-
-    // Speed configuration
+    // State at the start of the latest simulation step, for render interpolation
     /** @type {number} */
-    this.speedScale = speedScale;
+    this.prevX = x;
     /** @type {number} */
-    this.baseMaxSpeed = 5;
+    this.prevY = y;
     /** @type {number} */
-    this.baseAcceleration = 0.1;
+    this.prevRotation = 0;
+    
+    // Identity and control
+    /** @type {boolean} */
+    this.isPlayer = options.isPlayer || false;
+    /** @type {Object | null} */
+    this.ai = options.ai || null;
+    /** @type {string} */
+    this.faction = options.faction || (this.isPlayer ? 'player' : 'neutral');
+    /** @type {string} */
+    this.color = options.color || '#4dacff';
+    /** @type {number} Pixels per second along the heading (arcade flight), or overall (Newtonian) */
+    this.speed = 0;
+    /** @type {string} */
+    this.flightModel = options.flightModel || FlightModel.ARCADE;
+    // Velocity in pixels per second. Newtonian flight keeps this; arcade flight derives it from speed.
     /** @type {number} */
-    this.baseDeceleration = 0.05;
+    this.vx = 0;
     /** @type {number} */
-    this.baseRotationSpeed = 0.1;
+    this.vy = 0;
+    
+    // Speed configuration. All rates are per second, so movement doesn't depend on frame rate.
     /** @type {number} */
-    this.baseBoostSpeed = 10;
+    this.speedScale = speedScale;
+    /** @type {number} Pixels per second */
+    this.baseMaxSpeed = 300;
+    /** @type {number} Pixels per second, per second */
+    this.baseAcceleration = 360;
+    /** @type {number} Pixels per second, per second */
+    this.baseDeceleration = 180;
+    /** @type {number} Radians per second */
+    this.baseRotationSpeed = 6;
+    /** @type {number} Pixels per second */
+    this.baseBoostSpeed = 600;
     
     // Apply speed scaling
     /** @type {number} */
@@ -74,20 +147,58 @@ export class Spaceship {
     this.boostCharge = 0;
     /** @type {number} */
     this.maxBoostCharge = 100;
-    /** @type {number} */
-    this.boostChargeRate = 0.5;
+    /** @type {number} Charge per second */
+    this.boostChargeRate = 30;
     /** @type {number} */
     this.boostSpeed = this.baseBoostSpeed * this.speedScale;
     /** @type {boolean} */
     this.isBoosting = false;
+    /** @type {number} Charge per second */
+    this.boostDecayRate = 120;
+    
+    // Trading properties
     /** @type {number} */
-    this.boostDecayRate = 2;
+    this.credits = 1000;
+    /** @type {CargoHold} */
+    this.cargo = new CargoHold(20);
+    
+    // Fuel properties. Thrust and boost burn fuel; AI ships refuel on their own
+    // time, so only ships that use fuel ever run dry.
+    /** @type {boolean} */
+    this.usesFuel = options.usesFuel ?? this.isPlayer;
+    /** @type {number} */
+    this.maxFuel = 100;
+    /** @type {number} */
+    this.fuel = this.maxFuel;
+    /** @type {number} Fuel per second at full thrust */
+    this.thrustFuelRate = 0.5;
+    /** @type {number} Fuel per second while boosting, on top of thrust */
+    this.boostFuelRate = 4;
+    
+    // Combat properties. Damage drains the shield first, then the hull.
+    /** @type {Weapon} */
+    this.weapon = new Weapon(options.weapon);
+    /** @type {number} */
+    this.maxShield = 50;
+    /** @type {number} */
+    this.shield = this.maxShield;
+    /** @type {number} */
+    this.maxHull = 100;
+    /** @type {number} */
+    this.hull = this.maxHull;
+    /** @type {number} Seconds without damage before the shield starts recharging */
+    this.shieldRechargeDelay = 3;
+    /** @type {number} Shield per second */
+    this.shieldRechargeRate = 10;
+    /** @type {number} Seconds since the ship last took damage */
+    this.timeSinceDamage = this.shieldRechargeDelay;
     
     // Collision properties
     /** @type {number} */
     this.radius = this.width / 2;
     
-    // Controls state
+    // Controls state. The player's InputManager or an AI behaviour sets these every step;
+    // the ship never reads input devices itself.
     /** @type {Object<string, boolean>} */
     this.keys = {
       w: false,
@@ -95,12 +206,13 @@ export class Spaceship {
       s: false,
       d: false,
       space: false,
-      e: false  // Added E key for landing on planets
+      e: false,  // Added E key for landing on planets
+      fire: false
     };
-    
-    // Set up event listeners for controls
-    window.addEventListener('keydown', this.handleKeyDown.bind(this));
-    window.addEventListener('keyup', this.handleKeyUp.bind(this));
+    /** @type {number} How hard W/S push, from 0 to 1 (below 1 with analog input) */
+    this.throttle = 1;
+    /** @type {number} How hard A/D turn, from 0 to 1 (below 1 with analog input) */
+    this.turnRate = 1;
   }
   
   /**
@@ -128,125 +240,301 @@ export class Spaceship {
   }
   
   /**
-   * Handle keydown events
-   * @param {KeyboardEvent} event - The keyboard event
+   * Remember the current state as the start of a simulation step, for render interpolation
    */
-  handleKeyDown(event) {
-    switch(event.key.toLowerCase()) {
-      case 'w':
-        this.keys.w = true;
-        break;
-      case 'a':
-        this.keys.a = true;
-        break;
-      case 's':
-        this.keys.s = true;
-        break;
-      case 'd':
-        this.keys.d = true;
-        break;
-      case ' ':
-        this.keys.space = true;
-        break;
-      case 'e':
-        this.keys.e = true;
-        break;
-    }
-  }
-  
-  /**
-   * Handle keyup events
-   * @param {KeyboardEvent} event - The keyboard event
-   */
-  handleKeyUp(event) {
-    switch(event.key.toLowerCase()) {
-      case 'w':
-        this.keys.w = false;
-        break;
-      case 'a':
-        this.keys.a = false;
-        break;
-      case 's':
-        this.keys.s = false;
-        break;
-      case 'd':
-        this.keys.d = false;
-        break;
-      case ' ':
-        this.keys.space = false;
-        break;
-      case 'e':
-        this.keys.e = false;
-        break;
-    }
+  savePreviousState() {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevRotation = this.rotation;
   }
   
   /**
    * Update spaceship state
+   * @param {number} deltaTime - Length of the simulation step in seconds
    */
-  update() {
-    // Rotation based on A and D keys
+  update(deltaTime) {
+    this.weapon.update(deltaTime);
+    this.updateShield(deltaTime);
+    
+    // Rotation based on A and D keys, sluggish on an empty tank
+    const turnSpeed = this.rotationSpeed * this.turnRate * (this.isOutOfFuel ? EMPTY_TANK_CONTROL : 1);
     if (this.keys.a) {
-      this.rotation -= this.rotationSpeed;
+      this.rotation -= turnSpeed * deltaTime;
     }
     
     if (this.keys.d) {
-      this.rotation += this.rotationSpeed;
-    }
-    
-    // Acceleration based on W and S keys
-    if (this.keys.w) {
-      this.speed += this.acceleration;
-      if (this.speed > this.maxSpeed) {
-        this.speed = this.maxSpeed;
-      }
-    } else if (this.keys.s) {
-      this.speed -= this.acceleration;
-      if (this.speed < -this.maxSpeed) {
-        this.speed = -this.maxSpeed;  // Allow full reverse speed equal to forward speed
-      }
-    } else {
-      // Apply deceleration when not accelerating
-      if (this.speed > 0) {
-        this.speed -= this.deceleration;
-        if (this.speed < 0) this.speed = 0;
-      } else if (this.speed < 0) {
-        this.speed += this.deceleration;
-        if (this.speed > 0) this.speed = 0;
-      }
+      this.rotation += turnSpeed * deltaTime;
     }
     
     // Handle boost
     if (!this.isBoosting) {
       // Charge boost when not using it
       if (this.boostCharge < this.maxBoostCharge) {
-        this.boostCharge += this.boostChargeRate;
+        this.boostCharge += this.boostChargeRate * deltaTime;
         if (this.boostCharge > this.maxBoostCharge) {
           this.boostCharge = this.maxBoostCharge;
         }
       }
       
-      // Activate boost when spacebar is pressed and we have charge
-      if (this.keys.space && this.boostCharge > 0) {
+      // Activate boost when spacebar is pressed and we have charge (and fuel to burn)
+      if (this.keys.space && this.boostCharge > 0 && !this.isOutOfFuel) {
         this.isBoosting = true;
       }
     } else {
       // Consume boost charge
-      this.boostCharge -= this.boostDecayRate;
+      this.boostCharge -= this.boostDecayRate * deltaTime;
       
-      // End boost when charge depleted or space released
-      if (this.boostCharge <= 0 || !this.keys.space) {
+      // End boost when charge depleted, space released or the tank runs dry
+      if (this.boostCharge <= 0 || !this.keys.space || this.isOutOfFuel) {
         this.boostCharge = Math.max(0, this.boostCharge);
         this.isBoosting = false;
       }
     }
     
-    // Calculate actual speed with boost
-    const currentSpeed = this.isBoosting ? this.speed + this.boostSpeed : this.speed;
+    this.burnFuel(deltaTime);
     
-    // Update position based on speed and rotation
-    this.x += Math.cos(this.rotation) * currentSpeed;
-    this.y += Math.sin(this.rotation) * currentSpeed;
+    if (this.flightModel === FlightModel.NEWTONIAN) {
+      this.applyThrust(deltaTime);
+    } else if (this.isOutOfFuel) {
+      this.updateDriftingSpeed(deltaTime);
+    } else {
+      this.updateArcadeSpeed(deltaTime);
+    }
+    
+    // Update position based on speed (with boost) and rotation
+    const velocity = this.getVelocity();
+    this.x += velocity.x * deltaTime;
+    this.y += velocity.y * deltaTime;
+  }
+
+  /**
+   * Arcade flight: W and S change the speed along the heading, which eases back
+   * to zero when neither is held
+   * @param {number} deltaTime - Length of the simulation step in seconds
+   */
+  updateArcadeSpeed(deltaTime) {
+    // Acceleration based on W and S keys. Partial throttle lowers the top speed,
+    // easing back down to it rather than cutting speed instantly.
+    const throttledMaxSpeed = this.maxSpeed * this.throttle;
+    if (this.keys.w) {
+      if (this.speed < throttledMaxSpeed) {
+        this.speed = Math.min(this.speed + this.acceleration * deltaTime, throttledMaxSpeed);
+      } else {
+        this.speed = Math.max(this.speed - this.deceleration * deltaTime, throttledMaxSpeed);
+      }
+    } else if (this.keys.s) {
+      if (this.speed > -throttledMaxSpeed) {
+        // Allow full reverse speed equal to forward speed
+        this.speed = Math.max(this.speed - this.acceleration * deltaTime, -throttledMaxSpeed);
+      } else {
+        this.speed = Math.min(this.speed + this.deceleration * deltaTime, -throttledMaxSpeed);
+      }
+    } else {
+      // Apply deceleration when not accelerating
+      if (this.speed > 0) {
+        this.speed -= this.deceleration * deltaTime;
+        if (this.speed < 0) this.speed = 0;
+      } else if (this.speed < 0) {
+        this.speed += this.deceleration * deltaTime;
+        if (this.speed > 0) this.speed = 0;
+      }
+    }
+  }
+
+  /**
+   * Arcade flight on an empty tank: the ship coasts at whatever speed it had,
+   * and the manoeuvring thrusters can only nudge it up to a crawl or slow it down
+   * @param {number} deltaTime - Length of the simulation step in seconds
+   */
+  updateDriftingSpeed(deltaTime) {
+    const crawlSpeed = this.maxSpeed * EMPTY_TANK_CONTROL;
+    const nudge = this.acceleration * EMPTY_TANK_CONTROL * deltaTime;
+    if (this.keys.w && this.speed < crawlSpeed) {
+      this.speed = Math.min(this.speed + nudge, crawlSpeed);
+    } else if (this.keys.s && this.speed > -crawlSpeed) {
+      this.speed = Math.max(this.speed - nudge, -crawlSpeed);
+    }
+  }
+
+  /**
+   * Newtonian flight: W thrusts along the heading and S against it, boost adds
+   * extra thrust, and the velocity keeps whatever it has been given
+   * @param {number} deltaTime - Length of the simulation step in seconds
+   */
+  applyThrust(deltaTime) {
+    let thrust = 0;
+    if (this.keys.w) {
+      thrust += this.acceleration * this.throttle;
+    } else if (this.keys.s) {
+      thrust -= this.acceleration * this.throttle;
+    }
+    if (this.isBoosting) {
+      thrust += this.boostSpeed;
+    }
+    if (this.isOutOfFuel) {
+      thrust *= EMPTY_TANK_CONTROL;
+    }
+    this.vx += Math.cos(this.rotation) * thrust * deltaTime;
+    this.vy += Math.sin(this.rotation) * thrust * deltaTime;
+    this.limitSpeed();
+  }
+
+  /**
+   * Add a change in velocity from outside the ship, such as gravity. Only Newtonian
+   * ships are pushed around; arcade ships ignore it.
+   * @param {number} dvx - Change in X velocity, in pixels per second
+   * @param {number} dvy - Change in Y velocity, in pixels per second
+   */
+  applyImpulse(dvx, dvy) {
+    if (this.flightModel !== FlightModel.NEWTONIAN) return;
+    this.vx += dvx;
+    this.vy += dvy;
+    this.limitSpeed();
+  }
+
+  /**
+   * Keep a Newtonian ship under its speed limit, and its speed in step with its velocity
+   */
+  limitSpeed() {
+    const limit = this.maxSpeed * NEWTONIAN_SPEED_LIMIT;
+    const speed = Math.hypot(this.vx, this.vy);
+    if (speed > limit) {
+      this.vx *= limit / speed;
+      this.vy *= limit / speed;
+    }
+    this.speed = Math.min(speed, limit);
+  }
+
+  /**
+   * Switch how the ship flies, carrying its current motion over
+   * @param {string} flightModel - The new flight model (see FlightModel)
+   */
+  setFlightModel(flightModel) {
+    if (flightModel === this.flightModel || !Object.values(FlightModel).includes(flightModel)) return;
+    if (flightModel === FlightModel.NEWTONIAN) {
+      const velocity = this.getVelocity();
+      this.vx = velocity.x;
+      this.vy = velocity.y;
+      this.flightModel = flightModel;
+      this.limitSpeed();
+    } else {
+      // Arcade ships can only move along their heading, so keep the part of the velocity that is
+      const forward = this.vx * Math.cos(this.rotation) + this.vy * Math.sin(this.rotation);
+      this.speed = Math.max(-this.maxSpeed, Math.min(forward, this.maxSpeed));
+      this.vx = 0;
+      this.vy = 0;
+      this.flightModel = flightModel;
+    }
+  }
+
+  /**
+   * Whether the tank is empty. Ships that don't use fuel never run out.
+   * @type {boolean}
+   */
+  get isOutOfFuel() {
+    return this.usesFuel && this.fuel <= 0;
+  }
+
+  /**
+   * Burn fuel for the thrust and boost used this step
+   * @param {number} deltaTime - Length of the simulation step in seconds
+   */
+  burnFuel(deltaTime) {
+    if (!this.usesFuel || this.isOutOfFuel) return;
+    let rate = 0;
+    if (this.keys.w || this.keys.s) {
+      rate += this.thrustFuelRate * this.throttle;
+    }
+    if (this.isBoosting) {
+      rate += this.boostFuelRate;
+    }
+    this.fuel = Math.max(0, this.fuel - rate * deltaTime);
+  }
+
+  /**
+   * Get fuel percentage
+   * @returns {number} Percentage of fuel left (0-100)
+   */
+  getFuelPercentage() {
+    return (this.fuel / this.maxFuel) * 100;
+  }
+
+  /**
+   * Recharge the shield once the ship has gone a while without being hit
+   * @param {number} deltaTime - Length of the simulation step in seconds
+   */
+  updateShield(deltaTime) {
+    this.timeSinceDamage += deltaTime;
+    if (this.timeSinceDamage >= this.shieldRechargeDelay) {
+      this.shield = Math.min(this.maxShield, this.shield + this.shieldRechargeRate * deltaTime);
+    }
+  }
+
+  /**
+   * Take a hit. The shield absorbs what it can and the hull takes the rest.
+   * @param {number} amount - Damage dealt
+   * @returns {boolean} True if the hit destroyed the ship
+   */
+  takeDamage(amount) {
+    this.timeSinceDamage = 0;
+    const absorbed = Math.min(this.shield, amount);
+    this.shield -= absorbed;
+    this.hull = Math.max(0, this.hull - (amount - absorbed));
+    return this.isDestroyed;
+  }
+
+  /**
+   * Whether the hull has been shot through
+   * @type {boolean}
+   */
+  get isDestroyed() {
+    return this.hull <= 0;
+  }
+
+  /**
+   * Restore the shield and hull to full
+   */
+  repair() {
+    this.shield = this.maxShield;
+    this.hull = this.maxHull;
+    this.timeSinceDamage = this.shieldRechargeDelay;
+  }
+
+  /**
+   * Bring the ship to a complete stop, e.g. when it lands
+   */
+  stop() {
+    this.speed = 0;
+    this.vx = 0;
+    this.vy = 0;
+  }
+
+  /**
+   * Get the ship's velocity, including boost
+   * @returns {{x: number, y: number}} Velocity in pixels per second
+   */
+  getVelocity() {
+    if (this.flightModel === FlightModel.NEWTONIAN) {
+      return { x: this.vx, y: this.vy };
+    }
+    const currentSpeed = this.isBoosting ? this.speed + this.boostSpeed : this.speed;
+    return {
+      x: Math.cos(this.rotation) * currentSpeed,
+      y: Math.sin(this.rotation) * currentSpeed
+    };
+  }
+  
+  /**
+   * Get where to draw the ship, blending the last two simulation steps
+   * @param {number} [alpha=1] - How far between the previous (0) and current (1) step to draw
+   * @returns {{x: number, y: number, rotation: number}} Interpolated pose
+   */
+  getRenderState(alpha = 1) {
+    return {
+      x: this.prevX + (this.x - this.prevX) * alpha,
+      y: this.prevY + (this.y - this.prevY) * alpha,
+      rotation: this.prevRotation + normalizeAngle(this.rotation - this.prevRotation) * alpha
+    };
   }
   
   /**
@@ -254,23 +542,28 @@ export class Spaceship {
    * @param {CanvasRenderingContext2D} ctx - Canvas context
    * @param {number} offsetX - X offset for camera
    * @param {number} offsetY - Y offset for camera
+   * @param {number} [alpha=1] - Render interpolation factor between the last two simulation steps
    */
-  draw(ctx, offsetX, offsetY) {
-    const screenX = this.x - offsetX;
-    const screenY = this.y - offsetY;
+  draw(ctx, offsetX, offsetY, alpha = 1) {
+    // A destroyed ship leaves nothing behind to draw
+    if (this.isDestroyed) return;
+    
+    const { x, y, rotation } = this.getRenderState(alpha);
+    const screenX = x - offsetX;
+    const screenY = y - offsetY;
     
-    console.log(`  [Spaceship.draw] Drawing spaceship. World: (${this.x.toFixed(2)}, ${this.y.toFixed(2)}), Screen: (${screenX.toFixed(2)}, ${screenY.toFixed(2)}), Sprite Loaded: ${this.spriteLoaded}`);
+    const sprite = this.isPlayer ? getPlayerSprite() : null;
     
     ctx.save();
     ctx.translate(screenX, screenY);
-    ctx.rotate(this.rotation);
+    ctx.rotate(rotation);
     
-    // Draw spaceship sprite if loaded, otherwise draw fallback shape
-    if (this.spriteLoaded) {
+    // The player flies the sprite; AI ships (and the player, if the sprite failed) use the hull shape
+    if (sprite && sprite.loaded) {
       // Draw sprite centered at the ship's origin
-      ctx.drawImage(this.sprite, -this.width / 2, -this.height / 2, this.width, this.height);
+      ctx.drawImage(sprite.image, -this.width / 2, -this.height / 2, this.width, this.height);
     } else {
-      // Fallback drawing: Draw original spaceship body
+      // Hull shape in the ship's color
       ctx.beginPath();
       ctx.moveTo(this.width / 2, 0);
       ctx.lineTo(-this.width / 2, this.height / 2);
@@ -278,7 +571,7 @@ export class Spaceship {
       ctx.lineTo(-this.width / 2, -this.height / 2);
       ctx.closePath();
       
-      ctx.fillStyle = '#4dacff'; // Default color if sprite fails
+      ctx.fillStyle = this.color;
       ctx.fill();
       ctx.strokeStyle = '#ffffff';
       ctx.lineWidth = 1;
@@ -311,6 +604,15 @@ export class Spaceship {
       ctx.fill();
     }
     
+    // Flash the shield bubble briefly when it takes a hit
+    if (this.timeSinceDamage < 0.2 && this.shield > 0) {
+      ctx.beginPath();
+      ctx.arc(0, 0, this.width * 0.7, 0, Math.PI * 2);
+      ctx.strokeStyle = 'rgba(125, 249, 255, 0.6)';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+    
     ctx.restore();
   }
   
@@ -321,4 +623,79 @@ export class Spaceship {
   getBoostPercentage() {
     return (this.boostCharge / this.maxBoostCharge) * 100;
   }
-} 
\ No newline at end of file
+
+  /**
+   * Get shield strength percentage
+   * @returns {number} Percentage of shield left (0-100)
+   */
+  getShieldPercentage() {
+    return (this.shield / this.maxShield) * 100;
+  }
+
+  /**
+   * Get hull integrity percentage
+   * @returns {number} Percentage of hull left (0-100)
+   */
+  getHullPercentage() {
+    return (this.hull / this.maxHull) * 100;
+  }
+
+  /**
+   * Convert the ship to plain data for saving
+   * @returns {Object} Serializable ship state
+   */
+  serialize() {
+    return {
+      x: this.x,
+      y: this.y,
+      rotation: this.rotation,
+      speed: this.speed,
+      flightModel: this.flightModel,
+      vx: this.vx,
+      vy: this.vy,
+      width: this.width,
+      height: this.height,
+      speedScale: this.speedScale,
+      boostCharge: this.boostCharge,
+      fuel: this.fuel,
+      shield: this.shield,
+      hull: this.hull,
+      weapon: this.weapon.serialize(),
+      credits: this.credits,
+      cargo: this.cargo.serialize(),
+      isPlayer: this.isPlayer,
+      faction: this.faction,
+      color: this.color,
+      ai: this.ai ? this.ai.serialize() : null
+    };
+  }
+
+  /**
+   * Recreate a ship from saved data
+   * @param {Object} data - Data from serialize()
+   * @param {Array<Planet>} planets - The loaded planets, referenced by key from AI state
+   * @returns {Spaceship} The restored ship
+   */
+  static deserialize(data, planets) {
+    const ship = new Spaceship(data.x, data.y, data.speedScale, data.width, data.height, {
+      isPlayer: data.isPlayer,
+      ai: data.ai ? deserializeBehavior(data.ai, planets) : null,
+      faction: data.faction,
+      color: data.color,
+      flightModel: data.flightModel,
+      weapon: data.weapon
+    });
+    ship.rotation = data.rotation;
+    ship.speed = data.speed;
+    ship.vx = data.vx;
+    ship.vy = data.vy;
+    ship.savePreviousState();
+    ship.boostCharge = data.boostCharge;
+    ship.fuel = data.fuel;
+    ship.shield = data.shield;
+    ship.hull = data.hull;
+    ship.credits = data.credits;
+    ship.cargo = CargoHold.deserialize(data.cargo);
+    return ship;
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Steering behaviours for autonomous ships.
+ *
+ * Behaviours don't move ships directly. Each one returns a steering target
+ * (a point and a desired speed), and applySteering turns that into the same
+ * control keys a player would press, so AI ships obey the normal ship physics.
+ */
+
+import { distance, normalizeAngle } from './utils.js';
+
+/**
+ * Heading error (radians) within which a ship counts as facing its target
+ * @type {number}
+ */
+const HEADING_TOLERANCE = 0.05;
+
+/**
+ * Heading error (radians) within which a ship thrusts to correct its velocity
+ * @type {number}
+ */
+const THRUST_TOLERANCE = 0.3;
+
+/**
+ * Steer straight at a point at full speed
+ * @param {Spaceship} ship - The steering ship
+ * @param {number} x - Target X coordinate
+ * @param {number} y - Target Y coordinate
+ * @returns {{x: number, y: number, speed: number}} Steering target
+ */
+export function seek(ship, x, y) {
+  return { x, y, speed: ship.maxSpeed };
+}
+
+/**
+ * Steer at a point, slowing down to stop on it
+ * @param {Spaceship} ship - The steering ship
+ * @param {number} x - Target X coordinate
+ * @param {number} y - Target Y coordinate
+ * @param {number} [slowRadius=300] - Distance at which to start slowing down
+ * @returns {{x: number, y: number, speed: number}} Steering target
+ */
+export function arrive(ship, x, y, slowRadius = 300) {
+  const dist = distance(ship.x, ship.y, x, y);
+  return { x, y, speed: ship.maxSpeed * Math.min(1, dist / slowRadius) };
+}
+
+/**
+ * Steer towards where a moving target will be, rather than where it is
+ * @param {Spaceship} ship - The steering ship
+ * @param {Spaceship} target - The ship being pursued
+ * @returns {{x: number, y: number, speed: number}} Steering target
+ */
+export function pursue(ship, target) {
+  const dist = distance(ship.x, ship.y, target.x, target.y);
+  // Look ahead by roughly the time needed to close the distance, in seconds
+  const lookAhead = ship.maxSpeed > 0 ? Math.min(dist / ship.maxSpeed, 1) : 0;
+  const velocity = target.getVelocity();
+  return seek(ship, target.x + velocity.x * lookAhead, target.y + velocity.y * lookAhead);
+}
+
+/**
+ * Drift around at cruising speed, picking a new nearby point when the old one is reached
+ * @param {Spaceship} ship - The steering ship
+ * @param {{x: number, y: number} | null} current - The current wander point, if any
+ * @param {number} range - Maximum distance of a new wander point
+ * @param {function(): number} [rng=Math.random] - Random source
+ * @returns {{x: number, y: number, speed: number}} Steering target (reuse it as `current` next update)
+ */
+export function wander(ship, current, range, rng = Math.random) {
+  if (current && distance(ship.x, ship.y, current.x, current.y) > 50) {
+    return current;
+  }
+  const angle = rng() * Math.PI * 2;
+  const dist = range * (0.3 + rng() * 0.7);
+  return {
+    x: ship.x + Math.cos(angle) * dist,
+    y: ship.y + Math.sin(angle) * dist,
+    speed: ship.maxSpeed * 0.5
+  };
+}
+
+/**
+ * Detour around the nearest body in the way of a steering target. The detour
+ * point sits beside the body, on the side the straight path already passes.
+ * @param {Spaceship} ship - The steering ship
+ * @param {{x: number, y: number, speed: number}} target - Where the ship wants to go
+ * @param {Array<{x: number, y: number, radius: number}>} obstacles - Bodies to keep clear of
+ * @param {number} [clearance=100] - Gap to leave between the ship and a body's edge
+ * @returns {{x: number, y: number, speed: number}} The target, or a detour point at the same speed
+ */
+export function avoidObstacles(ship, target, obstacles, clearance = 100) {
+  const length = distance(ship.x, ship.y, target.x, target.y);
+  if (length === 0) return target;
+  const dirX = (target.x - ship.x) / length;
+  const dirY = (target.y - ship.y) / length;
+
+  let blocker = null;
+  let blockerAlong = Infinity;
+  let blockerSide = 0;
+  for (const obstacle of obstacles) {
+    const reach = obstacle.radius + clearance;
+    const offsetX = obstacle.x - ship.x;
+    const offsetY = obstacle.y - ship.y;
+    // Bodies the ship is already next to, behind it or past the target aren't in the way
+    if (Math.hypot(offsetX, offsetY) < reach) continue;
+    const along = offsetX * dirX + offsetY * dirY;
+    if (along <= 0 || along >= length) continue;
+    const side = offsetY * dirX - offsetX * dirY;
+    if (Math.abs(side) < reach && along < blockerAlong) {
+      blocker = obstacle;
+      blockerAlong = along;
+      blockerSide = side;
+    }
+  }
+  if (!blocker) return target;
+
+  // Go round on the side the straight path already passes the body on
+  const away = blockerSide > 0 ? -1 : 1;
+  const reach = blocker.radius + clearance;
+  return {
+    x: blocker.x - dirY * away * reach,
+    y: blocker.y + dirX * away * reach,
+    speed: target.speed
+  };
+}
+
+/**
+ * Translate a steering target into control keys on the ship
+ * @param {Spaceship} ship - The steering ship
+ * @param {{x: number, y: number, speed: number}} target - Where to go and how fast
+ */
+export function applySteering(ship, target) {
+  const desiredHeading = Math.atan2(target.y - ship.y, target.x - ship.x);
+  const headingError = normalizeAngle(desiredHeading - ship.rotation);
+
+  ship.keys.a = headingError < -HEADING_TOLERANCE;
+  ship.keys.d = headingError > HEADING_TOLERANCE;
+
+  // Only thrust when roughly facing the target, otherwise turn first
+  const facingTarget = Math.abs(headingError) < Math.PI / 4;
+  ship.keys.w = facingTarget && ship.speed < target.speed;
+  ship.keys.s = ship.speed > target.speed + ship.maxSpeed * 0.05;
+}
+
+/**
+ * Steer a Newtonian ship towards a velocity. Its heading doesn't decide where
+ * it goes, so it points its engines along the difference between the velocity
+ * it has and the one it wants, thrusting forwards or in reverse, whichever
+ * needs less turning.
+ * @param {Spaceship} ship - The steering ship
+ * @param {number} vx - Desired X velocity in pixels per second
+ * @param {number} vy - Desired Y velocity in pixels per second
+ */
+export function applyVelocitySteering(ship, vx, vy) {
+  const errorX = vx - ship.vx;
+  const errorY = vy - ship.vy;
+  const error = Math.hypot(errorX, errorY);
+  ship.keys.space = false;
+  if (error < ship.maxSpeed * 0.02) {
+    ship.keys.w = false;
+    ship.keys.s = false;
+    ship.keys.a = false;
+    ship.keys.d = false;
+    return;
+  }
+
+  const errorHeading = Math.atan2(errorY, errorX);
+  const forwardError = normalizeAngle(errorHeading - ship.rotation);
+  const reverse = Math.abs(forwardError) > Math.PI / 2;
+  const headingError = reverse ? normalizeAngle(forwardError + Math.PI) : forwardError;
+
+  ship.keys.a = headingError < -HEADING_TOLERANCE;
+  ship.keys.d = headingError > HEADING_TOLERANCE;
+  const aligned = Math.abs(headingError) < THRUST_TOLERANCE;
+  ship.keys.w = aligned && !reverse;
+  ship.keys.s = aligned && reverse;
+  // Ease off for small corrections, so the ship doesn't overshoot the velocity it wants
+  ship.throttle = Math.min(1, error / (ship.acceleration * 0.25));
+}
+
+/**
+ * Release every control key on the ship
+ * @param {Spaceship} ship - The ship to stop steering
+ */
+export function clearSteering(ship) {
+  ship.keys.w = false;
+  ship.keys.a = false;
+  ship.keys.s = false;
+  ship.keys.d = false;
+  ship.keys.space = false;
+  ship.keys.fire = false;
+}
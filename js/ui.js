@@ -2,6 +2,8 @@
  * @fileoverview UI handling for the Planet Explorer game
  */
 
+import { MiningMinigame } from './MiningMinigame.js';
+
 /**
  * UI manager for the game
  */
@@ -17,12 +19,98 @@ export class UI {
     /** @type {HTMLElement} */
     this.planetName = document.getElementById('planet-name');
     /** @type {HTMLElement} */
+    this.planetConditions = document.getElementById('planet-conditions');
+    /** @type {HTMLElement} */
     this.planetDescription = document.getElementById('planet-description');
     /** @type {HTMLElement} */
     this.leaveButton = document.getElementById('leave-planet');
     /** @type {HTMLElement} */
+    this.tradeButton = document.getElementById('open-market');
+    /** @type {HTMLElement} */
+    this.missionOffers = document.getElementById('mission-offers');
+    /** @type {HTMLElement} */
+    this.missionTracker = document.getElementById('mission-tracker');
+    /** @type {string} Text the mission tracker was last drawn with */
+    this.missionTrackerText = '';
+    /** @type {HTMLElement} */
+    this.autopilotStatus = document.getElementById('autopilot-status');
+    
+    // Market panel elements
+    /** @type {HTMLElement} */
+    this.marketPanel = document.getElementById('market-panel');
+    /** @type {HTMLElement} */
+    this.marketTitle = document.getElementById('market-title');
+    /** @type {HTMLElement} */
+    this.marketStatus = document.getElementById('market-status');
+    /** @type {HTMLElement} */
+    this.marketRows = document.getElementById('market-rows');
+    /** @type {HTMLElement} */
+    this.closeMarketButton = document.getElementById('close-market');
+    
+    // Mining minigame elements
+    /** @type {HTMLElement} */
+    this.mineButton = document.getElementById('open-minigame');
+    /** @type {HTMLElement} */
+    this.minigamePanel = document.getElementById('minigame-panel');
+    /** @type {HTMLElement} */
+    this.minigameTitle = document.getElementById('minigame-title');
+    /** @type {HTMLElement} */
+    this.minigameStatus = document.getElementById('minigame-status');
+    /** @type {HTMLElement} */
+    this.closeMinigameButton = document.getElementById('close-minigame');
+    /** @type {MiningMinigame} */
+    this.minigame = new MiningMinigame(document.getElementById('minigame-canvas'));
+    /** @type {HTMLElement} */
     this.boostFill = document.getElementById('boost-fill');
     /** @type {HTMLElement} */
+    this.shieldFill = document.getElementById('shield-fill');
+    /** @type {HTMLElement} */
+    this.hullFill = document.getElementById('hull-fill');
+    /** @type {HTMLElement} */
+    this.fuelFill = document.getElementById('fuel-fill');
+    /** @type {HTMLElement} */
+    this.refuelButton = document.getElementById('refuel');
+    
+    // Codex of discovered planets
+    /** @type {HTMLElement} */
+    this.codexPanel = document.getElementById('codex-panel');
+    /** @type {HTMLElement} */
+    this.codexSummary = document.getElementById('codex-summary');
+    /** @type {HTMLInputElement} */
+    this.codexSearch = document.getElementById('codex-search');
+    /** @type {HTMLElement} */
+    this.codexEntries = document.getElementById('codex-entries');
+    /** @type {HTMLElement} */
+    this.discoveryProgress = document.getElementById('discovery-progress');
+    /** @type {Object | null} */
+    this.codexHandlers = null;
+    
+    // Galaxy map controls, shown while the map is open
+    /** @type {HTMLElement} */
+    this.mapControls = document.getElementById('map-controls');
+    /** @type {HTMLElement} */
+    this.mapWaypoint = document.getElementById('map-waypoint');
+    /** @type {HTMLButtonElement} */
+    this.clearWaypointButton = document.getElementById('clear-waypoint');
+    /** @type {HTMLButtonElement} */
+    this.autopilotButton = document.getElementById('engage-autopilot');
+    /** @type {HTMLInputElement} */
+    this.fogOfWarToggle = document.getElementById('fog-of-war-toggle');
+    /** @type {Object | null} */
+    this.mapHandlers = null;
+    
+    // Destroyed ship panel
+    /** @type {HTMLElement} */
+    this.destroyedPanel = document.getElementById('destroyed-panel');
+    /** @type {HTMLElement} */
+    this.destroyedTitle = document.getElementById('destroyed-title');
+    /** @type {HTMLElement} */
+    this.destroyedStatus = document.getElementById('destroyed-status');
+    /** @type {HTMLElement} */
+    this.respawnButton = document.getElementById('respawn-button');
+    /** @type {Function | null} */
+    this._onRespawnCallback = null;
+    /** @type {HTMLElement} */
     this.messageDisplay = document.getElementById('message-display');
     
     // Speed Slider Elements (Assuming these might exist or be added similarly)
@@ -40,6 +128,36 @@ export class UI {
     this.sizeScaleValue = document.getElementById('size-scale-value');
     /** @type {Function | null} */
     this.onSizeChangeCallback = null;
+
+    // Flight model selector
+    /** @type {HTMLSelectElement | null} */
+    this.flightModelSelect = document.getElementById('flight-model-select');
+    /** @type {Function | null} */
+    this.onFlightModelChangeCallback = null;
+
+    // World seed display
+    /** @type {HTMLAnchorElement | null} */
+    this.seedLink = document.getElementById('world-seed-link');
+    
+    // Save slot controls
+    /** @type {HTMLSelectElement} */
+    this.saveSlotSelect = document.getElementById('save-slot-select');
+    /** @type {HTMLInputElement} */
+    this.saveSlotName = document.getElementById('save-slot-name');
+    /** @type {HTMLInputElement} */
+    this.importFileInput = document.getElementById('import-save-file');
+    /** @type {Object | null} */
+    this.saveHandlers = null;
+    
+    // Key binding controls
+    /** @type {HTMLElement} */
+    this.keyBindingRows = document.getElementById('key-binding-rows');
+    /** @type {HTMLElement} */
+    this.resetBindingsButton = document.getElementById('reset-bindings');
+    /** @type {HTMLElement} */
+    this.touchControls = document.getElementById('touch-controls');
+    /** @type {Object | null} */
+    this.keyBindingHandlers = null;
     
     /** @type {boolean} */
     this.isPlanetViewActive = false;
@@ -48,6 +166,127 @@ export class UI {
     
     // Set up event listeners
     this.leaveButton.addEventListener('click', this.hidePlanetInfo.bind(this));
+    this.tradeButton.addEventListener('click', () => {
+      if (this._onTradeCallback) {
+        this._onTradeCallback();
+      }
+    });
+    this.missionOffers.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-mission]');
+      if (!button || !this._onAcceptMissionCallback) return;
+      button.blur();
+      this._onAcceptMissionCallback(button.dataset.mission);
+    });
+    this.closeMarketButton.addEventListener('click', this.hideMarket.bind(this));
+    this.mineButton.addEventListener('click', () => {
+      if (this._onMineCallback) {
+        this._onMineCallback();
+      }
+    });
+    this.closeMinigameButton.addEventListener('click', this.hideMinigame.bind(this));
+    this.refuelButton.addEventListener('click', (event) => {
+      event.currentTarget.blur();
+      if (this._onRefuelCallback) {
+        this._onRefuelCallback();
+      }
+    });
+    document.getElementById('open-codex').addEventListener('click', (event) => {
+      event.currentTarget.blur();
+      if (this.isCodexOpen()) {
+        this.hideCodex();
+      } else {
+        this.showCodex();
+      }
+    });
+    document.getElementById('close-codex').addEventListener('click', this.hideCodex.bind(this));
+    // The map is drawn by the game, so its buttons just report back
+    for (const [id, handler] of [['open-map', 'onToggle'], ['close-map', 'onToggle'], ['clear-waypoint', 'onClearWaypoint'], ['engage-autopilot', 'onAutopilot']]) {
+      document.getElementById(id).addEventListener('click', (event) => {
+        event.currentTarget.blur();
+        if (this.mapHandlers) {
+          this.mapHandlers[handler]();
+        }
+      });
+    }
+    // Hand the keyboard back to the ship, which ignores keys typed into form fields
+    this.fogOfWarToggle.addEventListener('change', () => this.fogOfWarToggle.blur());
+    this.codexSearch.addEventListener('input', () => {
+      if (this.codexHandlers) {
+        this.codexHandlers.onSearch(this.getCodexQuery());
+      }
+    });
+    // Notes are kept when the player finishes editing them
+    this.codexEntries.addEventListener('change', (event) => {
+      const notes = event.target.closest('textarea[data-key]');
+      if (notes && this.codexHandlers) {
+        this.codexHandlers.onNotesChange(notes.dataset.key, notes.value);
+      }
+    });
+    this.respawnButton.addEventListener('click', (event) => {
+      event.currentTarget.blur();
+      const callback = this._onRespawnCallback;
+      this.hideDestroyed();
+      if (callback) {
+        callback();
+      }
+    });
+    
+    // Save slot controls. Choosing a slot fills in its name, so Save overwrites it.
+    this.saveSlotSelect.addEventListener('change', () => {
+      this.saveSlotName.value = this.saveSlotSelect.value;
+    });
+    const saveButtons = {
+      'save-game': 'onSave',
+      'load-game': 'onLoad',
+      'delete-save': 'onDelete',
+      'export-save': 'onExport'
+    };
+    for (const [id, handler] of Object.entries(saveButtons)) {
+      document.getElementById(id).addEventListener('click', (event) => {
+        event.currentTarget.blur(); // Give keyboard focus back to the game
+        const slotName = this.getSelectedSlotName();
+        if (!slotName) {
+          this.showMessage('Enter or choose a save slot name first', 2000);
+          return;
+        }
+        if (this.saveHandlers) {
+          this.saveHandlers[handler](slotName);
+        }
+      });
+    }
+    document.getElementById('import-save').addEventListener('click', (event) => {
+      event.currentTarget.blur();
+      this.importFileInput.click();
+    });
+    this.importFileInput.addEventListener('change', () => {
+      const file = this.importFileInput.files[0];
+      this.importFileInput.value = ''; // Allow importing the same file again
+      if (file && this.saveHandlers) {
+        this.saveHandlers.onImport(file);
+      }
+    });
+    this.keyBindingRows.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-binding]');
+      if (!button || !this.keyBindingHandlers) return;
+      button.blur();
+      this.keyBindingHandlers.onRebind(button.dataset.binding);
+    });
+    this.resetBindingsButton.addEventListener('click', (event) => {
+      event.currentTarget.blur();
+      if (this.keyBindingHandlers) {
+        this.keyBindingHandlers.onReset();
+      }
+    });
+    this.marketRows.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-commodity]');
+      if (!button || !this._marketHandlers) return;
+      const id = button.dataset.commodity;
+      if (button.dataset.action === 'buy') {
+        this._marketHandlers.onBuy(id);
+      } else {
+        this._marketHandlers.onSell(id);
+      }
+    });
     
     // Set up slider listeners if elements exist
     if (this.speedScaleSlider && this.speedScaleValue) {
@@ -69,6 +308,16 @@ export class UI {
         }
       });
     }
+
+    if (this.flightModelSelect) {
+      this.flightModelSelect.addEventListener('change', (event) => {
+        if (this.onFlightModelChangeCallback) {
+          this.onFlightModelChangeCallback(event.target.value);
+        }
+        // Don't leave the select focused, or the arrow keys would change it mid-flight
+        this.flightModelSelect.blur();
+      });
+    }
   }
   
   /**
@@ -95,6 +344,173 @@ export class UI {
     // }
   }
 
+  /**
+   * Register a listener for flight model changes
+   * @param {function(string): void} callback - Called with the chosen FlightModel value
+   */
+  registerFlightModelListener(callback) {
+    this.onFlightModelChangeCallback = callback;
+  }
+
+  /**
+   * Register listeners for the save slot controls
+   * @param {Object} handlers - Save callbacks, each called with the chosen slot name
+   * @param {function(string): void} handlers.onSave - Save the game to the slot
+   * @param {function(string): void} handlers.onLoad - Load the game from the slot
+   * @param {function(string): void} handlers.onDelete - Delete the slot
+   * @param {function(string): void} handlers.onExport - Download the slot as a JSON file
+   * @param {function(File): void} handlers.onImport - Called with an uploaded save file
+   */
+  registerSaveListeners(handlers) {
+    this.saveHandlers = handlers;
+  }
+  
+  /**
+   * Register listeners for the codex panel
+   * @param {Object} handlers - Codex callbacks
+   * @param {function(string): void} handlers.onSearch - Called with the search text when the
+   *   codex opens or the search changes; should answer with setCodexEntries()
+   * @param {function(string, string): void} handlers.onNotesChange - Called with a planet's key and its edited notes
+   */
+  registerCodexListeners(handlers) {
+    this.codexHandlers = handlers;
+  }
+  
+  /**
+   * Register listeners for the galaxy map buttons
+   * @param {Object} handlers - Map callbacks
+   * @param {function(): void} handlers.onToggle - Open the map, or close it if it is open
+   * @param {function(): void} handlers.onClearWaypoint - Remove the waypoint
+   * @param {function(): void} handlers.onAutopilot - Fly to the waypoint on autopilot
+   */
+  registerMapListeners(handlers) {
+    this.mapHandlers = handlers;
+  }
+  
+  /**
+   * Register listeners for the key binding controls
+   * @param {Object} handlers - Key binding callbacks
+   * @param {function(string): void} handlers.onRebind - Called with the action the player wants to rebind
+   * @param {function(): void} handlers.onReset - Restore the default bindings
+   */
+  registerKeyBindingListeners(handlers) {
+    this.keyBindingHandlers = handlers;
+  }
+  
+  /**
+   * Show the current key bindings, one row per action
+   * @param {Array<{id: string, label: string, key: string}>} rows - Each action with its key's display label
+   * @param {string | null} [listeningFor=null] - Action waiting for a new key, if any
+   */
+  setKeyBindings(rows, listeningFor = null) {
+    this.keyBindingRows.innerHTML = '';
+    for (const row of rows) {
+      const element = document.createElement('div');
+      element.className = 'key-binding-row';
+      const label = document.createElement('span');
+      label.textContent = row.label;
+      const button = document.createElement('button');
+      button.dataset.binding = row.id;
+      if (row.id === listeningFor) {
+        button.textContent = 'Press a key…';
+        button.classList.add('listening');
+      } else {
+        button.textContent = row.key;
+      }
+      element.append(label, button);
+      this.keyBindingRows.appendChild(element);
+    }
+  }
+  
+  /**
+   * Get the on-screen touch controls, for the input manager to listen to
+   * @returns {HTMLElement} The touch controls container
+   */
+  getTouchControls() {
+    return this.touchControls;
+  }
+  
+  /**
+   * Get the save slot name typed in, or else the one selected
+   * @returns {string} The slot name, or an empty string if none
+   */
+  getSelectedSlotName() {
+    return this.saveSlotName.value.trim() || this.saveSlotSelect.value;
+  }
+  
+  /**
+   * Refresh the list of save slots
+   * @param {Array<{name: string, savedAt: string}>} slots - Existing slots, most recent first
+   */
+  setSaveSlots(slots) {
+    const selected = this.saveSlotSelect.value;
+    this.saveSlotSelect.innerHTML = '';
+    for (const slot of slots) {
+      const option = document.createElement('option');
+      option.value = slot.name;
+      const savedAt = slot.savedAt ? new Date(slot.savedAt).toLocaleString() : 'unknown date';
+      option.textContent = `${slot.name} (${savedAt})`;
+      this.saveSlotSelect.appendChild(option);
+    }
+    if (slots.some((slot) => slot.name === selected)) {
+      this.saveSlotSelect.value = selected;
+    }
+  }
+  
+  /**
+   * Get the player-adjustable settings, for saving
+   * @returns {{speedScale: number, sizeScale: number, flightModel: string, fogOfWar: boolean}} Current control values
+   */
+  getSettings() {
+    return {
+      speedScale: this.getInitialSpeedScale(),
+      sizeScale: this.getInitialSizeScale(),
+      flightModel: this.getInitialFlightModel(),
+      fogOfWar: this.isFogOfWarEnabled()
+    };
+  }
+  
+  /**
+   * Restore saved settings, updating the controls and notifying their listeners
+   * @param {{speedScale: number, sizeScale: number, flightModel: string, fogOfWar: boolean}} settings - Settings from getSettings()
+   */
+  applySettings(settings) {
+    const sliders = [
+      [this.speedScaleSlider, settings.speedScale],
+      [this.sizeScaleSlider, settings.sizeScale]
+    ];
+    for (const [slider, value] of sliders) {
+      if (!slider || typeof value !== 'number') continue;
+      slider.value = String(value);
+      // Fire the slider's own input handler so labels and listeners stay in sync
+      slider.dispatchEvent(new Event('input'));
+    }
+    if (this.flightModelSelect && typeof settings.flightModel === 'string') {
+      this.flightModelSelect.value = settings.flightModel;
+      this.flightModelSelect.dispatchEvent(new Event('change'));
+    }
+    if (typeof settings.fogOfWar === 'boolean') {
+      this.fogOfWarToggle.checked = settings.fogOfWar;
+    }
+  }
+  
+  /**
+   * Close every planet panel without running their callbacks, e.g. when a game is loaded
+   */
+  resetPanels() {
+    this.isPlanetViewActive = false;
+    this.minigame.stop();
+    this.planetInfo.classList.remove('visible');
+    this.marketPanel.classList.remove('visible');
+    this.minigamePanel.classList.remove('visible');
+    this.destroyedPanel.classList.remove('visible');
+    this.codexPanel.classList.remove('visible');
+    this._onLeaveCallback = null;
+    this._onRespawnCallback = null;
+    this._marketHandlers = null;
+    this._minigameHandlers = null;
+  }
+  
   /**
    * Get the initial value of the speed scale slider
    * @returns {number} Initial speed scale
@@ -110,15 +526,43 @@ export class UI {
   getInitialSizeScale() {
     return this.sizeScaleSlider ? parseFloat(this.sizeScaleSlider.value) : 1.4; // Default if slider not found
   }
+
+  /**
+   * Get the initial value of the flight model selector
+   * @returns {string} Initial FlightModel value
+   */
+  getInitialFlightModel() {
+    return this.flightModelSelect ? this.flightModelSelect.value : 'arcade'; // Default if select not found
+  }
+  
+  /**
+   * Display the world seed along with a shareable link that reproduces it
+   * @param {number|string} seed - The seed the current world was generated from
+   */
+  showSeed(seed) {
+    if (!this.seedLink) return;
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', String(seed));
+    this.seedLink.textContent = String(seed);
+    this.seedLink.href = url.toString();
+  }
   
   /**
    * Show planet information
    * @param {Planet} planet - Planet to display information for
    * @param {Function} onLeave - Callback function when leaving the planet
+   * @param {Object} [actions] - Optional planet services offered from the info panel
+   * @param {Function} [actions.onTrade] - Callback when the Trade button is clicked
+   * @param {Function} [actions.onMine] - Callback when the Mine button is clicked
+   * @param {Function} [actions.onRefuel] - Callback when the Refuel button is clicked
+   * @param {number} [actions.fuelPrice] - Price of a unit of fuel, shown on the Refuel button
+   * @param {Array<Object>} [actions.missions] - Missions on the planet's board (see setMissionOffers)
+   * @param {function(string): void} [actions.onAcceptMission] - Called with a mission's id when it is accepted
    */
-  showPlanetInfo(planet, onLeave) {
+  showPlanetInfo(planet, onLeave, actions = {}) {
     this.isPlanetViewActive = true;
     this.planetName.textContent = planet.name;
+    this.planetConditions.textContent = planet.describeConditions();
     this.planetDescription.textContent = planet.description;
     
     // Make sure the UI overlay is visible
@@ -130,8 +574,67 @@ export class UI {
     // Store the callback for when the leave button is clicked
     this._onLeaveCallback = onLeave;
     
-    // Clear any active messages
-    this.clearMessage();
+    // Only offer services the caller can handle
+    this._onTradeCallback = actions.onTrade || null;
+    this.tradeButton.style.display = this._onTradeCallback ? '' : 'none';
+    this._onMineCallback = actions.onMine || null;
+    this.mineButton.style.display = this._onMineCallback ? '' : 'none';
+    this._onRefuelCallback = actions.onRefuel || null;
+    this.refuelButton.style.display = this._onRefuelCallback ? '' : 'none';
+    this.refuelButton.textContent = `Refuel (${actions.fuelPrice} cr/unit)`;
+    this._onAcceptMissionCallback = actions.onAcceptMission || null;
+    this.setMissionOffers(actions.missions || []);
+  }
+  
+  /**
+   * List the missions on the mission board of the planet the player is on
+   * @param {Array<{id: string, reward: number, describe: function(): string}>} missions - Offered missions
+   */
+  setMissionOffers(missions) {
+    this.missionOffers.innerHTML = '';
+    if (missions.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'mission-empty';
+      empty.textContent = 'No missions on offer. Check back later.';
+      this.missionOffers.appendChild(empty);
+      return;
+    }
+    for (const mission of missions) {
+      const row = document.createElement('div');
+      row.className = 'mission-offer';
+      const summary = document.createElement('span');
+      summary.textContent = mission.describe();
+      const reward = document.createElement('span');
+      reward.className = 'mission-reward';
+      reward.textContent = `${mission.reward} cr`;
+      const button = document.createElement('button');
+      button.textContent = 'Accept';
+      button.dataset.mission = mission.id;
+      row.append(summary, reward, button);
+      this.missionOffers.appendChild(row);
+    }
+  }
+  
+  /**
+   * Show the player's active missions in the HUD. Called every step, so the
+   * tracker is only rebuilt when its text changes.
+   * @param {Array<{summary: string, progress: string}>} rows - From MissionSystem.getTracker()
+   */
+  updateMissionTracker(rows) {
+    const text = rows.map((row) => `${row.summary}|${row.progress}`).join('\n');
+    if (text === this.missionTrackerText) return;
+    this.missionTrackerText = text;
+    
+    this.missionTracker.innerHTML = '';
+    for (const row of rows) {
+      const element = document.createElement('div');
+      element.className = 'mission-tracker-row';
+      const progress = document.createElement('span');
+      progress.className = 'mission-progress';
+      progress.textContent = ` (${row.progress})`;
+      element.append(row.summary, progress);
+      this.missionTracker.appendChild(element);
+    }
   }
   
   /**
@@ -148,6 +651,116 @@ export class UI {
     }
   }
   
+  /**
+   * Show the market panel for a planet, replacing the planet info panel
+   * @param {Planet} planet - Planet whose market is shown
+   * @param {Spaceship} ship - The trading ship (for credits and cargo)
+   * @param {Object} handlers - Market callbacks
+   * @param {function(string): void} handlers.onBuy - Called with a commodity id when Buy is clicked
+   * @param {function(string): void} handlers.onSell - Called with a commodity id when Sell is clicked
+   * @param {Function} handlers.onClose - Called when the market is closed
+   */
+  showMarket(planet, ship, handlers) {
+    this._marketHandlers = handlers;
+    this.marketTitle.textContent = `${planet.name} Market`;
+    this.planetInfo.classList.remove('visible');
+    this.marketPanel.classList.add('visible');
+    this.updateMarket(planet.marketData, ship);
+  }
+  
+  /**
+   * Refresh the market listings, credits and cargo display
+   * @param {Market} market - The market being shown
+   * @param {Spaceship} ship - The trading ship
+   */
+  updateMarket(market, ship) {
+    this.marketStatus.textContent =
+      `Credits: ${ship.credits} | Cargo: ${ship.cargo.getUsed()}/${ship.cargo.capacity}`;
+    
+    this.marketRows.innerHTML = '';
+    for (const entry of market.commodities) {
+      const row = document.createElement('tr');
+      const cells = [
+        entry.name,
+        entry.stock,
+        market.getBuyPrice(entry.id),
+        market.getSellPrice(entry.id),
+        ship.cargo.getQuantity(entry.id)
+      ];
+      for (const value of cells) {
+        const cell = document.createElement('td');
+        cell.textContent = String(value);
+        row.appendChild(cell);
+      }
+      
+      const actionCell = document.createElement('td');
+      for (const action of ['buy', 'sell']) {
+        const button = document.createElement('button');
+        button.textContent = action === 'buy' ? 'Buy' : 'Sell';
+        button.dataset.action = action;
+        button.dataset.commodity = entry.id;
+        actionCell.appendChild(button);
+      }
+      row.appendChild(actionCell);
+      this.marketRows.appendChild(row);
+    }
+  }
+  
+  /**
+   * Hide the market panel and return to the planet info panel
+   */
+  hideMarket() {
+    this.marketPanel.classList.remove('visible');
+    this.planetInfo.classList.add('visible');
+    
+    const handlers = this._marketHandlers;
+    this._marketHandlers = null;
+    if (handlers) {
+      handlers.onClose();
+    }
+  }
+  
+  /**
+   * Show the mining minigame for a planet, replacing the planet info panel
+   * @param {Planet} planet - Planet being mined
+   * @param {Spaceship} ship - The ship receiving the yields
+   * @param {Object} handlers - Minigame callbacks
+   * @param {function(ResourceDeposit): boolean} handlers.onExtract - Called for each unit drilled out;
+   *   returns false if the unit could not be stored
+   * @param {Function} handlers.onClose - Called when the minigame is closed
+   */
+  showMinigame(planet, ship, handlers) {
+    this._minigameHandlers = handlers;
+    this.minigameTitle.textContent = `Mining on ${planet.name}`;
+    this.planetInfo.classList.remove('visible');
+    this.minigamePanel.classList.add('visible');
+    this.updateMinigameStatus(ship);
+    this.minigame.start(planet.resourceData, handlers.onExtract);
+  }
+  
+  /**
+   * Refresh the cargo display shown above the minigame
+   * @param {Spaceship} ship - The ship receiving the yields
+   */
+  updateMinigameStatus(ship) {
+    this.minigameStatus.textContent = `Cargo: ${ship.cargo.getUsed()}/${ship.cargo.capacity}`;
+  }
+  
+  /**
+   * Hide the mining minigame and return to the planet info panel
+   */
+  hideMinigame() {
+    this.minigame.stop();
+    this.minigamePanel.classList.remove('visible');
+    this.planetInfo.classList.add('visible');
+    
+    const handlers = this._minigameHandlers;
+    this._minigameHandlers = null;
+    if (handlers) {
+      handlers.onClose();
+    }
+  }
+  
   /**
    * Show a temporary message in the HUD
    * @param {string} message - The message to display
@@ -206,6 +819,202 @@ export class UI {
     }
   }
   
+  /**
+   * Update the shield and hull meters
+   * @param {number} shieldPercentage - Shield left (0-100)
+   * @param {number} hullPercentage - Hull left (0-100)
+   */
+  updateHealthMeters(shieldPercentage, hullPercentage) {
+    this.shieldFill.style.width = `${shieldPercentage}%`;
+    this.hullFill.style.width = `${hullPercentage}%`;
+    
+    // The hull turns from green to red as it takes damage
+    if (hullPercentage > 60) {
+      this.hullFill.style.backgroundColor = '#4dff4d';
+    } else if (hullPercentage > 25) {
+      this.hullFill.style.backgroundColor = '#ffd84d';
+    } else {
+      this.hullFill.style.backgroundColor = '#ff4d4d';
+    }
+  }
+  
+  /**
+   * Update the fuel gauge
+   * @param {number} percentage - Fuel left (0-100)
+   */
+  updateFuelGauge(percentage) {
+    this.fuelFill.style.width = `${percentage}%`;
+    // Warn when running low
+    this.fuelFill.style.backgroundColor = percentage > 20 ? '#ffb84d' : '#ff4d4d';
+  }
+  
+  /**
+   * Show what the autopilot is doing, or hide the line when it is off
+   * @param {string | null} status - Status from AutopilotSystem.getStatus()
+   */
+  updateAutopilotStatus(status) {
+    this.autopilotStatus.textContent = status || '';
+    this.autopilotStatus.classList.toggle('visible', Boolean(status));
+  }
+  
+  /**
+   * Show how many of the discovered planets the player has landed on
+   * @param {{seen: number, visited: number}} progress - Totals from DiscoverySystem.getProgress()
+   */
+  updateDiscoveryProgress(progress) {
+    this.discoveryProgress.textContent = `${progress.visited}/${progress.seen} planets visited`;
+  }
+  
+  /**
+   * Open the codex, asking the codex listener for the entries to list
+   */
+  showCodex() {
+    this.uiOverlay.classList.remove('hidden');
+    this.codexPanel.classList.add('visible');
+    if (this.codexHandlers) {
+      this.codexHandlers.onSearch(this.getCodexQuery());
+    }
+  }
+  
+  /**
+   * Get the codex search text
+   * @returns {string} What the player typed in the search box
+   */
+  getCodexQuery() {
+    return this.codexSearch.value;
+  }
+  
+  /**
+   * Close the codex
+   */
+  hideCodex() {
+    this.codexPanel.classList.remove('visible');
+  }
+  
+  /**
+   * Check if the codex is open
+   * @returns {boolean} True if the codex panel is showing
+   */
+  isCodexOpen() {
+    return this.codexPanel.classList.contains('visible');
+  }
+  
+  /**
+   * Show the galaxy map's buttons
+   */
+  showMapControls() {
+    this.mapControls.classList.add('visible');
+  }
+  
+  /**
+   * Hide the galaxy map's buttons
+   */
+  hideMapControls() {
+    this.mapControls.classList.remove('visible');
+  }
+  
+  /**
+   * Check whether the player wants the galaxy map to hide unexplored space
+   * @returns {boolean} True if the fog of war box is ticked
+   */
+  isFogOfWarEnabled() {
+    return this.fogOfWarToggle.checked;
+  }
+  
+  /**
+   * Show where the waypoint is set, if anywhere
+   * @param {string | null} name - The waypoint's name, or null with no waypoint
+   */
+  setWaypointName(name) {
+    this.mapWaypoint.textContent = name ? `Heading for ${name}` : 'No waypoint set';
+    this.clearWaypointButton.disabled = !name;
+    this.autopilotButton.disabled = !name;
+  }
+  
+  /**
+   * List codex entries. The list is left alone while the player is typing notes
+   * into it, so a planet discovered mid-sentence doesn't throw their edit away.
+   * @param {Array<Object>} entries - Entries from DiscoverySystem.search()
+   * @param {{seen: number, scanned: number, visited: number}} progress - Totals from DiscoverySystem.getProgress()
+   */
+  setCodexEntries(entries, progress) {
+    if (this.codexEntries.contains(document.activeElement)) return;
+    
+    this.codexSummary.textContent =
+      `${progress.seen} discovered, ${progress.scanned} scanned, ${progress.visited} visited`;
+    this.codexEntries.innerHTML = '';
+    if (entries.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'codex-empty';
+      empty.textContent = progress.seen === 0
+        ? 'No planets discovered yet. Fly near one to pick it up on your sensors.'
+        : 'No planets match your search.';
+      this.codexEntries.appendChild(empty);
+      return;
+    }
+    
+    for (const entry of entries) {
+      const element = document.createElement('div');
+      element.className = 'codex-entry';
+      
+      const title = document.createElement('h3');
+      title.textContent = entry.isMoon ? `${entry.name} (moon)` : entry.name;
+      const status = document.createElement('span');
+      const visited = entry.landedAt !== null;
+      const scanned = entry.scannedAt !== null;
+      status.className = visited ? 'codex-status visited' : 'codex-status';
+      status.textContent = visited ? 'Visited' : (scanned ? 'Scanned' : 'Seen');
+      title.appendChild(status);
+      
+      const position = document.createElement('p');
+      position.className = 'codex-position';
+      position.textContent = `${entry.type}, star system at ${entry.x}, ${entry.y}`;
+      
+      const description = document.createElement('p');
+      description.textContent = scanned
+        ? `${entry.conditions}. ${entry.description}`
+        : 'Not scanned yet. Fly close to learn more.';
+      
+      const notes = document.createElement('textarea');
+      notes.dataset.key = entry.key;
+      notes.rows = 2;
+      notes.placeholder = 'Your notes';
+      notes.value = entry.notes;
+      
+      element.append(title, position, description, notes);
+      this.codexEntries.appendChild(element);
+    }
+  }
+  
+  /**
+   * Show that the player's ship was destroyed, offering a new ship or, with no
+   * lives left, a new game
+   * @param {number} lives - Ships the player has left
+   * @param {Function} onRespawn - Called when the button is clicked
+   */
+  showDestroyed(lives, onRespawn) {
+    if (lives > 0) {
+      this.destroyedTitle.textContent = 'Ship Destroyed';
+      this.destroyedStatus.textContent = `Your cargo is lost. ${lives} ${lives === 1 ? 'ship' : 'ships'} left.`;
+      this.respawnButton.textContent = 'Launch New Ship';
+    } else {
+      this.destroyedTitle.textContent = 'Game Over';
+      this.destroyedStatus.textContent = 'You have no ships left. Load a saved game or start over.';
+      this.respawnButton.textContent = 'Start Over';
+    }
+    this._onRespawnCallback = onRespawn;
+    this.uiOverlay.classList.remove('hidden');
+    this.destroyedPanel.classList.add('visible');
+  }
+  
+  /**
+   * Hide the destroyed ship panel
+   */
+  hideDestroyed() {
+    this.destroyedPanel.classList.remove('visible');
+    this._onRespawnCallback = null;
+  }
+  
   /**
    * Check if the planet view is currently active
    * @returns {boolean} True if planet view is active
@@ -25,46 +25,76 @@ export function checkCollision(obj1, obj2) {
   return dist < obj1.radius + obj2.radius;
 }
 
+/**
+ * Converts a seed value into an unsigned 32-bit integer.
+ * Numbers (and numeric strings) are used directly; any other string is hashed
+ * with FNV-1a so that seeds like "andromeda" are also valid and shareable.
+ * @param {number|string} seed - The seed to normalize
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function hashSeed(seed) {
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Generates a fresh random seed for a new world
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * The returned function behaves like Math.random: every call returns a float
+ * in [0, 1), and the same seed always produces the same sequence.
+ * @param {number|string} seed - Seed for the generator
+ * @returns {function(): number} Seeded random function
+ */
+export function createRng(seed) {
+  let state = hashSeed(seed);
+  return function rng() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * Generates a random integer between min and max (inclusive)
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {function(): number} [rng=Math.random] - Random source to draw from
  * @returns {number} Random integer between min and max
  */
-export function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+export function randomInt(min, max, rng = Math.random) {
+  return Math.floor(rng() * (max - min + 1)) + min;
 }
 
 /**
  * Generates a random color in the format 'rgb(r, g, b)'
+ * @param {function(): number} [rng=Math.random] - Random source to draw from
  * @returns {string} Random color
  */
-export function randomColor() {
-  const r = randomInt(0, 255);
-  const g = randomInt(0, 255);
-  const b = randomInt(0, 255);
+export function randomColor(rng = Math.random) {
+  const r = randomInt(0, 255, rng);
+  const g = randomInt(0, 255, rng);
+  const b = randomInt(0, 255, rng);
   return `rgb(${r}, ${g}, ${b})`;
 }
 
-/**
- * Creates star data for the background
- * @param {number} width - Canvas width
- * @param {number} height - Canvas height
- * @param {number} count - Number of stars to create
- * @returns {Array<Object>} Array of star objects with x, y, size properties
- */
-export function createStars(width, height, count) {
-  const stars = [];
-  for (let i = 0; i < count; i++) {
-    stars.push({
-      x: randomInt(0, width),
-      y: randomInt(0, height),
-      size: Math.random() * 2 + 0.5
-    });
-  }
-  return stars;
-}
-
 /**
  * Clamps a value between min and max
  * @param {number} value - Value to clamp
@@ -74,4 +104,26 @@ export function createStars(width, height, count) {
  */
 export function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
-} 
\ No newline at end of file
+}
+
+/**
+ * Parses a color in the format 'rgb(r, g, b)' into its channels
+ * @param {string} color - Color string produced by randomColor
+ * @returns {{r: number, g: number, b: number}} Channel values (0-255), black if unparseable
+ */
+export function parseRgb(color) {
+  const match = /rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)/.exec(color || '');
+  if (!match) {
+    return { r: 0, g: 0, b: 0 };
+  }
+  return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]) };
+}
+
+/**
+ * Wraps an angle into the range [-PI, PI]
+ * @param {number} angle - Angle in radians
+ * @returns {number} Equivalent angle between -PI and PI
+ */
+export function normalizeAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
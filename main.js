@@ -3,11 +3,36 @@
  */
 
 import { Game } from './js/game.js';
+import { NetworkClient } from './js/NetworkClient.js';
 
 // Wait for the DOM to be fully loaded before starting the game
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   console.log('[main.js] DOM loaded. Initializing game...');
+  // Read an optional shared seed from the URL (e.g. index.html?seed=andromeda)
+  const params = new URLSearchParams(window.location.search);
+  let seed = params.get('seed') || undefined;
+
+  // Join the shared multiplayer world if asked to (e.g. ?multiplayer&name=Ace).
+  // The server decides the seed, so everyone flies in the same galaxy.
+  let network = null;
+  let welcome = null;
+  let multiplayerError = null;
+  if (params.has('multiplayer')) {
+    network = new NetworkClient(NetworkClient.defaultUrl(), params.get('name') || undefined);
+    try {
+      welcome = await network.connect();
+      seed = welcome.seed;
+    } catch (error) {
+      console.warn('[main.js] Multiplayer unavailable, starting single player:', error);
+      multiplayerError = error;
+      network = null;
+    }
+  }
+
   // Create the main game instance
-  const game = new Game();
+  const game = new Game({ seed, network, welcome });
+  if (multiplayerError) {
+    game.ui.showMessage(`${multiplayerError.message}. Playing single player.`, 5000);
+  }
   console.log('[main.js] Game initialized.');
-}); 
\ No newline at end of file
+});
@@ -1,12 +1,21 @@
-const express = require('express');
-const path = require('path');
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createApp } from './server/app.js';
+import { attachMultiplayer } from './server/multiplayer.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-const app = express();
 const port = 3000;
 
-// Serve static files from the current directory
-app.use(express.static(path.join(__dirname)));
+// Save slots are kept as JSON files in saves/, or wherever SAVES_DIR points
+const savesDir = process.env.SAVES_DIR || path.join(__dirname, 'saves');
+const app = createApp({ root: __dirname, savesDir });
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`Server listening at http://localhost:${port}`);
-}); 
\ No newline at end of file
+});
+
+// Shared multiplayer world. Pick the galaxy with WORLD_SEED, or get a random one each start.
+const worldSeed = process.env.WORLD_SEED || String(Math.floor(Math.random() * 0x100000000));
+attachMultiplayer(server, { seed: worldSeed });
+console.log(`Multiplayer world seed: ${worldSeed}`);
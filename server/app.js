@@ -0,0 +1,48 @@
+/**
+ * @fileoverview The web app: the save slot API and the game's own files.
+ *
+ * Only the files the game needs are public. Everything else under the project
+ * root, such as saves, server code and package files, is never served, and the
+ * saves can only be reached through the API.
+ */
+
+import express from 'express';
+import path from 'node:path';
+import { createSavesRouter } from './savesRouter.js';
+
+/**
+ * Files at the project root that are served as they are
+ * @type {Array<string>}
+ */
+const PUBLIC_FILES = ['index.html', 'main.js', 'style.css'];
+
+/**
+ * Folders under the project root that are served with everything in them
+ * @type {Array<string>}
+ */
+const PUBLIC_DIRS = ['js', 'assets'];
+
+/**
+ * Create the web app
+ * @param {Object} options
+ * @param {string} options.root - Project root the game's files are served from
+ * @param {string} options.savesDir - Directory the save slot files are kept in
+ * @returns {express.Express} App ready to listen
+ */
+export function createApp({ root, savesDir }) {
+  const app = express();
+
+  // Save slot REST API, backed by JSON files on disk
+  app.use('/api/saves', createSavesRouter(savesDir));
+
+  // The game itself: the page, its script and stylesheet, and the js/ and assets/ folders
+  for (const dir of PUBLIC_DIRS) {
+    app.use(`/${dir}`, express.static(path.join(root, dir)));
+  }
+  for (const file of PUBLIC_FILES) {
+    app.get(`/${file}`, (req, res) => res.sendFile(path.join(root, file)));
+  }
+  app.get('/', (req, res) => res.sendFile(path.join(root, 'index.html')));
+
+  return app;
+}
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview WebSocket endpoint hosting a shared multiplayer world.
+ *
+ * The world is described by its seed: every client generates the same planets
+ * from it. The first client to join reports the planets it generated, and
+ * later clients receive that list so they can check they built the same galaxy.
+ * Planets orbit on the world's clock, which starts when the server does: every
+ * client times orbits from that epoch, so everyone sees them in the same places.
+ *
+ * Messages are JSON objects with a `type`:
+ *   client -> server  join {name}, planets {planets}, state {state}
+ *   server -> client  welcome {id, name, seed, epoch, time, planets, players}, playerJoined {id, name},
+ *                     playerLeft {id, name}, snapshot {time, players}
+ */
+
+import { WebSocketServer, WebSocket } from 'ws';
+
+/**
+ * How often player snapshots are broadcast, in milliseconds
+ * @type {number}
+ */
+const SNAPSHOT_INTERVAL = 66;
+
+/**
+ * Largest message accepted from a client, in bytes
+ * @type {number}
+ */
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+/**
+ * Longest player name allowed
+ * @type {number}
+ */
+const MAX_NAME_LENGTH = 20;
+
+/**
+ * Check that a value is a finite number
+ * @param {*} value - The value to check
+ * @returns {boolean} True for finite numbers
+ */
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Clean up a ship state sent by a client, keeping only known fields
+ * @param {*} state - State from a `state` message
+ * @returns {Object | null} Sanitized state, or null if it is unusable
+ */
+function sanitizeState(state) {
+  if (!state || typeof state !== 'object') return null;
+  const { x, y, rotation, speed } = state;
+  if (![x, y, rotation, speed].every(isFiniteNumber)) return null;
+  // Newtonian ships needn't be going where they point, so velocity is sent on its own
+  const hasVelocity = isFiniteNumber(state.vx) && isFiniteNumber(state.vy);
+  return {
+    x,
+    y,
+    rotation,
+    speed,
+    vx: hasVelocity ? state.vx : Math.cos(rotation) * speed,
+    vy: hasVelocity ? state.vy : Math.sin(rotation) * speed,
+    thrusting: Boolean(state.thrusting),
+    boosting: Boolean(state.boosting)
+  };
+}
+
+/**
+ * Clean up the planet list reported by the first client
+ * @param {*} planets - Planets from a `planets` message
+ * @returns {Array<Object> | null} Sanitized planets, or null if unusable
+ */
+function sanitizePlanets(planets) {
+  if (!Array.isArray(planets) || planets.length > 1000) return null;
+  const cleaned = [];
+  for (const planet of planets) {
+    if (!planet || ![planet.x, planet.y, planet.radius].every(isFiniteNumber)) return null;
+    cleaned.push({ name: String(planet.name).slice(0, 40), x: planet.x, y: planet.y, radius: planet.radius });
+  }
+  return cleaned;
+}
+
+/**
+ * Host a shared world on an HTTP server
+ * @param {import('http').Server} httpServer - The server to attach the WebSocket endpoint to
+ * @param {Object} options - World options
+ * @param {number|string} options.seed - Seed of the shared world
+ * @param {string} [options.path='/ws'] - WebSocket endpoint path
+ * @returns {WebSocketServer} The WebSocket server
+ */
+export function attachMultiplayer(httpServer, { seed, path = '/ws' }) {
+  const wss = new WebSocketServer({ server: httpServer, path, maxPayload: MAX_MESSAGE_SIZE });
+
+  /**
+   * Server time the world's clock started at, in milliseconds
+   * @type {number}
+   */
+  const epoch = Date.now();
+
+  /** @type {Array<Object> | null} */
+  let planets = null;
+  let nextId = 1;
+  /**
+   * Connected players by id
+   * @type {Map<number, {id: number, name: string, socket: WebSocket, state: Object | null}>}
+   */
+  const players = new Map();
+
+  /**
+   * Send a message to every joined player, optionally skipping one
+   * @param {Object} message - The message
+   * @param {number} [exceptId] - Player not to send it to
+   */
+  const broadcast = (message, exceptId) => {
+    const json = JSON.stringify(message);
+    for (const player of players.values()) {
+      if (player.id !== exceptId && player.socket.readyState === WebSocket.OPEN) {
+        player.socket.send(json);
+      }
+    }
+  };
+
+  wss.on('connection', (socket) => {
+    /** @type {Object | null} */
+    let player = null;
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return; // Ignore malformed messages
+      }
+      if (!message || typeof message !== 'object') return;
+
+      if (message.type === 'join' && !player) {
+        const id = nextId++;
+        const name = String(message.name || '').trim().slice(0, MAX_NAME_LENGTH) || `Pilot ${id}`;
+        player = { id, name, socket, state: null };
+
+        socket.send(JSON.stringify({
+          type: 'welcome',
+          id,
+          name,
+          seed,
+          epoch,
+          time: Date.now(),
+          planets,
+          players: [...players.values()].map(({ id: otherId, name: otherName, state }) => ({
+            id: otherId,
+            name: otherName,
+            state
+          }))
+        }));
+        players.set(id, player);
+        broadcast({ type: 'playerJoined', id, name }, id);
+        console.log(`[multiplayer] ${name} joined (${players.size} online)`);
+        return;
+      }
+
+      if (!player) return; // Everything else requires having joined
+
+      if (message.type === 'planets' && !planets) {
+        planets = sanitizePlanets(message.planets);
+      } else if (message.type === 'state') {
+        const state = sanitizeState(message.state);
+        if (state) {
+          player.state = state;
+        }
+      }
+    });
+
+    // A bad frame (e.g. one over MAX_MESSAGE_SIZE) only costs its sender the connection.
+    // Without a listener the error would be thrown and take the whole server down.
+    socket.on('error', (error) => {
+      console.warn(`[multiplayer] Dropping ${player ? player.name : 'a client'}: ${error.message}`);
+      socket.close();
+    });
+
+    socket.on('close', () => {
+      if (!player) return;
+      players.delete(player.id);
+      broadcast({ type: 'playerLeft', id: player.id, name: player.name });
+      console.log(`[multiplayer] ${player.name} left (${players.size} online)`);
+    });
+  });
+
+  // Broadcast everyone's latest state at a fixed rate, stamped with server time
+  const snapshotTimer = setInterval(() => {
+    if (players.size === 0) return;
+    broadcast({
+      type: 'snapshot',
+      time: Date.now(),
+      players: [...players.values()]
+        .filter((player) => player.state)
+        .map((player) => ({ id: player.id, ...player.state }))
+    });
+  }, SNAPSHOT_INTERVAL);
+  wss.on('close', () => clearInterval(snapshotTimer));
+
+  return wss;
+}
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview REST API for save slots, stored as JSON files on disk.
+ *
+ *   GET    /api/saves        List slots ({name, savedAt, version} each)
+ *   POST   /api/saves        Create a slot from {name, data}; 409 if it exists
+ *   GET    /api/saves/:name  Read a slot's save data
+ *   PUT    /api/saves/:name  Create or replace a slot with the request body
+ *   DELETE /api/saves/:name  Delete a slot
+ */
+
+import express from 'express';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Largest save body accepted, in the format understood by express.json
+ * @type {string}
+ */
+const MAX_SAVE_SIZE = '2mb';
+
+/**
+ * Allowed slot names. Keeping them to a safe character set means a name can
+ * never escape the saves directory.
+ * @type {RegExp}
+ */
+const SLOT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+/**
+ * An error that should be reported to the client with a specific status code
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Message sent to the client
+   * @param {Array<string>} [details] - Individual validation problems
+   */
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Check that a value looks like save data produced by Game.serialize.
+ * Only the top-level shape is checked; the client migrates and interprets the contents.
+ * @param {*} data - The value to check
+ * @returns {Array<string>} Problems found, empty if the data is valid
+ */
+export function validateSave(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['save must be a JSON object'];
+  }
+
+  const errors = [];
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    errors.push('version must be a positive integer');
+  }
+  if (typeof data.savedAt !== 'string' || Number.isNaN(Date.parse(data.savedAt))) {
+    errors.push('savedAt must be an ISO date string');
+  }
+  if (typeof data.seed !== 'number' && typeof data.seed !== 'string') {
+    errors.push('seed must be a number or string');
+  }
+  if (typeof data.gameState !== 'string') {
+    errors.push('gameState must be a string');
+  }
+  // Saves before version 3 hold a fixed world; later ones the chunks around the player
+  const arrays = data.version >= 3 ? ['chunks', 'ships'] : ['planets', 'ships'];
+  for (const key of arrays) {
+    if (!Array.isArray(data[key])) {
+      errors.push(`${key} must be an array`);
+    }
+  }
+  if (data.version >= 3) {
+    if (!data.planetStates || typeof data.planetStates !== 'object' || Array.isArray(data.planetStates)) {
+      errors.push('planetStates must be an object');
+    }
+  } else if (!data.world || typeof data.world !== 'object') {
+    errors.push('world must be an object');
+  }
+  if (!data.settings || typeof data.settings !== 'object') {
+    errors.push('settings must be an object');
+  }
+  return errors;
+}
+
+/**
+ * Create the save slot router
+ * @param {string} savesDir - Directory the slot files are kept in (created if missing)
+ * @returns {express.Router} Router to mount at /api/saves
+ */
+export function createSavesRouter(savesDir) {
+  const router = express.Router();
+  router.use(express.json({ limit: MAX_SAVE_SIZE }));
+
+  /**
+   * Get the file path for a slot, rejecting invalid names
+   * @param {string} name - Slot name
+   * @returns {string} Absolute file path
+   */
+  const slotPath = (name) => {
+    if (!SLOT_NAME_PATTERN.test(name)) {
+      throw new HttpError(400, 'Slot names may only contain letters, numbers, "-" and "_" (max 40 characters)');
+    }
+    return path.join(savesDir, `${name}.json`);
+  };
+
+  /**
+   * Validate save data, throwing a 400 listing every problem
+   * @param {*} data - Request body
+   */
+  const assertValidSave = (data) => {
+    const errors = validateSave(data);
+    if (errors.length > 0) {
+      throw new HttpError(400, 'Invalid save data', errors);
+    }
+  };
+
+  /**
+   * Write a slot file atomically, so a crash never leaves half a save behind
+   * @param {string} file - Slot file path
+   * @param {Object} data - Save data
+   */
+  const writeSlot = async (file, data) => {
+    await fs.mkdir(savesDir, { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(data));
+    await fs.rename(tempFile, file);
+  };
+
+  /**
+   * Read a slot file
+   * @param {string} file - Slot file path
+   * @returns {Promise<Object | null>} Save data, or null if the slot doesn't exist
+   */
+  const readSlot = async (file) => {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  router.get('/', async (req, res) => {
+    let files = [];
+    try {
+      files = await fs.readdir(savesDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const slots = [];
+    for (const file of files.filter((name) => name.endsWith('.json'))) {
+      const data = await readSlot(path.join(savesDir, file)).catch(() => null);
+      if (!data) continue; // Skip unreadable files rather than failing the whole list
+      slots.push({ name: path.basename(file, '.json'), savedAt: data.savedAt, version: data.version });
+    }
+    res.json(slots);
+  });
+
+  router.post('/', async (req, res) => {
+    const { name, data } = req.body || {};
+    if (typeof name !== 'string') {
+      throw new HttpError(400, 'Request body must be {name, data}');
+    }
+    const file = slotPath(name);
+    assertValidSave(data);
+    if (await readSlot(file)) {
+      throw new HttpError(409, `Save "${name}" already exists`);
+    }
+    await writeSlot(file, data);
+    res.status(201).location(`${req.baseUrl}/${name}`).json({ name, savedAt: data.savedAt, version: data.version });
+  });
+
+  router.get('/:name', async (req, res) => {
+    const data = await readSlot(slotPath(req.params.name));
+    if (!data) {
+      throw new HttpError(404, `Save "${req.params.name}" not found`);
+    }
+    res.json(data);
+  });
+
+  router.put('/:name', async (req, res) => {
+    const { name } = req.params;
+    const file = slotPath(name);
+    assertValidSave(req.body);
+    const existed = (await readSlot(file)) !== null;
+    await writeSlot(file, req.body);
+    res.status(existed ? 200 : 201).json({ name, savedAt: req.body.savedAt, version: req.body.version });
+  });
+
+  router.delete('/:name', async (req, res) => {
+    try {
+      await fs.unlink(slotPath(req.params.name));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new HttpError(404, `Save "${req.params.name}" not found`);
+      }
+      throw error;
+    }
+    res.status(204).end();
+  });
+
+  // Report errors as JSON. Body parser errors (bad JSON, too large) carry their own status.
+  router.use((error, req, res, next) => {
+    const status = error.status || error.statusCode || 500;
+    if (status >= 500) {
+      console.error('Save API error:', error);
+    }
+    const body = { error: status >= 500 ? 'Internal server error' : error.message };
+    if (error.details) {
+      body.details = error.details;
+    }
+    res.status(status).json(body);
+  });
+
+  return router;
+}
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameState } from '../js/Simulation.js';
+import { FlightModel } from '../js/spaceship.js';
+import { avoidObstacles } from '../js/steering.js';
+import { hasFlightInput } from '../js/InputManager.js';
+import { createTestSimulation } from './helpers.js';
+
+/**
+ * A simulation without AI ships, listening for autopilot events
+ * @param {string} [flightModel=FlightModel.ARCADE] - How the player's ship flies
+ * @returns {{simulation: Simulation, ship: Spaceship, events: Array<Object>}}
+ */
+function setup(flightModel = FlightModel.ARCADE) {
+  const { simulation, events } = createTestSimulation(['autopilotEngaged', 'autopilotArrived', 'autopilotDisengaged'], { flightModel });
+  return { simulation, ship: simulation.getPlayerShip(), events };
+}
+
+/**
+ * The third nearest planet to the player, so the flight is a real one
+ * @param {Simulation} simulation - The simulation
+ * @returns {Planet}
+ */
+function pickTarget(simulation) {
+  const ship = simulation.getPlayerShip();
+  const byDistance = (planet) => Math.hypot(planet.x - ship.x, planet.y - ship.y);
+  const planets = simulation.entityManager.getAllPlanets()
+    .filter((planet) => !planet.isMoon)
+    .sort((a, b) => byDistance(a) - byDistance(b));
+  return planets[2];
+}
+
+/**
+ * Step the simulation until the autopilot arrives, or give up
+ * @param {Simulation} simulation - The simulation
+ * @param {Array<Object>} events - Events recorded by setup()
+ * @param {number} seconds - Longest to wait
+ */
+function flyUntilArrived(simulation, events, seconds) {
+  for (let i = 0; i < seconds * 60; i++) {
+    simulation.step();
+    if (events.some((event) => event.type === 'autopilotArrived')) return;
+  }
+}
+
+test('the autopilot needs a planet or point to fly to', () => {
+  const { simulation, events } = setup();
+  const autopilot = simulation.autopilotSystem;
+  assert.equal(autopilot.engage().success, false);
+
+  const [star] = simulation.entityManager.getAllStars();
+  simulation.navigationSystem.setWaypoint(star);
+  assert.equal(autopilot.engage().success, false);
+  assert.equal(autopilot.isEngaged, false);
+  assert.deepEqual(events, []);
+});
+
+for (const flightModel of [FlightModel.ARCADE, FlightModel.NEWTONIAN]) {
+  test(`the autopilot flies a ${flightModel} ship to a planet and holds it ready to land`, () => {
+    const { simulation, ship, events } = setup(flightModel);
+    const target = pickTarget(simulation);
+    simulation.navigationSystem.setWaypoint(target);
+    assert.equal(simulation.autopilotSystem.engage().success, true);
+
+    flyUntilArrived(simulation, events, 60);
+    assert.deepEqual(events.map((event) => event.type), ['autopilotEngaged', 'autopilotArrived']);
+
+    // It stays over the planet until the player lands
+    for (let i = 0; i < 120; i++) simulation.step();
+    const position = target.getPositionAt(simulation.time);
+    assert.ok(Math.hypot(position.x - ship.x, position.y - ship.y) < target.radius);
+    assert.equal(simulation.interactionSystem.canLand(ship, target), true);
+
+    ship.keys.e = true;
+    simulation.step();
+    assert.equal(simulation.gameState, GameState.PLANET_VIEW);
+    assert.equal(simulation.autopilotSystem.isEngaged, false);
+    assert.equal(events.at(-1).reason, 'Landed');
+  });
+}
+
+test('the autopilot hands back the controls at a point in space', () => {
+  const { simulation, ship, events } = setup();
+  simulation.navigationSystem.setWaypoint({ x: ship.x + 400, y: ship.y - 300 });
+  simulation.autopilotSystem.engage();
+
+  flyUntilArrived(simulation, events, 30);
+  assert.equal(simulation.autopilotSystem.isEngaged, false);
+  assert.deepEqual(events.map((event) => event.type), ['autopilotEngaged', 'autopilotArrived', 'autopilotDisengaged']);
+  assert.equal(events.at(-1).reason, 'Arrived');
+  assert.deepEqual(ship.keys, { ...ship.keys, w: false, s: false, a: false, d: false, space: false });
+});
+
+test('any flight control cancels the autopilot, but zooming and the map do not', () => {
+  const idle = { thrust: 0, reverse: 0, turn: 0, boost: false, fire: false, interact: false, zoom: 0, map: false, cycleTarget: false, autopilot: false };
+  assert.equal(hasFlightInput(idle), false);
+  assert.equal(hasFlightInput({ ...idle, zoom: 1, map: true }), false);
+  assert.equal(hasFlightInput({ ...idle, turn: -0.5 }), true);
+  assert.equal(hasFlightInput({ ...idle, boost: true }), true);
+});
+
+test('steering detours around a body in the way and ignores ones off the path', () => {
+  const ship = { x: 0, y: 0 };
+  const target = { x: 1000, y: 0, speed: 50 };
+
+  const blocker = { x: 500, y: 20, radius: 100 };
+  const detour = avoidObstacles(ship, target, [blocker], 50);
+  // Around the side the path already passes the body on, clear of it
+  assert.ok(detour.y < 0);
+  assert.ok(Math.hypot(detour.x - blocker.x, detour.y - blocker.y) >= blocker.radius + 50 - 1e-9);
+  assert.equal(detour.speed, 50);
+
+  const offPath = { x: 500, y: 400, radius: 100 };
+  const beyond = { x: 1500, y: 0, radius: 100 };
+  assert.equal(avoidObstacles(ship, target, [offPath, beyond], 50), target);
+});
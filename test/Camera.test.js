@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Camera, MAX_ZOOM, MIN_ZOOM } from '../js/Camera.js';
+
+test('screen and world positions convert back and forth', () => {
+  const camera = new Camera(800, 600, { zoom: 2 });
+  camera.snapTo(1000, -500);
+  assert.deepEqual(camera.worldToScreen(1000, -500), { x: 400, y: 300 });
+  assert.deepEqual(camera.worldToScreen(1100, -450), { x: 600, y: 400 });
+  assert.deepEqual(camera.screenToWorld(600, 400), { x: 1100, y: -450 });
+  assert.deepEqual(camera.getViewRect(), { x: 800, y: -650, width: 400, height: 300 });
+});
+
+test('zoom eases towards the asked-for level and stays within limits', () => {
+  const camera = new Camera(800, 600);
+  camera.zoomBy(100);
+  assert.equal(camera.targetZoom, MAX_ZOOM);
+  assert.equal(camera.zoom, 1);
+  for (let i = 0; i < 120; i++) camera.update(1 / 60, { x: 0, y: 0 });
+  assert.ok(Math.abs(camera.zoom - MAX_ZOOM) < 0.01);
+
+  camera.setZoom(0);
+  assert.equal(camera.targetZoom, MIN_ZOOM);
+});
+
+test('the camera catches up with its target and leads it along its velocity', () => {
+  const camera = new Camera(800, 600);
+  camera.update(1 / 60, { x: 500, y: 0 });
+  assert.ok(camera.x > 0 && camera.x < 500);
+
+  for (let i = 0; i < 300; i++) camera.update(1 / 60, { x: 500, y: 0 }, { x: 0, y: 100 });
+  assert.ok(Math.abs(camera.x - 500) < 0.01);
+  assert.ok(Math.abs(camera.y - 50) < 0.01);
+
+  // Fast ships don't get pushed off the screen
+  for (let i = 0; i < 300; i++) camera.update(1 / 60, { x: 500, y: 0 }, { x: 0, y: 10000 });
+  assert.ok(Math.abs(camera.y - 150) < 0.01);
+});
+
+test('shaking dies down by itself', () => {
+  const camera = new Camera(800, 600, { rng: () => 1 });
+  camera.shake(0.5);
+  camera.shake(0.8);
+  assert.equal(camera.trauma, 1);
+
+  camera.update(0.1, { x: 0, y: 0 });
+  const offset = camera.shakeOffset.x;
+  assert.ok(offset > 0);
+  camera.update(0.1, { x: 0, y: 0 });
+  assert.ok(camera.shakeOffset.x < offset);
+
+  camera.update(1, { x: 0, y: 0 });
+  assert.equal(camera.trauma, 0);
+  assert.deepEqual(camera.shakeOffset, { x: 0, y: 0 });
+});
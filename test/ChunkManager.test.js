@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Simulation } from '../js/Simulation.js';
+import { CHUNK_SIZE, START_POSITION, chunkKey, getChunkCoords } from '../js/ChunkManager.js';
+import { distance } from '../js/utils.js';
+
+/**
+ * Describe a chunk's generated contents in plain data
+ * @param {Object} chunk - A loaded chunk
+ * @returns {Object} Its stars and planets
+ */
+function describeChunk(chunk) {
+  return {
+    stars: chunk.stars,
+    planets: chunk.planets.map(({ key, x, y, radius, color, name }) => ({ key, x, y, radius, color, name }))
+  };
+}
+
+test('getChunkCoords maps positions to chunks, including negative space', () => {
+  assert.deepEqual(getChunkCoords(0, 0), { cx: 0, cy: 0 });
+  assert.deepEqual(getChunkCoords(CHUNK_SIZE - 1, CHUNK_SIZE), { cx: 0, cy: 1 });
+  assert.deepEqual(getChunkCoords(-1, -CHUNK_SIZE - 1), { cx: -1, cy: -2 });
+  assert.equal(chunkKey(-1, 2), '-1,2');
+});
+
+test('a chunk comes out the same whatever order chunks are loaded in', () => {
+  const first = new Simulation({ seed: 'orion', spawnAI: false });
+  const second = new Simulation({ seed: 'orion', spawnAI: false });
+  // Wander off and back in the second one so its chunks load in a different order
+  const player = second.getPlayerShip();
+  player.x = -CHUNK_SIZE * 4;
+  second.chunkManager.update();
+  player.x = START_POSITION.x;
+  second.chunkManager.update();
+
+  for (const chunk of first.chunkManager.chunks.values()) {
+    assert.deepEqual(describeChunk(second.chunkManager.chunks.get(chunk.key)), describeChunk(chunk));
+  }
+  const other = new Simulation({ seed: 'lyra', spawnAI: false });
+  assert.notDeepEqual(describeChunk(other.chunkManager.chunks.get('0,0')), describeChunk(first.chunkManager.chunks.get('0,0')));
+});
+
+test('every chunk holds a star system that stays inside it', () => {
+  for (const seed of [1, 2, 3, 'andromeda', 'sombrero']) {
+    const simulation = new Simulation({ seed, spawnAI: false });
+    const planets = simulation.entityManager.getAllPlanets();
+    assert.equal(new Set(planets).size, planets.length, 'each planet is added once');
+
+    for (const chunk of simulation.chunkManager.chunks.values()) {
+      const { star } = chunk;
+      assert.deepEqual(getChunkCoords(star.x, star.y), { cx: chunk.cx, cy: chunk.cy });
+      assert.ok(chunk.planets.some((planet) => planet.parent === star), 'at least one planet orbits the star');
+      for (const planet of chunk.planets) {
+        assert.ok(planet.parent === star || (planet.isMoon && chunk.planets.includes(planet.parent)));
+      }
+    }
+  }
+});
+
+test('bodies never touch, leave their chunk or pass near the start, whenever it is', () => {
+  for (const seed of [1, 2, 'andromeda']) {
+    const simulation = new Simulation({ seed, spawnAI: false });
+    for (const chunk of simulation.chunkManager.chunks.values()) {
+      const bodies = [chunk.star, ...chunk.planets];
+      // Sample a whole orbit of the slowest planets
+      for (let time = 0; time < 900; time += 15) {
+        const positions = bodies.map((body) => body.getPositionAt(time));
+        for (const [i, body] of bodies.entries()) {
+          const { x, y } = positions[i];
+          assert.deepEqual(getChunkCoords(x - body.radius, y - body.radius), { cx: chunk.cx, cy: chunk.cy });
+          assert.deepEqual(getChunkCoords(x + body.radius, y + body.radius), { cx: chunk.cx, cy: chunk.cy });
+          assert.ok(distance(x, y, START_POSITION.x, START_POSITION.y) >= 300);
+          for (const [j, other] of bodies.entries()) {
+            if (j <= i) continue;
+            const gap = distance(x, y, positions[j].x, positions[j].y) - body.radius - other.radius;
+            assert.ok(gap > 0, `${body.key} and ${other.key} touch at ${time}s`);
+          }
+        }
+      }
+    }
+  }
+});
+
+test('flying away unloads distant chunks and their AI ships', () => {
+  const simulation = new Simulation({ seed: 12 });
+  const startPlanets = [...simulation.entityManager.getAllPlanets()];
+  const player = simulation.getPlayerShip();
+  player.x += CHUNK_SIZE * 5;
+  simulation.chunkManager.update();
+
+  assert.equal(simulation.chunkManager.chunks.size, 9);
+  assert.ok(!simulation.chunkManager.chunks.has('0,0'));
+  const planets = simulation.entityManager.getAllPlanets();
+  assert.ok(startPlanets.every((planet) => !planets.includes(planet)));
+  for (const ship of simulation.entityManager.getAIShips()) {
+    const { cx, cy } = getChunkCoords(ship.x, ship.y);
+    assert.ok(simulation.chunkManager.chunks.has(chunkKey(cx, cy)));
+  }
+});
+
+test('a chunk keeps changes to its planets after being unloaded', () => {
+  const simulation = new Simulation({ seed: 12, spawnAI: false });
+  const planet = simulation.entityManager.getAllPlanets()[0];
+  const deposit = planet.resourceData[0];
+  deposit.abundance = 0;
+
+  const player = simulation.getPlayerShip();
+  player.x += CHUNK_SIZE * 5;
+  simulation.chunkManager.update();
+  // Time passes while the planet is unloaded
+  simulation.time += 10;
+  player.x = START_POSITION.x;
+  simulation.chunkManager.update();
+
+  const reloaded = simulation.entityManager.getAllPlanets().find((other) => other.key === planet.key);
+  assert.notEqual(reloaded, planet);
+  assert.equal(reloaded.name, planet.name);
+  assert.ok(reloaded.resourceData[0].abundance > 0, 'the deposit regenerated while away');
+  assert.ok(reloaded.resourceData[0].abundance < deposit.maxAbundance, 'but not all the way');
+  // Untouched planets aren't stored at all
+  assert.deepEqual([...simulation.chunkManager.planetStates.keys()], [planet.key]);
+});
+
+test('unloaded star systems can be looked at without loading them', () => {
+  const simulation = new Simulation({ seed: 'orion', spawnAI: false });
+  const chunkManager = simulation.chunkManager;
+  const preview = chunkManager.getSystem(5, -3);
+  assert.ok(!chunkManager.chunks.has(chunkKey(5, -3)));
+  assert.ok(!simulation.entityManager.getAllPlanets().includes(preview.planets[0]));
+  assert.equal(chunkManager.getPlanetByKey(preview.planets[0].key), preview.planets[0]);
+  assert.equal(chunkManager.getPlanetByKey('5,-3:99'), null);
+
+  // The preview is the same system that loads when the player gets there
+  const loaded = chunkManager.loadChunk(5, -3);
+  assert.deepEqual(
+    preview.planets.map(({ key, name, radius }) => ({ key, name, radius })),
+    loaded.planets.map(({ key, name, radius }) => ({ key, name, radius }))
+  );
+  assert.equal(chunkManager.getSystem(5, -3), loaded);
+});
+
+test('no two bodies in a world share a name', () => {
+  const simulation = new Simulation({ seed: 'orion', spawnAI: false });
+  const names = new Map();
+  for (let cy = -6; cy <= 6; cy++) {
+    for (let cx = -6; cx <= 6; cx++) {
+      for (const planet of simulation.chunkManager.getSystem(cx, cy).planets) {
+        assert.ok(!names.has(planet.name), `${planet.key} and ${names.get(planet.name)} are both ${planet.name}`);
+        names.set(planet.name, planet.key);
+      }
+    }
+  }
+  assert.ok(names.size > 169);
+  // Another world names its planets differently
+  const other = new Simulation({ seed: 'lyra', spawnAI: false });
+  assert.notEqual(other.chunkManager.getSystem(0, 0).planets[0].name, simulation.chunkManager.getSystem(0, 0).planets[0].name);
+});
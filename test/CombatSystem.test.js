@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameState, STARTING_LIVES } from '../js/Simulation.js';
+import { Spaceship } from '../js/spaceship.js';
+import { PirateBehavior, AI_ROLES } from '../js/AISystem.js';
+import { START_POSITION } from '../js/ChunkManager.js';
+import { createTestSimulation } from './helpers.js';
+
+/**
+ * A simulation without AI ships, with a pirate parked in front of the player
+ * @param {number} [gap=200] - Distance from the player to the pirate
+ * @returns {{simulation: Simulation, player: Spaceship, pirate: Spaceship, events: Array<Object>}}
+ */
+function faceOff(gap = 200) {
+  const { simulation, events } = createTestSimulation(['shipHit', 'shipDestroyed', 'playerDestroyed', 'respawned']);
+  const player = simulation.getPlayerShip();
+  const pirate = new Spaceship(player.x + gap, player.y, simulation.config.speedScale, 42, 21, {
+    faction: AI_ROLES.pirate.faction
+  });
+  pirate.rotation = Math.PI; // Facing the player
+  simulation.entityManager.addSpaceship(pirate);
+  return { simulation, player, pirate, events };
+}
+
+/**
+ * Step a simulation for a number of seconds
+ * @param {Simulation} simulation - The simulation
+ * @param {number} seconds - How long to run
+ */
+function run(simulation, seconds) {
+  for (let i = 0; i < Math.round(seconds * 60); i++) simulation.step();
+}
+
+test('holding fire shoots at the weapon\'s rate', () => {
+  const { simulation, player } = faceOff(5000);
+  player.keys.fire = true;
+  run(simulation, 1);
+  // One straight away, then one per interval
+  const expected = 1 + Math.floor(1 / player.weapon.fireInterval - 1e-9);
+  assert.equal(simulation.entityManager.getAllProjectiles().length, expected);
+});
+
+test('projectiles burn out after their lifetime', () => {
+  const { simulation, player } = faceOff(5000);
+  player.keys.fire = true;
+  simulation.step();
+  player.keys.fire = false;
+  run(simulation, player.weapon.lifetime + 0.1);
+  assert.equal(simulation.entityManager.getAllProjectiles().length, 0);
+});
+
+test('hits drain the shield before the hull', () => {
+  const { simulation, player, pirate, events } = faceOff();
+  player.keys.fire = true;
+  simulation.step();
+  player.keys.fire = false;
+  run(simulation, 1);
+
+  assert.equal(pirate.shield, pirate.maxShield - player.weapon.damage);
+  assert.equal(pirate.hull, pirate.maxHull);
+  assert.deepEqual(events.map((event) => event.type), ['shipHit']);
+  assert.equal(events[0].attacker, player);
+  assert.equal(simulation.entityManager.getAllProjectiles().length, 0);
+});
+
+test('a ship shot through is removed', () => {
+  const { simulation, player, pirate, events } = faceOff();
+  pirate.shield = 0;
+  pirate.hull = 1;
+  player.keys.fire = true;
+  run(simulation, 0.5);
+
+  assert.ok(!simulation.entityManager.getAllSpaceships().includes(pirate));
+  assert.ok(events.some((event) => event.type === 'shipDestroyed' && event.ship === pirate));
+});
+
+test('ships don\'t hit themselves or their own side', () => {
+  const { simulation, pirate } = faceOff();
+  const wingman = new Spaceship(pirate.x - 100, pirate.y, simulation.config.speedScale, 42, 21, { faction: 'hostile' });
+  simulation.entityManager.addSpaceship(wingman);
+  pirate.keys.fire = true;
+  simulation.step();
+  pirate.keys.fire = false;
+  run(simulation, 0.1);
+
+  assert.equal(wingman.shield, wingman.maxShield);
+  assert.equal(pirate.shield, pirate.maxShield);
+});
+
+test('the shield recharges after a while without hits', () => {
+  const ship = new Spaceship(0, 0, 1);
+  ship.takeDamage(30);
+  for (let i = 0; i < 60; i++) ship.update(1 / 60);
+  assert.equal(ship.shield, ship.maxShield - 30);
+  for (let i = 0; i < 60 * (ship.shieldRechargeDelay + 3); i++) ship.update(1 / 60);
+  assert.ok(ship.shield > ship.maxShield - 30);
+});
+
+test('losing the player\'s ship stops the game until they respawn', () => {
+  const { simulation, player, pirate, events } = faceOff();
+  player.shield = 0;
+  player.hull = 1;
+  player.cargo.add('ore', 3);
+  player.credits = 777;
+  pirate.keys.fire = true;
+  run(simulation, 0.5);
+
+  assert.equal(simulation.gameState, GameState.DESTROYED);
+  assert.equal(simulation.lives, STARTING_LIVES - 1);
+  assert.ok(events.some((event) => event.type === 'playerDestroyed' && event.lives === STARTING_LIVES - 1));
+  const time = simulation.time;
+  simulation.step();
+  assert.equal(simulation.time, time);
+
+  assert.equal(simulation.respawnPlayer(), true);
+  assert.equal(simulation.gameState, GameState.FLYING);
+  assert.deepEqual({ x: player.x, y: player.y }, START_POSITION);
+  assert.equal(player.hull, player.maxHull);
+  assert.equal(player.cargo.getUsed(), 0);
+  assert.equal(player.credits, 777);
+  assert.equal(simulation.entityManager.getAllProjectiles().length, 0);
+});
+
+test('with no lives left the game is over', () => {
+  const { simulation } = faceOff();
+  simulation.lives = 1;
+  simulation.destroyPlayer();
+  assert.equal(simulation.isGameOver, true);
+  assert.equal(simulation.respawnPlayer(), false);
+  assert.equal(simulation.gameState, GameState.DESTROYED);
+});
+
+test('pirates open fire once close and lined up', () => {
+  const { simulation, player, pirate } = faceOff(300);
+  const behavior = new PirateBehavior({ x: pirate.x, y: pirate.y });
+  behavior.update(pirate, simulation.entityManager);
+  assert.equal(pirate.keys.fire, true);
+
+  pirate.rotation = 0; // Facing away
+  behavior.update(pirate, simulation.entityManager);
+  assert.equal(pirate.keys.fire, false);
+
+  pirate.rotation = Math.PI;
+  pirate.x = player.x + behavior.fireRange + 50;
+  behavior.update(pirate, simulation.entityManager);
+  assert.equal(pirate.keys.fire, false);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Simulation } from '../js/Simulation.js';
+import { DiscoveryStatus, SCAN_RANGE, SENSOR_RANGE } from '../js/DiscoverySystem.js';
+import { migrateSave } from '../js/SaveManager.js';
+import { createTestSimulation } from './helpers.js';
+
+/**
+ * A simulation without AI ships, with the player parked a given distance from
+ * the edge of its first planet
+ * @param {number} gap - Distance from the planet's edge
+ * @returns {{simulation: Simulation, ship: Spaceship, planet: Planet, events: Array<Object>}}
+ */
+function nearPlanet(gap) {
+  const { simulation, events } = createTestSimulation(['planetDiscovered', 'planetScanned', 'planetVisited']);
+  const ship = simulation.getPlayerShip();
+  const planet = simulation.entityManager.getAllPlanets()[0];
+  ship.x = planet.x + planet.radius + gap;
+  ship.y = planet.y;
+  simulation.entityManager.updateSpatialIndex(ship);
+  return { simulation, ship, planet, events };
+}
+
+test('planets are unknown until the sensors pick them up', () => {
+  const { simulation, ship, planet, events } = nearPlanet(SENSOR_RANGE + 500);
+  const discoverySystem = simulation.discoverySystem;
+  discoverySystem.update();
+  assert.equal(discoverySystem.getStatus(planet), DiscoveryStatus.UNKNOWN);
+  assert.equal(discoverySystem.getEntry(planet.key), null);
+
+  ship.x -= 1000;
+  simulation.entityManager.updateSpatialIndex(ship);
+  discoverySystem.update();
+  assert.equal(discoverySystem.getStatus(planet), DiscoveryStatus.SEEN);
+  assert.ok(events.some((event) => event.type === 'planetDiscovered' && event.planet === planet));
+  assert.equal(discoverySystem.getEntry(planet.key).scannedAt, null);
+});
+
+test('passing close to a planet scans it, once', () => {
+  const { simulation, planet, events } = nearPlanet(SCAN_RANGE - 50);
+  simulation.time = 12;
+  simulation.discoverySystem.update();
+  simulation.discoverySystem.update();
+
+  const entry = simulation.discoverySystem.getEntry(planet.key);
+  assert.equal(entry.scannedAt, 12);
+  assert.equal(events.filter((event) => event.type === 'planetScanned' && event.planet === planet).length, 1);
+});
+
+test('landing marks a planet visited and counts towards progress', () => {
+  const { simulation, ship, planet, events } = nearPlanet(0);
+  ship.x = planet.x;
+  ship.keys.e = true;
+  simulation.step();
+
+  assert.equal(simulation.discoverySystem.getStatus(planet), DiscoveryStatus.VISITED);
+  assert.ok(events.some((event) => event.type === 'planetVisited' && event.planet === planet));
+  const progress = simulation.discoverySystem.getProgress();
+  assert.equal(progress.visited, 1);
+  assert.ok(progress.seen >= 1);
+});
+
+test('the codex searches names, types, notes and scanned descriptions', () => {
+  const { simulation, planet } = nearPlanet(SENSOR_RANGE - 500);
+  const discoverySystem = simulation.discoverySystem;
+  discoverySystem.update();
+  const entry = discoverySystem.getEntry(planet.key);
+  const descriptionWord = entry.description.split(' ').find((word) => word.length > 6);
+
+  assert.ok(discoverySystem.search(entry.name.toUpperCase()).includes(entry));
+  assert.ok(discoverySystem.search(planet.type.name).includes(entry));
+  // Not scanned yet, so its description is still a mystery
+  assert.ok(!discoverySystem.search(descriptionWord).includes(entry));
+  entry.scannedAt = 0;
+  assert.ok(discoverySystem.search(descriptionWord).includes(entry));
+
+  assert.equal(discoverySystem.setNotes(planet.key, 'Cheap fuel here'), true);
+  assert.deepEqual(discoverySystem.search('cheap FUEL'), [entry]);
+  assert.equal(discoverySystem.setNotes('nowhere:0', 'Lost'), false);
+});
+
+test('discoveries are saved with the game', () => {
+  const { simulation, planet } = nearPlanet(SCAN_RANGE - 50);
+  simulation.discoverySystem.update();
+  simulation.discoverySystem.setNotes(planet.key, 'Home');
+  const data = JSON.parse(JSON.stringify(simulation.serialize()));
+
+  const restored = new Simulation({ seed: 42, spawnAI: false });
+  restored.load(data);
+  const entry = restored.discoverySystem.getEntry(planet.key);
+  assert.equal(entry.name, planet.name);
+  assert.equal(entry.notes, 'Home');
+  assert.deepEqual(restored.discoverySystem.getProgress(), simulation.discoverySystem.getProgress());
+
+  // Saves from before the codex start with nothing discovered
+  assert.deepEqual(migrateSave({ ...data, version: 7, discoveries: undefined }).discoveries, []);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EntityManager } from '../js/EntityManager.js';
+import { Spaceship } from '../js/spaceship.js';
+import { Planet } from '../js/planet.js';
+import { Camera } from '../js/Camera.js';
+import { createRng } from '../js/utils.js';
+
+test('entities get unique ids and can be found by them', () => {
+  const manager = new EntityManager();
+  const rng = createRng(1);
+  const planet = new Planet(500, 500, 50, undefined, rng);
+  const ship = new Spaceship(0, 0);
+  manager.addPlanet(planet);
+  manager.addSpaceship(ship);
+
+  assert.notEqual(planet.id, ship.id);
+  assert.equal(manager.findEntityById(planet.id), planet);
+  assert.equal(manager.findEntityById(ship.id), ship);
+
+  manager.removeSpaceship(ship);
+  assert.equal(manager.findEntityById(ship.id), null);
+});
+
+test('findEntitiesInRadius returns nearby planets then ships, nearest first', () => {
+  const manager = new EntityManager();
+  const rng = createRng(2);
+  const near = new Planet(100, 0, 40, undefined, rng);
+  const far = new Planet(300, 0, 40, undefined, rng);
+  const outOfRange = new Planet(3000, 0, 40, undefined, rng);
+  const ship = new Spaceship(50, 0);
+  [far, outOfRange, near].forEach((planet) => manager.addPlanet(planet));
+  manager.addSpaceship(ship);
+
+  assert.deepEqual(manager.findEntitiesInRadius(0, 0, 300), [near, far, ship]);
+  assert.deepEqual(manager.findPlanetsInRadius(0, 0, 300), [near, far]);
+  assert.deepEqual(manager.findShipsInRadius(0, 0, 300), [ship]);
+});
+
+test('ships are found where they moved to during update', () => {
+  const manager = new EntityManager();
+  const ship = new Spaceship(100, 100, 1);
+  manager.addSpaceship(ship);
+  ship.speed = ship.maxSpeed;
+  for (let i = 0; i < 120; i++) {
+    manager.update(1 / 60, 5000, 5000);
+  }
+
+  assert.deepEqual(manager.findShipsInRadius(100, 100, 10), []);
+  assert.deepEqual(manager.findShipsInRadius(ship.x, ship.y, 10), [ship]);
+});
+
+test('only entities in view are rendered', () => {
+  const manager = new EntityManager();
+  const rng = createRng(3);
+  const planets = [new Planet(400, 300, 50, undefined, rng), new Planet(4000, 4000, 50, undefined, rng)];
+  planets.forEach((planet) => manager.addPlanet(planet));
+  const drawn = [];
+  for (const planet of planets) {
+    planet.draw = () => drawn.push(planet);
+  }
+
+  const camera = new Camera(800, 600);
+  camera.snapTo(400, 300);
+  manager.render({ save() {}, restore() {}, setTransform() {} }, camera);
+  assert.deepEqual(drawn, [planets[0]]);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GravitySystem, GRAVITY_CONSTANT } from '../js/GravitySystem.js';
+import { EntityManager } from '../js/EntityManager.js';
+import { Spaceship, FlightModel } from '../js/spaceship.js';
+import { Planet } from '../js/planet.js';
+import { Star } from '../js/Star.js';
+import { Orbit } from '../js/Orbit.js';
+import { createRng } from '../js/utils.js';
+
+/**
+ * An entity manager and gravity system without the rest of the simulation
+ * @returns {{entityManager: EntityManager, gravity: GravitySystem, clock: {time: number}, step: function(number): void}}
+ */
+function createSpace() {
+  const entityManager = new EntityManager();
+  const clock = { time: 0 };
+  const gravity = new GravitySystem(entityManager, clock);
+  // The same order as Simulation.step
+  const step = (seconds) => {
+    for (let i = 0; i < Math.round(seconds * 60); i++) {
+      clock.time += 1 / 60;
+      gravity.update(1 / 60);
+      entityManager.update(1 / 60, clock.time);
+    }
+  };
+  return { entityManager, gravity, clock, step };
+}
+
+/**
+ * Add a ship flying the Newtonian model
+ * @param {EntityManager} entityManager - Where to add it
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {Spaceship} The ship
+ */
+function addNewtonianShip(entityManager, x, y) {
+  const ship = new Spaceship(x, y, 1, 40, 20, { flightModel: FlightModel.NEWTONIAN });
+  entityManager.addSpaceship(ship);
+  return ship;
+}
+
+test('gravity pulls Newtonian ships towards a body and leaves arcade ships alone', () => {
+  const { entityManager, step } = createSpace();
+  entityManager.addStar(new Star(0, 0, 100));
+  const ship = addNewtonianShip(entityManager, 500, 0);
+  const arcadeShip = new Spaceship(-500, 0, 1);
+  entityManager.addSpaceship(arcadeShip);
+
+  step(1);
+
+  assert.ok(ship.vx < 0 && ship.x < 500);
+  assert.ok(Math.abs(ship.vy) < 1e-9);
+  assert.equal(arcadeShip.x, -500);
+});
+
+test('the pull is strongest at the surface and fades towards the center', () => {
+  const { gravity } = createSpace();
+  const star = new Star(0, 0, 100);
+  const pullAt = (x) => Math.abs(gravity.getAcceleration(x, 0, [star], 0).x);
+
+  assert.ok(Math.abs(pullAt(100) - GRAVITY_CONSTANT * star.mass / 100 ** 2) < 1e-9);
+  assert.ok(pullAt(200) < pullAt(100));
+  assert.ok(pullAt(50) < pullAt(100));
+  assert.equal(pullAt(0), 0);
+  // Out of range bodies don't pull at all
+  assert.equal(pullAt(100 * 12 + 1), 0);
+});
+
+test('the predicted trajectory matches where the ship drifts', () => {
+  const { entityManager, gravity, step } = createSpace();
+  const star = new Star(0, 0, 200);
+  entityManager.addStar(star);
+  const planet = new Planet(0, 0, 60, 'barren', createRng(3));
+  planet.setOrbit(star, new Orbit({ semiMajorAxis: 900, period: 120 }), 0);
+  entityManager.addPlanet(planet);
+  const ship = addNewtonianShip(entityManager, 700, -300);
+  ship.applyImpulse(-80, 60);
+
+  const predicted = gravity.predictTrajectory(ship, 3, 1 / 60);
+  step(3);
+
+  const end = predicted[predicted.length - 1];
+  assert.equal(predicted.length, 181);
+  assert.ok(Math.hypot(end.x - ship.x, end.y - ship.y) < 0.5);
+});
+
+test('flying behind a moving planet slingshots the ship faster', () => {
+  const { entityManager, step } = createSpace();
+  // A planet on a wide orbit moving left at about 100 pixels per second
+  const planet = new Planet(0, 0, 100, 'gasGiant', createRng(3));
+  planet.setOrbit(
+    new Star(0, -20000, 300),
+    new Orbit({ semiMajorAxis: 20000, period: (2 * Math.PI * 20000) / 100, phase: Math.PI / 2 }),
+    0
+  );
+  entityManager.addPlanet(planet);
+  // Coming down from above, crossing the planet's path just after it has gone by
+  const ship = addNewtonianShip(entityManager, -300, -1000);
+  ship.applyImpulse(0, 150);
+
+  step(12);
+
+  assert.ok(Math.hypot(ship.vx, ship.vy) > 150 * 1.15);
+  // Dragged along in the planet's direction
+  assert.ok(ship.vx < -50);
+});
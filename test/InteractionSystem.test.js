@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameState } from '../js/Simulation.js';
+import { LANDING_SPEED_FACTOR } from '../js/InteractionSystem.js';
+import { START_POSITION } from '../js/ChunkManager.js';
+import { createTestSimulation } from './helpers.js';
+
+/**
+ * A simulation without AI ships, with the player parked on its first planet
+ * @returns {{simulation: Simulation, ship: Spaceship, planet: Planet, events: Array<Object>}}
+ */
+function parkedOnPlanet() {
+  const { simulation, events } = createTestSimulation(['planetHover', 'planetHoverEnd', 'landed'], { speedScale: 1 });
+  const ship = simulation.getPlayerShip();
+  const planet = simulation.entityManager.getAllPlanets()[0];
+  ship.x = planet.x;
+  ship.y = planet.y;
+  return { simulation, ship, planet, events };
+}
+
+test('pressing E over a planet at low speed lands on it', () => {
+  const { simulation, ship, planet, events } = parkedOnPlanet();
+  ship.keys.e = true;
+  simulation.step();
+
+  assert.equal(simulation.gameState, GameState.PLANET_VIEW);
+  assert.deepEqual(events.map((event) => event.type), ['planetHover', 'landed']);
+  assert.equal(events[1].planet, planet);
+  assert.equal(ship.keys.e, false);
+});
+
+test('the player cannot land at or above the speed threshold', () => {
+  const { simulation, ship, events } = parkedOnPlanet();
+  const threshold = ship.maxSpeed * LANDING_SPEED_FACTOR;
+
+  assert.equal(simulation.interactionSystem.canLand(Object.assign(ship, { speed: threshold - 1 })), true);
+  assert.equal(simulation.interactionSystem.canLand(Object.assign(ship, { speed: threshold })), false);
+  // Reversing fast is just as fast
+  assert.equal(simulation.interactionSystem.canLand(Object.assign(ship, { speed: -threshold })), false);
+
+  // Well clear of the threshold, whichever way the planet is moving
+  ship.speed = threshold * 2;
+  ship.keys.e = true;
+  // Don't let the ship slow down or fly off during the step
+  ship.deceleration = 0;
+  ship.update = () => {};
+  simulation.step();
+
+  assert.equal(simulation.gameState, GameState.FLYING);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].canLand, false);
+});
+
+test('landing speed is measured relative to the moving planet', () => {
+  const { simulation, ship } = parkedOnPlanet();
+  const threshold = ship.maxSpeed * LANDING_SPEED_FACTOR;
+  const planet = { getVelocityAt: () => ({ x: threshold * 3, y: 0 }) };
+  ship.rotation = 0;
+
+  // Keeping pace with the planet is slow enough, sitting still isn't
+  assert.equal(simulation.interactionSystem.canLand(Object.assign(ship, { speed: threshold * 3 }), planet), true);
+  assert.equal(simulation.interactionSystem.canLand(Object.assign(ship, { speed: 0 }), planet), false);
+});
+
+test('landing puts the ship on the planet and stops it', () => {
+  const { simulation, ship, planet } = parkedOnPlanet();
+  ship.x += planet.radius / 2;
+  ship.speed = 5;
+  ship.keys.e = true;
+  simulation.step();
+
+  assert.equal(simulation.gameState, GameState.PLANET_VIEW);
+  assert.deepEqual({ x: ship.x, y: ship.y, speed: ship.speed }, { x: planet.x, y: planet.y, speed: 0 });
+});
+
+test('hovering without pressing E only prompts', () => {
+  const { simulation, events } = parkedOnPlanet();
+  simulation.step();
+  simulation.step();
+
+  assert.equal(simulation.gameState, GameState.FLYING);
+  assert.deepEqual(events.map((event) => [event.type, event.canLand]), [['planetHover', true], ['planetHover', true]]);
+});
+
+test('flying off a planet ends the hover once', () => {
+  const { simulation, ship, events } = parkedOnPlanet();
+  simulation.step();
+  // Planets are never generated near the start
+  ship.x = START_POSITION.x;
+  ship.y = START_POSITION.y;
+  simulation.step();
+  simulation.step();
+
+  assert.deepEqual(events.map((event) => event.type), ['planetHover', 'planetHoverEnd']);
+});
+
+test('nothing happens while the player is not flying', () => {
+  const { simulation, ship, events } = parkedOnPlanet();
+  simulation.setGameState(GameState.MARKET);
+  ship.keys.e = true;
+  const { x, y } = ship;
+  simulation.step();
+
+  assert.equal(simulation.gameState, GameState.MARKET);
+  assert.equal(events.length, 0);
+  assert.deepEqual({ x: ship.x, y: ship.y }, { x, y });
+});
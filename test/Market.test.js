@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Market } from '../js/Market.js';
+import { ResourceDeposit, RESOURCE_TYPES } from '../js/ResourceDeposit.js';
+import { Planet } from '../js/planet.js';
+import { Spaceship } from '../js/spaceship.js';
+import { createRng } from '../js/utils.js';
+
+/**
+ * A market on a seeded planet and a player ship with a half-empty tank
+ * @returns {{market: Market, ship: Spaceship}}
+ */
+function setup() {
+  const planet = new Planet(0, 0, 70, 'ocean', createRng(7));
+  const ship = new Spaceship(0, 0, 1, 40, 20, { isPlayer: true });
+  ship.fuel = ship.maxFuel / 2;
+  return { market: planet.marketData, ship };
+}
+
+test('fuel prices differ between planets and follow the local gas supply', () => {
+  const small = new Planet(0, 0, 40, 'barren', createRng(1)).marketData;
+  const big = new Planet(0, 0, 100, 'barren', createRng(1)).marketData;
+  assert.ok(big.getFuelPrice() < small.getFuelPrice());
+});
+
+test('refuelling fills the tank for its price', () => {
+  const { market, ship } = setup();
+  const price = market.getFuelPrice();
+  const result = market.refuel(ship);
+  assert.equal(result.success, true);
+  assert.equal(ship.fuel, ship.maxFuel);
+  assert.equal(ship.credits, 1000 - price * ship.maxFuel / 2);
+  assert.equal(market.refuel(ship).success, false);
+});
+
+test('refuelling buys only what the ship can afford', () => {
+  const { market, ship } = setup();
+  const price = market.getFuelPrice();
+  ship.credits = price * 3 + 1;
+  assert.equal(market.refuel(ship).success, true);
+  assert.equal(ship.fuel, ship.maxFuel / 2 + 3);
+  assert.equal(ship.credits, 1);
+  assert.equal(market.refuel(ship).success, false);
+});
+
+test('the fuel price survives saving the market', () => {
+  const { market } = setup();
+  assert.equal(Market.deserialize(JSON.parse(JSON.stringify(market.serialize()))).getFuelPrice(), market.getFuelPrice());
+});
+
+test('every resource that can be mined can be sold', () => {
+  const { market, ship } = setup();
+  for (const resource of RESOURCE_TYPES) {
+    // Drill a unit out into the hold, as the mining minigame does
+    const deposit = new ResourceDeposit(resource.id, 10);
+    ship.cargo.add(deposit.type, deposit.extract(1));
+
+    const credits = ship.credits;
+    const result = market.sell(ship, resource.id);
+    assert.equal(result.success, true, `${resource.id}: ${result.message}`);
+    assert.equal(ship.cargo.getQuantity(resource.id), 0);
+    assert.ok(ship.credits > credits);
+  }
+});
@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Simulation } from '../js/Simulation.js';
+import {
+  MAX_ACTIVE_MISSIONS, SURVEY_RANGE, CourierMission, DeliveryMission, SurveyMission
+} from '../js/MissionSystem.js';
+import { createTestSimulation } from './helpers.js';
+
+/**
+ * A simulation without AI ships, with the first two planets as a mission's start and end
+ * @returns {{simulation: Simulation, ship: Spaceship, origin: Planet, destination: Planet, events: Array<Object>}}
+ */
+function setup() {
+  const { simulation, events } = createTestSimulation(['missionAccepted', 'missionCompleted', 'missionFailed']);
+  const [origin, destination] = simulation.entityManager.getAllPlanets();
+  return { simulation, ship: simulation.getPlayerShip(), origin, destination, events };
+}
+
+/**
+ * The target of a mission to a planet
+ * @param {Planet} planet - The planet
+ * @returns {{key: string, name: string, x: number, y: number}} Mission target
+ */
+function targetOf(planet) {
+  return { key: planet.key, name: planet.name, x: 0, y: 0 };
+}
+
+test('mission boards offer the same missions until they refresh', () => {
+  const { simulation, origin } = setup();
+  const offers = simulation.missionSystem.getOffers(origin);
+  assert.ok(offers.length > 0);
+  assert.ok(offers.every((offer) => offer.target.key !== origin.key && offer.reward > 0));
+  assert.deepEqual(
+    simulation.missionSystem.getOffers(origin).map((offer) => offer.serialize()),
+    offers.map((offer) => offer.serialize())
+  );
+});
+
+test('accepted missions leave the board, up to the limit', () => {
+  const { simulation, origin, events } = setup();
+  const missionSystem = simulation.missionSystem;
+  const [offer] = missionSystem.getOffers(origin);
+
+  assert.equal(missionSystem.accept(origin, offer.id).success, true);
+  assert.ok(!missionSystem.getOffers(origin).some((other) => other.id === offer.id));
+  assert.equal(missionSystem.accept(origin, offer.id).success, false);
+  assert.deepEqual(events.map((event) => event.type), ['missionAccepted']);
+
+  while (missionSystem.activeMissions.length < MAX_ACTIVE_MISSIONS) {
+    missionSystem.activeMissions.push(new SurveyMission({ id: 'filler', target: targetOf(origin), reward: 1 }));
+  }
+  const [next] = missionSystem.getOffers(origin);
+  assert.equal(missionSystem.accept(origin, next.id).success, false);
+});
+
+test('a delivery is handed over on landing with the goods', () => {
+  const { simulation, ship, destination, events } = setup();
+  const mission = new DeliveryMission({ id: 'd', target: targetOf(destination), commodity: 'ore', quantity: 3, reward: 400 });
+  simulation.missionSystem.activeMissions.push(mission);
+  const credits = ship.credits;
+
+  ship.cargo.add('ore', 2);
+  simulation.interactionSystem.landOn(destination);
+  assert.equal(simulation.missionSystem.activeMissions.length, 1);
+
+  ship.cargo.add('ore', 2);
+  simulation.interactionSystem.landOn(destination);
+  assert.equal(simulation.missionSystem.activeMissions.length, 0);
+  assert.equal(ship.cargo.getQuantity('ore'), 1);
+  assert.equal(ship.credits, credits + 400);
+  assert.deepEqual(events.map((event) => event.type), ['missionCompleted']);
+});
+
+test('a survey completes on flying within range of the planet', () => {
+  const { simulation, ship, destination, events } = setup();
+  simulation.missionSystem.activeMissions.push(new SurveyMission({ id: 's', target: targetOf(destination), reward: 200 }));
+  simulation.missionSystem.update();
+  assert.equal(events.length, 0);
+
+  ship.x = destination.x + destination.radius + SURVEY_RANGE - 20;
+  ship.y = destination.y;
+  simulation.entityManager.updateSpatialIndex(ship);
+  simulation.missionSystem.update();
+  assert.deepEqual(events.map((event) => event.type), ['missionCompleted']);
+});
+
+test('survey progress follows the planet along its orbit, and its star when the planet is gone', () => {
+  const { simulation, ship } = setup();
+  const destination = simulation.entityManager.getAllPlanets().find((planet) => planet.orbit);
+  const star = destination.getSystemStar();
+  const survey = new SurveyMission({ id: 's', target: { ...targetOf(destination), x: star.x, y: star.y }, reward: 200 });
+  simulation.missionSystem.activeMissions.push(survey);
+
+  simulation.time = 90;
+  simulation.entityManager.updateOrbits(simulation.time);
+  ship.x = destination.x + destination.radius + 250;
+  ship.y = destination.y;
+  assert.equal(simulation.missionSystem.getTracker()[0].progress, '250px from the planet');
+
+  survey.target = { ...survey.target, key: `${destination.key.split(':')[0]}:99` };
+  const toStar = Math.round(Math.hypot(ship.x - star.x, ship.y - star.y));
+  assert.equal(simulation.missionSystem.getTracker()[0].progress, `${toStar}px to its star`);
+});
+
+test('mission boards can be read without a player ship', () => {
+  const { simulation, origin } = setup();
+  const offers = simulation.missionSystem.getOffers(origin).map((offer) => offer.serialize());
+  assert.ok(offers.some((offer) => offer.type === 'courier'));
+  simulation.entityManager.removeSpaceship(simulation.getPlayerShip());
+  assert.deepEqual(simulation.missionSystem.getOffers(origin).map((offer) => offer.serialize()), offers);
+});
+
+test('a courier job fails when the time runs out', () => {
+  const { simulation, ship, destination, events } = setup();
+  const late = new CourierMission({ id: 'late', target: targetOf(destination), timeLimit: 60, reward: 300 });
+  late.start(simulation.time);
+  simulation.missionSystem.activeMissions.push(late);
+  const credits = ship.credits;
+
+  simulation.time += 61;
+  simulation.missionSystem.update();
+  assert.deepEqual(events.map((event) => event.type), ['missionFailed']);
+  assert.equal(ship.credits, credits);
+
+  const onTime = new CourierMission({ id: 'on-time', target: targetOf(destination), timeLimit: 60, reward: 300 });
+  onTime.start(simulation.time);
+  simulation.missionSystem.activeMissions.push(onTime);
+  simulation.interactionSystem.landOn(destination);
+  assert.equal(events[1].type, 'missionCompleted');
+  assert.equal(ship.credits, credits + 300);
+});
+
+test('active missions are saved with the game', () => {
+  const { simulation, origin } = setup();
+  const [offer] = simulation.missionSystem.getOffers(origin);
+  simulation.missionSystem.accept(origin, offer.id);
+  const data = JSON.parse(JSON.stringify(simulation.serialize()));
+
+  const restored = new Simulation({ seed: 42, spawnAI: false });
+  restored.load(data);
+  assert.deepEqual(restored.missionSystem.serialize(), simulation.missionSystem.serialize());
+  assert.equal(restored.missionSystem.getTracker()[0].summary, offer.describe());
+});
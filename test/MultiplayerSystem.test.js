@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RemoteShip } from '../js/MultiplayerSystem.js';
+
+/**
+ * A remote ship state, pointing one way and drifting sideways as a Newtonian ship can
+ * @param {number} x - X coordinate
+ * @returns {Object} State as relayed by the server
+ */
+function drifting(x) {
+  return { x, y: 0, rotation: Math.PI / 2, speed: 100, vx: 100, vy: 0, thrusting: false, boosting: false };
+}
+
+test('remote ships are drawn between the snapshots either side of the render time', () => {
+  const ship = new RemoteShip(1, 'Pilot', 42, 21);
+  ship.addSnapshot(1000, drifting(0));
+  ship.addSnapshot(1100, drifting(10));
+  ship.interpolate(1050);
+  assert.equal(ship.x, 5);
+  assert.equal(ship.y, 0);
+});
+
+test('out of snapshots, a remote ship carries on the way it was moving, not the way it points', () => {
+  const ship = new RemoteShip(1, 'Pilot', 42, 21);
+  ship.addSnapshot(1000, drifting(0));
+  ship.addSnapshot(1100, drifting(10));
+  ship.interpolate(1200);
+  assert.ok(Math.abs(ship.x - 20) < 1e-9);
+  assert.ok(Math.abs(ship.y) < 1e-9);
+  assert.deepEqual(ship.getVelocity(), { x: 100, y: 0 });
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { nameForNumber } from '../js/NameGenerator.js';
+
+test('every number gets its own name, past the point where names get longer', () => {
+  const names = new Set();
+  for (let number = 0; number < 60000; number++) {
+    names.add(nameForNumber(number, 7));
+  }
+  assert.equal(names.size, 60000);
+});
+
+test('names are syllables of a consonant and a vowel, with an optional ending', () => {
+  for (const number of [0, 1, 999, 51199, 51200, 5000000, 400000000]) {
+    const name = nameForNumber(number, 'andromeda');
+    assert.match(name, /^(?:[A-Z]|Th)[aeiou](?:(?:th|[bdfghklmnprstvz])[aeiou])+(?:|n|r|s|x|l|th|rn)$/, name);
+    assert.equal(nameForNumber(number, 'andromeda'), name);
+  }
+  // The shortest names come first
+  assert.equal(nameForNumber(51199, 1).match(/[aeiou]/g).length, 2);
+  assert.equal(nameForNumber(51200, 1).match(/[aeiou]/g).length, 3);
+});
+
+test('each seed hands the names out differently', () => {
+  const first = Array.from({ length: 20 }, (_, number) => nameForNumber(number, 1));
+  const second = Array.from({ length: 20 }, (_, number) => nameForNumber(number, 2));
+  assert.notDeepEqual(first, second);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Simulation } from '../js/Simulation.js';
+import { FOG_CELL_SIZE, WAYPOINT_ARRIVAL_RANGE } from '../js/NavigationSystem.js';
+import { SENSOR_RANGE } from '../js/DiscoverySystem.js';
+import { migrateSave } from '../js/SaveManager.js';
+import { createTestSimulation } from './helpers.js';
+
+/**
+ * A simulation without AI ships, listening for navigation events
+ * @returns {{simulation: Simulation, ship: Spaceship, events: Array<Object>}}
+ */
+function setup() {
+  const { simulation, events } = createTestSimulation(['waypointSet', 'waypointReached']);
+  return { simulation, ship: simulation.getPlayerShip(), events };
+}
+
+test('the sensors clear the fog of war around the player', () => {
+  const { simulation, ship } = setup();
+  const navigationSystem = simulation.navigationSystem;
+  assert.equal(navigationSystem.isExplored(ship.x, ship.y), false);
+
+  navigationSystem.update();
+  assert.equal(navigationSystem.isExplored(ship.x, ship.y), true);
+  assert.equal(navigationSystem.isExplored(ship.x + SENSOR_RANGE - 1, ship.y), true);
+  assert.equal(navigationSystem.isExplored(ship.x + SENSOR_RANGE + FOG_CELL_SIZE, ship.y), false);
+});
+
+test('a waypoint is cleared when the player reaches it', () => {
+  const { simulation, ship, events } = setup();
+  const navigationSystem = simulation.navigationSystem;
+  navigationSystem.setWaypoint({ x: ship.x + 1000, y: ship.y });
+  assert.equal(navigationSystem.waypoint.name, 'Waypoint');
+  navigationSystem.update();
+  assert.notEqual(navigationSystem.waypoint, null);
+
+  ship.x += 1000 - WAYPOINT_ARRIVAL_RANGE + 10;
+  navigationSystem.update();
+  assert.equal(navigationSystem.waypoint, null);
+  assert.deepEqual(events.map((event) => event.type), ['waypointSet', 'waypointReached']);
+});
+
+test('a planet waypoint follows the planet along its orbit, loaded or not', () => {
+  const { simulation } = setup();
+  const navigationSystem = simulation.navigationSystem;
+  const [far] = simulation.chunkManager.getSystem(6, 6).planets;
+  navigationSystem.setWaypoint(far);
+  assert.equal(navigationSystem.waypoint.key, far.key);
+
+  simulation.time += 100;
+  assert.deepEqual(navigationSystem.getWaypointPosition(), far.getPositionAt(simulation.time));
+
+  navigationSystem.clearWaypoint();
+  assert.equal(navigationSystem.getWaypointPosition(), null);
+});
+
+test('the waypoint and explored space are saved with the game', () => {
+  const { simulation, ship } = setup();
+  simulation.navigationSystem.update();
+  simulation.navigationSystem.setWaypoint({ x: ship.x + 5000, y: ship.y });
+  const data = JSON.parse(JSON.stringify(simulation.serialize()));
+
+  const restored = new Simulation({ seed: 42, spawnAI: false });
+  restored.load(data);
+  assert.deepEqual(restored.navigationSystem.serialize(), simulation.navigationSystem.serialize());
+
+  // Saves from before the galaxy map have explored nothing
+  assert.deepEqual(migrateSave({ ...data, version: 9, navigation: undefined }).navigation, { waypoint: null, explored: [] });
+});
+
+test('cycling targets steps through the planets on the sensors, nearest first', () => {
+  const { simulation, ship } = setup();
+  const navigationSystem = simulation.navigationSystem;
+  // Next to a star, so its planets are on the sensors
+  const [star] = simulation.entityManager.getAllStars()
+    .sort((a, b) => Math.hypot(a.x - ship.x, a.y - ship.y) - Math.hypot(b.x - ship.x, b.y - ship.y));
+  ship.x = star.x;
+  ship.y = star.y + star.radius * 2;
+  const planets = simulation.entityManager.findPlanetsInRadius(ship.x, ship.y, SENSOR_RANGE);
+  assert.ok(planets.length > 1);
+
+  const first = navigationSystem.cycleTarget();
+  assert.equal(first, planets[0]);
+  assert.equal(navigationSystem.waypoint.key, first.key);
+  assert.equal(navigationSystem.cycleTarget(), planets[1]);
+
+  navigationSystem.setWaypoint(planets.at(-1));
+  assert.equal(navigationSystem.cycleTarget(), planets[0]);
+});
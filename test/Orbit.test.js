@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Orbit } from '../js/Orbit.js';
+
+/**
+ * Distance of a point from the origin
+ * @param {{x: number, y: number}} point - The point
+ * @returns {number} Its distance from the origin
+ */
+const length = ({ x, y }) => Math.hypot(x, y);
+
+test('a circular orbit keeps its distance and comes back after one period', () => {
+  const orbit = new Orbit({ semiMajorAxis: 500, period: 100, phase: 1 });
+  for (let time = 0; time < 100; time += 7) {
+    assert.ok(Math.abs(length(orbit.getOffset(time)) - 500) < 1e-9);
+  }
+  const start = orbit.getOffset(0);
+  const end = orbit.getOffset(100);
+  assert.ok(Math.abs(start.x - end.x) < 1e-9 && Math.abs(start.y - end.y) < 1e-9);
+});
+
+test('an elliptical orbit swings between periapsis and apoapsis', () => {
+  const orbit = new Orbit({ semiMajorAxis: 1000, eccentricity: 0.2, argumentOfPeriapsis: 0.5, period: 60 });
+  assert.equal(orbit.periapsis, 800);
+  assert.equal(orbit.apoapsis, 1200);
+  // Phase 0 is periapsis, half a period later is apoapsis
+  assert.ok(Math.abs(length(orbit.getOffset(0)) - 800) < 1e-6);
+  assert.ok(Math.abs(length(orbit.getOffset(30)) - 1200) < 1e-6);
+  for (let time = 0; time < 60; time += 3) {
+    const distance = length(orbit.getOffset(time));
+    assert.ok(distance >= 800 - 1e-6 && distance <= 1200 + 1e-6);
+  }
+});
+
+test('bodies move faster near periapsis, and direction sets which way round', () => {
+  const orbit = new Orbit({ semiMajorAxis: 1000, eccentricity: 0.3, period: 60 });
+  const step = (time) => {
+    const a = orbit.getOffset(time);
+    const b = orbit.getOffset(time + 0.1);
+    return Math.hypot(b.x - a.x, b.y - a.y);
+  };
+  assert.ok(step(0) > step(30) * 1.5);
+
+  const reversed = new Orbit({ semiMajorAxis: 1000, eccentricity: 0.3, period: 60, direction: -1 });
+  assert.ok(orbit.getOffset(5).y > 0);
+  assert.ok(reversed.getOffset(5).y < 0);
+});
+
+test('getPath traces the whole ellipse', () => {
+  const orbit = new Orbit({ semiMajorAxis: 400, eccentricity: 0.1, period: 10 });
+  const path = orbit.getPath(32);
+  assert.equal(path.length, 32);
+  for (const point of path) {
+    const distance = length(point);
+    assert.ok(distance >= orbit.periapsis - 1e-6 && distance <= orbit.apoapsis + 1e-6);
+  }
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PARTICLE_PRESETS, ParticleSystem } from '../js/ParticleSystem.js';
+import { Camera } from '../js/Camera.js';
+import { createRng } from '../js/utils.js';
+
+/**
+ * A canvas context that counts the particles drawn on it
+ * @returns {Object} Context with `drawn`, the number of fills and strokes
+ */
+function countingContext() {
+  const ctx = { drawn: 0 };
+  for (const method of ['save', 'restore', 'setTransform', 'beginPath', 'moveTo', 'lineTo', 'arc']) {
+    ctx[method] = () => {};
+  }
+  ctx.fill = () => ctx.drawn++;
+  ctx.stroke = () => ctx.drawn++;
+  return ctx;
+}
+
+test('a burst spawns its preset\'s particles, which die when their lives are over', () => {
+  const particles = new ParticleSystem({ random: createRng(1) });
+  particles.burst('explosion', 100, 100);
+  assert.equal(particles.count, PARTICLE_PRESETS.explosion.count);
+
+  particles.update(PARTICLE_PRESETS.explosion.lifetime.min / 2);
+  assert.equal(particles.count, PARTICLE_PRESETS.explosion.count);
+  for (const particle of particles.getParticles()) {
+    assert.ok(Math.hypot(particle.x - 100, particle.y - 100) > 0);
+  }
+
+  particles.update(PARTICLE_PRESETS.explosion.lifetime.max);
+  assert.equal(particles.count, 0);
+  assert.deepEqual(particles.getParticles(), []);
+});
+
+test('the budget caps the particles alive, with new ones replacing the oldest', () => {
+  const particles = new ParticleSystem({ budget: 50, random: createRng(2) });
+  particles.burst('dust', 0, 0, { count: 40 });
+  particles.update(0.1);
+  particles.burst('explosion', 500, 500, { count: 30 });
+
+  assert.equal(particles.count, 50);
+  assert.equal(particles.getParticles().length, 50);
+  // The whole explosion made it in, at the cost of the first of the dust
+  assert.equal(particles.getParticles().filter((particle) => particle.x === 500).length, 30);
+  assert.equal(particles.getParticles().filter((particle) => particle.age > 0).length, 20);
+});
+
+test('an emitter spawns at its rate, spread along the way it moved', () => {
+  // Particles that stay where they are spawned and all outlive the test
+  const presets = { exhaust: { speed: { min: 0, max: 0 }, lifetime: { min: 1, max: 1 }, drag: 0 } };
+  const particles = new ParticleSystem({ random: createRng(3), presets });
+  const emitter = particles.createEmitter('exhaust');
+  emitter.moveTo(0, 0, 0);
+  particles.update(1);
+  assert.equal(particles.count, 0, 'inactive emitters spawn nothing');
+
+  emitter.active = true;
+  for (let frame = 1; frame <= 30; frame++) {
+    emitter.moveTo(frame * 10, 0, 0);
+    particles.update(1 / 60);
+  }
+  const expected = PARTICLE_PRESETS.exhaust.rate / 2;
+  assert.ok(Math.abs(particles.count - expected) <= 1, `${particles.count} against ${expected}`);
+  // Between the first and last frame the trail has no gaps wider than a frame's travel
+  const xs = particles.getParticles().map((particle) => particle.x).sort((a, b) => a - b);
+  for (let i = 1; i < xs.length; i++) {
+    assert.ok(xs[i] - xs[i - 1] <= 10 + 1e-9);
+  }
+
+  particles.removeEmitter(emitter);
+  const before = particles.count;
+  particles.update(1 / 60);
+  assert.ok(particles.count <= before);
+});
+
+test('presets can be changed and added', () => {
+  const particles = new ParticleSystem({ presets: { boost: { rate: 10 }, smoke: { blend: 'source-over' } } });
+  assert.equal(particles.presets.boost.rate, 10);
+  assert.equal(particles.presets.boost.shape, PARTICLE_PRESETS.boost.shape);
+  assert.equal(PARTICLE_PRESETS.boost.rate, 90, 'the standard presets are left alone');
+
+  particles.definePreset('smoke', { count: 3 });
+  particles.burst('smoke', 0, 0);
+  assert.equal(particles.count, 3);
+  assert.equal(particles.presets.smoke.blend, 'source-over');
+  assert.throws(() => particles.burst('confetti', 0, 0), /Unknown particle preset/);
+});
+
+test('only particles in view are drawn', () => {
+  const particles = new ParticleSystem({ random: createRng(4) });
+  const camera = new Camera(800, 600);
+  camera.snapTo(0, 0);
+  particles.burst('debris', 0, 0, { count: 12 });
+  particles.burst('dust', 5000, 5000, { count: 25 });
+
+  const ctx = countingContext();
+  particles.render(ctx, camera);
+  assert.equal(ctx.drawn, 12);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  SurfaceStyle, createNoise, describeSurface, generateSurfacePixels
+} from '../js/PlanetSurface.js';
+import { Planet } from '../js/planet.js';
+import { Star } from '../js/Star.js';
+import { Orbit } from '../js/Orbit.js';
+import { createRng } from '../js/utils.js';
+
+/**
+ * Average difference per channel between two columns of a texture
+ * @param {Uint8ClampedArray} pixels - RGBA texture
+ * @param {number} width - Texture width
+ * @param {number} height - Texture height
+ * @param {number} a - First column
+ * @param {number} b - Second column
+ * @returns {number} Mean absolute difference
+ */
+function columnDifference(pixels, width, height, a, b) {
+  let total = 0;
+  for (let row = 0; row < height; row++) {
+    for (let channel = 0; channel < 3; channel++) {
+      total += Math.abs(pixels[(row * width + a) * 4 + channel] - pixels[(row * width + b) * 4 + channel]);
+    }
+  }
+  return total / (height * 3);
+}
+
+const terran = { style: SurfaceStyle.TERRAN, color: { r: 60, g: 120, b: 200 }, seed: 7, spots: [] };
+
+test('noise is smooth, in range and the same for the same seed', () => {
+  const noise = createNoise('surface');
+  const again = createNoise('surface');
+  for (let i = 0; i < 50; i++) {
+    const value = noise(i * 0.37, i * 0.11, -i * 0.23);
+    assert.ok(value >= 0 && value < 1);
+    assert.equal(value, again(i * 0.37, i * 0.11, -i * 0.23));
+    assert.ok(Math.abs(noise(i * 0.37 + 0.001, i * 0.11, -i * 0.23) - value) < 0.01);
+  }
+  assert.notEqual(createNoise('other')(0.5, 0.5, 0.5), noise(0.5, 0.5, 0.5));
+});
+
+test('a surface texture wraps round the planet without a seam', () => {
+  const width = 120;
+  const height = 40;
+  for (const style of Object.values(SurfaceStyle)) {
+    const pixels = generateSurfacePixels({ ...terran, style }, width, height);
+    const seam = columnDifference(pixels, width, height, width - 1, 0);
+    const neighbours = columnDifference(pixels, width, height, 0, 1);
+    assert.ok(seam < neighbours * 3 + 8, `${style} seam ${seam} against ${neighbours}`);
+  }
+});
+
+test('a texture generated a few rows at a time matches one generated at once', () => {
+  const whole = generateSurfacePixels(terran, 60, 20);
+  const pixels = new Uint8ClampedArray(60 * 20 * 4);
+  for (let fromRow = 0; fromRow < 20; fromRow += 3) {
+    generateSurfacePixels(terran, 60, 20, { pixels, fromRow, toRow: Math.min(20, fromRow + 3) });
+  }
+  assert.deepEqual(pixels, whole);
+});
+
+test('terran planets have ice caps at the poles', () => {
+  const width = 60;
+  const pixels = generateSurfacePixels(terran, width, 30);
+  for (let column = 0; column < width; column++) {
+    const index = column * 4;
+    assert.ok(pixels[index] > 200 && pixels[index + 1] > 200 && pixels[index + 2] > 200);
+  }
+});
+
+test('a planet turns on its axis with time, and its surface is generated the same every time', () => {
+  const star = new Star(0, 0, 100, createRng(1));
+  const planet = new Planet(0, 0, 60, undefined, createRng(2));
+  const twin = new Planet(0, 0, 60, undefined, createRng(2));
+  planet.setOrbit(star, new Orbit({ semiMajorAxis: 500, period: 300 }), 10);
+  assert.equal(planet.spin, planet.spinRate * 10);
+  assert.notEqual(planet.spinRate, 0);
+
+  planet.savePreviousState();
+  planet.updateOrbit(12);
+  assert.ok(Math.abs(planet.getRenderState(0.5).spin - planet.spinRate * 11) < 1e-12);
+
+  assert.deepEqual(describeSurface(planet), describeSurface(twin));
+  assert.equal(planet.spinRate, twin.spinRate);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PLANET_TYPES, getPlanetType, pickPlanetType } from '../js/PlanetTypes.js';
+import { Planet } from '../js/planet.js';
+import { Simulation } from '../js/Simulation.js';
+import { migrateSave } from '../js/SaveManager.js';
+import { createRng, parseRgb } from '../js/utils.js';
+
+/**
+ * Check whether a colour is one of a palette's, varied a little
+ * @param {string} color - Colour in the format 'rgb(r, g, b)'
+ * @param {Array<Array<number>>} palette - [r, g, b] colours
+ * @returns {boolean} True if it is close to one of them
+ */
+function fromPalette(color, palette) {
+  const { r, g, b } = parseRgb(color);
+  return palette.some(([pr, pg, pb]) => Math.max(Math.abs(r - pr), Math.abs(g - pg), Math.abs(b - pb)) <= 14);
+}
+
+test('everything about a planet follows from its type', () => {
+  const rng = createRng('types');
+  for (const type of Object.values(PLANET_TYPES)) {
+    for (let i = 0; i < 20; i++) {
+      const radius = type.radius.min + i;
+      const planet = new Planet(0, 0, radius, type.id, rng);
+      assert.equal(planet.type, type);
+      assert.ok(fromPalette(planet.color, type.colors), `${type.id} colour ${planet.color}`);
+      assert.ok(fromPalette(planet.ringColor, type.ringColors), `${type.id} ring colour ${planet.ringColor}`);
+      assert.ok(planet.features.length >= type.features.min && planet.features.length <= type.features.max);
+      assert.ok(planet.temperature >= type.temperature.min && planet.temperature <= type.temperature.max);
+      assert.ok(type.atmospheres.includes(planet.atmosphere));
+      assert.ok(type.descriptions.includes(planet.description));
+      assert.ok(Math.abs(planet.gravity - type.density * radius / 60) <= type.density * radius / 600 + 1e-9);
+      assert.match(planet.describeConditions(), new RegExp(`^${type.name} · \\d+\\.\\d\\d g · -?\\d+ °C · `));
+    }
+  }
+  assert.throws(() => getPlanetType('#808080'), /Unknown planet type/);
+});
+
+test('denser planets pull harder', () => {
+  const rng = createRng(3);
+  const giant = new Planet(0, 0, 80, 'gasGiant', rng);
+  const ice = new Planet(0, 0, 80, 'ice', rng);
+  assert.ok(giant.mass > ice.mass);
+  assert.ok(giant.gravity > ice.gravity);
+});
+
+test('types suit the size of the planet, and moons come in a few', () => {
+  const rng = createRng('sizes');
+  for (let i = 0; i < 500; i++) {
+    const radius = 40 + (i % 61);
+    const type = pickPlanetType(radius, rng);
+    assert.ok(radius >= type.radius.min && radius <= type.radius.max, `${type.id} at ${radius}`);
+    assert.ok(pickPlanetType(20, rng, { moon: true }).moonWeight > 0);
+  }
+  assert.equal(pickPlanetType(100, rng), PLANET_TYPES.gasGiant);
+});
+
+test('a planet\'s deposits and market follow its type', () => {
+  const rng = createRng('deposits');
+  const count = (typeId, resource) => {
+    let total = 0;
+    for (let i = 0; i < 50; i++) {
+      const planet = new Planet(0, 0, 75, typeId, rng);
+      total += planet.resourceData.filter((deposit) => deposit.type === resource).length;
+    }
+    return total;
+  };
+  assert.ok(count('gasGiant', 'gas') > count('barren', 'gas') * 3);
+  assert.ok(count('ocean', 'water') > count('desert', 'water') * 3);
+  assert.ok(count('volcanic', 'ore') > count('ocean', 'ore') * 2);
+
+  const jungle = new Planet(0, 0, 60, 'jungle', createRng(1)).marketData;
+  const barren = new Planet(0, 0, 60, 'barren', createRng(1)).marketData;
+  assert.ok(jungle.getBuyPrice('food') < barren.getBuyPrice('food'));
+});
+
+test('saves from before the current star systems keep the ship but forget the old planets', () => {
+  const simulation = new Simulation({ seed: 42, spawnAI: false });
+  const planet = simulation.entityManager.getAllPlanets()[0];
+  simulation.discoverySystem.recordSighting(planet);
+  simulation.navigationSystem.setWaypoint(planet);
+  simulation.navigationSystem.update();
+  const data = JSON.parse(JSON.stringify(simulation.serialize()));
+
+  // Planet types (version 11) and the starfield (version 12) each changed every star system
+  for (const version of [10, 11]) {
+    const migrated = migrateSave({ ...data, version });
+    assert.deepEqual(migrated.discoveries, []);
+    assert.deepEqual(migrated.missions, { active: [], taken: [] });
+    assert.equal(migrated.navigation.waypoint, null);
+    assert.deepEqual(migrated.navigation.explored, data.navigation.explored);
+    assert.deepEqual(migrated.chunks, []);
+    assert.deepEqual(migrated.ships.map((ship) => ship.isPlayer), [true]);
+  }
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Simulation, GameState } from '../js/Simulation.js';
+import { CHUNK_SIZE, START_POSITION } from '../js/ChunkManager.js';
+
+test('the simulation starts at START_POSITION with the chunks around it loaded', () => {
+  const simulation = new Simulation({ seed: 5 });
+  const player = simulation.getPlayerShip();
+  assert.deepEqual({ x: player.x, y: player.y }, START_POSITION);
+  assert.equal(simulation.chunkManager.chunks.size, 9);
+  assert.equal(simulation.entityManager.getAllStars().length, 9);
+  assert.ok(simulation.entityManager.getAllPlanets().length >= 9);
+});
+
+test('planets move along their orbits as time passes', () => {
+  const simulation = new Simulation({ seed: 5, spawnAI: false });
+  const planet = simulation.entityManager.getAllPlanets()[0];
+  const start = { x: planet.x, y: planet.y };
+  for (let i = 0; i < 60; i++) {
+    simulation.step();
+  }
+  assert.notDeepEqual({ x: planet.x, y: planet.y }, start);
+  assert.deepEqual({ x: planet.x, y: planet.y }, planet.getPositionAt(simulation.time));
+  // The spatial index follows it
+  assert.ok(simulation.entityManager.findPlanetsInRadius(planet.x, planet.y, 1).includes(planet));
+});
+
+test('players sharing a clock see the planets in the same places, even while landed', () => {
+  let now = 500;
+  const clock = () => now;
+  const flying = new Simulation({ seed: 5, spawnAI: false });
+  const landed = new Simulation({ seed: 5, spawnAI: false });
+  flying.setClock(clock);
+  landed.setClock(clock);
+  const planet = landed.entityManager.getAllPlanets().find((body) => body.orbit);
+  landed.interactionSystem.landOn(planet);
+
+  for (let i = 0; i < 120; i++) {
+    now += 1 / 60;
+    flying.step();
+    landed.step();
+    landed.followClock();
+  }
+  const positions = (simulation) => simulation.entityManager.getAllPlanets()
+    .map((body) => [body.key, Math.round(body.x * 1000), Math.round(body.y * 1000)]);
+  assert.equal(flying.time, now);
+  assert.equal(landed.time, now);
+  assert.deepEqual(positions(landed), positions(flying));
+  assert.deepEqual({ x: planet.x, y: planet.y }, planet.getPositionAt(now));
+
+  // The landed ship went along with its planet, and takes off from there
+  const ship = landed.getPlayerShip();
+  assert.deepEqual({ x: ship.x, y: ship.y }, { x: planet.x, y: planet.y });
+  landed.setGameState(GameState.FLYING);
+  landed.step();
+  assert.equal(landed.interactionSystem.landedPlanet, null);
+});
+
+test('stepping headlessly moves the player and the AI ships', () => {
+  const run = () => {
+    const simulation = new Simulation({ seed: 7 });
+    const start = new Map(simulation.entityManager.getAllSpaceships().map((ship) => [ship, { x: ship.x, y: ship.y }]));
+    simulation.getPlayerShip().keys.w = true;
+    for (let i = 0; i < 600; i++) {
+      simulation.step();
+    }
+    return { simulation, start };
+  };
+  const { simulation, start } = run();
+  // Ships spawned by chunks loaded on the way weren't there at the start
+  const ships = simulation.entityManager.getAllSpaceships().filter((ship) => start.has(ship));
+  assert.ok(ships.length > 1);
+  assert.ok(ships.every((ship) => ship.x !== start.get(ship).x || ship.y !== start.get(ship).y));
+
+  // The player's flight depends only on its controls
+  const player = simulation.getPlayerShip();
+  const again = run().simulation.getPlayerShip();
+  assert.deepEqual({ x: again.x, y: again.y }, { x: player.x, y: player.y });
+});
+
+test('serialize and load round-trip the world', () => {
+  const simulation = new Simulation({ seed: 99 });
+  for (let i = 0; i < 120; i++) {
+    simulation.step();
+  }
+  // Somewhere other than the start, with a planet that has been traded with
+  const player = simulation.getPlayerShip();
+  player.x += CHUNK_SIZE * 2;
+  simulation.step();
+  simulation.entityManager.getAllPlanets()[0].resourceData[0].abundance = 0;
+  const data = JSON.parse(JSON.stringify(simulation.serialize()));
+
+  const restored = new Simulation({ seed: 1 });
+  restored.load(data);
+  assert.deepEqual(JSON.parse(JSON.stringify(restored.serialize())), data);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SpatialHash } from '../js/SpatialHash.js';
+import { createRng } from '../js/utils.js';
+
+/**
+ * Scatter entities over a square area
+ * @param {number} count - How many entities
+ * @param {number} size - Width and height of the area
+ * @returns {Array<{x: number, y: number, radius: number}>} The entities
+ */
+function scatter(count, size) {
+  const rng = createRng(123);
+  return Array.from({ length: count }, () => ({ x: rng() * size, y: rng() * size, radius: 5 + rng() * 100 }));
+}
+
+test('radius queries match a brute-force search', () => {
+  const hash = new SpatialHash(200);
+  const entities = scatter(2000, 20000);
+  entities.forEach((entity) => hash.insert(entity));
+
+  for (const [x, y, radius] of [[0, 0, 500], [10000, 10000, 50], [15000, 3000, 2500], [-500, -500, 100]]) {
+    const expected = entities.filter((e) => Math.hypot(e.x - x, e.y - y) < radius + e.radius);
+    assert.deepEqual(new Set(hash.queryRadius(x, y, radius)), new Set(expected));
+  }
+});
+
+test('rect queries match a brute-force search', () => {
+  const hash = new SpatialHash(200);
+  const entities = scatter(2000, 20000);
+  entities.forEach((entity) => hash.insert(entity));
+
+  const [x, y, width, height] = [4000, 6000, 1280, 720];
+  const expected = entities.filter((e) =>
+    e.x + e.radius >= x && e.x - e.radius <= x + width && e.y + e.radius >= y && e.y - e.radius <= y + height);
+  assert.deepEqual(new Set(hash.queryRect(x, y, width, height)), new Set(expected));
+});
+
+test('entities spanning several cells are returned once', () => {
+  const hash = new SpatialHash(10);
+  const big = { x: 50, y: 50, radius: 45 };
+  hash.insert(big);
+  assert.deepEqual(hash.queryRadius(50, 50, 40), [big]);
+  assert.deepEqual(hash.queryRect(0, 0, 100, 100), [big]);
+});
+
+test('update follows moving entities and remove forgets them', () => {
+  const hash = new SpatialHash(100);
+  const ship = { x: 50, y: 50, radius: 10 };
+  hash.insert(ship);
+
+  ship.x = 5050;
+  hash.update(ship);
+  assert.deepEqual(hash.queryRadius(50, 50, 20), []);
+  assert.deepEqual(hash.queryRadius(5050, 50, 20), [ship]);
+
+  hash.remove(ship);
+  assert.equal(hash.size, 0);
+  assert.equal(hash.has(ship), false);
+  assert.deepEqual(hash.queryRadius(5050, 50, 20), []);
+  assert.equal(hash.cells.size, 0);
+});
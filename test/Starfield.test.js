@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  STAR_LAYERS, Starfield, generateBackdropTile, generateGalaxyPixels, generateNebulaPixels, generateStarTile
+} from '../js/Starfield.js';
+import { Camera } from '../js/Camera.js';
+
+/**
+ * A starfield set up for a seed, and a camera looking at it
+ * @param {number} width - Screen width
+ * @param {number} height - Screen height
+ * @returns {{starfield: Starfield, camera: Camera}}
+ */
+function setup(width, height) {
+  const starfield = new Starfield();
+  starfield.reset(42);
+  return { starfield, camera: new Camera(width, height) };
+}
+
+test('every layer has the same density of stars wherever you look and however big the screen', () => {
+  for (const [width, height] of [[1920, 1080], [800, 600]]) {
+    const { starfield, camera } = setup(width, height);
+    STAR_LAYERS.forEach((layer, layerIndex) => {
+      let count = 0;
+      const views = 20;
+      for (let i = 0; i < views; i++) {
+        camera.snapTo(i * 37000, -i * 91000);
+        count += starfield.getVisibleStars(camera, layerIndex).length;
+      }
+      const expected = layer.density * width * height / 1e6;
+      assert.ok(Math.abs(count / views - expected) < expected * 0.2, `layer ${layerIndex}: ${count / views} against ${expected}`);
+    });
+  }
+});
+
+test('nearer layers drift past faster than far ones', () => {
+  const { starfield, camera } = setup(800, 600);
+  camera.snapTo(1000, 1000);
+  const before = STAR_LAYERS.map((layer, layerIndex) => starfield.getVisibleStars(camera, layerIndex));
+  camera.snapTo(1100, 1000);
+  STAR_LAYERS.forEach((layer, layerIndex) => {
+    const after = starfield.getVisibleStars(camera, layerIndex);
+    const { star, x, y } = before[layerIndex].find((entry) => after.some((moved) => moved.star === entry.star));
+    const moved = after.find((entry) => entry.star === star);
+    assert.ok(Math.abs(x - moved.x - 100 * layer.parallax) < 1e-6);
+    assert.equal(moved.y, y);
+  });
+});
+
+test('the sky is the same every time for a seed, and different for another', () => {
+  assert.deepEqual(generateStarTile(42, 1, -3, 5), generateStarTile(42, 1, -3, 5));
+  assert.notDeepEqual(generateStarTile(42, 1, -3, 5), generateStarTile(43, 1, -3, 5));
+  assert.deepEqual(generateBackdropTile('orion', 2, 2), generateBackdropTile('orion', 2, 2));
+
+  for (const star of generateStarTile(42, 0, 0, 0)) {
+    assert.ok(star.x >= 0 && star.x < 512 && star.y >= 0 && star.y < 512);
+    assert.ok(star.twinkle >= 0 && star.twinkle < 1);
+  }
+});
+
+test('nebulae and galaxies fade out before the edges of their images', () => {
+  const size = 48;
+  for (const pixels of [generateNebulaPixels(42, 0, size), generateGalaxyPixels(42, 1, size)]) {
+    for (let i = 0; i < size; i++) {
+      assert.equal(pixels[i * 4 + 3], 0);
+      assert.equal(pixels[((size - 1) * size + i) * 4 + 3], 0);
+      assert.equal(pixels[(i * size) * 4 + 3], 0);
+    }
+    // Something to see inside
+    assert.ok(pixels.some((value, index) => index % 4 === 3 && value > 100));
+  }
+  assert.deepEqual(generateGalaxyPixels(42, 1, size), generateGalaxyPixels(42, 1, size));
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { once } from 'node:events';
+
+import { createApp } from '../server/app.js';
+
+test('only the game\'s own files are served, not saves, server code or package files', async () => {
+  // A project root with a file of each kind
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'root-'));
+  const files = {
+    'index.html': 'page',
+    'main.js': 'main',
+    'js/game.js': 'game',
+    'saves/slot.json': '{}',
+    'server/secret.js': 'secret',
+    'package.json': '{}',
+    '.env': 'TOKEN=secret'
+  };
+  for (const [file, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+    await fs.writeFile(path.join(root, file), content);
+  }
+
+  const server = createApp({ root, savesDir: path.join(root, 'saves') }).listen(0);
+  await once(server, 'listening');
+  const url = `http://localhost:${server.address().port}`;
+  try {
+    for (const [file, content] of [['/', 'page'], ['/main.js', 'main'], ['/js/game.js', 'game']]) {
+      const response = await fetch(`${url}${file}`);
+      assert.equal(response.status, 200, file);
+      assert.equal(await response.text(), content);
+    }
+    for (const file of ['/saves/slot.json', '/server/secret.js', '/package.json', '/.env', '/js/..%2fpackage.json']) {
+      const response = await fetch(`${url}${file}`);
+      assert.equal(response.status, 404, file);
+    }
+  } finally {
+    server.close();
+    await once(server, 'close');
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
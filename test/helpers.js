@@ -0,0 +1,17 @@
+import { Simulation } from '../js/Simulation.js';
+
+/**
+ * A simulation of seed 42 without AI ships, recording the events the test is about
+ * @param {Array<string>} eventTypes - Events to record
+ * @param {Object} [options] - Other Simulation options, e.g. flightModel
+ * @returns {{simulation: Simulation, events: Array<Object>}} The simulation, and the
+ *   events it emits in order, each with its `type` alongside its payload
+ */
+export function createTestSimulation(eventTypes, options = {}) {
+  const simulation = new Simulation({ seed: 42, spawnAI: false, ...options });
+  const events = [];
+  for (const type of eventTypes) {
+    simulation.on(type, (payload) => events.push({ type, ...payload }));
+  }
+  return { simulation, events };
+}
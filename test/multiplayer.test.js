@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+
+import { WebSocket } from 'ws';
+import { attachMultiplayer } from '../server/multiplayer.js';
+
+/**
+ * Host a multiplayer world on a free local port
+ * @returns {Promise<{url: string, close: Function}>} Its WebSocket URL and a function that shuts it down
+ */
+async function startWorld() {
+  const server = createServer();
+  const wss = attachMultiplayer(server, { seed: 'test' });
+  server.listen(0);
+  await once(server, 'listening');
+  return {
+    url: `ws://localhost:${server.address().port}/ws`,
+    close: async () => {
+      wss.close();
+      server.close();
+      await once(server, 'close');
+    }
+  };
+}
+
+/**
+ * Connect to a world and join it
+ * @param {string} url - WebSocket URL of the world
+ * @param {string} name - Player name
+ * @returns {Promise<{socket: WebSocket, welcome: Object}>} The open socket and the server's welcome
+ */
+async function join(url, name) {
+  const socket = new WebSocket(url);
+  await once(socket, 'open');
+  socket.send(JSON.stringify({ type: 'join', name }));
+  const [data] = await once(socket, 'message');
+  return { socket, welcome: JSON.parse(data.toString()) };
+}
+
+test('a client sending an oversized message is dropped without bringing the server down', async () => {
+  const world = await startWorld();
+  try {
+    const { socket } = await join(world.url, 'Flooder');
+    socket.send('x'.repeat(100 * 1024));
+    const [code] = await once(socket, 'close');
+    assert.equal(code, 1009); // Message too big
+
+    const { socket: next, welcome } = await join(world.url, 'Pilot');
+    assert.equal(welcome.type, 'welcome');
+    assert.equal(welcome.name, 'Pilot');
+    next.close();
+    await once(next, 'close');
+  } finally {
+    await world.close();
+  }
+});
+
+test('snapshots relay each player\'s velocity, worked out from the heading for clients that don\'t send it', async () => {
+  const world = await startWorld();
+  try {
+    const { socket } = await join(world.url, 'Drifter');
+    const snapshot = async () => {
+      for (;;) {
+        const [data] = await once(socket, 'message');
+        const message = JSON.parse(data.toString());
+        if (message.type === 'snapshot' && message.players.length > 0) return message.players[0];
+      }
+    };
+
+    socket.send(JSON.stringify({ type: 'state', state: { x: 1, y: 2, rotation: 0, speed: 50, vx: -10, vy: 30 } }));
+    const newtonian = await snapshot();
+    assert.deepEqual([newtonian.vx, newtonian.vy], [-10, 30]);
+
+    socket.send(JSON.stringify({ type: 'state', state: { x: 1, y: 2, rotation: Math.PI, speed: 50 } }));
+    let arcade = await snapshot();
+    if (arcade.vx === -10) arcade = await snapshot(); // Sent before our update arrived
+    assert.ok(Math.abs(arcade.vx + 50) < 1e-9 && Math.abs(arcade.vy) < 1e-9);
+
+    socket.close();
+    await once(socket, 'close');
+  } finally {
+    await world.close();
+  }
+});
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { once } from 'node:events';
+
+import express from 'express';
+import { createSavesRouter } from '../server/savesRouter.js';
+
+/**
+ * Host the save API on a free local port, keeping its slots in a fresh directory
+ * @returns {Promise<{url: string, savesDir: string, close: Function}>} The API's URL, its
+ *   saves directory and a function that shuts it down and removes the directory
+ */
+async function startApi() {
+  const savesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'saves-'));
+  const app = express();
+  app.use('/api/saves', createSavesRouter(savesDir));
+  const server = app.listen(0);
+  await once(server, 'listening');
+  return {
+    url: `http://localhost:${server.address().port}/api/saves`,
+    savesDir,
+    close: async () => {
+      server.close();
+      await once(server, 'close');
+      await fs.rm(savesDir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Save data that passes validateSave
+ * @returns {Object} A minimal save
+ */
+function validSave() {
+  return {
+    version: 12,
+    savedAt: new Date().toISOString(),
+    seed: 42,
+    gameState: 'FLYING',
+    chunks: [],
+    ships: [],
+    planetStates: {},
+    settings: {}
+  };
+}
+
+/**
+ * Send a save to a slot
+ * @param {string} url - URL of the slot
+ * @param {*} data - Request body, sent as JSON
+ * @returns {Promise<Response>} The response
+ */
+function put(url, data) {
+  return fetch(url, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  });
+}
+
+test('slot names outside the safe character set are rejected', async () => {
+  const api = await startApi();
+  try {
+    for (const name of ['..%2Fserver', 'has%20spaces', 'x'.repeat(41)]) {
+      const response = await put(`${api.url}/${name}`, validSave());
+      assert.equal(response.status, 400, name);
+      assert.match((await response.json()).error, /Slot names/);
+    }
+    assert.deepEqual(await fs.readdir(api.savesDir), []);
+  } finally {
+    await api.close();
+  }
+});
+
+test('saves over the size limit are refused', async () => {
+  const api = await startApi();
+  try {
+    const save = { ...validSave(), ships: ['x'.repeat(2.5 * 1024 * 1024)] };
+    const response = await put(`${api.url}/huge`, save);
+    assert.equal(response.status, 413);
+    assert.deepEqual(await fs.readdir(api.savesDir), []);
+  } finally {
+    await api.close();
+  }
+});
+
+test('data that isn\'t a save is refused with every problem listed', async () => {
+  const api = await startApi();
+  try {
+    const response = await put(`${api.url}/broken`, { ...validSave(), seed: null, ships: null });
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.equal(body.error, 'Invalid save data');
+    assert.deepEqual(body.details, ['seed must be a number or string', 'ships must be an array']);
+    assert.deepEqual(await fs.readdir(api.savesDir), []);
+  } finally {
+    await api.close();
+  }
+});
+
+test('reading or deleting a slot that doesn\'t exist is a 404', async () => {
+  const api = await startApi();
+  try {
+    assert.equal((await fetch(`${api.url}/missing`)).status, 404);
+    assert.equal((await fetch(`${api.url}/missing`, { method: 'DELETE' })).status, 404);
+  } finally {
+    await api.close();
+  }
+});
+
+test('a save can be written, read, listed, replaced and deleted', async () => {
+  const api = await startApi();
+  try {
+    const save = validSave();
+    let response = await put(`${api.url}/slot-1`, save);
+    assert.equal(response.status, 201);
+    assert.deepEqual(await response.json(), { name: 'slot-1', savedAt: save.savedAt, version: 12 });
+    // Written to a temporary file then renamed over the slot, so nothing else is left behind
+    assert.deepEqual(await fs.readdir(api.savesDir), ['slot-1.json']);
+
+    assert.deepEqual(await (await fetch(`${api.url}/slot-1`)).json(), save);
+    assert.deepEqual(await (await fetch(api.url)).json(), [{ name: 'slot-1', savedAt: save.savedAt, version: 12 }]);
+
+    const replacement = { ...save, seed: 'another' };
+    response = await put(`${api.url}/slot-1`, replacement);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await (await fetch(`${api.url}/slot-1`)).json(), replacement);
+    assert.deepEqual(await fs.readdir(api.savesDir), ['slot-1.json']);
+
+    assert.equal((await fetch(`${api.url}/slot-1`, { method: 'DELETE' })).status, 204);
+    assert.equal((await fetch(`${api.url}/slot-1`)).status, 404);
+    assert.deepEqual(await (await fetch(api.url)).json(), []);
+  } finally {
+    await api.close();
+  }
+});
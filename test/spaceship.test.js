@@ -0,0 +1,238 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Spaceship, FlightModel } from '../js/spaceship.js';
+
+/**
+ * Step a ship for a number of seconds at 60 steps per second
+ * @param {Spaceship} ship - The ship
+ * @param {number} seconds - How long to fly
+ */
+function fly(ship, seconds) {
+  const steps = Math.round(seconds * 60);
+  for (let i = 0; i < steps; i++) {
+    ship.savePreviousState();
+    ship.update(1 / 60);
+  }
+}
+
+test('thrust accelerates the ship up to its top speed', () => {
+  const ship = new Spaceship(0, 0, 1);
+  ship.keys.w = true;
+  fly(ship, 0.5);
+  assert.ok(ship.speed > 0 && ship.speed < ship.maxSpeed);
+  fly(ship, 5);
+  assert.equal(ship.speed, ship.maxSpeed);
+});
+
+test('the ship moves along its heading', () => {
+  const ship = new Spaceship(100, 100, 1);
+  ship.rotation = Math.PI / 2; // Facing down
+  ship.keys.w = true;
+  fly(ship, 1);
+  assert.ok(ship.y > 100);
+  assert.ok(Math.abs(ship.x - 100) < 1e-6);
+});
+
+test('the ship coasts to a stop without thrust', () => {
+  const ship = new Spaceship(0, 0, 1);
+  ship.speed = ship.maxSpeed;
+  fly(ship, ship.maxSpeed / ship.deceleration + 0.1);
+  assert.equal(ship.speed, 0);
+});
+
+test('reverse thrust reaches full speed backwards', () => {
+  const ship = new Spaceship(0, 0, 1);
+  ship.keys.s = true;
+  fly(ship, 5);
+  assert.equal(ship.speed, -ship.maxSpeed);
+  assert.ok(ship.x < 0);
+});
+
+test('movement does not depend on the step size', () => {
+  const coarse = new Spaceship(0, 0, 1);
+  const fine = new Spaceship(0, 0, 1);
+  coarse.keys.w = fine.keys.w = true;
+  for (let i = 0; i < 30; i++) coarse.update(1 / 30);
+  for (let i = 0; i < 120; i++) fine.update(1 / 120);
+  assert.equal(coarse.speed, fine.speed);
+  assert.ok(Math.abs(coarse.x - fine.x) < 0.05 * fine.x);
+});
+
+test('rotation follows A and D, scaled by analog turn rate', () => {
+  const ship = new Spaceship(0, 0, 1);
+  ship.keys.d = true;
+  fly(ship, 0.5);
+  const fullTurn = ship.rotation;
+  assert.ok(fullTurn > 0);
+
+  const gentle = new Spaceship(0, 0, 1);
+  gentle.keys.a = true;
+  gentle.turnRate = 0.5;
+  fly(gentle, 0.5);
+  assert.ok(Math.abs(gentle.rotation + fullTurn / 2) < 1e-9);
+});
+
+test('partial throttle lowers the top speed', () => {
+  const ship = new Spaceship(0, 0, 1);
+  ship.keys.w = true;
+  ship.throttle = 0.5;
+  fly(ship, 5);
+  assert.equal(ship.speed, ship.maxSpeed * 0.5);
+});
+
+test('boost starts empty and charges over time', () => {
+  const ship = new Spaceship(0, 0, 1);
+  assert.equal(ship.getBoostPercentage(), 0);
+  fly(ship, ship.maxBoostCharge / ship.boostChargeRate + 0.1);
+  assert.equal(ship.getBoostPercentage(), 100);
+});
+
+test('boost adds speed and drains the charge', () => {
+  const ship = new Spaceship(0, 0, 1);
+  ship.boostCharge = ship.maxBoostCharge;
+  ship.keys.space = true;
+  fly(ship, 0.25);
+  assert.ok(ship.isBoosting);
+  assert.ok(ship.getBoostPercentage() < 100);
+  // Boosting from a standstill still moves the ship at boost speed
+  assert.ok(ship.x > ship.boostSpeed * 0.2);
+});
+
+test('boost stops when the charge runs out and recharges when released', () => {
+  const ship = new Spaceship(0, 0, 1);
+  ship.boostCharge = ship.maxBoostCharge;
+  ship.keys.space = true;
+  let steps = 0;
+  while (ship.isBoosting || steps === 0) {
+    ship.update(1 / 60);
+    steps++;
+  }
+  assert.equal(ship.getBoostPercentage(), 0);
+  assert.ok(Math.abs(steps / 60 - ship.maxBoostCharge / ship.boostDecayRate) < 0.05);
+
+  ship.keys.space = false;
+  fly(ship, 1);
+  assert.ok(ship.getBoostPercentage() > 20);
+});
+
+test('releasing boost ends it early', () => {
+  const ship = new Spaceship(0, 0, 1);
+  ship.boostCharge = ship.maxBoostCharge;
+  ship.keys.space = true;
+  fly(ship, 0.1);
+  ship.keys.space = false;
+  fly(ship, 1 / 60);
+  assert.equal(ship.isBoosting, false);
+});
+
+test('render state interpolates between the last two steps', () => {
+  const ship = new Spaceship(0, 0, 1);
+  ship.speed = 600;
+  ship.savePreviousState();
+  ship.update(1 / 60);
+  const halfway = ship.getRenderState(0.5);
+  assert.equal(halfway.x, ship.x / 2);
+  assert.deepEqual(ship.getRenderState(1), { x: ship.x, y: ship.y, rotation: ship.rotation });
+});
+
+test('Newtonian ships keep drifting without thrust', () => {
+  const ship = new Spaceship(0, 0, 1, 40, 20, { flightModel: FlightModel.NEWTONIAN });
+  ship.keys.w = true;
+  fly(ship, 0.5);
+  const { x: vx } = ship.getVelocity();
+  assert.ok(vx > 0);
+  ship.keys.w = false;
+  ship.rotation = Math.PI / 2; // Turning doesn't turn the velocity
+  fly(ship, 2);
+  assert.deepEqual(ship.getVelocity(), { x: vx, y: 0 });
+});
+
+test('Newtonian speed is limited but goes past the arcade top speed', () => {
+  const ship = new Spaceship(0, 0, 1, 40, 20, { flightModel: FlightModel.NEWTONIAN });
+  ship.keys.w = true;
+  fly(ship, 60);
+  assert.ok(ship.speed > ship.maxSpeed);
+  assert.ok(Math.abs(Math.hypot(ship.vx, ship.vy) - ship.speed) < 1e-9);
+  const topSpeed = ship.speed;
+  fly(ship, 5);
+  assert.equal(ship.speed, topSpeed);
+});
+
+test('only Newtonian ships take impulses', () => {
+  const arcade = new Spaceship(0, 0, 1);
+  arcade.applyImpulse(50, 50);
+  assert.deepEqual(arcade.getVelocity(), { x: 0, y: 0 });
+
+  const newtonian = new Spaceship(0, 0, 1, 40, 20, { flightModel: FlightModel.NEWTONIAN });
+  newtonian.applyImpulse(30, 40);
+  assert.deepEqual(newtonian.getVelocity(), { x: 30, y: 40 });
+  assert.equal(newtonian.speed, 50);
+});
+
+test('switching flight model carries the motion over', () => {
+  const ship = new Spaceship(0, 0, 1);
+  ship.speed = 100;
+  ship.setFlightModel(FlightModel.NEWTONIAN);
+  assert.deepEqual(ship.getVelocity(), { x: 100, y: 0 });
+
+  // Back to arcade only the part along the heading survives
+  ship.applyImpulse(0, 500);
+  ship.setFlightModel(FlightModel.ARCADE);
+  assert.equal(ship.speed, 100);
+  assert.deepEqual(ship.getVelocity(), { x: 100, y: 0 });
+});
+
+test('flight model and velocity survive serialization', () => {
+  const ship = new Spaceship(0, 0, 1, 40, 20, { flightModel: FlightModel.NEWTONIAN });
+  ship.applyImpulse(12, -7);
+  const copy = Spaceship.deserialize(JSON.parse(JSON.stringify(ship.serialize())), []);
+  assert.equal(copy.flightModel, FlightModel.NEWTONIAN);
+  assert.deepEqual(copy.getVelocity(), { x: 12, y: -7 });
+});
+
+test('thrust and boost burn fuel, coasting doesn\'t', () => {
+  const ship = new Spaceship(0, 0, 1, 40, 20, { isPlayer: true });
+  ship.keys.w = true;
+  fly(ship, 2);
+  assert.ok(Math.abs(ship.fuel - (ship.maxFuel - ship.thrustFuelRate * 2)) < 1e-9);
+
+  ship.keys.w = false;
+  const coasting = ship.fuel;
+  fly(ship, 2);
+  assert.equal(ship.fuel, coasting);
+
+  ship.boostCharge = ship.maxBoostCharge;
+  ship.keys.space = true;
+  fly(ship, 0.5);
+  assert.ok(coasting - ship.fuel > ship.boostFuelRate * 0.4);
+});
+
+test('AI ships don\'t use fuel', () => {
+  const ship = new Spaceship(0, 0, 1);
+  ship.keys.w = true;
+  fly(ship, 2);
+  assert.equal(ship.fuel, ship.maxFuel);
+});
+
+test('an empty ship drifts and can only crawl', () => {
+  const ship = new Spaceship(0, 0, 1, 40, 20, { isPlayer: true });
+  ship.speed = ship.maxSpeed;
+  ship.fuel = 0;
+  fly(ship, 5);
+  // No engine to slow down with
+  assert.equal(ship.speed, ship.maxSpeed);
+
+  ship.keys.space = true;
+  ship.boostCharge = ship.maxBoostCharge;
+  fly(ship, 0.1);
+  assert.equal(ship.isBoosting, false);
+
+  ship.keys.space = false;
+  ship.keys.s = true;
+  fly(ship, 10);
+  ship.keys.s = false;
+  ship.keys.w = true;
+  fly(ship, 10);
+  assert.ok(ship.speed > 0 && ship.speed < ship.maxSpeed * 0.5);
+});